@@ -0,0 +1,291 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { compareVersions } = require('./versions');
+const ADVISORY_PACKAGES = require('./data/advisory-packages.json');
+
+const DEFAULT_DATABASE = path.join(__dirname, 'data', 'advisories.json');
+const GHSA_URL = 'https://github.com/advisories/';
+const OSV_QUERY_URL = 'https://api.osv.dev/v1/query';
+const OSV_ECOSYSTEM = 'SwiftURL';
+
+// Advisory severity → finding severity
+const SEVERITY_MAP = {
+  CRITICAL: 'critical',
+  HIGH: 'critical',
+  MODERATE: 'warn',
+  MEDIUM: 'warn',
+  LOW: 'info'
+};
+
+// CVSS v3 base metric weights
+const CVSS3 = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  PR: { N: 0.85, L: 0.62, H: 0.27 },
+  PR_CHANGED: { N: 0.85, L: 0.68, H: 0.5 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 }
+};
+
+/**
+ * CVSS v3.x base score from a vector string ("CVSS:3.1/AV:N/AC:L/..."), or null if it isn't one
+ */
+function cvssScore(vector) {
+  if (!/^CVSS:3\.[01]\//.test(vector || '')) return null;
+  const metrics = Object.fromEntries(vector.split('/').slice(1).map(part => part.split(':')));
+  const changed = metrics.S === 'C';
+  const weights = [
+    CVSS3.AV[metrics.AV], CVSS3.AC[metrics.AC], (changed ? CVSS3.PR_CHANGED : CVSS3.PR)[metrics.PR], CVSS3.UI[metrics.UI],
+    CVSS3.CIA[metrics.C], CVSS3.CIA[metrics.I], CVSS3.CIA[metrics.A]
+  ];
+  if (weights.some(weight => weight === undefined)) return null;
+  const [av, ac, pr, ui, c, i, a] = weights;
+
+  const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+  const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+  if (impact <= 0) return 0;
+  const exploitability = 8.22 * av * ac * pr * ui;
+  const score = Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10);
+  // CVSS rounds up to one decimal
+  return Math.ceil(score * 10 - 1e-9) / 10;
+}
+
+// Helper: Qualitative rating for a CVSS score
+function ratingForScore(score) {
+  if (score >= 9) return 'CRITICAL';
+  if (score >= 7) return 'HIGH';
+  if (score >= 4) return 'MEDIUM';
+  if (score > 0) return 'LOW';
+  return 'NONE';
+}
+
+// Helper: Severity of an OSV advisory: the database's own rating, else the CVSS vector's score
+function advisorySeverity(advisory) {
+  const scores = (advisory.severity || []).map(entry => cvssScore(entry.score)).filter(score => score !== null);
+  const score = scores.length ? Math.max(...scores) : null;
+  const rating = (advisory.database_specific?.severity || '').toUpperCase() || (score !== null ? ratingForScore(score) : null);
+  return { rating, score };
+}
+
+/**
+ * Load the offline advisory database: a JSON file holding OSV advisories (an array, or
+ * { version, advisories: [...] }), or a directory of OSV .json files such as an osv.dev export.
+ * ADVISORY_DB_PATH overrides the bundled data/advisories.json. No network lookups are made.
+ */
+function loadAdvisoryDatabase(source = process.env.ADVISORY_DB_PATH || DEFAULT_DATABASE) {
+  const readJSON = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Invalid advisory file ${file}: ${error.message}`);
+    }
+  };
+
+  if (fs.statSync(source).isDirectory()) {
+    const files = fs.readdirSync(source).filter(name => name.endsWith('.json')).sort();
+    return { version: null, source, advisories: files.map(name => readJSON(path.join(source, name))) };
+  }
+
+  const data = readJSON(source);
+  const advisories = Array.isArray(data) ? data : data.advisories;
+  if (!Array.isArray(advisories)) throw new Error(`Advisory file ${source} has no "advisories" array`);
+  return { version: data.version || data.updated || null, source, advisories };
+}
+
+// Helper: Versions are compared numerically; pre-release and build suffixes are ignored
+function normalizeVersion(version) {
+  return String(version).trim().replace(/^v/i, '').split(/[-+ ]/)[0];
+}
+
+// Helper: Whether `version` falls in an OSV range, and the version that fixes it
+function inRange(version, range) {
+  if (range.type === 'GIT') return { affected: false, fixed: null };
+  const order = { introduced: 0, fixed: 1, last_affected: 1 };
+  const events = [...range.events].sort((a, b) => {
+    const [typeA, valueA] = Object.entries(a)[0];
+    const [typeB, valueB] = Object.entries(b)[0];
+    return compareVersions(normalizeVersion(valueA), normalizeVersion(valueB)) || order[typeA] - order[typeB];
+  });
+
+  let affected = false;
+  for (const event of events) {
+    if (event.introduced !== undefined && compareVersions(version, normalizeVersion(event.introduced)) >= 0) {
+      affected = true;
+    } else if (event.fixed !== undefined) {
+      if (compareVersions(version, normalizeVersion(event.fixed)) >= 0) {
+        affected = false;
+      } else if (affected) {
+        return { affected: true, fixed: event.fixed };
+      }
+    } else if (event.last_affected !== undefined && compareVersions(version, normalizeVersion(event.last_affected)) > 0) {
+      affected = false;
+    }
+  }
+  return { affected, fixed: null };
+}
+
+// Helper: Whether an OSV affected[].package entry describes this dependency
+function packageMatches(pkg, dependency) {
+  const names = dependency.names.map(name => name.toLowerCase());
+  if (pkg.purl && dependency.purl && pkg.purl.split('@')[0].toLowerCase() === dependency.purl.split('@')[0].toLowerCase()) {
+    return true;
+  }
+  if (pkg.ecosystem === 'SwiftURL') {
+    // Swift packages are named by repository URL: github.com/Alamofire/Alamofire. Repositories that
+    // ship several frameworks (firebase-ios-sdk → FirebaseCore, ...) list them in data/advisory-packages.json.
+    const repository = pkg.name.toLowerCase().replace(/^https?:\/\//, '').replace(/\.git$/, '');
+    const frameworks = Object.entries(ADVISORY_PACKAGES.packages)
+      .find(([name]) => name.toLowerCase() === repository)?.[1] || [];
+    return dependency.purl?.toLowerCase().startsWith(`pkg:swift/${repository}@`) ||
+      names.includes(repository.split('/').pop()) ||
+      frameworks.some(framework => names.includes(framework.toLowerCase()));
+  }
+  return names.includes(String(pkg.name).split('/')[0].toLowerCase());
+}
+
+/**
+ * Dependencies to check: embedded frameworks (Info.plist version) and uploaded lockfile packages.
+ * Returns [{ names, version, purl, location }].
+ */
+function collectDependencies(app, sourceDependencies = {}) {
+  const dependencies = [];
+  const sdkByLocation = new Map((app?.sdkInventory?.sdks || []).map(sdk => [sdk.location, sdk]));
+
+  for (const framework of app?.frameworks || []) {
+    const names = [framework.name];
+    const sdk = sdkByLocation.get(framework.path);
+    if (sdk) names.push(sdk.name);
+    const pod = framework.bundleId?.match(/^org\.cocoapods\.(.+)$/)?.[1];
+    if (pod) names.push(pod);
+    dependencies.push({ names, version: framework.version || null, purl: null, location: framework.path });
+  }
+  for (const [type, { packages }] of Object.entries(sourceDependencies)) {
+    for (const pkg of packages) {
+      dependencies.push({ names: [pkg.name, pkg.identity].filter(Boolean), version: pkg.version, purl: pkg.purl, location: type });
+    }
+  }
+
+  return dependencies.filter(dependency => dependency.version);
+}
+
+/**
+ * Match dependencies against the advisory database.
+ * Returns [{ dependency, advisory, fixed, rating, score }], one per advisory and package name.
+ */
+function findVulnerabilities(dependencies, database) {
+  const matches = [];
+  const seen = new Set();
+
+  for (const dependency of dependencies) {
+    const version = normalizeVersion(dependency.version);
+    for (const advisory of database.advisories) {
+      if (advisory.withdrawn) continue;
+      for (const affected of advisory.affected || []) {
+        if (!affected.package || !packageMatches(affected.package, dependency)) continue;
+
+        let hit = (affected.versions || []).some(listed => normalizeVersion(listed) === version)
+          ? { affected: true, fixed: null }
+          : null;
+        for (const range of affected.ranges || []) {
+          const result = inRange(version, range);
+          if (result.affected) hit = { affected: true, fixed: result.fixed || hit?.fixed || null };
+        }
+        if (!hit) continue;
+
+        const key = `${advisory.id}|${dependency.names[0].toLowerCase()}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        matches.push({ dependency, advisory, fixed: hit.fixed, ...advisorySeverity(advisory) });
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Security findings for the known-vulnerable SDK versions an IPA scan embeds or its lockfiles pin
+ */
+function vulnerabilityFindings(app, sourceDependencies, database = loadAdvisoryDatabase()) {
+  return findVulnerabilities(collectDependencies(app, sourceDependencies), database).map(match => {
+    const { dependency, advisory, fixed, rating, score } = match;
+    const name = dependency.names[0];
+    const aliases = (advisory.aliases || []).filter(alias => alias !== advisory.id);
+    const url = advisory.references?.find(reference => reference.type === 'ADVISORY')?.url ||
+      advisory.references?.[0]?.url ||
+      (advisory.id.startsWith('GHSA-') ? `${GHSA_URL}${advisory.id}` : undefined);
+
+    const summary = advisory.summary || advisory.details?.split('\n')[0] || `Known vulnerability in ${name}`;
+
+    return {
+      checkId: 'vulnerable-dependency',
+      title: `${name} ${dependency.version} affected by ${advisory.id}`,
+      severity: SEVERITY_MAP[rating] || 'warn',
+      guideline: '1.6',
+      location: dependency.location,
+      description: [
+        /[.!?]$/.test(summary.trim()) ? summary.trim() : `${summary.trim()}.`,
+        fixed ? `Fixed in ${fixed}.` : 'No fixed version is listed.',
+        aliases.length ? `Also known as ${aliases.join(', ')}.` : ''
+      ].filter(Boolean).join(' '),
+      impact: `${rating ? `${rating.charAt(0)}${rating.slice(1).toLowerCase()} severity` : 'Unrated'} security advisory${score !== null ? ` (CVSS ${score})` : ''}`,
+      fix: fixed ? `Update ${name} to ${fixed} or later` : `Replace ${name} or check ${advisory.id} for mitigations`,
+      advisory: { id: advisory.id, aliases, url, rating, score }
+    };
+  });
+}
+
+// Helper: All OSV advisories for a SwiftURL package from the osv.dev API, following result pages
+async function queryOSV(name) {
+  const advisories = [];
+  let pageToken;
+  do {
+    const { data } = await axios.post(OSV_QUERY_URL, {
+      package: { name, ecosystem: OSV_ECOSYSTEM },
+      ...(pageToken ? { page_token: pageToken } : {})
+    }, { timeout: 30000 });
+    advisories.push(...(data.vulns || []));
+    pageToken = data.next_page_token;
+  } while (pageToken);
+  return advisories;
+}
+
+/**
+ * Build an advisory database for the SDKs in data/advisory-packages.json: from the osv.dev API, or
+ * offline from `from`, an osv.dev export (SwiftURL/all.zip, unzipped) or an OSV file. Only
+ * advisories affecting a listed package are kept. Options: from, packages (repository names),
+ * query(name) to replace the API lookup. Returns { version, source, updated, packages, advisories }.
+ */
+async function importAdvisories({ from, packages = Object.keys(ADVISORY_PACKAGES.packages), query = queryOSV } = {}) {
+  const wanted = new Set(packages.map(name => name.toLowerCase()));
+  const affectsWanted = (advisory) => (advisory.affected || []).some(affected =>
+    affected.package?.ecosystem === OSV_ECOSYSTEM && wanted.has(affected.package.name.toLowerCase()));
+
+  const byId = new Map();
+  if (from) {
+    for (const advisory of loadAdvisoryDatabase(from).advisories.filter(affectsWanted)) byId.set(advisory.id, advisory);
+  } else {
+    for (const name of packages) {
+      for (const advisory of await query(name)) byId.set(advisory.id, advisory);
+    }
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  return {
+    version: today,
+    source: from ? path.resolve(from) : OSV_QUERY_URL,
+    updated: today,
+    packages: packages.length,
+    advisories: [...byId.values()].sort((a, b) => a.id.localeCompare(b.id))
+  };
+}
+
+module.exports = {
+  SEVERITY_MAP,
+  cvssScore,
+  loadAdvisoryDatabase,
+  findVulnerabilities,
+  vulnerabilityFindings,
+  importAdvisories
+};
@@ -0,0 +1,207 @@
+const axios = require('axios');
+const { createRulesProvider } = require('./ai-rules');
+
+const PROVIDERS = ['anthropic', 'openai', 'rules'];
+
+// Model used when AI_MODEL isn't set
+const DEFAULT_MODELS = {
+  anthropic: 'claude-sonnet-4-5',
+  openai: 'gpt-4o-mini',
+  rules: 'compliance-rules-v1'
+};
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Helper: Number from an environment variable, with the default when unset
+function numberSetting(env, name, fallback, { min = 0, max = Infinity, integer = false } = {}) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    throw new Error(`Invalid ${name} "${raw}": expected ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`);
+  }
+  return value;
+}
+
+/**
+ * AI settings from the environment:
+ * AI_PROVIDER (anthropic | openai | rules; by default anthropic with ANTHROPIC_API_KEY, openai with
+ * AI_BASE_URL, else the offline rules), AI_MODEL, AI_TEMPERATURE, AI_MAX_TOKENS (risk assessment),
+ * AI_FIX_MAX_TOKENS (per fix suggestion), AI_TIMEOUT_MS (per request), AI_BASE_URL and AI_API_KEY
+ * (OpenAI-compatible endpoint; OPENAI_API_KEY also works). Throws on invalid values.
+ */
+function loadAIConfig(env = process.env) {
+  const provider = env.AI_PROVIDER || (env.ANTHROPIC_API_KEY ? 'anthropic' : env.AI_BASE_URL ? 'openai' : 'rules');
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown AI_PROVIDER "${provider}": expected one of ${PROVIDERS.join(', ')}`);
+  }
+
+  return {
+    provider,
+    model: env.AI_MODEL || DEFAULT_MODELS[provider],
+    temperature: numberSetting(env, 'AI_TEMPERATURE', 0.2, { max: 2 }),
+    maxTokens: numberSetting(env, 'AI_MAX_TOKENS', 2000, { min: 1, integer: true }),
+    fixMaxTokens: numberSetting(env, 'AI_FIX_MAX_TOKENS', 200, { min: 1, integer: true }),
+    timeoutMs: numberSetting(env, 'AI_TIMEOUT_MS', 60000, { min: 1, integer: true }),
+    baseUrl: (env.AI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, ''),
+    apiKey: provider === 'anthropic' ? env.ANTHROPIC_API_KEY : (env.AI_API_KEY || env.OPENAI_API_KEY)
+  };
+}
+
+// Helper: The part of a scan the model sees: app identity, the summary and what each finding is
+// and where. The app model (Info.plist, file list, secret scan, size treemap) and the lockfile
+// packages stay out: they are large, and may hold values that must not leave the machine.
+function promptView(scanResults) {
+  const app = scanResults.app || {};
+  return {
+    app: {
+      name: app.appName || scanResults.appName,
+      bundleId: app.bundleId,
+      version: app.version,
+      build: app.build,
+      minimumOSVersion: app.minimumOSVersion
+    },
+    engine: scanResults.engine,
+    status: scanResults.status,
+    summary: scanResults.summary,
+    findings: (scanResults.findings || []).map(finding => ({
+      checkId: finding.checkId,
+      severity: finding.severity,
+      title: finding.title || finding.message,
+      location: finding.location,
+      guidelines: finding.guidelines?.length
+        ? finding.guidelines.map(clause => [clause.number, clause.title].filter(Boolean).join(' '))
+        : finding.guideline ? [finding.guideline] : []
+    }))
+  };
+}
+
+// Helper: Risk assessment prompt for a chat model
+function analysisPrompt(scanResults) {
+  return `You are an expert iOS App Store reviewer and compliance analyst. Analyze the following app compliance scan results and provide:
+
+1. Overall risk assessment (Low/Medium/High/Critical)
+2. Top 3 actionable recommendations to fix issues
+3. Estimated rejection probability (0-100%)
+4. Prioritization of fixes (what to fix first)
+
+Scan Results:
+${JSON.stringify(promptView(scanResults), null, 2)}
+
+Provide your analysis in JSON format:
+{
+  "riskLevel": "Low|Medium|High|Critical",
+  "rejectionProbability": 0-100,
+  "summary": "Brief 2-3 sentence summary",
+  "recommendations": [
+    {
+      "priority": 1-3,
+      "title": "Fix title",
+      "description": "Detailed fix description",
+      "impact": "High|Medium|Low",
+      "effort": "Hours|Days|Weeks"
+    }
+  ],
+  "criticalBlockers": ["List of must-fix items before submission"],
+  "timeline": "Estimated time to make app submission-ready"
+}`;
+}
+
+// Helper: Fix suggestion prompt for one finding
+function fixPrompt(finding) {
+  return `As an iOS developer expert, provide a specific, actionable fix for this App Store compliance issue:
+
+Issue: ${finding.title}
+Description: ${finding.description}
+Guideline: ${finding.guideline || 'Not specified'}
+
+Provide a single-paragraph fix suggestion (2-3 sentences) that is:
+- Specific and actionable
+- Technically accurate
+- Easy to implement
+
+Fix suggestion:`;
+}
+
+// Helper: Provider backed by a chat model; complete(prompt, { maxTokens, signal }) returns the reply text
+function chatProvider(config, complete) {
+  return {
+    name: config.provider,
+    model: config.model,
+
+    async analyze(scanResults, { signal } = {}) {
+      const reply = await complete(analysisPrompt(scanResults), { maxTokens: config.maxTokens, signal });
+      // Extract JSON from the reply (handles markdown code blocks)
+      const jsonMatch = reply.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) throw new Error('Failed to parse AI response');
+      return JSON.parse(jsonMatch[0]);
+    },
+
+    async suggestFix(finding, { signal } = {}) {
+      return (await complete(fixPrompt(finding), { maxTokens: config.fixMaxTokens, signal })).trim();
+    }
+  };
+}
+
+/**
+ * Anthropic Messages API provider
+ */
+function createAnthropicProvider(config) {
+  if (!config.apiKey) throw new Error('No Anthropic API key found (set ANTHROPIC_API_KEY)');
+  // Loaded lazily so offline providers don't need the SDK
+  const Anthropic = require('@anthropic-ai/sdk');
+  const client = new Anthropic({ apiKey: config.apiKey, timeout: config.timeoutMs });
+
+  return chatProvider(config, async (prompt, { maxTokens, signal }) => {
+    const message = await client.messages.create({
+      model: config.model,
+      max_tokens: maxTokens,
+      temperature: config.temperature,
+      messages: [{ role: 'user', content: prompt }]
+    }, { signal });
+    return message.content.filter(block => block.type === 'text').map(block => block.text).join('');
+  });
+}
+
+/**
+ * OpenAI-compatible chat completions provider (`POST <AI_BASE_URL>/chat/completions`), which
+ * also covers local model servers such as Ollama, llama.cpp or vLLM. The API key is optional.
+ */
+function createOpenAIProvider(config) {
+  const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+
+  return chatProvider(config, async (prompt, { maxTokens, signal }) => {
+    const { data } = await axios.post(`${config.baseUrl}/chat/completions`, {
+      model: config.model,
+      temperature: config.temperature,
+      max_tokens: maxTokens,
+      messages: [{ role: 'user', content: prompt }]
+    }, { headers, timeout: config.timeoutMs, signal });
+
+    const reply = data?.choices?.[0]?.message?.content;
+    if (typeof reply !== 'string') throw new Error(`Unexpected response from ${config.baseUrl}`);
+    return reply;
+  });
+}
+
+/**
+ * Provider for an AI config (see loadAIConfig):
+ * { name, model, analyze(scanResults, { signal }), suggestFix(finding, { signal }) }.
+ * analyze resolves to the risk assessment (riskLevel, rejectionProbability, summary,
+ * recommendations, criticalBlockers, timeline); suggestFix to a one-paragraph fix.
+ */
+function createAIProvider(config = loadAIConfig()) {
+  switch (config.provider) {
+    case 'anthropic': return createAnthropicProvider(config);
+    case 'openai': return createOpenAIProvider(config);
+    case 'rules': return createRulesProvider(config);
+    default: throw new Error(`Unknown AI provider "${config.provider}"`);
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  loadAIConfig,
+  createAIProvider,
+  createAnthropicProvider,
+  createOpenAIProvider
+};
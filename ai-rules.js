@@ -0,0 +1,132 @@
+const checks = require('./checks');
+const FIX_TEMPLATES = require('./data/fix-templates.json');
+
+const SEVERITY_RANK = { critical: 0, warn: 1, info: 2 };
+const IMPACT = { critical: 'High', warn: 'Medium', info: 'Low' };
+const EFFORT_RANK = ['Hours', 'Days', 'Weeks'];
+const TIMELINES = { Hours: '1 day', Days: '2-5 days', Weeks: '1-2 weeks' };
+const MAX_RECOMMENDATIONS = 3;
+
+const CHECK_TITLES = new Map(checks.map(check => [check.id, check.title]));
+
+// Helper: Risk level from the severity counts
+function riskLevel({ critical, warn }) {
+  if (critical >= 3) return 'Critical';
+  if (critical > 0) return 'High';
+  if (warn > 0) return 'Medium';
+  return 'Low';
+}
+
+// Helper: Estimated rejection probability (%). Any critical finding is a likely rejection;
+// warnings add up to a moderate risk.
+function rejectionProbability({ critical, warn, info }) {
+  if (critical > 0) return Math.min(95, 70 + 5 * (critical - 1));
+  if (warn > 0) return Math.min(60, 15 + 5 * warn);
+  return info > 0 ? 5 : 2;
+}
+
+// Helper: Guideline references of a finding as "5.1.1(ii) Permission"
+function guidelineLabels(finding) {
+  const clauses = finding.guidelines?.length ? finding.guidelines : finding.guideline ? [{ number: finding.guideline }] : [];
+  return clauses.map(clause => [clause.number, clause.title].filter(Boolean).join(' '));
+}
+
+// Helper: Fix for a finding: the check's own fix, else the curated template for its check,
+// else a pointer to the guideline it breaks
+function fixFor(finding) {
+  if (finding.fix) return finding.fix;
+  const template = FIX_TEMPLATES.checks[finding.checkId];
+  if (template) return template.fix;
+  const labels = guidelineLabels(finding);
+  return `Resolve "${finding.title || finding.message}"${labels.length ? ` so the app complies with Guideline ${labels.join(', ')}` : ''}, then rescan the build.`;
+}
+
+// Helper: Findings grouped by check, worst severity first, then by count, then scan order
+function groupFindings(findings) {
+  const groups = new Map();
+  for (const finding of findings) {
+    const key = finding.checkId || finding.title || finding.message;
+    if (!groups.has(key)) groups.set(key, { key, findings: [], rank: SEVERITY_RANK.info, order: groups.size });
+    const group = groups.get(key);
+    group.findings.push(finding);
+    group.rank = Math.min(group.rank, SEVERITY_RANK[finding.severity] ?? SEVERITY_RANK.info);
+  }
+  return [...groups.values()].sort((a, b) => a.rank - b.rank || b.findings.length - a.findings.length || a.order - b.order);
+}
+
+// Helper: Recommendation for a group of findings from the same check
+function recommendation(group, priority) {
+  const worst = group.findings.find(finding => SEVERITY_RANK[finding.severity] === group.rank) || group.findings[0];
+  const count = group.findings.length;
+  const title = count > 1
+    ? `${CHECK_TITLES.get(worst.checkId) || worst.title || worst.message} (${count} findings)`
+    : worst.title || worst.message;
+  const labels = guidelineLabels(worst);
+
+  return {
+    priority,
+    title,
+    // One finding's fix is too specific for a group; the check's template covers them all
+    description: `${(count > 1 && FIX_TEMPLATES.checks[worst.checkId]?.fix) || fixFor(worst)}${labels.length ? ` (Guideline ${labels.join(', ')})` : ''}`,
+    impact: IMPACT[worst.severity] || 'Low',
+    effort: FIX_TEMPLATES.checks[worst.checkId]?.effort || 'Hours',
+    checkId: worst.checkId,
+    guidelines: (worst.guidelines || []).map(clause => clause.number)
+  };
+}
+
+/**
+ * Deterministic offline provider: scores the risk from the finding severities and builds
+ * recommendations and fixes from the curated templates in data/fix-templates.json.
+ * Needs no network or API key; the same scan always gets the same assessment.
+ */
+function createRulesProvider(config = {}) {
+  return {
+    name: 'rules',
+    model: config.model || 'compliance-rules-v1',
+
+    async analyze(scanResults) {
+      const findings = Array.isArray(scanResults.findings) ? scanResults.findings : [];
+      const counts = { critical: 0, warn: 0, info: 0 };
+      for (const finding of findings) {
+        if (counts[finding.severity] !== undefined) counts[finding.severity]++;
+      }
+
+      // Blocking and warning findings are what needs fixing; info only when there's nothing else
+      const actionable = findings.filter(finding => finding.severity === 'critical' || finding.severity === 'warn');
+      const groups = groupFindings(actionable.length ? actionable : findings);
+      const recommendations = groups.slice(0, MAX_RECOMMENDATIONS).map((group, index) => recommendation(group, index + 1));
+      const effort = actionable.length
+        ? groupFindings(actionable)
+          .map(group => FIX_TEMPLATES.checks[group.findings[0].checkId]?.effort || 'Hours')
+          .reduce((worst, next) => EFFORT_RANK.indexOf(next) > EFFORT_RANK.indexOf(worst) ? next : worst, 'Hours')
+        : null;
+
+      const level = riskLevel(counts);
+      const checkCount = groupFindings(findings).length;
+      const summary = findings.length === 0
+        ? 'No compliance findings. The app is ready for submission as far as the automated checks can tell.'
+        : `${counts.critical} critical, ${counts.warn} warning and ${counts.info} info finding(s) across ${checkCount} check(s). ` +
+          (counts.critical > 0
+            ? 'App Review is likely to reject the build until the critical findings are fixed.'
+            : counts.warn > 0
+              ? 'No blockers, but the warnings are common rejection reasons and should be fixed before submission.'
+              : 'Only informational findings remain.');
+
+      return {
+        riskLevel: level,
+        rejectionProbability: rejectionProbability(counts),
+        summary,
+        recommendations,
+        criticalBlockers: [...new Set(findings.filter(finding => finding.severity === 'critical').map(finding => finding.title || finding.message))],
+        timeline: effort ? TIMELINES[effort] : 'Ready for submission'
+      };
+    },
+
+    async suggestFix(finding) {
+      return fixFor(finding);
+    }
+  };
+}
+
+module.exports = { createRulesProvider };
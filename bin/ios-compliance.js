@@ -0,0 +1,530 @@
+#!/usr/bin/env node
+/**
+ * ios-compliance — command-line client for the iOS Compliance Scanner.
+ * Talks to a running server (--server / IOS_COMPLIANCE_SERVER) or runs the scan pipeline in-process.
+ */
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runIPAScan, runProjectScan, runPrivacyScan, downloadIPA, enhanceWithAI } = require('../scan-pipeline');
+const { createScanStore, recordFromJob } = require('../scan-store');
+const { parseGatePolicy, evaluateGate, gateSummary } = require('../ci-gate');
+const { normalizeProjectConfig, createProjectConfigStore } = require('../project-config');
+const { parseLockfile } = require('../lockfiles');
+const { importAdvisories } = require('../advisories');
+const { createGuidelinesCache } = require('../guidelines');
+const { searchGuidelines } = require('../guidelines-search');
+const { toSARIF } = require('../sarif-export');
+const { toJUnit } = require('../junit-export');
+const { generateCompliancePDF } = require('../pdf-generator');
+
+const USAGE = `Usage: ios-compliance <command> [options]
+
+Commands:
+  scan <ipa|url>             Scan an .ipa file or an https URL to one
+  code <path>                Code scan of an Xcode project (greenlight codescan)
+  privacy <path>             Privacy manifest scan of an Xcode project
+  report <scanId>            Show a stored scan
+  guidelines search <query>  Search the App Store Review Guidelines
+  advisories import          Build the offline advisory database from osv.dev (or --from an
+                             OSV export) for the SDKs in data/advisory-packages.json
+
+Options:
+  --server <url>        Use a running scanner (default: $IOS_COMPLIANCE_SERVER, else in-process)
+  --ai                  Add AI analysis and fix suggestions (scan only; provider from AI_PROVIDER)
+  --config <file>       Project config: severity overrides, suppressions, disabled checks
+                        (default: the config stored for the app's bundle ID)
+  --lockfile <file>     Package.resolved or Podfile.lock to check against the advisory
+                        database (scan only, repeatable)
+  --json <file>         Write the scan record as JSON
+  --pdf <file>          Write the PDF report
+  --sarif <file>        Write a SARIF 2.1.0 log
+  --junit <file>        Write a JUnit XML report
+  --fail-on <severity>  Exit 1 on findings at or above: critical (default), warn, info, none
+  --max-critical <n>    Exit 1 when there are more than n critical findings
+  --max-warn <n>        Exit 1 when there are more than n warnings
+  --max-info <n>        Exit 1 when there are more than n info findings
+  --from <path>         advisories import: read an unzipped osv.dev export instead of the API
+  --out <file>          advisories import: output file (default: $ADVISORY_DB_PATH, else
+                        ./advisories.json)
+  --verbose             Print scanner output while scanning
+  --no-color            Disable colors (also honors NO_COLOR)
+  -h, --help            Show this help
+
+Exit codes: 0 gate passed, 1 gate failed, 2 usage or scan error.`;
+
+const VALUE_FLAGS = {
+  '--server': 'server',
+  '--config': 'config',
+  '--json': 'json',
+  '--pdf': 'pdf',
+  '--sarif': 'sarif',
+  '--junit': 'junit',
+  '--fail-on': 'failOn',
+  '--max-critical': 'maxCritical',
+  '--max-warn': 'maxWarn',
+  '--max-info': 'maxInfo',
+  '--from': 'from',
+  '--out': 'out'
+};
+// Flags that may be given more than once collect their values in an array
+const REPEATABLE_FLAGS = {
+  '--lockfile': 'lockfiles'
+};
+const BOOLEAN_FLAGS = {
+  '--ai': 'ai',
+  '--verbose': 'verbose',
+  '--no-color': 'noColor',
+  '--help': 'help',
+  '-h': 'help'
+};
+
+class UsageError extends Error {}
+
+// Helper: Split argv into positional arguments and options
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+    if (VALUE_FLAGS[flag]) {
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined) throw new UsageError(`${flag} requires a value`);
+      options[VALUE_FLAGS[flag]] = value;
+    } else if (REPEATABLE_FLAGS[flag]) {
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined) throw new UsageError(`${flag} requires a value`);
+      (options[REPEATABLE_FLAGS[flag]] = options[REPEATABLE_FLAGS[flag]] || []).push(value);
+    } else if (BOOLEAN_FLAGS[flag]) {
+      options[BOOLEAN_FLAGS[flag]] = true;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, options };
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+const useColor = (options) => !options.noColor && !process.env.NO_COLOR && process.stdout.isTTY;
+
+function palette(options) {
+  const wrap = (code) => (text) => useColor(options) ? `\x1b[${code}m${text}\x1b[0m` : String(text);
+  return { red: wrap('31'), yellow: wrap('33'), blue: wrap('34'), green: wrap('32'), dim: wrap('2'), bold: wrap('1') };
+}
+
+// Helper: Progress and diagnostics go to stderr so stdout stays clean for the table
+const progress = (message) => process.stderr.write(`${message}\n`);
+
+// Helper: Fit text into a column (the last column is truncated but not padded)
+function fit(text, width, pad = true) {
+  const value = String(text ?? '');
+  if (value.length > width) return `${value.slice(0, width - 1)}…`;
+  return pad ? value.padEnd(width) : value;
+}
+
+// Helper: Guideline search results, best first, with the snippet's <mark> highlights in bold
+function printSearchResults(search, options) {
+  const c = palette(options);
+  if (search.results.length === 0) {
+    console.log(`No guidelines match "${search.query}".`);
+    return;
+  }
+  for (const result of search.results) {
+    const snippet = result.snippet
+      .replace(/<mark>(.*?)<\/mark>/g, (match, word) => c.bold(word))
+      .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code));
+    console.log(`${c.bold(fit(result.number, 11))}${result.title}  ${c.dim(`(${result.score})`)}`);
+    console.log(`${' '.repeat(11)}${snippet}`);
+    console.log(c.dim(`${' '.repeat(11)}${result.url}`));
+  }
+  console.log(c.dim(`\n${search.results.length} of ${search.total} matching clauses (guidelines ${search.version}, ${search.source})`));
+}
+
+/**
+ * Print the findings table, summary and gate verdict for a scan record
+ */
+function printScan(scan, gate, options) {
+  const c = palette(options);
+  const results = scan.results || {};
+  const findings = Array.isArray(results.findings) ? results.findings : [];
+  const summary = gateSummary(results);
+  const severityColor = { critical: c.red, warn: c.yellow, info: c.blue };
+
+  const app = [scan.appName || results.appName, scan.version && `${scan.version} (${scan.build})`]
+    .filter(Boolean).join(' ');
+  console.log(c.bold(app || scan.projectPath || scan.fileName || scan.id));
+  console.log(c.dim([scan.bundleId, results.engine && `engine ${results.engine}`, `scan ${scan.id}`]
+    .filter(Boolean).join(' · ')));
+  console.log('');
+
+  if (findings.length === 0) {
+    console.log(c.green('No findings'));
+  } else {
+    const width = Math.max(process.stdout.columns || 100, 80);
+    const checkWidth = Math.min(Math.max(...findings.map(finding => (finding.checkId || '').length), 5), 24);
+    const indent = 10 + checkWidth + 2 + 11;
+    const titleWidth = width - indent;
+
+    console.log(c.bold(`${fit('SEVERITY', 10)}${fit('CHECK', checkWidth + 2)}${fit('GUIDELINE', 11)}FINDING`));
+    for (const finding of findings) {
+      const color = severityColor[finding.severity] || ((text) => text);
+      console.log(`${color(fit((finding.severity || 'info').toUpperCase(), 10))}${fit(finding.checkId || '-', checkWidth + 2)}` +
+        `${fit(finding.guideline || '-', 11)}${fit(finding.title || finding.message, titleWidth, false)}`);
+      if (finding.location) {
+        console.log(c.dim(`${' '.repeat(indent)}→ ${fit(finding.location, titleWidth - 2, false)}`));
+      }
+    }
+  }
+
+  console.log('');
+  console.log(`${c.red(`${summary.critical} critical`)} · ${c.yellow(`${summary.warn} warn`)} · ` +
+    `${c.blue(`${summary.info} info`)}   Status: ${c.bold(summary.status || results.status || '-')}`);
+  if (results.suppressed?.length) {
+    console.log(c.dim(`${results.suppressed.length} suppressed by the project config:`));
+    for (const finding of results.suppressed) {
+      console.log(c.dim(`  ${finding.checkId || '-'}  ${finding.title}  (until ${finding.suppression.expires}: ${finding.suppression.justification})`));
+    }
+  }
+  console.log(gate.gate === 'pass'
+    ? c.green('Gate: PASS')
+    : c.red(`Gate: FAIL — ${gate.reasons.join('; ')}`));
+}
+
+/**
+ * Write the requested --json / --sarif / --junit / --pdf files for a scan record
+ */
+async function writeOutputs(scan, gatePolicy, options) {
+  const write = async (file, content) => {
+    await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    await fs.promises.writeFile(file, content);
+    progress(`📝 Wrote ${file}`);
+  };
+
+  if (options.json) await write(options.json, JSON.stringify(scan, null, 2));
+  if (options.sarif) await write(options.sarif, JSON.stringify(toSARIF(scan), null, 2));
+  if (options.junit) await write(options.junit, toJUnit(scan, gatePolicy));
+  if (options.pdf) {
+    await fs.promises.mkdir(path.dirname(path.resolve(options.pdf)), { recursive: true });
+    await generateCompliancePDF(scan.results, options.pdf);
+    progress(`📄 Wrote ${options.pdf}`);
+  }
+}
+
+// ============================================
+// SERVER MODE
+// ============================================
+
+function serverClient(baseURL) {
+  const client = axios.create({ baseURL: baseURL.replace(/\/+$/, ''), maxBodyLength: Infinity, maxContentLength: Infinity });
+
+  // Surface the API's { error, details } instead of axios' generic message
+  client.interceptors.response.use(null, (error) => {
+    const body = error.response?.data;
+    if (body?.error) {
+      error.message = body.details ? `${body.error}: ${body.details}` : body.error;
+    }
+    return Promise.reject(error);
+  });
+
+  return client;
+}
+
+// Helper: Poll a job until it finishes, reporting stage changes; Ctrl-C cancels it on the server
+async function waitForJob(client, jobId, options) {
+  let lastStage = null;
+  let lastLogAt = '';
+  const onInterrupt = () => {
+    progress('\n⏹  Cancelling scan...');
+    client.post(`/api/jobs/${jobId}/cancel`).catch(() => {}).finally(() => process.exit(2));
+  };
+  process.once('SIGINT', onInterrupt);
+
+  try {
+    for (;;) {
+      const { data: job } = await client.get(`/api/jobs/${jobId}`, { params: { format: 'json' } });
+      if (job.stage !== lastStage) {
+        lastStage = job.stage;
+        progress(`⏳ ${job.stage}${job.message ? ` — ${job.message}` : ''}`);
+      }
+      if (options.verbose) {
+        // recentLogs is a sliding window; print only lines newer than the last poll
+        for (const entry of (job.recentLogs || []).filter(entry => entry.at > lastLogAt)) {
+          progress(entry.line);
+          lastLogAt = entry.at;
+        }
+      }
+      if (['completed', 'failed', 'cancelled'].includes(job.state)) return job;
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+async function serverScan(client, command, target, gatePolicy, projectConfig, options) {
+  const params = { ...gatePolicy };
+  let accepted;
+
+  if (command === 'scan' && /^https?:\/\//i.test(target)) {
+    if (options.lockfiles) throw new UsageError('--lockfile needs a local .ipa when scanning on a server');
+    ({ data: accepted } = await client.post('/api/scan/url', { url: target, config: projectConfig }, { params }));
+  } else if (command === 'scan') {
+    const form = new FormData();
+    form.append('ipa', await fs.openAsBlob(target), path.basename(target));
+    if (projectConfig) {
+      form.append('config', new Blob([JSON.stringify(projectConfig)], { type: 'application/json' }), 'config.json');
+    }
+    for (const file of options.lockfiles || []) {
+      form.append('lockfile', await fs.openAsBlob(file), path.basename(file));
+    }
+    ({ data: accepted } = await client.post(options.ai ? '/api/scan/enhanced' : '/api/scan/upload', form, { params }));
+  } else {
+    // The project path is resolved on the server's filesystem
+    ({ data: accepted } = await client.post(`/api/scan/${command}`,
+      { projectPath: path.resolve(target), config: projectConfig }, { params }));
+  }
+
+  progress(`🔍 Queued scan ${accepted.scanId}`);
+  const job = await waitForJob(client, accepted.jobId, options);
+  if (job.state !== 'completed') {
+    throw new Error(`Scan ${job.state}${job.error ? `: ${job.error}` : ''}`);
+  }
+
+  const { data: scan } = await client.get(`/api/scans/${accepted.scanId}`);
+  return scan;
+}
+
+// ============================================
+// IN-PROCESS MODE
+// ============================================
+
+// Helper: Default location of CLI data under the user's home directory; the installed package
+// directory is often read-only (global installs) and shared between users
+function userDataDir(name) {
+  return path.join(os.homedir(), '.ios-compliance', name);
+}
+
+function scanStore() {
+  return createScanStore(process.env.SCAN_STORE_DIR || userDataDir('scans'));
+}
+
+function configStore() {
+  return createProjectConfigStore(process.env.PROJECT_CONFIG_DIR || userDataDir('configs'));
+}
+
+function guidelinesCache() {
+  return createGuidelinesCache(process.env.GUIDELINES_DIR || userDataDir('guidelines-cache'));
+}
+
+// Helper: Pipeline context for a scan run outside the job queue; Ctrl-C aborts it
+function localContext(jobId, options) {
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    progress('\n⏹  Cancelling scan...');
+    controller.abort();
+  });
+
+  return {
+    jobId,
+    signal: controller.signal,
+    stage: (stage, message) => progress(`⏳ ${stage}${message ? ` — ${message}` : ''}`),
+    log: (line) => options.verbose && progress(line),
+    throwIfCancelled() {
+      if (controller.signal.aborted) throw Object.assign(new Error('Scan cancelled'), { cancelled: true });
+    }
+  };
+}
+
+async function localScan(command, target, gatePolicy, projectConfig, options) {
+  const id = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const ctx = localContext(id, options);
+  const settings = {
+    gatePolicy,
+    projectConfig,
+    lockfiles: await readLockfiles(options.lockfiles),
+    loadProjectConfig: (bundleId) => configStore().get(bundleId),
+    loadGuidelines: () => guidelinesCache().get()
+  };
+  const job = {
+    id,
+    type: command === 'scan' ? (options.ai ? 'enhanced' : 'upload') : command,
+    state: 'completed',
+    createdAt: new Date().toISOString(),
+    meta: {}
+  };
+
+  let results;
+  if (command === 'scan') {
+    let ipaPath = target;
+    const isUrl = /^https?:\/\//i.test(target);
+    if (isUrl) {
+      job.type = 'url';
+      job.meta.sourceUrl = target;
+      ipaPath = path.join(os.tmpdir(), `ios-compliance-${id}.ipa`);
+      await downloadIPA(target, ipaPath, ctx);
+    } else {
+      ipaPath = path.resolve(target);
+      job.meta.fileName = path.basename(target);
+    }
+
+    try {
+      job.meta.fileSize = (await fs.promises.stat(ipaPath)).size;
+      results = await runIPAScan(ipaPath, ctx, settings);
+      if (options.ai) await enhanceWithAI(results, ctx);
+    } finally {
+      if (isUrl) await fs.promises.unlink(ipaPath).catch(() => {});
+    }
+  } else {
+    const projectPath = path.resolve(target);
+    job.meta.projectPath = projectPath;
+    results = command === 'code'
+      ? await runProjectScan(['codescan', projectPath, '--format', 'json'], ctx, settings)
+      : await runPrivacyScan(projectPath, ctx, settings);
+  }
+
+  job.finishedAt = new Date().toISOString();
+  job.result = { scanId: id, timestamp: job.finishedAt, results };
+
+  // Keep CLI scans in the same history the server uses, so `report` and the UI can find them
+  const record = recordFromJob(job);
+  await scanStore().save(record);
+  return record;
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+
+async function runScanCommand(command, target, options) {
+  if (!target) throw new UsageError(`${command} requires a ${command === 'scan' ? 'path or URL to an .ipa' : 'project path'}`);
+  const gatePolicy = parseGatePolicy(options);
+  const projectConfig = options.config ? await readProjectConfig(options.config) : undefined;
+  if (options.lockfiles && command !== 'scan') throw new UsageError('--lockfile only applies to IPA scans');
+  if (command === 'scan' && !/^https?:\/\//i.test(target) && !fs.existsSync(target)) {
+    throw new Error(`File not found: ${target}`);
+  }
+
+  const scan = options.server
+    ? await serverScan(serverClient(options.server), command, target, gatePolicy, projectConfig, options)
+    : await localScan(command, target, gatePolicy, projectConfig, options);
+
+  return finishScan(scan, gatePolicy, options);
+}
+
+// Helper: Load and validate a --config file
+async function readProjectConfig(file) {
+  try {
+    return normalizeProjectConfig(await fs.promises.readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid project config ${file}: ${error.message}`);
+  }
+}
+
+// Helper: Load and parse --lockfile files
+async function readLockfiles(files = []) {
+  const lockfiles = [];
+  for (const file of files) {
+    try {
+      lockfiles.push({ fileName: path.basename(file), ...parseLockfile(file, await fs.promises.readFile(file, 'utf-8')) });
+    } catch (error) {
+      throw new Error(`Invalid lockfile ${file}: ${error.message}`);
+    }
+  }
+  return lockfiles;
+}
+
+async function runReportCommand(scanId, options) {
+  if (!scanId) throw new UsageError('report requires a scan ID');
+
+  let scan;
+  if (options.server) {
+    ({ data: scan } = await serverClient(options.server).get(`/api/scans/${encodeURIComponent(scanId)}`));
+  } else {
+    scan = await scanStore().get(scanId);
+    if (!scan) throw new Error(`Scan not found: ${scanId}`);
+  }
+  if (!scan.results) throw new Error(`Scan ${scan.state}, no results to report`);
+
+  return finishScan(scan, parseGatePolicy(options), options);
+}
+
+// Helper: Print, write outputs and turn the gate verdict into an exit code
+async function finishScan(scan, gatePolicy, options) {
+  const gate = evaluateGate(gateSummary(scan.results), gatePolicy);
+  printScan(scan, gate, options);
+  await writeOutputs(scan, gatePolicy, options);
+  return gate.gate === 'pass' ? 0 : 1;
+}
+
+async function runGuidelinesCommand([subcommand, ...terms], options) {
+  const query = terms.join(' ');
+  if (subcommand !== 'search' || !query) throw new UsageError('Usage: ios-compliance guidelines search <query>');
+
+  if (options.server) {
+    const { data } = await serverClient(options.server).get('/api/guidelines/search', { params: { q: query } });
+    printSearchResults(data, options);
+  } else {
+    printSearchResults(searchGuidelines(await guidelinesCache().get(), query), options);
+  }
+  return 0;
+}
+
+async function runAdvisoriesCommand([subcommand], options) {
+  if (subcommand !== 'import') throw new UsageError('Usage: ios-compliance advisories import [--from <path>] [--out <file>]');
+
+  progress(options.from ? `📥 Reading OSV advisories from ${options.from}` : '📥 Querying osv.dev');
+  const database = await importAdvisories({ from: options.from });
+  const out = options.out || process.env.ADVISORY_DB_PATH || 'advisories.json';
+  await fs.promises.mkdir(path.dirname(path.resolve(out)), { recursive: true });
+  await fs.promises.writeFile(out, JSON.stringify(database, null, 2) + '\n');
+  progress(`🔐 Wrote ${database.advisories.length} advisories for ${database.packages} packages to ${out}`);
+  if (!options.out && !process.env.ADVISORY_DB_PATH) progress(`   Set ADVISORY_DB_PATH=${path.resolve(out)} to scan against it`);
+  return 0;
+}
+
+async function main(argv) {
+  const { positional, options } = parseArgs(argv);
+  const [command, ...args] = positional;
+  options.server = options.server || process.env.IOS_COMPLIANCE_SERVER;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  switch (command) {
+    case 'scan':
+    case 'code':
+    case 'privacy':
+      return runScanCommand(command, args[0], options);
+    case 'report':
+      return runReportCommand(args[0], options);
+    case 'guidelines':
+      return runGuidelinesCommand(args, options);
+    case 'advisories':
+      return runAdvisoriesCommand(args, options);
+    default:
+      throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\n\n${USAGE}`);
+    } else {
+      console.error(`❌ ${error.message || error.error || error}`);
+      if (error.stderr) console.error(error.stderr.trim());
+    }
+    process.exit(2);
+  });
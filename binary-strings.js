@@ -0,0 +1,36 @@
+/**
+ * Yield the printable ASCII runs in a binary, like strings(1).
+ * Mach-O symbol and import tables, Objective-C selector names and C string literals are all
+ * NUL-terminated, so each one comes out as a separate string.
+ */
+function* extractStrings(buffer, { minLength = 4 } = {}) {
+  let start = -1;
+  for (let i = 0; i <= buffer.length; i++) {
+    const byte = i < buffer.length ? buffer[i] : 0;
+    if (byte >= 0x20 && byte < 0x7F) {
+      if (start < 0) start = i;
+    } else if (start >= 0) {
+      if (i - start >= minLength) yield buffer.toString('latin1', start, i);
+      start = -1;
+    }
+  }
+}
+
+/**
+ * Which of `names` (symbols, selectors, class references) a binary contains.
+ * Variant suffixes such as _stat$INODE64 count as the base symbol.
+ */
+function findSymbols(buffer, names) {
+  const found = new Set();
+  for (const text of extractStrings(buffer, { minLength: 5 })) {
+    if (names.has(text)) {
+      found.add(text);
+    } else {
+      const base = text.replace(/\$[A-Z0-9_]+$/, '');
+      if (names.has(base)) found.add(base);
+    }
+  }
+  return found;
+}
+
+module.exports = { extractStrings, findSymbols };
@@ -0,0 +1,24 @@
+module.exports = {
+  id: 'app-icons',
+  title: 'App Icon Presence',
+
+  async run(app, ipa) {
+    const primaryIcon = app.infoPlist.CFBundleIcons?.CFBundlePrimaryIcon;
+    const declaresIcon = !!(primaryIcon?.CFBundleIconName || primaryIcon?.CFBundleIconFiles?.length ||
+      app.infoPlist.CFBundleIconFiles?.length);
+    const hasAssetCatalog = ipa.hasFile('Assets.car');
+
+    if (declaresIcon && hasAssetCatalog) return [];
+
+    return [{
+      checkId: 'app-icons',
+      title: 'App icon not found',
+      severity: 'warn',
+      location: 'Info.plist',
+      description: declaresIcon
+        ? 'Info.plist declares an app icon but the bundle has no compiled asset catalog (Assets.car).'
+        : 'Info.plist does not declare CFBundleIcons. Add an AppIcon set to the asset catalog.',
+      impact: 'Builds without a 1024x1024 App Store icon are rejected on upload'
+    }];
+  }
+};
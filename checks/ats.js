@@ -0,0 +1,128 @@
+const CHECK_ID = 'ats';
+
+// TLS versions below ATS's default minimum
+const WEAK_TLS_VERSIONS = ['TLSv1.0', 'TLSv1.1'];
+
+const GLOBAL_EXEMPTIONS = {
+  allowsArbitraryLoadsForMedia: {
+    key: 'NSAllowsArbitraryLoadsForMedia',
+    description: 'AVFoundation media loads are exempt from ATS, so streamed audio and video can be fetched over plain HTTP.'
+  },
+  allowsArbitraryLoadsInWebContent: {
+    key: 'NSAllowsArbitraryLoadsInWebContent',
+    description: 'Content loaded in WKWebView is exempt from ATS.'
+  },
+  allowsLocalNetworking: {
+    key: 'NSAllowsLocalNetworking',
+    description: 'Connections to unqualified host names and .local domains are exempt from ATS.'
+  }
+};
+
+// Helper: "NSFoo is not an ATS key and has no effect" for one or more keys
+function unknownKeysText(keys) {
+  return keys.length === 1
+    ? `${keys[0]} is not an ATS key and has no effect.`
+    : `${keys.join(', ')} are not ATS keys and have no effect.`;
+}
+
+module.exports = {
+  id: CHECK_ID,
+  title: 'App Transport Security',
+  alsoWithGreenlight: true,
+  supersedes: ['ats'],
+
+  // Global ATS exemptions, each NSExceptionDomains entry, and hard-coded http:// endpoints ATS would block
+  async run(app) {
+    const ats = app.ats;
+    if (!ats) return [];
+
+    const findings = [];
+    const report = (severity, title, keyPath, description, fix, location = 'Info.plist') => findings.push({
+      checkId: CHECK_ID,
+      title,
+      severity,
+      guideline: '1.6',
+      location,
+      keyPath,
+      description,
+      impact: severity === 'warn'
+        ? 'App Review asks for a justification of ATS exceptions, and unencrypted traffic can be read or modified in transit'
+        : undefined,
+      fix
+    });
+
+    if (ats.allowsArbitraryLoads) {
+      if (ats.arbitraryLoadsIgnored) {
+        report('info', 'NSAllowsArbitraryLoads is ignored', 'NSAppTransportSecurity.NSAllowsArbitraryLoads',
+          'NSAllowsArbitraryLoads is set together with a finer-grained key, so iOS 10 and later ignore it.',
+          'Remove NSAllowsArbitraryLoads unless the app still supports iOS 9');
+      } else {
+        report('warn', 'ATS disabled with NSAllowsArbitraryLoads', 'NSAppTransportSecurity.NSAllowsArbitraryLoads',
+          'NSAllowsArbitraryLoads turns off App Transport Security for every connection the app makes.',
+          'Remove NSAllowsArbitraryLoads and add NSExceptionDomains entries only for hosts that cannot serve HTTPS');
+      }
+    }
+
+    for (const [field, { key, description }] of Object.entries(GLOBAL_EXEMPTIONS)) {
+      if (ats[field]) {
+        report('info', `${key} enabled`, `NSAppTransportSecurity.${key}`, description,
+          `Remove ${key} if the app no longer needs it`);
+      }
+    }
+
+    for (const row of ats.exceptionDomains) {
+      const keyPath = `NSAppTransportSecurity.NSExceptionDomains.${row.domain}`;
+      const scope = row.includesSubdomains === true ? `${row.domain} and its subdomains` : row.domain;
+
+      if (/[:/]/.test(row.domain)) {
+        report('warn', `Malformed ATS exception domain "${row.domain}"`, keyPath,
+          `NSExceptionDomains keys are bare host names; "${row.domain}" includes a scheme, port or path and never matches a connection.`,
+          `Use just the host name, e.g. "${row.domain.replace(/^[a-z]+:\/\//i, '').split(/[:/]/)[0]}"`);
+        // The entry never applies, so its settings don't matter
+        continue;
+      }
+      if (row.allowsInsecureHTTPLoads === true) {
+        report('warn', `Insecure HTTP allowed for ${row.domain}`, keyPath,
+          `The ATS exception allows plain HTTP to ${scope}.`,
+          `Serve ${row.domain} over HTTPS and remove NSExceptionAllowsInsecureHTTPLoads`);
+      }
+      if (WEAK_TLS_VERSIONS.includes(row.minimumTLSVersion)) {
+        report('warn', `${row.minimumTLSVersion} allowed for ${row.domain}`, keyPath,
+          `The ATS exception lowers the minimum TLS version for ${scope} to ${row.minimumTLSVersion}, which is deprecated.`,
+          `Enable TLS 1.2 or later on ${row.domain} and remove NSExceptionMinimumTLSVersion`);
+      }
+      if (row.requiresForwardSecrecy === false) {
+        report('info', `Forward secrecy not required for ${row.domain}`, keyPath,
+          `The ATS exception accepts cipher suites without forward secrecy for ${scope}.`,
+          `Enable ECDHE cipher suites on ${row.domain} and remove NSExceptionRequiresForwardSecrecy`);
+      }
+      if (row.unknownKeys.length) {
+        report('info', `Unknown ATS exception keys for ${row.domain}`, keyPath,
+          unknownKeysText(row.unknownKeys),
+          'Check the key names against the NSExceptionDomains documentation');
+      }
+    }
+
+    if (ats.unknownKeys.length) {
+      report('info', 'Unknown NSAppTransportSecurity keys', 'NSAppTransportSecurity',
+        unknownKeysText(ats.unknownKeys),
+        'Check the key names against the NSAppTransportSecurity documentation');
+    }
+
+    // One finding per blocked host; the JSON report lists every URL
+    const blocked = new Map();
+    for (const entry of ats.insecureURLs.filter(entry => !entry.allowed)) {
+      if (!blocked.has(entry.host)) blocked.set(entry.host, []);
+      blocked.get(entry.host).push(entry);
+    }
+    for (const [host, entries] of blocked) {
+      const files = [...new Set(entries.flatMap(entry => entry.files))];
+      report('warn', `Hard-coded http:// URL blocked by ATS: ${host}`, undefined,
+        `${entries.map(entry => entry.url).slice(0, 3).join(', ')}${entries.length > 3 ? `, +${entries.length - 3} more` : ''} found in ${files.join(', ')}. ATS blocks plain-HTTP loads to ${host}, so these requests fail at runtime.`,
+        `Switch to https://${host}, or add an NSExceptionDomains entry for ${host} if it cannot serve HTTPS`,
+        files[0]);
+    }
+
+    return findings;
+  }
+};
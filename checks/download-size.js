@@ -0,0 +1,47 @@
+const { CELLULAR_DOWNLOAD_LIMIT } = require('../size-analysis');
+
+// Helper: Bytes as megabytes with one decimal
+const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+
+module.exports = {
+  id: 'download-size',
+  title: 'Cellular Download Limit',
+  alsoWithGreenlight: true,
+  supersedes: ['download-size'],
+
+  // The cellular limit applies to what a device downloads, so compare the thinned estimates;
+  // the largest components are named so it's clear what pushed the build over
+  async run(app) {
+    const size = app.size;
+    if (!size) return [];
+
+    const largest = [...size.thinning].sort((a, b) => b.downloadSize - a.downloadSize)[0];
+    const contributors = size.byComponent.slice(0, 3)
+      .map(component => `${component.name} (${mb(component.compressedSize)} compressed)`).join(', ');
+
+    if (largest.overCellularLimit) {
+      return [{
+        checkId: 'download-size',
+        title: 'Exceeds cellular download limit',
+        severity: 'warn',
+        location: app.bundleName,
+        description: `The estimated download for ${largest.name} is ${mb(largest.downloadSize)} (IPA ${mb(size.ipaSize)}), above the ${mb(CELLULAR_DOWNLOAD_LIMIT)} cellular download limit. Largest components: ${contributors}.`,
+        impact: 'Users on cellular are prompted before downloading, which reduces installs',
+        fix: 'Move large media to On-Demand Resources or Background Assets, and drop unused frameworks and localizations'
+      }];
+    }
+
+    if (size.overCellularLimit) {
+      return [{
+        checkId: 'download-size',
+        title: 'Universal IPA exceeds cellular download limit',
+        severity: 'info',
+        location: app.bundleName,
+        description: `The IPA is ${mb(size.ipaSize)}, but after App Store thinning the estimated download is at most ${mb(largest.downloadSize)} (${largest.name}), within the ${mb(CELLULAR_DOWNLOAD_LIMIT)} limit. Largest components: ${contributors}.`,
+        impact: 'Devices that don\'t get a thinned variant (or enterprise/ad-hoc installs) download the full IPA'
+      }];
+    }
+
+    return [];
+  }
+};
@@ -0,0 +1,81 @@
+const CHECK_ID = 'entitlements';
+
+// Helper: Profile values may be wildcards ("*", "ABCDE12345.*") that cover any matching signed value
+function valueAllowed(value, granted) {
+  if (Array.isArray(granted)) return granted.some(entry => valueAllowed(value, entry));
+  if (typeof granted === 'string' && granted.endsWith('*') && typeof value === 'string') {
+    return value.startsWith(granted.slice(0, -1));
+  }
+  return value === granted;
+}
+
+// Helper: Every signed value has to be covered by what the profile grants for that key
+function entitlementAllowed(value, granted) {
+  if (Array.isArray(value)) return value.every(entry => valueAllowed(entry, granted));
+  return valueAllowed(value, granted);
+}
+
+// Helper: Short display form of an entitlement value
+function show(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+module.exports = {
+  id: CHECK_ID,
+  title: 'Entitlements',
+  alsoWithGreenlight: true,
+
+  // Compares the entitlements in the executable's code signature with the ones its profile grants
+  async run(app) {
+    const signed = app.entitlements;
+    const profile = app.provisioning;
+    if (!signed || !profile || profile.error) return [];
+
+    const findings = [];
+    const report = (severity, title, key, description, impact, fix) => findings.push({
+      checkId: CHECK_ID,
+      title,
+      severity,
+      location: app.executable,
+      keyPath: key,
+      description,
+      impact,
+      fix
+    });
+
+    const granted = profile.entitlements || {};
+    for (const [key, value] of Object.entries(signed)) {
+      // Reported below with a more specific explanation
+      if (profile.type === 'app-store' && key === 'aps-environment' && value === 'development') continue;
+
+      if (!(key in granted)) {
+        report('critical', `Entitlement ${key} is not in the provisioning profile`, key,
+          `${app.executable} is signed with ${key} = ${show(value)}, but profile "${profile.name}" does not grant it.`,
+          'The app fails to install, and App Store Connect rejects the upload (ITMS-90161)',
+          `Enable the capability for the App ID and regenerate the profile, or remove ${key} from the .entitlements file`);
+      } else if (!entitlementAllowed(value, granted[key])) {
+        report('critical', `Entitlement ${key} does not match the provisioning profile`, key,
+          `${app.executable} is signed with ${key} = ${show(value)}, but the profile only allows ${show(granted[key])}.`,
+          'The app fails to install, and App Store Connect rejects the upload (ITMS-90161)',
+          'Regenerate the profile after changing capabilities, then re-sign the build');
+      }
+    }
+
+    if (profile.type === 'app-store') {
+      if (signed['aps-environment'] === 'development') {
+        report('critical', 'Development push environment in an App Store build', 'aps-environment',
+          'The executable is signed with aps-environment = development. App Store builds must use the production APNs environment.',
+          'Push notifications fail in production; App Store Connect flags the upload',
+          'Export with the App Store distribution method so Xcode switches aps-environment to production');
+      }
+      if (signed['get-task-allow'] === true) {
+        report('critical', 'Debugging enabled in an App Store build', 'get-task-allow',
+          'The executable is signed with get-task-allow = true, which only development builds may carry.',
+          'App Store Connect rejects the upload (ITMS-90164)',
+          'Archive with the Release configuration and export for App Store distribution');
+      }
+    }
+
+    return findings;
+  }
+};
@@ -0,0 +1,20 @@
+// Native IPA checks, run in order by native-scanner.js.
+// Each check exports { id, title, run(app, ipa) } and resolves to an array of findings.
+// Checks flagged `alsoWithGreenlight` cover what greenlight doesn't and also run on greenlight scans;
+// their `supersedes` lists greenlight check IDs whose findings they replace.
+module.exports = [
+  require('./info-plist'),
+  require('./usage-description'),
+  require('./app-icons'),
+  require('./launch-screen'),
+  require('./privacy-manifest'),
+  require('./privacy-manifest-schema'),
+  require('./required-reason-api'),
+  require('./mach-o'),
+  require('./provisioning-profile'),
+  require('./entitlements'),
+  require('./ats'),
+  require('./sdk-inventory'),
+  require('./secrets'),
+  require('./download-size')
+];
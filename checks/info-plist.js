@@ -0,0 +1,44 @@
+// Keys App Store Connect requires in every app's Info.plist
+const REQUIRED_KEYS = [
+  'CFBundleIdentifier',
+  'CFBundleExecutable',
+  'CFBundleShortVersionString',
+  'CFBundleVersion'
+];
+
+module.exports = {
+  id: 'info-plist',
+  title: 'Info.plist Completeness',
+
+  async run(app) {
+    const findings = [];
+
+    for (const key of REQUIRED_KEYS) {
+      if (!app.infoPlist[key]) {
+        findings.push({
+          checkId: 'info-plist',
+          title: `Missing ${key}`,
+          severity: 'critical',
+          guideline: '2.1',
+          location: 'Info.plist',
+          description: `Info.plist does not define ${key}, which App Store Connect requires for every upload.`,
+          impact: 'Upload will be rejected by App Store Connect'
+        });
+      }
+    }
+
+    if (app.version && !/^\d+(\.\d+){0,2}$/.test(app.version)) {
+      findings.push({
+        checkId: 'info-plist',
+        title: 'Invalid CFBundleShortVersionString',
+        severity: 'critical',
+        guideline: '2.1',
+        location: 'Info.plist',
+        description: `Version "${app.version}" must be one to three period-separated integers (e.g. 1.4.2).`,
+        impact: 'Upload will be rejected by App Store Connect'
+      });
+    }
+
+    return findings;
+  }
+};
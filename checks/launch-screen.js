@@ -0,0 +1,22 @@
+module.exports = {
+  id: 'launch-screen',
+  title: 'Launch Storyboard',
+
+  async run(app, ipa) {
+    const storyboard = app.infoPlist.UILaunchStoryboardName;
+    if (app.infoPlist.UILaunchScreen) return [];
+
+    if (storyboard && ipa.hasFile(`${storyboard}.storyboardc/Info.plist`)) return [];
+
+    return [{
+      checkId: 'launch-screen',
+      title: storyboard ? 'Launch storyboard missing from bundle' : 'No launch screen configured',
+      severity: 'warn',
+      location: 'Info.plist',
+      description: storyboard
+        ? `UILaunchStoryboardName references "${storyboard}" but ${storyboard}.storyboardc is not in the bundle.`
+        : 'Neither UILaunchStoryboardName nor UILaunchScreen is set. Apps must provide a launch storyboard.',
+      impact: 'App Store Connect rejects builds without a launch storyboard'
+    }];
+  }
+};
@@ -0,0 +1,92 @@
+const { compareVersions } = require('../versions');
+
+const CHECK_ID = 'mach-o';
+
+module.exports = {
+  id: CHECK_ID,
+  title: 'Mach-O Binary Analysis',
+  alsoWithGreenlight: true,
+
+  // Architectures, deployment targets and hardening flags of the app executable and every embedded binary
+  async run(app) {
+    const findings = [];
+    const report = (severity, title, location, description, impact, fix) =>
+      findings.push({ checkId: CHECK_ID, title, severity, location, description, impact, fix });
+
+    const main = app.binary;
+    const appMinOS = app.minimumOSVersion;
+
+    if (main?.error) {
+      report('critical', 'Unreadable app executable', app.executable,
+        `${app.executable} could not be parsed as a Mach-O binary: ${main.error}`,
+        'The build cannot be installed or uploaded');
+    } else if (main) {
+      if (main.simulatorSlices.length) {
+        report('critical', 'Simulator build of the app executable', app.executable,
+          `${app.executable} contains simulator slices (${main.simulatorSlices.join(', ')}).`,
+          'App Store Connect rejects simulator builds',
+          'Archive the app for "Any iOS Device (arm64)" instead of a simulator destination');
+      }
+      if (!main.architectures.some(arch => arch === 'arm64' || arch === 'arm64e')) {
+        report('critical', 'No arm64 slice in the app executable', app.executable,
+          `${app.executable} only contains ${main.architectures.join(', ')}.`,
+          'iOS only runs 64-bit apps; the upload is rejected');
+      }
+      if (appMinOS && main.minOS && compareVersions(main.minOS, appMinOS) !== 0) {
+        report('warn', `Executable deployment target ${main.minOS} differs from MinimumOSVersion ${appMinOS}`,
+          app.executable,
+          `${app.executable} was built for ${main.platform} ${main.minOS}, but Info.plist declares MinimumOSVersion ${appMinOS}.`,
+          'Devices between the two versions are offered the app but may fail to launch it',
+          'Use the same IPHONEOS_DEPLOYMENT_TARGET for the target and its Info.plist');
+      }
+      if (!main.pie) {
+        report('warn', 'App executable is not position-independent', app.executable,
+          `${app.executable} was linked without MH_PIE, so ASLR is disabled.`,
+          'Fixed load addresses make memory-corruption bugs easier to exploit',
+          'Remove -no_pie from the linker flags');
+      }
+      if (!main.stackCanary) {
+        report('info', 'No stack canary in the app executable', app.executable,
+          `${app.executable} does not reference ___stack_chk_guard. Pure Swift binaries often don't; Objective-C or C code should be built with -fstack-protector.`,
+          'Stack buffer overflows in C code are not detected at runtime');
+      }
+      if (main.encrypted) {
+        report('info', 'App executable is FairPlay-encrypted', app.executable,
+          `${app.executable} has an active LC_ENCRYPTION_INFO segment, so symbol-based checks can only see its unencrypted parts.`,
+          'Results for this binary may be incomplete; scan the build exported from Xcode instead of an App Store download');
+      }
+    }
+
+    for (const nested of [...app.frameworks, ...app.plugins]) {
+      const binary = nested.binary;
+      const location = nested.executable;
+      if (!binary) continue;
+
+      if (binary.error) {
+        report('critical', `Unreadable binary in ${nested.name}`, location,
+          `${location} could not be parsed as a Mach-O binary: ${binary.error}`,
+          'The build cannot be installed or uploaded');
+        continue;
+      }
+      if (binary.simulatorSlices.length) {
+        report('critical', `Simulator slices in ${nested.name}`, location,
+          `${location} still contains ${binary.simulatorSlices.join(', ')} alongside ${binary.architectures.filter(arch => !binary.simulatorSlices.includes(arch)).join(', ') || 'no device slices'}.`,
+          'App Store Connect rejects binaries with unsupported architectures (ITMS-90087)',
+          `Embed ${nested.name} from an .xcframework, or strip the simulator slices with lipo -remove before archiving`);
+      }
+      if (appMinOS && binary.minOS && compareVersions(binary.minOS, appMinOS) > 0) {
+        report('critical', `${nested.name} requires iOS ${binary.minOS}, above the app's minimum ${appMinOS}`, location,
+          `${location} was built with a deployment target of ${binary.minOS}, but the app declares MinimumOSVersion ${appMinOS}.`,
+          'The upload is rejected, or the app crashes at launch on older supported versions',
+          `Raise the app's deployment target to ${binary.minOS} or use a build of ${nested.name} that supports ${appMinOS}`);
+      }
+      if (nested.minimumOSVersion && binary.minOS && compareVersions(binary.minOS, nested.minimumOSVersion) !== 0) {
+        report('warn', `${nested.name} Info.plist MinimumOSVersion does not match its binary`, location,
+          `${nested.path}/Info.plist declares MinimumOSVersion ${nested.minimumOSVersion}, but the binary was built for ${binary.minOS}.`,
+          'App Store Connect validates the embedded Info.plist against the binary (ITMS-90208)');
+      }
+    }
+
+    return findings;
+  }
+};
@@ -0,0 +1,13 @@
+const { validatePrivacyManifest } = require('../privacy-manifest');
+
+module.exports = {
+  id: 'privacy-manifest-schema',
+  title: 'Privacy Manifest Validation',
+  alsoWithGreenlight: true,
+
+  // Validates every PrivacyInfo.xcprivacy in the app, its frameworks, extensions and resource bundles
+  async run(app) {
+    return app.privacyManifests.flatMap(manifest =>
+      validatePrivacyManifest(manifest.plist, manifest.path, { error: manifest.error }));
+  }
+};
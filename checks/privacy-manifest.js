@@ -0,0 +1,18 @@
+module.exports = {
+  id: 'privacy-manifest',
+  title: 'Privacy Manifest Check',
+
+  async run(app, ipa) {
+    if (ipa.hasFile('PrivacyInfo.xcprivacy')) return [];
+
+    return [{
+      checkId: 'privacy-manifest',
+      title: 'Missing PrivacyInfo.xcprivacy',
+      severity: 'warn',
+      guideline: '5.1.1',
+      location: 'PrivacyInfo.xcprivacy',
+      description: 'The app bundle does not contain a privacy manifest. Apps that collect data or use required-reason APIs must ship PrivacyInfo.xcprivacy.',
+      impact: 'App Store Connect flags missing privacy manifests (ITMS-91053)'
+    }];
+  }
+};
@@ -0,0 +1,99 @@
+// Profiles expiring within this many days are flagged so they can be renewed before a release
+const EXPIRY_WARNING_DAYS = Number(process.env.PROFILE_EXPIRY_WARN_DAYS) || 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const PROFILE_TYPES = {
+  development: 'Development',
+  'ad-hoc': 'Ad Hoc',
+  enterprise: 'Enterprise (In-House)',
+  'app-store': 'App Store'
+};
+
+module.exports = {
+  id: 'provisioning-profile',
+  title: 'Provisioning Profile',
+  alsoWithGreenlight: true,
+
+  async run(app) {
+    if (!app.provisioning) {
+      return [{
+        checkId: 'provisioning-profile',
+        title: 'No embedded provisioning profile',
+        severity: 'warn',
+        location: 'embedded.mobileprovision',
+        description: 'The bundle has no embedded.mobileprovision. Signed distribution builds always embed one.',
+        impact: 'The build was likely not exported for distribution'
+      }];
+    }
+
+    if (app.provisioning.error) {
+      return [{
+        checkId: 'provisioning-profile',
+        title: 'Unreadable provisioning profile',
+        severity: 'critical',
+        location: 'embedded.mobileprovision',
+        description: `embedded.mobileprovision could not be decoded: ${app.provisioning.error}`,
+        impact: 'The build cannot be installed or uploaded'
+      }];
+    }
+
+    const profile = app.provisioning;
+    const findings = [];
+    const report = (severity, title, description, impact, fix) => findings.push({
+      checkId: 'provisioning-profile',
+      title,
+      severity,
+      location: 'embedded.mobileprovision',
+      description,
+      impact,
+      fix
+    });
+
+    const expiration = profile.expirationDate && new Date(profile.expirationDate);
+    if (expiration && expiration < new Date()) {
+      report('critical', 'Provisioning profile expired',
+        `Profile "${profile.name}" expired on ${expiration.toISOString()}.`,
+        'The build cannot be installed or uploaded',
+        'Regenerate the profile in the Apple Developer portal and re-sign the build');
+    } else if (expiration && expiration - Date.now() < EXPIRY_WARNING_DAYS * DAY) {
+      const days = Math.ceil((expiration - Date.now()) / DAY);
+      report('warn', `Provisioning profile expires in ${days} day(s)`,
+        `Profile "${profile.name}" expires on ${expiration.toISOString()}, within the ${EXPIRY_WARNING_DAYS}-day warning window.`,
+        'Installs and TestFlight builds signed with it stop working when it expires',
+        'Renew the profile before the next release');
+    }
+
+    if (profile.type !== 'app-store') {
+      report('warn', `${PROFILE_TYPES[profile.type]} provisioning profile`,
+        `The build is signed with the ${PROFILE_TYPES[profile.type]} profile "${profile.name}" (team ${profile.teamId}), not an App Store distribution profile.`,
+        'App Store Connect rejects uploads that are not signed for App Store distribution',
+        'Archive and export with the "App Store Connect" distribution method');
+    }
+
+    const appIdentifier = profile.applicationIdentifier;
+    if (appIdentifier && app.bundleId) {
+      const pattern = appIdentifier.slice(appIdentifier.indexOf('.') + 1);
+      const matches = pattern.endsWith('*')
+        ? app.bundleId.startsWith(pattern.slice(0, -1))
+        : pattern === app.bundleId;
+      if (!matches) {
+        report('critical', 'Profile App ID does not match the bundle ID',
+          `The profile is for ${appIdentifier}, but the app's CFBundleIdentifier is ${app.bundleId}.`,
+          'The build cannot be installed or uploaded',
+          'Sign the build with a profile created for this bundle ID');
+      }
+    }
+
+    for (const certificate of profile.certificates || []) {
+      if (certificate.expires && new Date(certificate.expires) < new Date()) {
+        report('warn', `Signing certificate "${certificate.name}" expired`,
+          `The profile lists a signing certificate that expired on ${certificate.expires}.`,
+          'Builds signed with an expired certificate fail validation',
+          'Create a new certificate and regenerate the profile');
+      }
+    }
+
+    return findings;
+  }
+};
@@ -0,0 +1,74 @@
+const { PRIVACY_SCHEMA, MANIFEST_NAME, summarizeManifest, detectRequiredReasonAPIs } = require('../privacy-manifest');
+
+const CHECK_ID = 'required-reason-api';
+
+// Helper: Every executable in the bundle, with the bundle directory whose manifests cover it ("" for the app)
+function bundleBinaries(app) {
+  const binaries = [{ name: app.appName, binary: app.executable, bundle: '' }];
+  for (const nested of [...app.frameworks, ...app.plugins]) {
+    if (!nested.executable) continue;
+    // Loose dylibs have no bundle of their own, so the app's manifest has to declare their APIs
+    const bundle = nested.path.endsWith('.dylib') ? '' : nested.path;
+    binaries.push({ name: nested.name, binary: nested.executable, bundle, thirdParty: true });
+  }
+  return binaries.filter(entry => entry.binary);
+}
+
+// Helper: A manifest belongs to the innermost binary bundle that contains it (resource bundles included)
+function manifestOwner(manifest, bundles) {
+  return bundles
+    .filter(bundle => bundle === '' || manifest.bundle === bundle || manifest.bundle.startsWith(`${bundle}/`))
+    .sort((a, b) => b.length - a.length)[0];
+}
+
+module.exports = {
+  id: CHECK_ID,
+  title: 'Required-Reason API Usage',
+  alsoWithGreenlight: true,
+
+  // Cross-checks the required-reason APIs each binary references against the manifests covering it
+  async run(app, ipa) {
+    const binaries = bundleBinaries(app);
+    const bundles = [...new Set(binaries.map(entry => entry.bundle))];
+
+    const declared = new Map(bundles.map(bundle => [bundle, new Set()]));
+    for (const manifest of app.privacyManifests) {
+      const owner = manifestOwner(manifest, bundles);
+      for (const category of Object.keys(summarizeManifest(manifest.plist).accessedAPITypes || {})) {
+        declared.get(owner).add(category);
+      }
+    }
+
+    const findings = [];
+    for (const { name, binary, bundle, thirdParty } of binaries) {
+      if (!ipa.hasFile(binary)) continue;
+
+      const used = detectRequiredReasonAPIs(await ipa.readFile(binary));
+      const manifestPath = bundle ? `${bundle}/${MANIFEST_NAME}` : MANIFEST_NAME;
+
+      for (const [category, symbols] of Object.entries(used)) {
+        if (declared.get(bundle).has(category)) continue;
+
+        const definition = PRIVACY_SCHEMA.accessedAPICategories[category];
+        const shown = symbols.slice(0, 5).join(', ') + (symbols.length > 5 ? `, +${symbols.length - 5} more` : '');
+        findings.push({
+          checkId: CHECK_ID,
+          title: `${definition.title} used without a declared reason`,
+          severity: 'critical',
+          guideline: '5.1.1',
+          location: binary,
+          binary,
+          category,
+          symbols,
+          description: `${binary} references ${shown} (${category}), but ${manifestPath} does not declare ${category} in NSPrivacyAccessedAPITypes.`,
+          impact: 'App Store Connect rejects uploads that use required-reason APIs without an approved reason (ITMS-91053)',
+          fix: thirdParty
+            ? `Update ${name} to a release that ships a privacy manifest declaring ${category}, or add one to ${manifestPath}`
+            : `Add an NSPrivacyAccessedAPITypes entry for ${category} to ${manifestPath} with the approved reason that matches your use (${Object.keys(definition.reasons).join(', ')})`
+        });
+      }
+    }
+
+    return findings;
+  }
+};
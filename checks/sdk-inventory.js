@@ -0,0 +1,59 @@
+const CHECK_ID = 'sdk-inventory';
+
+module.exports = {
+  id: CHECK_ID,
+  title: 'Privacy-Impacting SDKs',
+  alsoWithGreenlight: true,
+
+  // SDKs on Apple's privacy-impacting list must ship their own privacy manifest,
+  // and binary dependencies among them must be signed
+  async run(app) {
+    const findings = [];
+
+    for (const sdk of app.sdkInventory?.sdks || []) {
+      if (!sdk.privacyImpacting) continue;
+      const label = `${sdk.name}${sdk.version ? ` ${sdk.version}` : ''}`;
+
+      if (!sdk.privacyManifest) {
+        findings.push({
+          checkId: CHECK_ID,
+          title: `${sdk.name} has no privacy manifest`,
+          severity: 'critical',
+          guideline: '5.1.1',
+          location: sdk.location,
+          description: sdk.linkage === 'dynamic'
+            ? `${label} is on Apple's list of privacy-impacting SDKs, but ${sdk.location} contains no PrivacyInfo.xcprivacy.`
+            : `${label} is on Apple's list of privacy-impacting SDKs and is linked statically into ${sdk.location}, but no ${sdk.name}.bundle or ${sdk.name}_Privacy.bundle with a PrivacyInfo.xcprivacy ships with the app.`,
+          impact: 'App Store Connect rejects uploads that include listed SDKs without a privacy manifest (ITMS-91061)',
+          fix: `Update ${sdk.name} to a release that includes a privacy manifest`
+        });
+      }
+
+      if (sdk.linkage === 'dynamic' && sdk.signature && !sdk.signature.signed) {
+        findings.push({
+          checkId: CHECK_ID,
+          title: `${sdk.name} is not signed`,
+          severity: 'warn',
+          guideline: '5.1.1',
+          location: sdk.location,
+          description: `${label} is on Apple's list of privacy-impacting SDKs and its binary has no code signature.`,
+          impact: 'App Store Connect flags listed SDKs without a signature (ITMS-91065)',
+          fix: `Use the signed ${sdk.vendor} XCFramework release of ${sdk.name}`
+        });
+      } else if (sdk.linkage === 'dynamic' && sdk.signature && !sdk.signature.valid) {
+        findings.push({
+          checkId: CHECK_ID,
+          title: `${sdk.name} has an invalid code signature`,
+          severity: 'critical',
+          guideline: '2.5.1',
+          location: sdk.location,
+          description: `The code signature of ${label} does not match its binary: ${sdk.signature.error || 'the CodeDirectory could not be verified'}.`,
+          impact: 'The app fails to install or launch with a modified framework',
+          fix: `Re-sign the app after replacing ${sdk.location} with the vendor's unmodified build`
+        });
+      }
+    }
+
+    return findings;
+  }
+};
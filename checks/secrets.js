@@ -0,0 +1,43 @@
+const CHECK_ID = 'hardcoded-secret';
+
+module.exports = {
+  id: CHECK_ID,
+  title: 'Hard-Coded Secrets',
+  alsoWithGreenlight: true,
+
+  // One finding per credential found in the bundle; the match is redacted and identified by its
+  // SHA-256 so it can be allowlisted in the project config without repeating the value
+  async run(app) {
+    const scan = app.secrets;
+    if (!scan) return [];
+
+    const findings = scan.secrets.map(secret => ({
+      checkId: CHECK_ID,
+      title: `${secret.label} in ${secret.file}`,
+      severity: secret.severity,
+      guideline: '1.6',
+      location: secret.line ? `${secret.file}:${secret.line}` : secret.file,
+      keyPath: secret.keyName,
+      description: secret.type === 'key-file'
+        ? `${secret.file} is bundled with the app, where anyone who downloads it can extract it.`
+        : `Found ${secret.redacted}${secret.keyName ? ` (${secret.keyName})` : ''}${secret.entropy ? `, entropy ${secret.entropy} bits/char` : ''}. Anything shipped in the bundle can be extracted from the downloaded app.`,
+      impact: secret.severity === 'info'
+        ? 'Client keys are public by design but can be abused if left unrestricted'
+        : 'Extracted credentials give attackers access to the backing service, billed to your account',
+      fix: secret.fix,
+      secret: { type: secret.type, file: secret.file, redacted: secret.redacted, sha256: secret.sha256 }
+    }));
+
+    if (scan.truncated) {
+      findings.push({
+        checkId: CHECK_ID,
+        title: 'Secret scan results truncated',
+        severity: 'info',
+        guideline: '1.6',
+        location: '',
+        description: `Only the first ${scan.secrets.length} matches are reported.`
+      });
+    }
+    return findings;
+  }
+};
@@ -0,0 +1,143 @@
+const { findSymbols } = require('../binary-strings');
+const USAGE_DESCRIPTIONS = require('../data/usage-descriptions.json');
+
+const CHECK_ID = 'usage-description';
+
+const PLACEHOLDER_PATTERNS = USAGE_DESCRIPTIONS.placeholderPatterns.map(pattern => new RegExp(pattern, 'i'));
+
+const PROBLEMS = {
+  empty: { severity: 'critical', label: 'Empty', explanation: 'is empty' },
+  placeholder: { severity: 'critical', label: 'Placeholder', explanation: 'is a placeholder' },
+  vague: { severity: 'warn', label: 'Vague', explanation: 'does not explain how the app uses the data' }
+};
+
+// Every API reference that implies a permission, for one pass over each binary
+const PERMISSION_SYMBOLS = new Set(Object.values(USAGE_DESCRIPTIONS.permissions).flatMap(permission => permission.symbols));
+
+// Helper: Framework name from an install name like /System/Library/Frameworks/AVFoundation.framework/AVFoundation
+function frameworkName(installName) {
+  const match = installName.match(/([^/]+)\.framework\//);
+  return match ? match[1] : null;
+}
+
+// Helper: Why a description would be rejected, or null if it reads like a real explanation
+function descriptionProblem(value, key) {
+  if (typeof value !== 'string' || !value.trim()) return 'empty';
+  if (value.trim() === key || PLACEHOLDER_PATTERNS.some(pattern => pattern.test(value.trim()))) return 'placeholder';
+  // Word counts don't work for languages written without spaces, so short text has to be short in characters too
+  if (value.trim().split(/\s+/).length < 3 && value.trim().length < 20) return 'vague';
+  return null;
+}
+
+// Helper: Binaries whose API usage the app's Info.plist has to explain (the app and its embedded frameworks)
+function appBinaries(app) {
+  return [
+    { name: app.executable, path: app.executable, binary: app.binary },
+    ...app.frameworks.map(framework => ({ name: framework.name, path: framework.executable, binary: framework.binary }))
+  ].filter(entry => entry.path);
+}
+
+/**
+ * Permissions the app can request: { [permission]: { symbols: [...], frameworks: [...] } }
+ */
+async function inferPermissions(app, ipa) {
+  const evidence = {};
+  const add = (permission, type, item) => {
+    evidence[permission] = evidence[permission] || { symbols: [], frameworks: [] };
+    if (!evidence[permission][type].includes(item)) evidence[permission][type].push(item);
+  };
+
+  for (const { name, path: binaryPath, binary } of appBinaries(app)) {
+    const linked = new Set((binary?.dylibs || []).map(dylib => frameworkName(dylib.name)).filter(Boolean));
+    const referenced = ipa.hasFile(binaryPath)
+      ? findSymbols(await ipa.readFile(binaryPath), PERMISSION_SYMBOLS)
+      : new Set();
+
+    for (const [permission, definition] of Object.entries(USAGE_DESCRIPTIONS.permissions)) {
+      for (const framework of definition.frameworks) {
+        if (linked.has(framework)) add(permission, 'frameworks', `${framework} (linked by ${name})`);
+      }
+      for (const symbol of definition.symbols) {
+        if (referenced.has(symbol)) add(permission, 'symbols', `${symbol} in ${name}`);
+      }
+    }
+  }
+
+  return evidence;
+}
+
+module.exports = {
+  id: CHECK_ID,
+  title: 'Usage Descriptions',
+  alsoWithGreenlight: true,
+  supersedes: ['usage-description'],
+
+  // Every permission the linked frameworks and API references can request needs a real purpose string,
+  // in Info.plist and in each localized InfoPlist.strings
+  async run(app, ipa) {
+    const findings = [];
+    const report = (severity, title, location, key, description, fix) => findings.push({
+      checkId: CHECK_ID,
+      title,
+      severity,
+      guideline: '5.1.1',
+      location,
+      keyPath: key,
+      description,
+      impact: severity === 'info'
+        ? 'Users of that language see the development-language text'
+        : 'Missing or placeholder purpose strings are rejected under 5.1.1 (ITMS-90683), and the app crashes when it requests the permission',
+      fix
+    });
+
+    const evidence = await inferPermissions(app, ipa);
+    for (const [permission, { symbols, frameworks }] of Object.entries(evidence)) {
+      const definition = USAGE_DESCRIPTIONS.permissions[permission];
+      const reasons = [...symbols, ...frameworks];
+      const because = `${definition.title} access is possible because of ${reasons.slice(0, 3).join(', ')}${reasons.length > 3 ? `, +${reasons.length - 3} more` : ''}.`;
+      // An API reference means the prompt can appear; a linked framework alone only suggests it
+      const missingSeverity = symbols.length ? 'critical' : 'warn';
+
+      const key = definition.keys.find(candidate => candidate in app.infoPlist);
+      if (!key) {
+        report(missingSeverity, `Missing ${definition.keys[0]}`, 'Info.plist', definition.keys[0],
+          `${because} Info.plist has no ${definition.keys.join(' or ')}.`,
+          `Add ${definition.keys[0]} to Info.plist with a sentence explaining why the app needs ${definition.title.toLowerCase()} access`);
+        continue;
+      }
+
+      const problem = PROBLEMS[descriptionProblem(app.infoPlist[key], key)];
+      if (problem) {
+        report(problem.severity, `${problem.label} ${key}`, 'Info.plist', key,
+          `${because} ${key} is "${app.infoPlist[key]}", which ${problem.explanation}.`,
+          `Describe the specific feature that uses ${definition.title.toLowerCase()}, e.g. "Scan receipts to add expenses."`);
+      }
+
+      for (const table of app.infoPlistStrings || []) {
+        if (table.error) continue;
+        if (!(key in table.strings)) {
+          report('info', `${key} not localized for ${table.locale}`, table.path, key,
+            `${table.path} localizes other Info.plist keys but not ${key}.`,
+            `Add "${key}" = "..."; to ${table.path}`);
+          continue;
+        }
+        const localizedProblem = PROBLEMS[descriptionProblem(table.strings[key], key)];
+        if (localizedProblem) {
+          report(localizedProblem.severity, `${localizedProblem.label} ${key} in ${table.locale}`, table.path, key,
+            `${table.path} sets ${key} to "${table.strings[key]}", which ${localizedProblem.explanation}.`,
+            `Replace it with a ${table.locale} translation of the purpose string in Info.plist`);
+        }
+      }
+    }
+
+    for (const table of app.infoPlistStrings || []) {
+      if (table.error) {
+        report('warn', `Unreadable ${table.path}`, table.path, undefined,
+          `${table.path} could not be parsed: ${table.error}`,
+          'Fix the syntax so the localized Info.plist strings are used');
+      }
+    }
+
+    return findings;
+  }
+};
@@ -0,0 +1,106 @@
+const { summarizeFindings } = require('./findings');
+
+// Severities from most to least severe; failOn=warn fails on warn and critical
+const SEVERITIES = ['critical', 'warn', 'info'];
+
+const DEFAULT_POLICY = { failOn: 'critical' };
+
+const LIMIT_KEYS = { maxCritical: 'critical', maxWarn: 'warn', maxInfo: 'info' };
+
+/**
+ * Build a gate policy from request fields or a "failOn=critical,maxWarn=10" string.
+ * failOn: critical | warn | info | none; maxCritical/maxWarn/maxInfo: highest allowed count.
+ * Missing fields fall back to GATE_POLICY, then to "fail on any critical".
+ */
+function parseGatePolicy(input = {}, fallback = defaultGatePolicy()) {
+  const fields = typeof input === 'string'
+    ? Object.fromEntries(input.split(',').filter(Boolean).map(pair => pair.split('=').map(part => part.trim())))
+    : input;
+
+  const policy = { ...fallback };
+  if (fields.failOn !== undefined && fields.failOn !== '') {
+    const failOn = String(fields.failOn).toLowerCase();
+    if (failOn !== 'none' && !SEVERITIES.includes(failOn)) {
+      throw new Error(`Invalid failOn "${fields.failOn}" (expected critical, warn, info or none)`);
+    }
+    policy.failOn = failOn;
+  }
+  for (const key of Object.keys(LIMIT_KEYS)) {
+    if (fields[key] === undefined || fields[key] === '') continue;
+    const limit = Number(fields[key]);
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error(`Invalid ${key} "${fields[key]}" (expected a non-negative integer)`);
+    }
+    policy[key] = limit;
+  }
+  return policy;
+}
+
+/**
+ * Server-wide default policy from the GATE_POLICY environment variable
+ */
+function defaultGatePolicy() {
+  return process.env.GATE_POLICY
+    ? parseGatePolicy(process.env.GATE_POLICY, DEFAULT_POLICY)
+    : { ...DEFAULT_POLICY };
+}
+
+// Helper: Severity counts for a scan. Uses the summary the greenlight parser / native scanner
+// produced; greenlight JSON output without our summary shape is summarized from its findings.
+function gateSummary(results = {}) {
+  const summary = results.summary || {};
+  if (SEVERITIES.every(severity => typeof summary[severity] === 'number')) return summary;
+  return summarizeFindings(Array.isArray(results.findings) ? results.findings : []);
+}
+
+// Helper: Does this severity fail the gate under the policy, given the scan's counts?
+function failsGate(severity, summary, policy) {
+  const rank = SEVERITIES.indexOf(severity);
+  if (policy.failOn !== 'none' && rank !== -1 && rank <= SEVERITIES.indexOf(policy.failOn)) return true;
+
+  const limitKey = Object.keys(LIMIT_KEYS).find(key => LIMIT_KEYS[key] === severity);
+  return policy[limitKey] !== undefined && summary[severity] > policy[limitKey];
+}
+
+/**
+ * Evaluate a gate policy against a scan summary: { gate: 'pass'|'fail', reasons, policy }
+ */
+function evaluateGate(summary, policy = defaultGatePolicy()) {
+  const reasons = [];
+
+  if (policy.failOn !== 'none') {
+    for (const severity of SEVERITIES.slice(0, SEVERITIES.indexOf(policy.failOn) + 1)) {
+      if (summary[severity] > 0) {
+        reasons.push(`${summary[severity]} ${severity} finding(s) (failOn=${policy.failOn})`);
+      }
+    }
+  }
+  for (const [key, severity] of Object.entries(LIMIT_KEYS)) {
+    if (policy[key] !== undefined && summary[severity] > policy[key]) {
+      reasons.push(`${summary[severity]} ${severity} finding(s) exceed ${key}=${policy[key]}`);
+    }
+  }
+
+  return { gate: reasons.length > 0 ? 'fail' : 'pass', reasons, policy };
+}
+
+/**
+ * Evaluate the gate for scan results and record it on them (gate, gateReasons, gatePolicy)
+ */
+function applyGate(results, policy = defaultGatePolicy()) {
+  const { gate, reasons } = evaluateGate(gateSummary(results), policy);
+  results.gate = gate;
+  results.gateReasons = reasons;
+  results.gatePolicy = policy;
+  return results;
+}
+
+module.exports = {
+  SEVERITIES,
+  parseGatePolicy,
+  defaultGatePolicy,
+  gateSummary,
+  failsGate,
+  evaluateGate,
+  applyGate
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+/**
+ * Count findings by severity and derive the report status label
+ */
+function summarizeFindings(findings) {
+  const summary = { total: findings.length, critical: 0, warn: 0, info: 0 };
+  for (const finding of findings) {
+    if (summary[finding.severity] !== undefined) summary[finding.severity]++;
+  }
+  summary.status = summary.critical > 0 ? 'BLOCKED' : summary.warn > 0 ? 'WARNING' : 'GREENLIT';
+  return summary;
+}
+
+// Helper: Reduce a location to the parts that stay stable between builds
+// (a trailing line/column, hex addresses and UUIDs are dropped)
+function normalizeLocation(location) {
+  return String(location || '')
+    .toLowerCase()
+    .replace(/0x[0-9a-f]+|[0-9a-f]{8}-[0-9a-f-]{27}/g, '#')
+    .replace(/(:\d+){1,2}$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Helper: Reduce a title to the parts that stay stable between builds. Only measurements
+// (sizes, percentages, day counts) and addresses are normalized - host names, versions and
+// advisory IDs tell findings apart.
+function normalizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/0x[0-9a-f]+|[0-9a-f]{8}-[0-9a-f-]{27}/g, '#')
+    .replace(/\d+(\.\d+)?\s*(bytes|kb|mb|gb|%|days?\b)/g, '#$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Stable identity for a finding across builds: check, location, normalized title and
+ * the value that tells similar findings apart (secret hash, advisory ID or plist key path).
+ * occurrence numbers findings that are otherwise identical.
+ */
+function fingerprintFinding(finding, occurrence = 0) {
+  const key = [
+    finding.checkId || '',
+    normalizeLocation(finding.location),
+    normalizeTitle(finding.title || finding.message),
+    finding.secret?.sha256 || finding.advisory?.id || finding.keyPath || ''
+  ];
+  if (occurrence > 0) key.push(`#${occurrence}`);
+  return crypto.createHash('sha1').update(key.join('|')).digest('hex').slice(0, 16);
+}
+
+/**
+ * Attach a fingerprint to every finding that doesn't have one yet;
+ * repeats of the same finding get an occurrence number so they stay distinct
+ */
+function assignFingerprints(findings = []) {
+  const seen = new Map();
+  return findings.map(finding => {
+    if (finding.fingerprint) return finding;
+    const base = fingerprintFinding(finding);
+    const occurrence = seen.get(base) || 0;
+    seen.set(base, occurrence + 1);
+    return { ...finding, fingerprint: occurrence ? fingerprintFinding(finding, occurrence) : base };
+  });
+}
+
+module.exports = { summarizeFindings, fingerprintFinding, assignFingerprints };
@@ -9,8 +9,73 @@ const IOSComplianceScanner = () => {
   const [scanResults, setScanResults] = useState(null);
   const [guidelines, setGuidelines] = useState(null);
   const [error, setError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [activeJobId, setActiveJobId] = useState(null);
+
+  const [guidelineChanges, setGuidelineChanges] = useState(null);
+  const [guidelineQuery, setGuidelineQuery] = useState('');
+  const [guidelineSearch, setGuidelineSearch] = useState(null);
 
   const API_BASE = 'http://localhost:3456';
+  // Guideline clauses changed within this many days are highlighted
+  const RECENT_CHANGE_DAYS = 30;
+
+  // Follow a queued scan job over Server-Sent Events and resolve with its result
+  const followJob = (job) => new Promise((resolve, reject) => {
+    setActiveJobId(job.jobId);
+    const events = new EventSource(`${API_BASE}${job.eventsUrl}`);
+
+    events.addEventListener('snapshot', (e) => {
+      const { stage, message, logs } = JSON.parse(e.data);
+      setProgress({ stage, message, logs: logs.map(entry => entry.line) });
+    });
+    events.addEventListener('stage', (e) => {
+      const { stage, message } = JSON.parse(e.data);
+      setProgress(prev => ({ ...prev, stage, message }));
+    });
+    events.addEventListener('log', (e) => {
+      const { line } = JSON.parse(e.data);
+      setProgress(prev => ({ ...prev, logs: [...(prev?.logs || []), line].slice(-200) }));
+    });
+    events.addEventListener('completed', (e) => {
+      events.close();
+      resolve(JSON.parse(e.data).result);
+    });
+    events.addEventListener('failed', (e) => {
+      events.close();
+      reject(new Error(`Scan failed: ${JSON.parse(e.data).error}`));
+    });
+    events.addEventListener('cancelled', () => {
+      events.close();
+      reject(new Error('Scan cancelled'));
+    });
+    events.onerror = () => {
+      if (events.readyState === EventSource.CLOSED) {
+        reject(new Error('Lost connection to scan progress stream'));
+      }
+    };
+  });
+
+  // Submit a scan request, then wait for its job to finish
+  const runScan = async (request) => {
+    const response = await fetch(`${API_BASE}${request.path}`, request.options);
+    const job = await response.json();
+    if (!response.ok) {
+      throw new Error(`Scan failed: ${job.error || response.statusText}`);
+    }
+    setProgress({ stage: job.state, message: null, logs: [] });
+    try {
+      return await followJob(job);
+    } finally {
+      setActiveJobId(null);
+      setProgress(null);
+    }
+  };
+
+  const cancelScan = async () => {
+    if (!activeJobId) return;
+    await fetch(`${API_BASE}/api/jobs/${activeJobId}/cancel`, { method: 'POST' }).catch(() => {});
+  };
 
   // Fetch Apple Guidelines
   const fetchGuidelines = async () => {
@@ -18,11 +83,32 @@ const IOSComplianceScanner = () => {
       const response = await fetch(`${API_BASE}/api/guidelines`);
       const data = await response.json();
       setGuidelines(data);
+
+      const since = new Date(Date.now() - RECENT_CHANGE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const changes = await fetch(`${API_BASE}/api/guidelines/changes?since=${encodeURIComponent(since)}`);
+      if (changes.ok) setGuidelineChanges(await changes.json());
     } catch (err) {
       console.error('Failed to fetch guidelines:', err);
     }
   };
 
+  // Search the guidelines; results link to the matching clauses
+  const searchGuidelines = async (e) => {
+    e.preventDefault();
+    if (!guidelineQuery.trim()) {
+      setGuidelineSearch(null);
+      return;
+    }
+    try {
+      const response = await fetch(`${API_BASE}/api/guidelines/search?q=${encodeURIComponent(guidelineQuery)}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Search failed');
+      setGuidelineSearch(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   // Handle File Upload Scan
   const handleFileUpload = async (e) => {
     const file = e.target.files[0];
@@ -42,18 +128,11 @@ const IOSComplianceScanner = () => {
     formData.append('ipa', file);
 
     try {
-      const response = await fetch(`${API_BASE}/api/scan/upload`, {
-        method: 'POST',
-        body: formData
+      const data = await runScan({
+        path: '/api/scan/upload',
+        options: { method: 'POST', body: formData }
       });
-
-      if (!response.ok) {
-        throw new Error(`Scan failed: ${response.statusText}`);
-      }
-
-      const data = await response.json();
       setScanResults(data);
-      setGuidelines(data.guidelines);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -78,19 +157,15 @@ const IOSComplianceScanner = () => {
     setScanResults(null);
 
     try {
-      const response = await fetch(`${API_BASE}/api/scan/url`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url: ipaUrl })
+      const data = await runScan({
+        path: '/api/scan/url',
+        options: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ url: ipaUrl })
+        }
       });
-
-      if (!response.ok) {
-        throw new Error(`Scan failed: ${response.statusText}`);
-      }
-
-      const data = await response.json();
       setScanResults(data);
-      setGuidelines(data.guidelines);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -108,6 +183,86 @@ const IOSComplianceScanner = () => {
     }
   };
 
+  // Recently added or reworded clauses by number
+  const changedClauses = new Map([
+    ...(guidelineChanges?.added || []).map(clause => [clause.number, { ...clause, kind: 'New' }]),
+    ...(guidelineChanges?.reworded || []).map(clause => [clause.number, { ...clause, kind: 'Reworded' }])
+  ]);
+
+  // Render a guideline clause and its sub-clauses, each linked to its anchor on Apple's page;
+  // recent changes are highlighted, with the word-level diff for reworded clauses
+  const renderClause = (clause, depth) => {
+    const change = changedClauses.get(clause.number);
+    const badge = change && (
+      <span className="guideline-change-badge">
+        {change.kind}{change.changedAt && ` ${new Date(change.changedAt).toLocaleDateString()}`}
+      </span>
+    );
+
+    return (
+      <div
+        key={clause.number}
+        className={`guideline-item guideline-depth-${depth} ${change ? 'guideline-changed' : ''}`}
+        id={`guideline-${clause.number}`}
+      >
+        {depth === 0 ? (
+          <h3><a href={clause.url} target="_blank" rel="noopener noreferrer">{clause.number}. {clause.title}</a> {badge}</h3>
+        ) : (
+          <h4><a href={clause.url} target="_blank" rel="noopener noreferrer">{clause.number}</a> {clause.title} {badge}</h4>
+        )}
+        {change?.words ? (
+          <p className="guideline-diff">
+            {change.words.map((segment, i) => (
+              segment.op === 'insert' ? <ins key={i}>{segment.text} </ins>
+                : segment.op === 'delete' ? <del key={i}>{segment.text} </del>
+                  : <span key={i}>{segment.text} </span>
+            ))}
+          </p>
+        ) : (
+          clause.text && clause.text.split('\n').map((paragraph, i) => <p key={i}>{paragraph}</p>)
+        )}
+        {clause.children?.map(child => renderClause(child, depth + 1))}
+      </div>
+    );
+  };
+
+  // Render the size breakdown: top level of the treemap plus the thinned download estimates
+  const renderSize = () => {
+    const size = scanResults?.results?.app?.size;
+    if (!size) return null;
+
+    const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    const components = size.treemap.children.filter(node => node.size > 0);
+
+    return (
+      <div className="size-section">
+        <h3>App Size</h3>
+        <div className="size-estimates">
+          <span>IPA: {mb(size.ipaSize)}</span>
+          <span>Installed: {mb(size.installSize)}</span>
+          {size.thinning.map(variant => (
+            <span key={variant.name} className={variant.overCellularLimit ? 'over-limit' : ''}>
+              {variant.name}: {mb(variant.downloadSize)} download
+            </span>
+          ))}
+        </div>
+        <div className="size-treemap">
+          {components.map(node => (
+            <div
+              key={node.name}
+              className="treemap-cell"
+              style={{ flexGrow: node.size }}
+              title={node.children.map(child => `${child.name}: ${mb(child.size)}`).join('\n')}
+            >
+              <span className="treemap-name">{node.name}</span>
+              <span className="treemap-size">{mb(node.size)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
   // Render findings
   const renderFindings = () => {
     if (!scanResults?.results?.findings) {
@@ -133,7 +288,18 @@ const IOSComplianceScanner = () => {
           >
             {finding.severity}
           </span>
-          <span className="guideline-ref">{finding.guideline}</span>
+          {(finding.guidelines || (finding.guideline ? [{ number: finding.guideline }] : [])).map(clause => (
+            <a
+              key={clause.number}
+              className="guideline-ref"
+              href={clause.url || undefined}
+              target="_blank"
+              rel="noopener noreferrer"
+              title={clause.title ? `${clause.number} ${clause.title}` : undefined}
+            >
+              {clause.number}{clause.title && <span className="guideline-ref-title"> {clause.title}</span>}
+            </a>
+          ))}
         </div>
         
         <h4>{finding.title || finding.message}</h4>
@@ -252,6 +418,8 @@ const IOSComplianceScanner = () => {
               <>
                 <p className="guidelines-meta">
                   Last updated: {new Date(guidelines.lastUpdated).toLocaleString()}
+                  {' · '}{guidelines.clauseCount} clauses · version {guidelines.version}
+                  {guidelines.source === 'snapshot' && ' · offline snapshot (abridged text)'}
                 </p>
                 <a
                   href={guidelines.url}
@@ -262,13 +430,53 @@ const IOSComplianceScanner = () => {
                   View official guidelines →
                 </a>
                 
+                <form className="guidelines-search" onSubmit={searchGuidelines}>
+                  <input
+                    type="search"
+                    placeholder='Search guidelines, e.g. IAP or "account deletion"'
+                    value={guidelineQuery}
+                    onChange={(e) => setGuidelineQuery(e.target.value)}
+                  />
+                  <button type="submit">Search</button>
+                </form>
+
+                {guidelineSearch && (
+                  <div className="guidelines-search-results">
+                    <p className="guidelines-meta">
+                      {guidelineSearch.total} clause{guidelineSearch.total === 1 ? '' : 's'} match "{guidelineSearch.query}"
+                    </p>
+                    {guidelineSearch.results.map(result => (
+                      <div key={result.number} className="guideline-search-result">
+                        <h4>
+                          <a href={`#guideline-${result.number}`}>{result.number}</a> {result.title}
+                          <span className="guideline-search-score">{result.score}</span>
+                        </h4>
+                        {/* Snippets are HTML-escaped by the server apart from the <mark> highlights */}
+                        <p dangerouslySetInnerHTML={{ __html: result.snippet }} />
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {guidelineChanges?.from && guidelineChanges.from.version !== guidelineChanges.to.version && (
+                  <div className="guidelines-changes">
+                    <strong>
+                      Changed since {new Date(guidelineChanges.from.fetchedAt).toLocaleDateString()}:
+                    </strong>
+                    {' '}{guidelineChanges.summary.added} added, {guidelineChanges.summary.reworded} reworded,
+                    {' '}{guidelineChanges.summary.removed} removed
+                    {guidelineChanges.removed.length > 0 && (
+                      <ul>
+                        {guidelineChanges.removed.map(clause => (
+                          <li key={clause.number}><del>{clause.number} {clause.title}</del></li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
                 <div className="guidelines-list">
-                  {guidelines.sections?.map((section, i) => (
-                    <div key={i} className="guideline-item">
-                      <h3>{section.section}. {section.title}</h3>
-                      <p>{section.content}</p>
-                    </div>
-                  ))}
+                  {guidelines.sections?.map(section => renderClause(section, 0))}
                 </div>
               </>
             ) : (
@@ -290,8 +498,14 @@ const IOSComplianceScanner = () => {
       {loading && (
         <div className="loading-overlay">
           <div className="loading-spinner"></div>
-          <p>Scanning your app...</p>
-          <p className="loading-hint">This usually takes 5-10 seconds</p>
+          <p>{progress?.message || 'Scanning your app...'}</p>
+          <p className="loading-hint">Stage: {progress?.stage || 'uploading'}</p>
+          {progress?.logs?.length > 0 && (
+            <pre className="progress-log">{progress.logs.slice(-8).join('\n')}</pre>
+          )}
+          {activeJobId && (
+            <button onClick={cancelScan} className="cancel-button">Cancel scan</button>
+          )}
         </div>
       )}
 
@@ -315,31 +529,34 @@ const IOSComplianceScanner = () => {
             <div className="results-summary">
               <div className="stat-card critical">
                 <span className="stat-number">
-                  {scanResults.results.critical || 0}
+                  {scanResults.results.summary?.critical || 0}
                 </span>
                 <span className="stat-label">Critical</span>
               </div>
               <div className="stat-card warning">
                 <span className="stat-number">
-                  {scanResults.results.warnings || 0}
+                  {scanResults.results.summary?.warn || 0}
                 </span>
                 <span className="stat-label">Warnings</span>
               </div>
               <div className="stat-card info">
                 <span className="stat-number">
-                  {scanResults.results.info || 0}
+                  {scanResults.results.summary?.info || 0}
                 </span>
                 <span className="stat-label">Info</span>
               </div>
               <div className="stat-card status">
                 <span className="stat-label">Status</span>
-                <span className={`status-badge ${scanResults.results.status?.toLowerCase()}`}>
-                  {scanResults.results.status || 'UNKNOWN'}
+                <span className={`status-badge ${scanResults.results.summary?.status?.toLowerCase()}`}>
+                  {scanResults.results.summary?.status || 'UNKNOWN'}
                 </span>
               </div>
             </div>
           )}
 
+          {/* Size breakdown (IPA scans) */}
+          {renderSize()}
+
           {/* Findings */}
           <div className="findings-section">
             <h3>Findings</h3>
@@ -0,0 +1,196 @@
+const { summarizeFindings } = require('./findings');
+const { compareVersions } = require('./versions');
+
+// Greenlight colors its terminal report; strip ANSI escapes before matching
+const ANSI_PATTERN = /\u001b\[[0-9;]*[A-Za-z]/g;
+
+const VERSION_PATTERN = /greenlight\s+(?:version\s+)?v?(\d+\.\d+(?:\.\d+)?)/i;
+
+// Guideline numbers look like "2.5.1", "5.1.1(v)" or "4.8"
+const GUIDELINE = '\\d+(?:\\.\\d+)*(?:\\([ivx]+\\))?';
+
+// Helper: Normalize greenlight severity labels to critical|warn|info
+function normalizeSeverity(label) {
+  const value = label.toLowerCase();
+  if (value.startsWith('crit') || value === 'error') return 'critical';
+  if (value.startsWith('warn')) return 'warn';
+  return 'info';
+}
+
+// Helper: Build a finding from the fields a format extracted
+function buildFinding({ severity, checkId, guideline, message, location, fix, details }) {
+  const finding = {
+    checkId: checkId || null,
+    title: message,
+    severity: normalizeSeverity(severity),
+    guideline: guideline || null,
+    location: location || null,
+    message,
+    description: details.length ? `${message}\n${details.join('\n')}` : message
+  };
+  if (fix) finding.fix = fix;
+  return finding;
+}
+
+// Helper: Walk report lines, starting a finding on each header match and
+// feeding indented continuation lines (location, fix, detail) to the open finding
+function collectFindings(lines, format) {
+  const findings = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) findings.push(buildFinding(current));
+    current = null;
+  };
+
+  for (const line of lines) {
+    const header = format.matchHeader(line);
+    if (header) {
+      flush();
+      current = { ...header, details: [] };
+      continue;
+    }
+
+    if (!current) continue;
+
+    // Findings end at the first blank or non-indented line
+    if (!line.trim() || !/^\s/.test(line)) {
+      flush();
+      continue;
+    }
+
+    const text = line.trim();
+    const location = text.match(format.locationPattern);
+    const fix = text.match(/^(?:fix|how to fix)\s*:\s*(.+)$/i);
+    if (location && !current.location) {
+      current.location = location[1].trim();
+    } else if (fix) {
+      current.fix = fix[1].trim();
+    } else {
+      current.details.push(text);
+    }
+  }
+  flush();
+
+  return findings;
+}
+
+/**
+ * Known greenlight report layouts, newest first.
+ * Sample recordings for each live in fixtures/greenlight/.
+ */
+const FORMATS = [
+  {
+    // 0.3+: column layout
+    //   WARN      §5.1.1   privacy-manifest   Missing PrivacyInfo.xcprivacy
+    //             → Payload/Demo.app
+    //             Fix: Add a privacy manifest to the app target.
+    name: 'columns',
+    since: '0.3.0',
+    locationPattern: /^(?:→|->|file:|location:)\s*(.+)$/i,
+    matchHeader(line) {
+      const match = line.match(new RegExp(
+        `^\\s*(?:[✗✖⚠ℹ•]\\s*)?(CRITICAL|ERROR|WARN(?:ING)?|INFO)\\s+(?:§\\s*(${GUIDELINE})\\s+)?(?:([a-z][a-z0-9_.-]*)\\s{2,})?(\\S.*)$`
+      ));
+      if (!match) return null;
+      return { severity: match[1], guideline: match[2], checkId: match[3], message: match[4].trim() };
+    }
+  },
+  {
+    // 0.1 - 0.2: bracketed layout
+    //   [WARN] privacy-manifest: Missing PrivacyInfo.xcprivacy (guideline 5.1.1)
+    //       at Payload/Demo.app
+    name: 'bracketed',
+    since: '0.1.0',
+    locationPattern: /^at\s+(.+)$/i,
+    matchHeader(line) {
+      const match = line.match(new RegExp(
+        `^\\s*\\[(CRITICAL|ERROR|WARN(?:ING)?|INFO)\\]\\s+(?:([a-z][a-z0-9_.-]*):\\s+)?(.+?)(?:\\s+\\((?:guideline|§)\\s*(${GUIDELINE})\\))?\\s*$`,
+        'i'
+      ));
+      if (!match) return null;
+      return { severity: match[1], checkId: match[2], message: match[3], guideline: match[4] };
+    }
+  }
+];
+
+/**
+ * Parse greenlight's terminal report into individual findings.
+ * The reporting version picks the expected layout; if that yields nothing
+ * (format drift or unknown version) every other layout is tried as well.
+ */
+function parseGreenlightOutput(stdout) {
+  const text = (stdout || '').replace(ANSI_PATTERN, '').replace(/\r\n/g, '\n');
+  const lines = text.split('\n');
+
+  const result = {
+    status: 'ok',
+    findings: [],
+    summary: {}
+  };
+
+  const versionMatch = text.match(VERSION_PATTERN);
+  result.greenlightVersion = versionMatch ? versionMatch[1] : null;
+
+  // Extract app name
+  const appMatch = text.match(/^\s*App:\s+(.+)$/m);
+  if (appMatch) result.appName = appMatch[1].trim();
+
+  // Extract size
+  const sizeMatch = text.match(/Size:\s+([\d.]+)\s*MB/);
+  if (sizeMatch) result.size = parseFloat(sizeMatch[1]) * 1024 * 1024;
+
+  // Order formats: the one matching the reported version first, then the rest
+  const expected = result.greenlightVersion
+    ? FORMATS.find(format => compareVersions(result.greenlightVersion, format.since) >= 0)
+    : null;
+  const candidates = expected
+    ? [expected, ...FORMATS.filter(format => format !== expected)]
+    : FORMATS;
+
+  for (const format of candidates) {
+    const findings = collectFindings(lines, format);
+    if (findings.length > 0) {
+      result.findings = findings;
+      result.format = format.name;
+      break;
+    }
+  }
+
+  // Summary line (e.g. "47 findings: 1 critical 44 warn 2 info")
+  const reported = {};
+  const summaryLine = text.match(/(\d+)\s+findings?:([^\n]*)/i);
+  if (summaryLine) {
+    reported.total = parseInt(summaryLine[1]) || 0;
+    for (const [, count, label] of summaryLine[2].matchAll(/(\d+)\s+(critical|warn\w*|info)/gi)) {
+      reported[normalizeSeverity(label)] = parseInt(count) || 0;
+    }
+  }
+
+  if (result.findings.length > 0) {
+    result.summary = summarizeFindings(result.findings);
+    if (summaryLine && reported.total !== result.summary.total) {
+      // Report was truncated or a layout change hid some findings
+      result.summary.reported = reported;
+    }
+  } else {
+    result.summary = {
+      total: reported.total || 0,
+      critical: reported.critical || 0,
+      warn: reported.warn || 0,
+      info: reported.info || 0
+    };
+    result.summary.status = result.summary.critical > 0 ? 'BLOCKED'
+      : result.summary.warn > 0 ? 'WARNING' : 'GREENLIT';
+  }
+
+  if (/\bBLOCKED\b/.test(text) || result.summary.critical > 0) {
+    result.status = 'fail';
+  } else if (/\bGREENLIT\b/.test(text)) {
+    result.status = 'pass';
+  }
+
+  return result;
+}
+
+module.exports = { parseGreenlightOutput, FORMATS };
@@ -0,0 +1,108 @@
+const { spawn, execFile } = require('child_process');
+const { parseGreenlightOutput } = require('./greenlight-parser');
+
+// Use GREENLIGHT_PATH env var or default to 'greenlight' in PATH
+function greenlightBinary() {
+  return process.env.GREENLIGHT_PATH || 'greenlight';
+}
+
+/**
+ * Run the greenlight CLI with an argument list (no shell, so paths are passed through verbatim).
+ * Options: onLine(line, stream) receives output as it arrives; signal (AbortSignal) kills the process.
+ * A missing binary rejects with `unavailable: true`.
+ */
+function runGreenlight(argv, { onLine, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject({ error: 'Cancelled', cancelled: true });
+    }
+
+    const binary = greenlightBinary();
+    const command = [binary, ...argv].join(' ');
+    const child = spawn(binary, argv);
+
+    const output = { stdout: '', stderr: '' };
+    const pending = { stdout: '', stderr: '' };
+
+    const collect = (stream) => (chunk) => {
+      const text = chunk.toString();
+      output[stream] += text;
+      if (!onLine) return;
+      const lines = (pending[stream] + text).split('\n');
+      pending[stream] = lines.pop();
+      lines.forEach(line => onLine(line, stream));
+    };
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+
+    const onAbort = () => child.kill('SIGTERM');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    child.on('error', (error) => {
+      signal?.removeEventListener('abort', onAbort);
+      if (error.code === 'ENOENT') {
+        reject({ error: `Greenlight CLI not found: ${binary}`, unavailable: true, stderr: output.stderr });
+      } else {
+        reject({ error: error.message, stderr: output.stderr });
+      }
+    });
+
+    child.on('close', (code) => {
+      signal?.removeEventListener('abort', onAbort);
+      if (onLine) {
+        if (pending.stdout) onLine(pending.stdout, 'stdout');
+        if (pending.stderr) onLine(pending.stderr, 'stderr');
+      }
+
+      if (signal?.aborted) {
+        reject({ error: 'Cancelled', cancelled: true, stderr: output.stderr });
+      } else if (code !== 0 && !output.stdout) {
+        reject({ error: `Command failed with exit code ${code}: ${command}`, stderr: output.stderr });
+      } else {
+        // Greenlight may exit with code 1 if issues found, but still outputs results
+        resolve({ stdout: output.stdout, stderr: output.stderr, exitCode: code || 0 });
+      }
+    });
+  });
+}
+
+// Helper: Interpret greenlight output. Uses JSON when greenlight emits it,
+// otherwise parses the terminal report into structured findings.
+function parseGreenlightResult(result) {
+  try {
+    return JSON.parse(result.stdout);
+  } catch {
+    return {
+      ...parseGreenlightOutput(result.stdout),
+      rawOutput: result.stdout,
+      stderr: result.stderr,
+      exitCode: result.exitCode
+    };
+  }
+}
+
+// Startup verification: Check if greenlight is available
+async function verifyGreenlightAvailable() {
+  return new Promise((resolve) => {
+    const greenlightBin = greenlightBinary();
+    execFile(greenlightBin, ['--version'], (error, stdout) => {
+      if (error?.code === 'ENOENT' || (error && !stdout)) {
+        console.error('❌ CRITICAL: Greenlight CLI not found!');
+        console.error(`   Expected at: ${greenlightBin}`);
+        console.error('   Project scans will FAIL without greenlight (IPA scans fall back to the native inspector).');
+        console.error('   Run: npm run build OR install greenlight manually');
+        resolve(false);
+      } else {
+        console.log(`✅ Greenlight CLI available at: ${greenlightBin}`);
+        if (stdout) console.log(`   Version info: ${stdout.trim()}`);
+        resolve(true);
+      }
+    });
+  });
+}
+
+module.exports = {
+  runGreenlight,
+  parseGreenlightResult,
+  verifyGreenlightAvailable
+};
@@ -0,0 +1,62 @@
+const { findClause } = require('./guidelines');
+const { searchGuidelines } = require('./guidelines-search');
+const CHECK_GUIDELINES = require('./data/check-guidelines.json');
+
+// Clauses attached to a finding at most
+const MAX_CLAUSES = 3;
+// Similarity matches below this BM25 score are too weak to cite
+const MIN_SIMILARITY_SCORE = 3;
+
+// Helper: Whether clause `ancestor` contains clause `number` ("5.1" contains "5.1.1(v)")
+function contains(ancestor, number) {
+  return number.startsWith(`${ancestor}.`) || number.startsWith(`${ancestor}(`);
+}
+
+// Helper: Clause reference for a number, titled and linked from the corpus (nearest ancestor when
+// the corpus doesn't have the exact clause)
+function clauseReference(guidelines, number, match) {
+  const clause = findClause(guidelines, number);
+  return { number, title: clause?.title || null, url: clause?.url || null, match };
+}
+
+/**
+ * Guideline clauses a finding is at risk of breaking, most specific first:
+ * [{ number, title, url, match: 'finding'|'curated'|'similarity', score? }].
+ * The finding's own guideline comes first, then the curated clauses for its check
+ * (data/check-guidelines.json); a clause is dropped when a more specific one below it is listed.
+ * Findings with neither are matched against the corpus by text.
+ */
+function guidelinesForFinding(finding, guidelines) {
+  const candidates = [
+    ...(finding.guideline ? [clauseReference(guidelines, finding.guideline, 'finding')] : []),
+    ...(CHECK_GUIDELINES.checks[finding.checkId] || []).map(number => clauseReference(guidelines, number, 'curated'))
+  ];
+  const references = candidates
+    .filter((reference, index) => candidates.findIndex(other => other.number === reference.number) === index)
+    .filter(reference => !candidates.some(other => contains(reference.number, other.number)))
+    .slice(0, MAX_CLAUSES);
+
+  if (references.length === 0) {
+    const text = [finding.title || finding.message, finding.description].filter(Boolean).join(' ');
+    const { results } = searchGuidelines(guidelines, text, { limit: 1 });
+    const best = results[0];
+    if (best && best.score >= MIN_SIMILARITY_SCORE) {
+      references.push({ number: best.number, title: best.title, url: best.url, match: 'similarity', score: best.score });
+    }
+  }
+  return references;
+}
+
+/**
+ * Attach guideline clauses to every finding (`guidelines`), filling in `guideline` with the first
+ * clause when the scanner didn't give one
+ */
+function mapFindingsToGuidelines(findings = [], guidelines) {
+  return findings.map(finding => {
+    const references = guidelinesForFinding(finding, guidelines);
+    if (references.length === 0) return finding;
+    return { ...finding, guideline: finding.guideline || references[0].number, guidelines: references };
+  });
+}
+
+module.exports = { guidelinesForFinding, mapFindingsToGuidelines };
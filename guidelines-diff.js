@@ -0,0 +1,139 @@
+const { flattenGuidelines } = require('./guidelines');
+
+// Versions are content hashes (see guidelines.js)
+const VERSION_PATTERN = /^[0-9a-f]{12}$/;
+
+// Word diffs are skipped for clauses too long to compare word by word (LCS table size)
+const MAX_WORD_DIFF_CELLS = 4 * 1000 * 1000;
+
+// Helper: Text compared between versions; whitespace differences aren't changes
+const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// Helper: Word-level diff of two texts as [{ op: 'equal'|'insert'|'delete', text }], or null when too long
+function diffWords(before, after) {
+  const a = normalize(before).split(' ').filter(Boolean);
+  const b = normalize(after).split(' ').filter(Boolean);
+  if ((a.length + 1) * (b.length + 1) > MAX_WORD_DIFF_CELLS) return null;
+
+  // Longest common subsequence lengths of the suffixes a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (op, word) => {
+    const last = segments[segments.length - 1];
+    if (last && last.op === op) last.text += ` ${word}`;
+    else segments.push({ op, text: word });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('equal', a[i++]);
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  return segments;
+}
+
+// Helper: Clause as listed in a diff
+const clauseEntry = (clause) => ({ number: clause.number, title: clause.title, url: clause.url, path: clause.path });
+
+/**
+ * Clause-level diff of two guidelines documents, matching clauses by number:
+ * { added: [clause], removed: [clause], reworded: [{ ...clause, before: { title, text }, after: { title, text }, words }] }
+ * where `words` is a word-level diff of the text (null when the clause is too long to compare).
+ * Clauses are listed in document order.
+ */
+function diffGuidelines(older, newer) {
+  const before = new Map(flattenGuidelines(older).map(clause => [clause.number, clause]));
+  const after = new Map(flattenGuidelines(newer).map(clause => [clause.number, clause]));
+
+  const added = [];
+  const reworded = [];
+  for (const [number, clause] of after) {
+    const previous = before.get(number);
+    if (!previous) {
+      added.push({ ...clauseEntry(clause), text: clause.text });
+    } else if (normalize(previous.text) !== normalize(clause.text) || normalize(previous.title) !== normalize(clause.title)) {
+      reworded.push({
+        ...clauseEntry(clause),
+        before: { title: previous.title, text: previous.text },
+        after: { title: clause.title, text: clause.text },
+        words: diffWords(previous.text, clause.text)
+      });
+    }
+  }
+
+  const removed = [...before.values()]
+    .filter(clause => !after.has(clause.number))
+    .map(clause => ({ ...clauseEntry(clause), text: clause.text }));
+
+  return { added, removed, reworded };
+}
+
+// Helper: Version entry as shown in a changes response
+const versionEntry = (entry) => entry && ({ version: entry.version, fetchedAt: entry.fetchedAt, lastUpdated: entry.lastUpdated });
+
+/**
+ * Changes from the stored version that was current at `since` (an ISO date, or a version) to the
+ * latest stored version. Each changed clause gets `changedAt`, the fetch where its latest change was
+ * first seen. Without `since`, compares the last two versions. When `since` predates every stored
+ * version, the oldest one is the baseline. Returns null for an unknown version.
+ */
+async function guidelinesChanges(cache, since) {
+  const versions = await cache.versions();
+  const latest = versions.length - 1;
+
+  let from;
+  if (!since) {
+    from = Math.max(0, latest - 1);
+  } else if (VERSION_PATTERN.test(since)) {
+    from = versions.map(entry => entry.version).lastIndexOf(since);
+    if (from < 0) return null;
+  } else {
+    const time = Date.parse(since);
+    from = Math.max(0, versions.findLastIndex(entry => Date.parse(entry.fetchedAt) <= time));
+  }
+
+  const empty = { added: [], removed: [], reworded: [] };
+  if (latest < 0) {
+    return { since: since || null, from: null, to: null, versions: 0, summary: { added: 0, removed: 0, reworded: 0 }, ...empty };
+  }
+
+  // Walk each fetch in the range so every change can be dated
+  const changedAt = new Map();
+  let previous = await cache.loadVersion(versions[from]);
+  const baseline = previous;
+  for (let index = from + 1; index <= latest; index++) {
+    const next = await cache.loadVersion(versions[index]);
+    const step = diffGuidelines(previous, next);
+    for (const clause of [...step.added, ...step.removed, ...step.reworded]) {
+      changedAt.set(clause.number, versions[index].fetchedAt);
+    }
+    previous = next;
+  }
+
+  const changes = from === latest ? empty : diffGuidelines(baseline, previous);
+  const dated = (list) => list.map(clause => ({ ...clause, changedAt: changedAt.get(clause.number) || null }));
+  return {
+    since: since || null,
+    from: versionEntry(versions[from]),
+    to: versionEntry(versions[latest]),
+    versions: versions.length,
+    summary: { added: changes.added.length, removed: changes.removed.length, reworded: changes.reworded.length },
+    added: dated(changes.added),
+    removed: dated(changes.removed),
+    reworded: dated(changes.reworded)
+  };
+}
+
+module.exports = { VERSION_PATTERN, diffGuidelines, diffWords, guidelinesChanges };
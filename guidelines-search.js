@@ -0,0 +1,258 @@
+const { flattenGuidelines } = require('./guidelines');
+const SYNONYMS = require('./data/guideline-synonyms.json');
+
+// BM25 parameters; title words count double
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_WEIGHT = 2;
+const SNIPPET_WORDS = 30;
+const DEFAULT_LIMIT = 20;
+// Longest synonym phrase (in words) looked for in a query
+const MAX_SYNONYM_WORDS = 4;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’]\p{L}+)?/gu;
+const CLAUSE_NUMBER_PATTERN = /^\d{1,2}(?:\.\d{1,2}){0,3}(?:\([a-z]+\))?$/i;
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'if', 'in', 'into', 'is',
+  'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'was', 'were', 'will', 'with', 'your', 'you']);
+
+// Derivational endings folded by the stemmer, longest first
+const SUFFIXES = [
+  ['ational', 'ate'], ['ization', 'ize'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+  ['ation', 'ate'], ['ality', 'al'], ['ivity', 'ive'], ['bility', 'ble'], ['ment', ''], ['tion', 't'], ['sion', 's']
+];
+
+// Helper: Light English stemmer (plurals, -ed/-ing/-ly and common derivational endings), so
+// "collects", "collected" and "collecting" all index as "collect". Query and corpus use the same rules.
+function stem(word) {
+  let w = word.toLowerCase().replace(/['’]s$/, '');
+  if (w.length <= 3 || /\d/.test(w)) return w;
+
+  if (w.endsWith('ies') && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (/(sses|xes|ches|shes)$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  for (const suffix of ['ingly', 'edly', 'ing', 'ed', 'ly']) {
+    const base = w.slice(0, -suffix.length);
+    if (w.endsWith(suffix) && base.length >= 3 && /[aeiouy]/.test(base)) {
+      w = base;
+      break;
+    }
+  }
+
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+      w = w.slice(0, -suffix.length) + replacement;
+      break;
+    }
+  }
+
+  if (/([^aeioulsz])\1$/.test(w)) w = w.slice(0, -1);
+  if (w.endsWith('e') && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+// Helper: Words of a text with their offsets and stems; stopwords get a null stem so phrases still line up
+function tokenize(text) {
+  return [...(text || '').matchAll(WORD_PATTERN)].map(match => {
+    const word = match[0].toLowerCase();
+    return { start: match.index, end: match.index + match[0].length, stem: STOPWORDS.has(word) ? null : stem(word) };
+  });
+}
+
+// Helper: Stems of a phrase, without stopwords
+const stemsOf = (text) => tokenize(text).map(token => token.stem).filter(Boolean);
+
+// Synonym groups keyed by each member's stems: "iap" → [["iap"], ["app", "purchas"]]
+const SYNONYM_INDEX = new Map();
+for (const group of SYNONYMS.groups) {
+  const alternatives = group.map(stemsOf).filter(stems => stems.length > 0);
+  for (const stems of alternatives) SYNONYM_INDEX.set(stems.join(' '), alternatives);
+}
+
+// Helper: Occurrences of a stem sequence in a field's stems
+function countPhrase(stems, phrase) {
+  let count = 0;
+  for (let i = 0; i + phrase.length <= stems.length; i++) {
+    if (phrase.every((part, offset) => stems[i + offset] === part)) count++;
+  }
+  return count;
+}
+
+/**
+ * Parse a query into units: "quoted phrases" (required) and words, with multi-word synonyms
+ * recognised greedily. Each unit lists its alternatives as stem sequences:
+ * [{ text, required, alternatives: [["app", "purchas"], ["iap"]] }]
+ */
+function parseQuery(query) {
+  const units = [];
+  const rest = query.replace(/"([^"]*)"/g, (match, phrase) => {
+    const stems = stemsOf(phrase);
+    if (stems.length) units.push({ text: phrase.trim(), required: true, alternatives: SYNONYM_INDEX.get(stems.join(' ')) || [stems] });
+    return ' ';
+  });
+
+  // Stopwords can't start or end a synonym, or "the sign in with apple" would match "sign in"
+  const words = rest.split(/\s+/).filter(Boolean);
+  const isStopword = (word) => stemsOf(word).length === 0;
+  for (let i = 0; i < words.length;) {
+    let matched = false;
+    for (let length = Math.min(MAX_SYNONYM_WORDS, words.length - i); length > 1 && !matched && !isStopword(words[i]); length--) {
+      if (isStopword(words[i + length - 1])) continue;
+      const text = words.slice(i, i + length).join(' ');
+      const alternatives = SYNONYM_INDEX.get(stemsOf(text).join(' '));
+      if (alternatives) {
+        units.push({ text, required: false, alternatives });
+        i += length;
+        matched = true;
+      }
+    }
+    if (matched) continue;
+
+    const stems = stemsOf(words[i]);
+    if (stems.length) {
+      units.push({ text: words[i], required: false, alternatives: SYNONYM_INDEX.get(stems.join(' ')) || [stems] });
+    }
+    i++;
+  }
+  return units;
+}
+
+// Helper: Escape text for the HTML snippet
+const escapeHTML = (text) => text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Helper: The window of the clause text with the most matched words, each occurrence of a matched
+// word or phrase wrapped in <mark>
+function snippetFor(text, matched) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return '';
+  const words = tokens.map((token, index) => index).filter(index => tokens[index].stem);
+  const hits = tokens.map(() => false);
+  for (let i = 0; i < words.length; i++) {
+    for (const phrase of matched) {
+      if (phrase.every((part, offset) => tokens[words[i + offset]]?.stem === part)) {
+        phrase.forEach((part, offset) => { hits[words[i + offset]] = true; });
+      }
+    }
+  }
+
+  let best = 0;
+  let bestCount = -1;
+  for (let start = 0; start < Math.max(1, tokens.length - SNIPPET_WORDS + 1); start++) {
+    const count = hits.slice(start, start + SNIPPET_WORDS).filter(Boolean).length;
+    if (count > bestCount) {
+      best = start;
+      bestCount = count;
+    }
+  }
+  // Start a few words before the first match so it has some context
+  const firstHit = hits.indexOf(true, best);
+  const start = firstHit > best + 5 ? firstHit - 5 : best;
+  const window = tokens.slice(start, start + SNIPPET_WORDS);
+
+  let snippet = start > 0 ? '… ' : '';
+  let cursor = window[0].start;
+  window.forEach((token, index) => {
+    snippet += escapeHTML(text.slice(cursor, token.start));
+    const word = escapeHTML(text.slice(token.start, token.end));
+    snippet += hits[start + index] ? `<mark>${word}</mark>` : word;
+    cursor = token.end;
+  });
+  if (start + SNIPPET_WORDS < tokens.length) snippet += ' …';
+  return snippet;
+}
+
+/**
+ * Ranked full-text index over every clause of a guidelines document
+ */
+function createSearchIndex(guidelines) {
+  const documents = flattenGuidelines(guidelines).map(clause => {
+    const title = tokenize(clause.title).map(token => token.stem).filter(Boolean);
+    const text = tokenize(clause.text).map(token => token.stem).filter(Boolean);
+    return { clause, title, text, length: title.length * TITLE_WEIGHT + text.length };
+  });
+  const averageLength = documents.reduce((total, doc) => total + doc.length, 0) / (documents.length || 1);
+
+  // Helper: Weighted frequency of a stem sequence in a clause
+  const frequency = (doc, phrase) => countPhrase(doc.title, phrase) * TITLE_WEIGHT + countPhrase(doc.text, phrase);
+
+  return {
+    version: guidelines.version,
+
+    /**
+     * Clauses matching a query, best first: { total, results: [{ number, title, path, url, snippet, score }] }.
+     * Words are ORed and ranked with BM25; "quoted phrases" must appear; synonyms count as the word they
+     * stand for; a clause titled exactly after a query term gets a bonus; a clause number ("5.1.1(v)")
+     * ranks that clause first.
+     */
+    search(query, { limit = DEFAULT_LIMIT } = {}) {
+      const units = parseQuery(query);
+      const numbers = query.split(/\s+/).filter(word => CLAUSE_NUMBER_PATTERN.test(word));
+
+      // Inverse document frequency per alternative, computed once per query
+      const idf = new Map();
+      for (const alternative of units.flatMap(unit => unit.alternatives)) {
+        const key = alternative.join(' ');
+        if (idf.has(key)) continue;
+        const df = documents.filter(doc => frequency(doc, alternative) > 0).length;
+        idf.set(key, Math.log(1 + (documents.length - df + 0.5) / (df + 0.5)));
+      }
+
+      const scored = [];
+      for (const doc of documents) {
+        let score = 0;
+        let matchedUnits = 0;
+        let missingRequired = false;
+        const matched = [];
+
+        for (const unit of units) {
+          let unitScore = 0;
+          for (const alternative of unit.alternatives) {
+            const tf = frequency(doc, alternative);
+            if (tf === 0) continue;
+            matched.push(alternative);
+            const weight = idf.get(alternative.join(' ')) * (tf * (K1 + 1)) /
+              (tf + K1 * (1 - B + B * doc.length / averageLength));
+            // A clause titled exactly after the term ("In-App Purchase") is where it's defined
+            const titleBonus = doc.title.join(' ') === alternative.join(' ') ? idf.get(alternative.join(' ')) : 0;
+            unitScore = Math.max(unitScore, weight + titleBonus);
+          }
+          if (unitScore > 0) matchedUnits++;
+          else if (unit.required) missingRequired = true;
+          score += unitScore;
+        }
+
+        // Clauses matching more of the query rank higher
+        if (units.length) score *= matchedUnits / units.length;
+        if (numbers.includes(doc.clause.number)) score += 100;
+        if (missingRequired || score <= 0) continue;
+        scored.push({ doc, score, matched });
+      }
+
+      scored.sort((a, b) => b.score - a.score);
+      return {
+        total: scored.length,
+        results: scored.slice(0, limit).map(({ doc, score, matched }) => ({
+          number: doc.clause.number,
+          title: doc.clause.title,
+          path: doc.clause.path,
+          url: doc.clause.url,
+          snippet: snippetFor(doc.clause.text || doc.clause.title, matched),
+          score: Math.round(score * 1000) / 1000
+        }))
+      };
+    }
+  };
+}
+
+// The index of the last guidelines version searched; rebuilt when the version changes
+let cachedIndex = null;
+
+/**
+ * Search a guidelines document: { query, version, source, total, results }
+ */
+function searchGuidelines(guidelines, query, options) {
+  if (!cachedIndex || cachedIndex.version !== guidelines.version) cachedIndex = createSearchIndex(guidelines);
+  return { query, version: guidelines.version, source: guidelines.source, ...cachedIndex.search(query, options) };
+}
+
+module.exports = { stem, parseQuery, createSearchIndex, searchGuidelines };
@@ -0,0 +1,367 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const GUIDELINES_URL = 'https://developer.apple.com/app-store/review/guidelines/';
+const SNAPSHOT_PATH = path.join(__dirname, 'data', 'guidelines-snapshot.json');
+const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+const RETRY_INTERVAL = 15 * 60 * 1000; // After a failed fetch, serve what we have for 15 minutes
+
+// Elements that start a new block of text; everything else is inline
+const BLOCK_TAGS = new Set(['p', 'li', 'ul', 'ol', 'div', 'section', 'article', 'main', 'aside', 'blockquote',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'tr', 'td', 'th', 'dl', 'dt', 'dd', 'figure', 'br']);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+// "1. Safety", "5.1.1 Data Collection and Storage", "(v) Account Sign-In: ..."
+const SECTION_PATTERN = /^(\d{1,2})\.\s+(\S.{0,60})$/;
+const CLAUSE_PATTERN = /^(\d{1,2}(?:\.\d{1,2}){1,3})\.?\s+(["“(]?[A-Z].*)$/s;
+const SUBCLAUSE_PATTERN = /^\(([ivx]{1,5}|[a-h])\)\s+(.*)$/s;
+
+// Helper: Collapse whitespace the way a browser renders it
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Helper: Deep link to a clause on Apple's page (the page anchors clauses by number)
+function clauseUrl(anchor) {
+  return anchor ? `${GUIDELINES_URL}#${anchor}` : GUIDELINES_URL;
+}
+
+// Helper: Flatten the page into blocks of text: { tag, id, text, lead } where `lead` is the
+// leading bold text (Apple sets clause titles in <strong>)
+function collectBlocks($, element, blocks, inherited = {}) {
+  let buffer = '';
+  let lead = null;
+  let id = element.attribs?.id || null;
+
+  const flush = () => {
+    const text = normalizeText(buffer);
+    if (text) blocks.push({ tag: element.tagName, id: id || inherited.id || null, text, lead: lead && normalizeText(lead) });
+    buffer = '';
+    lead = null;
+    id = null;
+  };
+
+  for (const child of element.children || []) {
+    if (child.type === 'text') {
+      buffer += child.data;
+    } else if (child.type === 'tag' && BLOCK_TAGS.has(child.tagName)) {
+      flush();
+      if (child.tagName !== 'br') collectBlocks($, child, blocks, { id: element.attribs?.id || inherited.id });
+    } else if (child.type === 'tag') {
+      const text = $(child).text();
+      if (!normalizeText(buffer) && lead === null && ['strong', 'b'].includes(child.tagName)) lead = text;
+      id = id || child.attribs?.id || $(child).find('[id]').attr('id') || null;
+      buffer += text;
+    }
+  }
+  flush();
+}
+
+// Helper: Split "Title: body" or "Title. Body" off the start of a clause's text
+function splitTitle(text, lead) {
+  if (lead && text.startsWith(lead)) {
+    return { title: lead.replace(/[:.]\s*$/, ''), rest: text.slice(lead.length).replace(/^\s*[:.–—-]/, '').trim() };
+  }
+  const colon = text.indexOf(':');
+  if (colon > 0 && colon <= 80) return { title: text.slice(0, colon), rest: text.slice(colon + 1).trim() };
+  return { title: '', rest: text };
+}
+
+// Helper: New clause node
+function clauseNode(number, title, anchor) {
+  return { number, title, text: '', anchor, url: clauseUrl(anchor), children: [] };
+}
+
+/**
+ * Parse the App Store Review Guidelines page into a tree of sections, sub-sections and clauses:
+ * [{ number: "5", title, text, anchor, url, children: [{ number: "5.1", ..., children: [{ number: "5.1.1",
+ * ..., children: [{ number: "5.1.1(v)", ... }] }] }] }]. Numbers come from the text, so the parser
+ * doesn't depend on the page's exact markup.
+ */
+function parseGuidelines(html) {
+  const $ = cheerio.load(html);
+  $('script, style, noscript, nav, header, footer').remove();
+  const root = $('main').get(0) || $('body').get(0) || $.root().get(0);
+  const blocks = [];
+  collectBlocks($, root, blocks);
+
+  const sections = [];
+  const byNumber = new Map();
+  let current = null; // Node that running text belongs to
+  let clause = null; // Deepest numbered clause, parent of (i)/(a) sub-clauses
+
+  const append = (node, text) => {
+    if (text) node.text = node.text ? `${node.text}\n${text}` : text;
+  };
+
+  for (const block of blocks) {
+    const isHeading = HEADING_TAGS.has(block.tag);
+    const section = (isHeading || block.lead === block.text) && block.text.match(SECTION_PATTERN);
+    const numbered = block.text.match(CLAUSE_PATTERN);
+    const sub = clause && block.text.match(SUBCLAUSE_PATTERN);
+
+    if (section && !byNumber.has(section[1])) {
+      current = clauseNode(section[1], section[2].trim(), block.id || section[1]);
+      sections.push(current);
+      byNumber.set(current.number, current);
+      clause = null;
+    } else if (numbered && byNumber.has(numbered[1].split('.')[0])) {
+      const number = numbered[1];
+      if (byNumber.has(number)) {
+        current = byNumber.get(number);
+        append(current, numbered[2]);
+        continue;
+      }
+      // Attach to the nearest numbered ancestor (5.1.1 → 5.1 → 5)
+      let parentNumber = number.split('.').slice(0, -1).join('.');
+      while (parentNumber.includes('.') && !byNumber.has(parentNumber)) {
+        parentNumber = parentNumber.split('.').slice(0, -1).join('.');
+      }
+      const leadTitle = block.lead && normalizeText(block.lead.replace(/^\d+(?:\.\d+)*\.?\s*/, ''));
+      const { title, rest } = isHeading
+        ? { title: numbered[2], rest: '' }
+        : splitTitle(numbered[2], leadTitle || null);
+
+      current = clauseNode(number, title, block.id && /^\d/.test(block.id) ? block.id : number);
+      append(current, rest);
+      byNumber.get(parentNumber).children.push(current);
+      byNumber.set(number, current);
+      clause = current;
+    } else if (sub) {
+      const number = `${clause.number}(${sub[1]})`;
+      const { title, rest } = splitTitle(sub[2], block.lead && normalizeText(block.lead.replace(/^\([a-z]+\)\s*/, '')));
+      current = clauseNode(number, title, clause.anchor);
+      append(current, rest);
+      clause.children.push(current);
+      byNumber.set(number, current);
+    } else if (isHeading && current) {
+      // An unnumbered heading ("After You Submit") ends the numbered part
+      current = null;
+      clause = null;
+    } else if (current) {
+      append(current, block.text);
+    }
+  }
+
+  const pageText = normalizeText($(root).text());
+  const updated = pageText.match(/Last Updated:?\s*([A-Z][a-z]+ \d{1,2}, \d{4})/i);
+  return { lastUpdated: updated ? new Date(`${updated[1]} UTC`).toISOString() : null, sections };
+}
+
+/**
+ * Every clause of a guidelines tree in document order: [{ number, title, text, url, depth, path }]
+ * where `path` lists the titles from the section down
+ */
+function flattenGuidelines(guidelines) {
+  const clauses = [];
+  const walk = (nodes, depth, titles) => {
+    for (const node of nodes) {
+      const nodePath = [...titles, node.title].filter(Boolean);
+      clauses.push({ number: node.number, title: node.title, text: node.text, url: node.url, depth, path: nodePath });
+      walk(node.children, depth + 1, nodePath);
+    }
+  };
+  walk(guidelines?.sections || [], 0, []);
+  return clauses;
+}
+
+/**
+ * A clause by number ("5.1.1(v)"), falling back to its nearest numbered ancestor ("5.1.1", "5.1")
+ */
+function findClause(guidelines, number) {
+  const clauses = new Map(flattenGuidelines(guidelines).map(clause => [clause.number, clause]));
+  let candidate = String(number || '').trim();
+  while (candidate) {
+    if (clauses.has(candidate)) return clauses.get(candidate);
+    candidate = candidate.includes('(') ? candidate.replace(/\([^)]*\)$/, '') : candidate.split('.').slice(0, -1).join('.');
+  }
+  return null;
+}
+
+// Helper: Content hash of a tree, so identical text always gets the same version
+function guidelinesVersion(sections) {
+  return crypto.createHash('sha256').update(JSON.stringify(sections)).digest('hex').slice(0, 12);
+}
+
+// Helper: Full guidelines document around a parsed tree
+function guidelinesDocument(sections, fields) {
+  return {
+    version: guidelinesVersion(sections),
+    url: GUIDELINES_URL,
+    clauseCount: flattenGuidelines({ sections }).length,
+    ...fields,
+    sections
+  };
+}
+
+/**
+ * Fetch and parse the live guidelines. Throws when the page can't be fetched or has no numbered sections.
+ */
+async function fetchGuidelines() {
+  const response = await axios.get(GUIDELINES_URL, {
+    timeout: 10000,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+    }
+  });
+  const { lastUpdated, sections } = parseGuidelines(response.data);
+  if (sections.length === 0) throw new Error('No numbered guideline sections found on the page');
+
+  const fetchedAt = new Date().toISOString();
+  return guidelinesDocument(sections, { source: 'live', fetchedAt, lastUpdated: lastUpdated || fetchedAt });
+}
+
+/**
+ * The bundled snapshot used when the live page and the disk cache are unavailable
+ */
+async function loadSnapshot() {
+  const snapshot = JSON.parse(await fs.readFile(SNAPSHOT_PATH, 'utf-8'));
+  return guidelinesDocument(snapshot.sections, {
+    source: 'snapshot',
+    fetchedAt: snapshot.updated,
+    lastUpdated: snapshot.updated,
+    note: snapshot.note
+  });
+}
+
+/**
+ * Guidelines cache shared by the servers: memory, then the disk cache (<directory>/current.json,
+ * fresh for `maxAge`), then the live page, then a stale disk copy, then the bundled snapshot.
+ * Every distinct version fetched from the live page is also kept under <directory>/versions.
+ */
+function createGuidelinesCache(directory, { maxAge = CACHE_DURATION, fetch = fetchGuidelines } = {}) {
+  const cachePath = path.join(directory, 'current.json');
+  const versionsDir = path.join(directory, 'versions');
+  const indexPath = path.join(versionsDir, 'index.json');
+  let current = null;
+  let loadedFromDisk = false;
+  let failedAt = 0;
+
+  const age = (guidelines) => Date.now() - new Date(guidelines.fetchedAt).getTime();
+  const isFresh = (guidelines) => guidelines.source !== 'snapshot' && age(guidelines) < maxAge;
+
+  async function readDisk() {
+    try {
+      return JSON.parse(await fs.readFile(cachePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn('⚠️  Ignoring unreadable guidelines cache:', error.message);
+      return null;
+    }
+  }
+
+  async function writeJSON(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  async function readVersions() {
+    try {
+      return JSON.parse(await fs.readFile(indexPath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Helper: Store a fetched version unless it's the same text as the last one stored
+  async function recordVersion(guidelines) {
+    const versions = await readVersions();
+    if (versions[versions.length - 1]?.version === guidelines.version) return;
+    const file = `${guidelines.fetchedAt.replace(/[:.]/g, '-')}-${guidelines.version}.json`;
+    await writeJSON(path.join(versionsDir, file), guidelines);
+    const { version, fetchedAt, lastUpdated, clauseCount } = guidelines;
+    versions.push({ version, fetchedAt, lastUpdated, clauseCount, file });
+    await writeJSON(indexPath, versions);
+  }
+
+  // Helper: Fetch live, keeping whatever we had when the fetch fails
+  async function refresh() {
+    try {
+      current = await fetch();
+      failedAt = 0;
+      await writeJSON(cachePath, current).catch(error => console.warn('⚠️  Could not write guidelines cache:', error.message));
+      await recordVersion(current).catch(error => console.warn('⚠️  Could not store guidelines version:', error.message));
+      return current;
+    } catch (error) {
+      console.error('Failed to fetch Apple guidelines:', error.message);
+      failedAt = Date.now();
+      if (current && current.source !== 'snapshot') {
+        return { ...current, cached: true, stale: true, error: 'Failed to fetch fresh guidelines, serving stale cache' };
+      }
+      current = await loadSnapshot();
+      return { ...current, error: 'Failed to fetch live guidelines, using bundled snapshot' };
+    }
+  }
+
+  return {
+    /**
+     * Current guidelines document; `refresh: true` skips the caches
+     */
+    async get({ refresh: force = false } = {}) {
+      if (!force && !current && !loadedFromDisk) {
+        loadedFromDisk = true;
+        const cached = await readDisk();
+        if (cached) current = { ...cached, source: 'cache' };
+      }
+      if (!force && current && isFresh(current)) {
+        return { ...current, cached: true, cacheAge: `${Math.floor(age(current) / 1000 / 60)} minutes ago` };
+      }
+      if (!force && current && Date.now() - failedAt < RETRY_INTERVAL) {
+        return { ...current, cached: true, stale: current.source !== 'snapshot' };
+      }
+      return refresh();
+    },
+
+    /**
+     * Versions fetched so far, oldest first: [{ version, fetchedAt, lastUpdated, clauseCount, file }]
+     */
+    versions: readVersions,
+
+    /**
+     * Full guidelines document of a stored version (an entry from versions())
+     */
+    async loadVersion(entry) {
+      return JSON.parse(await fs.readFile(path.join(versionsDir, entry.file), 'utf-8'));
+    },
+
+    /**
+     * What the cache holds, for health checks
+     */
+    status() {
+      return {
+        cached: !!current,
+        source: current?.source || null,
+        version: current?.version || null,
+        age: current ? `${Math.floor(age(current) / 1000 / 60)} minutes` : 'not cached',
+        stale: current ? !isFresh(current) : null,
+        lastUpdated: current?.lastUpdated || null,
+        clauses: current?.clauseCount || 0
+      };
+    }
+  };
+}
+
+/**
+ * Compact reference to the guidelines a scan was checked against (stored with scan results)
+ */
+function guidelinesReference(guidelines) {
+  const { version, fetchedAt, lastUpdated, source, url } = guidelines;
+  return { version, fetchedAt, lastUpdated, source, url };
+}
+
+module.exports = {
+  GUIDELINES_URL,
+  parseGuidelines,
+  flattenGuidelines,
+  findClause,
+  clauseUrl,
+  fetchGuidelines,
+  loadSnapshot,
+  createGuidelinesCache,
+  guidelinesReference
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { openZip } = require('./zip-reader');
+const { parsePlist } = require('./plist-parser');
+const { parseStringsFile } = require('./strings-parser');
+const { decodeMobileProvision } = require('./provisioning');
+const { collectPrivacyManifests, summarizeManifest } = require('./privacy-manifest');
+const { parseMachO, summarizeMachO } = require('./macho-reader');
+const { analyzeTransportSecurity } = require('./transport-security');
+const { buildSDKInventory } = require('./sdk-inventory');
+const { findSecrets } = require('./secret-scanner');
+const { analyzeSize } = require('./size-analysis');
+
+const APP_BUNDLE_PATTERN = /^Payload\/([^/]+\.app)\//;
+
+/**
+ * Open an .ipa and locate its Payload/*.app bundle.
+ * Returns a handle for reading files relative to the app root; call close() when done.
+ */
+async function openIPA(ipaPath) {
+  const zip = await openZip(ipaPath);
+
+  const bundleEntry = zip.entries.find(entry => APP_BUNDLE_PATTERN.test(entry.name));
+  if (!bundleEntry) {
+    await zip.close();
+    throw new Error('Invalid IPA: no Payload/*.app bundle found');
+  }
+
+  const bundleName = bundleEntry.name.match(APP_BUNDLE_PATTERN)[1];
+  const appRoot = `Payload/${bundleName}/`;
+
+  const files = zip.entries
+    .filter(entry => !entry.isDirectory && entry.name.startsWith(appRoot))
+    .map(entry => ({
+      path: entry.name.slice(appRoot.length),
+      size: entry.size,
+      compressedSize: entry.compressedSize
+    }));
+
+  return {
+    path: ipaPath,
+    fileSize: zip.fileSize,
+    bundleName,
+    appRoot,
+    files,
+    hasFile: (relativePath) => !!zip.getEntry(appRoot + relativePath),
+    readFile: (relativePath) => zip.readEntry(appRoot + relativePath),
+    close: () => zip.close()
+  };
+}
+
+// Helper: Read and decode a plist inside the bundle, or null if absent/unreadable
+async function readPlist(ipa, relativePath) {
+  if (!ipa.hasFile(relativePath)) return null;
+  try {
+    return parsePlist(await ipa.readFile(relativePath));
+  } catch (error) {
+    console.warn(`⚠️  Could not parse ${relativePath}:`, error.message);
+    return null;
+  }
+}
+
+// Helper: Mach-O summary and SHA-256 of an executable inside the bundle, or null if absent
+async function readBinary(ipa, relativePath) {
+  if (!relativePath || !ipa.hasFile(relativePath)) return null;
+  const buffer = await ipa.readFile(relativePath);
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  try {
+    return { ...summarizeMachO(parseMachO(buffer)), sha256 };
+  } catch (error) {
+    return { error: error.message, sha256 };
+  }
+}
+
+// Helper: SHA-256 of a file on disk, streamed so large IPAs aren't read into memory
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Helper: Localized InfoPlist.strings tables of the app (en.lproj/InfoPlist.strings, ...)
+async function collectInfoPlistStrings(ipa) {
+  const tables = [];
+  for (const file of ipa.files) {
+    const match = file.path.match(/^([^/]+)\.lproj\/InfoPlist\.strings$/);
+    if (!match) continue;
+    const table = { path: file.path, locale: match[1], strings: null, error: null };
+    try {
+      table.strings = parseStringsFile(await ipa.readFile(file.path));
+    } catch (error) {
+      table.error = error.message;
+    }
+    tables.push(table);
+  }
+  return tables;
+}
+
+// Helper: Collect nested bundles (Frameworks/*.framework, PlugIns/*.appex) and loose dylibs
+async function collectNestedBundles(ipa, directory, extension) {
+  const pattern = new RegExp(`^${directory}/([^/]+\\.${extension})/`);
+  const names = new Set();
+  for (const file of ipa.files) {
+    const match = file.path.match(pattern);
+    if (match) names.add(match[1]);
+  }
+
+  const bundles = [];
+  for (const name of names) {
+    const bundlePath = `${directory}/${name}`;
+    const infoPlist = await readPlist(ipa, `${bundlePath}/Info.plist`);
+    const size = ipa.files
+      .filter(file => file.path.startsWith(`${bundlePath}/`))
+      .reduce((total, file) => total + file.size, 0);
+
+    const executable = infoPlist?.CFBundleExecutable ? `${bundlePath}/${infoPlist.CFBundleExecutable}` : null;
+    bundles.push({
+      name: path.basename(name, `.${extension}`),
+      path: bundlePath,
+      bundleId: infoPlist?.CFBundleIdentifier,
+      version: infoPlist?.CFBundleShortVersionString,
+      minimumOSVersion: infoPlist?.MinimumOSVersion,
+      executable,
+      binary: await readBinary(ipa, executable),
+      hasPrivacyManifest: ipa.hasFile(`${bundlePath}/PrivacyInfo.xcprivacy`),
+      size,
+      infoPlist
+    });
+  }
+
+  return bundles;
+}
+
+/**
+ * Build the structured app model from an opened IPA:
+ * Info.plist and its localizations, provisioning profile, Mach-O details of every executable, nested frameworks/extensions,
+ * privacy manifests, the App Transport Security policy, the third-party SDK inventory, hard-coded secrets,
+ * the size breakdown and the file tree.
+ */
+async function buildAppModel(ipa) {
+  const infoPlist = await readPlist(ipa, 'Info.plist');
+  if (!infoPlist) {
+    throw new Error(`Invalid IPA: ${ipa.bundleName} has no readable Info.plist`);
+  }
+
+  let provisioning = null;
+  if (ipa.hasFile('embedded.mobileprovision')) {
+    try {
+      provisioning = decodeMobileProvision(await ipa.readFile('embedded.mobileprovision'));
+    } catch (error) {
+      provisioning = { error: error.message };
+    }
+  }
+
+  const frameworks = await collectNestedBundles(ipa, 'Frameworks', 'framework');
+  for (const file of ipa.files) {
+    if (/^Frameworks\/[^/]+\.dylib$/.test(file.path)) {
+      frameworks.push({
+        name: path.basename(file.path, '.dylib'),
+        path: file.path,
+        executable: file.path,
+        binary: await readBinary(ipa, file.path),
+        hasPrivacyManifest: false,
+        size: file.size
+      });
+    }
+  }
+
+  const binary = await readBinary(ipa, infoPlist.CFBundleExecutable);
+
+  const app = {
+    bundleName: ipa.bundleName,
+    appName: infoPlist.CFBundleDisplayName || infoPlist.CFBundleName || path.basename(ipa.bundleName, '.app'),
+    bundleId: infoPlist.CFBundleIdentifier,
+    version: infoPlist.CFBundleShortVersionString,
+    build: infoPlist.CFBundleVersion,
+    minimumOSVersion: infoPlist.MinimumOSVersion,
+    executable: infoPlist.CFBundleExecutable,
+    binary,
+    // Entitlements the executable was signed with (the profile only lists what it allows)
+    entitlements: binary?.entitlements || null,
+    infoPlist,
+    infoPlistStrings: await collectInfoPlistStrings(ipa),
+    provisioning,
+    frameworks,
+    plugins: await collectNestedBundles(ipa, 'PlugIns', 'appex'),
+    privacyManifests: await collectPrivacyManifests(ipa),
+    files: ipa.files,
+    ipaSize: ipa.fileSize,
+    ipaSha256: await hashFile(ipa.path),
+    installSize: ipa.files.reduce((total, file) => total + file.size, 0)
+  };
+  // These need the executables and manifests found above
+  app.ats = await analyzeTransportSecurity(app, ipa);
+  app.sdkInventory = await buildSDKInventory(app, ipa);
+  app.secrets = await findSecrets(app, ipa);
+  app.size = analyzeSize(app);
+  return app;
+}
+
+/**
+ * Inspect an .ipa on disk and return its app model
+ */
+async function inspectIPA(ipaPath) {
+  const ipa = await openIPA(ipaPath);
+  try {
+    return await buildAppModel(ipa);
+  } finally {
+    await ipa.close();
+  }
+}
+
+/**
+ * Compact view of the app model for API responses (drops the full file list and nested plists)
+ */
+function summarizeAppModel(app) {
+  return {
+    appName: app.appName,
+    bundleId: app.bundleId,
+    version: app.version,
+    build: app.build,
+    minimumOSVersion: app.minimumOSVersion,
+    executable: app.executable,
+    binary: app.binary,
+    entitlements: app.entitlements,
+    infoPlist: app.infoPlist,
+    infoPlistStrings: app.infoPlistStrings,
+    provisioning: app.provisioning,
+    frameworks: app.frameworks.map(({ infoPlist, ...framework }) => framework),
+    plugins: app.plugins.map(({ infoPlist, ...plugin }) => plugin),
+    ats: app.ats,
+    sdkInventory: app.sdkInventory,
+    secrets: app.secrets,
+    size: app.size,
+    privacyManifests: app.privacyManifests.map(({ plist, ...manifest }) => ({ ...manifest, ...summarizeManifest(plist) })),
+    fileCount: app.files.length,
+    ipaSize: app.ipaSize,
+    ipaSha256: app.ipaSha256,
+    installSize: app.installSize
+  };
+}
+
+module.exports = {
+  openIPA,
+  buildAppModel,
+  inspectIPA,
+  summarizeAppModel
+};
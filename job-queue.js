@@ -0,0 +1,189 @@
+const EventEmitter = require('events');
+
+const TERMINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+// Keep only the tail of each job's log so long scans don't grow without bound
+const MAX_LOG_LINES = 500;
+
+class CancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'CancelledError';
+    this.cancelled = true;
+  }
+}
+
+// Helper: Public view of a job (no emitter, controller or task internals)
+function serializeJob(job, { includeResult = true } = {}) {
+  return {
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    stage: job.stage,
+    message: job.message,
+    meta: job.meta,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    queuePosition: job.queuePosition,
+    error: job.error,
+    result: includeResult ? job.result : undefined
+  };
+}
+
+/**
+ * In-memory job queue with bounded concurrency.
+ * Each job emits 'stage', 'log' and 'done' events while it runs.
+ * `onFinished(job)` is awaited once per job, after cleanup and before 'done' is emitted.
+ */
+function createJobQueue({ concurrency = 2, retentionMs = 60 * 60 * 1000, onFinished } = {}) {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  function updateQueuePositions() {
+    waiting.forEach((job, index) => {
+      job.queuePosition = index + 1;
+    });
+  }
+
+  async function finish(job, state, { result, error } = {}) {
+    if (TERMINAL_STATES.includes(job.state)) return;
+
+    job.state = state;
+    job.stage = state;
+    job.finishedAt = new Date().toISOString();
+    job.queuePosition = undefined;
+    if (result !== undefined) job.result = result;
+    if (error) job.error = error;
+
+    if (job.cleanup) {
+      await Promise.resolve(job.cleanup()).catch(err => {
+        console.error(`Cleanup for job ${job.id} failed:`, err.message);
+      });
+    }
+
+    if (onFinished) {
+      await Promise.resolve(onFinished(job)).catch(err => {
+        console.error(`onFinished hook for job ${job.id} failed:`, err.message);
+      });
+    }
+
+    job.events.emit('done', serializeJob(job));
+
+    // Expire finished jobs so the map doesn't grow forever
+    setTimeout(() => jobs.delete(job.id), retentionMs).unref();
+  }
+
+  async function run(job) {
+    running++;
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    job.queuePosition = undefined;
+
+    const context = {
+      jobId: job.id,
+      signal: job.controller.signal,
+      stage(stage, message) {
+        job.stage = stage;
+        job.message = message;
+        job.events.emit('stage', { stage, message, at: new Date().toISOString() });
+      },
+      log(line, stream = 'stdout') {
+        const entry = { line, stream, at: new Date().toISOString() };
+        job.logs.push(entry);
+        if (job.logs.length > MAX_LOG_LINES) job.logs.shift();
+        job.events.emit('log', entry);
+      },
+      throwIfCancelled() {
+        if (job.controller.signal.aborted) throw new CancelledError();
+      }
+    };
+
+    try {
+      const result = await job.task(context);
+      if (job.controller.signal.aborted) {
+        await finish(job, 'cancelled');
+      } else {
+        await finish(job, 'completed', { result });
+      }
+    } catch (error) {
+      if (job.controller.signal.aborted || error.cancelled) {
+        await finish(job, 'cancelled');
+      } else {
+        console.error(`Job ${job.id} (${job.type}) failed:`, error.message || error.error);
+        await finish(job, 'failed', { error: error.message || error.error || String(error) });
+      }
+    } finally {
+      running--;
+      next();
+    }
+  }
+
+  function next() {
+    while (running < concurrency && waiting.length > 0) {
+      run(waiting.shift());
+    }
+    updateQueuePositions();
+  }
+
+  return {
+    /**
+     * Queue a task. `task(context)` receives { jobId, signal, stage(), log(), throwIfCancelled() }.
+     * `cleanup()` runs once the job reaches a terminal state, even if it never started.
+     */
+    enqueue(type, task, { id, meta = {}, cleanup } = {}) {
+      const job = {
+        id: id || Date.now() + '-' + Math.round(Math.random() * 1E9),
+        type,
+        state: 'queued',
+        stage: 'queued',
+        message: null,
+        meta,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: undefined,
+        error: undefined,
+        logs: [],
+        task,
+        cleanup,
+        controller: new AbortController(),
+        events: new EventEmitter()
+      };
+      job.events.setMaxListeners(0);
+
+      jobs.set(job.id, job);
+      waiting.push(job);
+      next();
+      return job;
+    },
+
+    get: (id) => jobs.get(id),
+
+    list: () => Array.from(jobs.values()).map(job => serializeJob(job, { includeResult: false })),
+
+    /**
+     * Cancel a queued or running job. Returns false if it already finished.
+     */
+    async cancel(id) {
+      const job = jobs.get(id);
+      if (!job || TERMINAL_STATES.includes(job.state)) return false;
+
+      job.controller.abort();
+      const index = waiting.indexOf(job);
+      if (index !== -1) {
+        waiting.splice(index, 1);
+        updateQueuePositions();
+        await finish(job, 'cancelled');
+      }
+      return true;
+    },
+
+    isFinished: (job) => TERMINAL_STATES.includes(job.state),
+
+    stats: () => ({ running, queued: waiting.length, concurrency })
+  };
+}
+
+module.exports = { createJobQueue, serializeJob, CancelledError };
@@ -0,0 +1,126 @@
+const { gateSummary, failsGate, evaluateGate, defaultGatePolicy } = require('./ci-gate');
+
+// Helper: Escape text for XML attributes and content
+function xml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+// Helper: One line per guideline clause at risk: "Guideline 5.1.1 (Data Collection and Storage): <url>"
+function guidelineLines(finding) {
+  if (!finding.guidelines?.length) return [finding.guideline && `Guideline: ${finding.guideline}`];
+  return finding.guidelines.map(clause =>
+    [`Guideline ${clause.number}`, clause.title && ` (${clause.title})`, clause.url && `: ${clause.url}`].filter(Boolean).join(''));
+}
+
+// Helper: Failure body with everything a reviewer needs in the CI test report
+function findingDetails(finding) {
+  return [
+    finding.description || finding.message,
+    finding.location && `Location: ${finding.location}`,
+    ...guidelineLines(finding),
+    finding.impact && `Impact: ${finding.impact}`,
+    (finding.fixSuggestion || finding.fix) && `Fix: ${finding.fixSuggestion || finding.fix}`
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Convert a stored scan (or a job result wrapped as a scan record) into a JUnit XML report.
+ * Every check is a testcase; a check with findings yields one testcase per finding, which is
+ * a <failure> when its severity fails the gate policy and <skipped> otherwise.
+ * Findings suppressed by the project config are listed as <skipped> with their justification.
+ * A final "gate" testcase carries the overall pass/fail decision and its reasons.
+ */
+function toJUnit(scan, policy) {
+  const results = scan.results || {};
+  const findings = Array.isArray(results.findings) ? results.findings : [];
+  const summary = gateSummary(results);
+  const gatePolicy = policy || results.gatePolicy || defaultGatePolicy();
+  const gate = evaluateGate(summary, gatePolicy);
+  const suiteName = `ios-compliance.${scan.appName || results.appName || scan.type || 'scan'}`;
+
+  const testcases = [];
+  const findingsByCheck = new Map();
+  for (const finding of findings) {
+    const checkId = finding.checkId || 'greenlight';
+    if (!findingsByCheck.has(checkId)) findingsByCheck.set(checkId, []);
+    findingsByCheck.get(checkId).push(finding);
+  }
+
+  // Checks that ran clean only show up when the engine reports which checks it ran
+  for (const check of results.checksRun || []) {
+    if (!findingsByCheck.has(check.id)) {
+      testcases.push(`    <testcase classname="${xml(`${suiteName}.${check.id}`)}" name="${xml(check.title)}" time="0"/>`);
+    }
+  }
+
+  for (const [checkId, checkFindings] of findingsByCheck) {
+    for (const finding of checkFindings) {
+      const name = finding.location
+        ? `${finding.title || finding.message} (${finding.location})`
+        : finding.title || finding.message;
+      const message = `[${(finding.severity || 'info').toUpperCase()}] ${finding.title || finding.message}`;
+      const entry = failsGate(finding.severity, summary, gatePolicy)
+        ? `      <failure type="${xml(finding.severity)}" message="${xml(message)}">${xml(findingDetails(finding))}</failure>`
+        : `      <skipped message="${xml(message)}"/>`;
+      testcases.push([
+        `    <testcase classname="${xml(`${suiteName}.${checkId}`)}" name="${xml(name)}" time="0">`,
+        entry,
+        '    </testcase>'
+      ].join('\n'));
+    }
+  }
+
+  // Suppressed findings stay visible to auditors as skipped testcases
+  for (const finding of results.suppressed || []) {
+    const checkId = finding.checkId || 'greenlight';
+    const message = `Suppressed until ${finding.suppression.expires}: ${finding.suppression.justification}`;
+    testcases.push([
+      `    <testcase classname="${xml(`${suiteName}.${checkId}`)}" name="${xml(finding.title || finding.message)} (suppressed)" time="0">`,
+      `      <skipped message="${xml(message)}"/>`,
+      '    </testcase>'
+    ].join('\n'));
+  }
+
+  testcases.push(gate.gate === 'fail'
+    ? [
+      `    <testcase classname="${xml(`${suiteName}.gate`)}" name="Compliance gate" time="0">`,
+      `      <failure type="gate" message="${xml(`Gate failed: ${gate.reasons.join('; ')}`)}">${xml(gate.reasons.join('\n'))}</failure>`,
+      '    </testcase>'
+    ].join('\n')
+    : `    <testcase classname="${xml(`${suiteName}.gate`)}" name="Compliance gate" time="0"/>`);
+
+  const failures = testcases.filter(testcase => testcase.includes('<failure')).length;
+  const skipped = testcases.filter(testcase => testcase.includes('<skipped')).length;
+  const timestamp = (scan.finishedAt || scan.createdAt || new Date().toISOString()).replace(/\.\d+Z$/, '');
+
+  const properties = [
+    ['scanId', scan.id],
+    ['engine', results.engine],
+    ['bundleId', scan.bundleId],
+    ['status', summary.status],
+    ['gate', gate.gate],
+    ...gate.reasons.map(reason => ['gateReason', reason])
+  ].filter(([, value]) => value)
+    .map(([name, value]) => `      <property name="${name}" value="${xml(value)}"/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="iOS Compliance Scan" tests="${testcases.length}" failures="${failures}" errors="0" skipped="${skipped}">`,
+    `  <testsuite name="${xml(suiteName)}" tests="${testcases.length}" failures="${failures}" errors="0" skipped="${skipped}" timestamp="${timestamp}" time="0">`,
+    '    <properties>',
+    ...properties,
+    '    </properties>',
+    ...testcases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { toJUnit };
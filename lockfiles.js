@@ -0,0 +1,141 @@
+const LOCKFILE_TYPES = ['Package.resolved', 'Podfile.lock'];
+
+// Helper: Package URL for a Swift package, from its repository URL (pkg:swift/github.com/owner/repo@1.2.3)
+function swiftPurl(location, version) {
+  const namespace = location
+    .replace(/^[a-z+]+:\/\//i, '')
+    .replace(/^git@([^:]+):/, '$1/')
+    .replace(/^[^@/]+@/, '')
+    .replace(/\.git$/, '')
+    .replace(/\/$/, '');
+  return `pkg:swift/${namespace}${version ? `@${encodeURIComponent(version)}` : ''}`;
+}
+
+/**
+ * Parse an SPM Package.resolved (format version 1, 2 or 3).
+ * Returns [{ name, identity, version, revision, branch, location, purl }].
+ */
+function parsePackageResolved(text) {
+  let resolved;
+  try {
+    resolved = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Package.resolved is not valid JSON: ${error.message}`);
+  }
+
+  // Version 1 nests the pins under "object" and names fields differently
+  const pins = resolved?.object?.pins || resolved?.pins;
+  if (!Array.isArray(pins)) throw new Error('Package.resolved has no "pins" array');
+
+  return pins.map(pin => {
+    const location = pin.location || pin.repositoryURL;
+    if (!location) throw new Error(`Package.resolved pin "${pin.identity || pin.package}" has no location`);
+    const version = pin.state?.version || null;
+    return {
+      // The repository name keeps its capitalization (identities are lowercased)
+      name: location.replace(/\.git$/, '').replace(/\/$/, '').split(/[/:]/).pop() || pin.identity || pin.package,
+      identity: pin.identity || pin.package.toLowerCase(),
+      version,
+      revision: pin.state?.revision || null,
+      branch: pin.state?.branch || null,
+      location,
+      purl: swiftPurl(location, version || pin.state?.revision)
+    };
+  });
+}
+
+// Helper: "Name/Subspec (1.2.3)" or "Name (= 1.2.3)" → { name, version }
+function parsePodEntry(entry) {
+  const match = entry.replace(/^"|"$/g, '').match(/^(\S+)(?:\s+\((.+)\))?$/);
+  if (!match) throw new Error(`Unrecognized Podfile.lock entry "${entry}"`);
+  return { name: match[1], version: match[2] || null };
+}
+
+/**
+ * Parse a CocoaPods Podfile.lock. Subspecs (Firebase/Core) are folded into their pod.
+ * Returns [{ name, version, subspecs, dependencies, direct, specChecksum, source, purl }].
+ */
+function parsePodfileLock(text) {
+  const sections = {};
+  let section = null;
+  let parent = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const heading = line.match(/^([A-Z][A-Z ]*):\s*(.*)$/);
+    if (heading) {
+      section = heading[1];
+      sections[section] = heading[2] ? heading[2].trim() : [];
+      parent = null;
+      continue;
+    }
+    if (!section || !Array.isArray(sections[section])) continue;
+
+    // PODS: "  - Pod (1.0):" opens a pod whose dependencies follow at "    - Dep (~> 1.0)"
+    const item = line.match(/^( +)- (.+?)(:)?$/);
+    if (item) {
+      if (item[1].length <= 2) {
+        parent = { entry: item[2], children: [] };
+        sections[section].push(parent);
+      } else if (parent) {
+        parent.children.push(item[2]);
+      }
+      continue;
+    }
+    const pair = line.match(/^ +("?[^:"]+"?):\s*(.*)$/);
+    if (pair) sections[section].push({ key: pair[1].replace(/^"|"$/g, ''), value: pair[2].trim() });
+  }
+
+  if (!Array.isArray(sections.PODS)) throw new Error('Podfile.lock has no PODS section');
+
+  const checksums = new Map((sections['SPEC CHECKSUMS'] || []).filter(entry => entry.key).map(entry => [entry.key, entry.value]));
+  const direct = new Set((sections.DEPENDENCIES || []).filter(entry => entry.entry)
+    .map(entry => parsePodEntry(entry.entry).name.split('/')[0]));
+  // Pods from a local path or a git repository rather than a spec repo
+  const external = new Set((sections['EXTERNAL SOURCES'] || []).filter(entry => entry.key).map(entry => entry.key));
+
+  const pods = new Map();
+  for (const { entry, children } of sections.PODS.filter(item => item.entry)) {
+    const { name: fullName, version } = parsePodEntry(entry);
+    const [name, ...subspec] = fullName.split('/');
+    if (!pods.has(name)) {
+      pods.set(name, {
+        name,
+        version,
+        subspecs: [],
+        dependencies: [],
+        direct: direct.has(name),
+        specChecksum: checksums.get(name) || null,
+        source: external.has(name) ? 'external' : 'spec-repo',
+        purl: `pkg:cocoapods/${encodeURIComponent(name)}${version ? `@${encodeURIComponent(version)}` : ''}`
+      });
+    }
+    const pod = pods.get(name);
+    if (subspec.length && !pod.subspecs.includes(subspec.join('/'))) pod.subspecs.push(subspec.join('/'));
+    for (const child of children) {
+      const dependency = parsePodEntry(child).name.split('/')[0];
+      if (dependency !== name && !pod.dependencies.includes(dependency)) pod.dependencies.push(dependency);
+    }
+  }
+
+  return [...pods.values()];
+}
+
+/**
+ * Detect and parse an uploaded lockfile by its file name (falling back to its content).
+ * Returns { type, packages }.
+ */
+function parseLockfile(fileName, text) {
+  const base = (fileName || '').split(/[\\/]/).pop();
+  const type = LOCKFILE_TYPES.find(candidate => base === candidate) ||
+    (text.trimStart().startsWith('{') ? 'Package.resolved' : /^PODS:/m.test(text) ? 'Podfile.lock' : null);
+  if (!type) throw new Error(`${base || 'Upload'} is not a Package.resolved or Podfile.lock`);
+
+  return {
+    type,
+    packages: type === 'Package.resolved' ? parsePackageResolved(text) : parsePodfileLock(text)
+  };
+}
+
+module.exports = { LOCKFILE_TYPES, parsePackageResolved, parsePodfileLock, parseLockfile };
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const { parsePlist } = require('./plist-parser');
+
+const FAT_MAGIC = 0xCAFEBABE;
+const FAT_MAGIC_64 = 0xCAFEBABF;
+const MH_MAGIC = 0xFEEDFACE;
+const MH_MAGIC_64 = 0xFEEDFACF;
+
+const MH_PIE = 0x200000;
+const CPU_ARCH_ABI64 = 0x01000000;
+const CPU_SUBTYPE_MASK = 0x00FFFFFF;
+
+// Code signature SuperBlob and the entitlements blob inside it (big-endian, unlike the Mach-O headers)
+const CSMAGIC_EMBEDDED_SIGNATURE = 0xFADE0CC0;
+const CSMAGIC_EMBEDDED_ENTITLEMENTS = 0xFADE7171;
+const CSMAGIC_CODEDIRECTORY = 0xFADE0C02;
+const CSMAGIC_BLOBWRAPPER = 0xFADE0B01;
+const CSSLOT_CODEDIRECTORY = 0;
+const CSSLOT_ENTITLEMENTS = 5;
+const CSSLOT_SIGNATURESLOT = 0x10000;
+const CS_ADHOC = 0x2;
+
+// CodeDirectory hashType values
+const CS_HASH_TYPES = { 1: 'sha1', 2: 'sha256', 3: 'sha256', 4: 'sha384' };
+
+const LC = {
+  SYMTAB: 0x2,
+  LOAD_DYLIB: 0xC,
+  ID_DYLIB: 0xD,
+  UUID: 0x1B,
+  CODE_SIGNATURE: 0x1D,
+  LAZY_LOAD_DYLIB: 0x20,
+  ENCRYPTION_INFO: 0x21,
+  VERSION_MIN_MACOSX: 0x24,
+  VERSION_MIN_IPHONEOS: 0x25,
+  ENCRYPTION_INFO_64: 0x2C,
+  VERSION_MIN_TVOS: 0x2F,
+  VERSION_MIN_WATCHOS: 0x30,
+  BUILD_VERSION: 0x32,
+  LOAD_WEAK_DYLIB: 0x80000018,
+  REEXPORT_DYLIB: 0x8000001F,
+  LOAD_UPWARD_DYLIB: 0x80000023
+};
+
+const DYLIB_COMMANDS = {
+  [LC.LOAD_DYLIB]: 'load',
+  [LC.LOAD_WEAK_DYLIB]: 'weak',
+  [LC.REEXPORT_DYLIB]: 'reexport',
+  [LC.LAZY_LOAD_DYLIB]: 'lazy',
+  [LC.LOAD_UPWARD_DYLIB]: 'upward'
+};
+
+// Smallest valid size of the load commands we read fields from (mach-o/loader.h)
+const COMMAND_SIZES = {
+  [LC.SYMTAB]: 24,
+  [LC.ID_DYLIB]: 24,
+  [LC.UUID]: 24,
+  [LC.CODE_SIGNATURE]: 16,
+  [LC.ENCRYPTION_INFO]: 20,
+  [LC.VERSION_MIN_MACOSX]: 16,
+  [LC.VERSION_MIN_IPHONEOS]: 16,
+  [LC.ENCRYPTION_INFO_64]: 24,
+  [LC.VERSION_MIN_TVOS]: 16,
+  [LC.VERSION_MIN_WATCHOS]: 16,
+  [LC.BUILD_VERSION]: 24,
+  ...Object.fromEntries(Object.keys(DYLIB_COMMANDS).map(cmd => [cmd, 24]))
+};
+
+// LC_BUILD_VERSION platform values (mach-o/loader.h)
+const PLATFORMS = {
+  1: 'macOS',
+  2: 'iOS',
+  3: 'tvOS',
+  4: 'watchOS',
+  5: 'bridgeOS',
+  6: 'macCatalyst',
+  7: 'iOSSimulator',
+  8: 'tvOSSimulator',
+  9: 'watchOSSimulator',
+  10: 'driverKit',
+  11: 'visionOS',
+  12: 'visionOSSimulator'
+};
+
+// Older binaries only carry LC_VERSION_MIN_*, which implies the platform
+const VERSION_MIN_PLATFORMS = {
+  [LC.VERSION_MIN_MACOSX]: 'macOS',
+  [LC.VERSION_MIN_IPHONEOS]: 'iOS',
+  [LC.VERSION_MIN_TVOS]: 'tvOS',
+  [LC.VERSION_MIN_WATCHOS]: 'watchOS'
+};
+
+const FILE_TYPES = { 1: 'object', 2: 'execute', 6: 'dylib', 8: 'bundle', 9: 'dylib_stub', 10: 'dsym' };
+
+// Helper: Architecture name from cputype/cpusubtype
+function archName(cpuType, cpuSubtype) {
+  const subtype = cpuSubtype & CPU_SUBTYPE_MASK;
+  switch (cpuType) {
+    case 7: return 'i386';
+    case 7 | CPU_ARCH_ABI64: return 'x86_64';
+    case 12: return { 9: 'armv7', 11: 'armv7s', 12: 'armv7k' }[subtype] || 'arm';
+    case 12 | CPU_ARCH_ABI64: return subtype === 2 ? 'arm64e' : 'arm64';
+    case 12 | 0x02000000: return 'arm64_32';
+    default: return `cpu${cpuType}`;
+  }
+}
+
+// Helper: Decode an X.Y.Z version packed as xxxx.yy.zz nibbles
+function formatVersion(packed) {
+  const major = packed >>> 16;
+  const minor = (packed >> 8) & 0xFF;
+  const patch = packed & 0xFF;
+  return patch ? `${major}.${minor}.${patch}` : `${major}.${minor}`;
+}
+
+// Helper: NUL-terminated string at an offset
+function readCString(buffer, offset, end = buffer.length) {
+  const terminator = buffer.indexOf(0, offset);
+  return buffer.toString('utf8', offset, terminator === -1 || terminator > end ? end : terminator);
+}
+
+// Helper: Offset of the blob in a code signature SuperBlob's `slot`, or -1 if absent
+function findSignatureBlob(buffer, start, end, slot) {
+  if (start + 12 > end || buffer.readUInt32BE(start) !== CSMAGIC_EMBEDDED_SIGNATURE) return -1;
+  const count = buffer.readUInt32BE(start + 8);
+  for (let i = 0; i < count && start + 20 + i * 8 <= end; i++) {
+    const blob = start + buffer.readUInt32BE(start + 16 + i * 8);
+    if (buffer.readUInt32BE(start + 12 + i * 8) === slot && blob + 8 <= end) return blob;
+  }
+  return -1;
+}
+
+// Helper: Entitlements plist from a code signature SuperBlob, or null if unsigned or without entitlements
+function readEntitlements(buffer, start, end) {
+  const blob = findSignatureBlob(buffer, start, end, CSSLOT_ENTITLEMENTS);
+  if (blob < 0 || buffer.readUInt32BE(blob) !== CSMAGIC_EMBEDDED_ENTITLEMENTS) return null;
+  return parsePlist(buffer.subarray(blob + 8, Math.min(blob + buffer.readUInt32BE(blob + 4), end)));
+}
+
+/**
+ * Read the CodeDirectory of a code signature and verify its page hashes against the slice.
+ * `valid` means every page of the signed code still matches; it says nothing about who signed it.
+ */
+function readCodeSignature(buffer, sliceOffset, start, end) {
+  const directory = findSignatureBlob(buffer, start, end, CSSLOT_CODEDIRECTORY);
+  if (directory < 0 || buffer.readUInt32BE(directory) !== CSMAGIC_CODEDIRECTORY || directory + 44 > end) {
+    return { identifier: null, teamId: null, adhoc: null, valid: false, error: 'No CodeDirectory in code signature' };
+  }
+
+  const version = buffer.readUInt32BE(directory + 8);
+  const flags = buffer.readUInt32BE(directory + 12);
+  const hashOffset = buffer.readUInt32BE(directory + 16);
+  const identOffset = buffer.readUInt32BE(directory + 20);
+  const codeSlots = buffer.readUInt32BE(directory + 28);
+  const codeLimit = buffer.readUInt32BE(directory + 32);
+  const hashSize = buffer[directory + 36];
+  const hashType = CS_HASH_TYPES[buffer[directory + 37]];
+  const pageSize = buffer[directory + 39] ? 2 ** buffer[directory + 39] : codeLimit;
+  // The team ID field only exists from version 0x20200 on
+  const teamOffset = version >= 0x20200 && directory + 52 <= end ? buffer.readUInt32BE(directory + 48) : 0;
+
+  // Ad-hoc signatures have an empty CMS blob (or none) instead of a certificate chain
+  const cms = findSignatureBlob(buffer, start, end, CSSLOT_SIGNATURESLOT);
+  const hasCertificates = cms >= 0 && buffer.readUInt32BE(cms) === CSMAGIC_BLOBWRAPPER && buffer.readUInt32BE(cms + 4) > 8;
+
+  const signature = {
+    identifier: readCString(buffer, directory + identOffset, end),
+    teamId: teamOffset ? readCString(buffer, directory + teamOffset, end) : null,
+    adhoc: (flags & CS_ADHOC) !== 0 || !hasCertificates,
+    hashType: hashType || null,
+    valid: false,
+    error: null
+  };
+
+  if (!hashType) {
+    signature.error = `Unsupported CodeDirectory hash type ${buffer[directory + 37]}`;
+    return signature;
+  }
+  if (sliceOffset + codeLimit > buffer.length || directory + hashOffset + codeSlots * hashSize > end) {
+    signature.error = 'Code signature covers more data than the binary contains';
+    return signature;
+  }
+  for (let page = 0; page < codeSlots; page++) {
+    const pageStart = sliceOffset + page * pageSize;
+    const pageEnd = Math.min(pageStart + pageSize, sliceOffset + codeLimit);
+    const actual = crypto.createHash(hashType).update(buffer.subarray(pageStart, pageEnd)).digest().subarray(0, hashSize);
+    const expectedStart = directory + hashOffset + page * hashSize;
+    if (!actual.equals(buffer.subarray(expectedStart, expectedStart + hashSize))) {
+      signature.error = `Page ${page} does not match its signed hash (modified after signing)`;
+      return signature;
+    }
+  }
+  signature.valid = true;
+  return signature;
+}
+
+/**
+ * Parse a single-architecture Mach-O image starting at `offset`
+ */
+function parseSlice(buffer, offset) {
+  if (offset + 4 > buffer.length) throw new Error('Truncated Mach-O header');
+  const magic = buffer.readUInt32LE(offset);
+  if (magic !== MH_MAGIC && magic !== MH_MAGIC_64) {
+    throw new Error(`Not a Mach-O image (magic 0x${magic.toString(16)})`);
+  }
+  const is64 = magic === MH_MAGIC_64;
+  if (offset + (is64 ? 32 : 28) > buffer.length) throw new Error('Truncated Mach-O header');
+
+  const cpuType = buffer.readInt32LE(offset + 4);
+  const cpuSubtype = buffer.readInt32LE(offset + 8);
+  const fileType = buffer.readUInt32LE(offset + 12);
+  const commandCount = buffer.readUInt32LE(offset + 16);
+  const flags = buffer.readUInt32LE(offset + 24);
+
+  const slice = {
+    arch: archName(cpuType, cpuSubtype),
+    fileType: FILE_TYPES[fileType] || `type${fileType}`,
+    platform: null,
+    minOS: null,
+    sdk: null,
+    installName: null,
+    uuid: null,
+    dylibs: [],
+    encryption: null,
+    pie: (flags & MH_PIE) !== 0,
+    stackCanary: false,
+    signed: false,
+    signature: null,
+    entitlements: null
+  };
+
+  let cursor = offset + (is64 ? 32 : 28);
+  for (let i = 0; i < commandCount; i++) {
+    if (cursor + 8 > buffer.length) throw new Error('Truncated Mach-O load commands');
+    const cmd = buffer.readUInt32LE(cursor);
+    const size = buffer.readUInt32LE(cursor + 4);
+    if (size < (COMMAND_SIZES[cmd] || 8)) throw new Error(`Invalid load command size ${size}`);
+    if (cursor + size > buffer.length) throw new Error('Truncated Mach-O load commands');
+
+    if (DYLIB_COMMANDS[cmd]) {
+      slice.dylibs.push({
+        name: readCString(buffer, cursor + buffer.readUInt32LE(cursor + 8), cursor + size),
+        kind: DYLIB_COMMANDS[cmd]
+      });
+    } else if (cmd === LC.ID_DYLIB) {
+      slice.installName = readCString(buffer, cursor + buffer.readUInt32LE(cursor + 8), cursor + size);
+    } else if (cmd === LC.BUILD_VERSION) {
+      const platform = buffer.readUInt32LE(cursor + 8);
+      slice.platform = PLATFORMS[platform] || `platform${platform}`;
+      slice.minOS = formatVersion(buffer.readUInt32LE(cursor + 12));
+      slice.sdk = formatVersion(buffer.readUInt32LE(cursor + 16));
+    } else if (VERSION_MIN_PLATFORMS[cmd] && !slice.platform) {
+      slice.platform = VERSION_MIN_PLATFORMS[cmd];
+      slice.minOS = formatVersion(buffer.readUInt32LE(cursor + 8));
+      slice.sdk = formatVersion(buffer.readUInt32LE(cursor + 12));
+    } else if (cmd === LC.ENCRYPTION_INFO || cmd === LC.ENCRYPTION_INFO_64) {
+      slice.encryption = {
+        offset: buffer.readUInt32LE(cursor + 8),
+        size: buffer.readUInt32LE(cursor + 12),
+        encrypted: buffer.readUInt32LE(cursor + 16) !== 0
+      };
+    } else if (cmd === LC.UUID) {
+      slice.uuid = buffer.toString('hex', cursor + 8, cursor + 24).toUpperCase();
+    } else if (cmd === LC.CODE_SIGNATURE) {
+      const signatureStart = offset + buffer.readUInt32LE(cursor + 8);
+      const signatureEnd = Math.min(signatureStart + buffer.readUInt32LE(cursor + 12), buffer.length);
+      slice.signed = true;
+      try {
+        slice.signature = readCodeSignature(buffer, offset, signatureStart, signatureEnd);
+      } catch (error) {
+        slice.signature = { valid: false, error: error.message };
+      }
+      try {
+        slice.entitlements = readEntitlements(buffer, signatureStart, signatureEnd);
+      } catch (error) {
+        slice.entitlementsError = error.message;
+      }
+    } else if (cmd === LC.SYMTAB) {
+      // Symbol offsets are relative to the start of the slice
+      const stringsStart = offset + buffer.readUInt32LE(cursor + 16);
+      const stringsEnd = Math.min(stringsStart + buffer.readUInt32LE(cursor + 20), buffer.length);
+      const strings = buffer.toString('latin1', stringsStart, stringsEnd);
+      slice.stackCanary = strings.includes('___stack_chk_guard\0') || strings.includes('___stack_chk_fail\0');
+    }
+
+    cursor += size;
+  }
+
+  // Intel slices predate LC_BUILD_VERSION simulator platforms, but only ever run in the simulator on iOS
+  slice.simulator = /Simulator$/.test(slice.platform || '') ||
+    ((slice.arch === 'x86_64' || slice.arch === 'i386') && slice.platform !== 'macOS' && slice.platform !== 'macCatalyst');
+
+  return slice;
+}
+
+/**
+ * Check whether a buffer starts with a Mach-O or fat (universal) header
+ */
+function isMachO(buffer) {
+  if (buffer.length < 8) return false;
+  const bigEndian = buffer.readUInt32BE(0);
+  const littleEndian = buffer.readUInt32LE(0);
+  return bigEndian === FAT_MAGIC || bigEndian === FAT_MAGIC_64 ||
+    littleEndian === MH_MAGIC || littleEndian === MH_MAGIC_64;
+}
+
+/**
+ * Parse a Mach-O binary, thin or fat.
+ * Returns { fat, slices: [{ arch, size, platform, minOS, sdk, dylibs, encryption, pie, stackCanary, simulator, ... }] }.
+ */
+function parseMachO(buffer) {
+  if (buffer.length < 8) throw new Error(`Not a Mach-O image (${buffer.length} bytes)`);
+  const magic = buffer.readUInt32BE(0);
+  if (magic !== FAT_MAGIC && magic !== FAT_MAGIC_64) {
+    return { fat: false, slices: [{ ...parseSlice(buffer, 0), size: buffer.length }] };
+  }
+
+  const is64 = magic === FAT_MAGIC_64;
+  const count = buffer.readUInt32BE(4);
+  if (8 + count * (is64 ? 32 : 20) > buffer.length) throw new Error('Truncated fat header');
+  const slices = [];
+  for (let i = 0; i < count; i++) {
+    const entry = 8 + i * (is64 ? 32 : 20);
+    const offset = is64 ? Number(buffer.readBigUInt64BE(entry + 8)) : buffer.readUInt32BE(entry + 8);
+    const size = is64 ? Number(buffer.readBigUInt64BE(entry + 16)) : buffer.readUInt32BE(entry + 12);
+    slices.push({ ...parseSlice(buffer, offset), size });
+  }
+  return { fat: true, slices };
+}
+
+/**
+ * Compact per-binary view for the app model: architectures, platform, versions and hardening flags
+ */
+function summarizeMachO({ fat, slices }) {
+  const device = slices.filter(slice => !slice.simulator);
+  const primary = device.find(slice => slice.arch === 'arm64') || device[0] || slices[0];
+  return {
+    fat,
+    architectures: slices.map(slice => slice.simulator && slice.arch === 'arm64' ? 'arm64-simulator' : slice.arch),
+    simulatorSlices: slices.filter(slice => slice.simulator)
+      .map(slice => slice.arch === 'arm64' ? 'arm64-simulator' : slice.arch),
+    // Bytes per slice, in the order of `architectures` (app thinning keeps one device slice)
+    sliceSizes: slices.map(slice => slice.size),
+    platform: primary.platform,
+    minOS: primary.minOS,
+    sdk: primary.sdk,
+    installName: primary.installName,
+    uuid: primary.uuid,
+    dylibs: primary.dylibs,
+    encrypted: slices.some(slice => slice.encryption?.encrypted),
+    pie: primary.pie,
+    stackCanary: primary.stackCanary,
+    signed: primary.signed,
+    signature: primary.signature,
+    entitlements: primary.entitlements,
+    entitlementsError: primary.entitlementsError
+  };
+}
+
+module.exports = { isMachO, parseMachO, summarizeMachO, formatVersion };
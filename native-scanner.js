@@ -0,0 +1,44 @@
+const { openIPA, buildAppModel, summarizeAppModel } = require('./ipa-inspector');
+const { summarizeFindings } = require('./findings');
+const checks = require('./checks');
+
+/**
+ * Scan an .ipa in-process, without the greenlight CLI.
+ * `filter(check)` restricts which checks run (all by default). `throwIfCancelled()` is called
+ * before each check, so a cancelled job stops between checks.
+ */
+async function scanIPA(ipaPath, { filter, throwIfCancelled = () => {} } = {}) {
+  const ipa = await openIPA(ipaPath);
+  const selected = filter ? checks.filter(filter) : checks;
+
+  try {
+    const app = await buildAppModel(ipa);
+
+    const findings = [];
+    for (const check of selected) {
+      throwIfCancelled();
+      try {
+        findings.push(...await check.run(app, ipa));
+      } catch (error) {
+        console.error(`Native check "${check.id}" failed:`, error.message);
+      }
+    }
+
+    const summary = summarizeFindings(findings);
+
+    return {
+      engine: 'native',
+      status: summary.critical > 0 ? 'fail' : 'pass',
+      appName: app.appName,
+      size: app.ipaSize,
+      summary,
+      findings,
+      checksRun: selected.map(({ id, title }) => ({ id, title })),
+      app: summarizeAppModel(app)
+    };
+  } finally {
+    await ipa.close();
+  }
+}
+
+module.exports = { scanIPA };
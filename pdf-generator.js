@@ -61,8 +61,13 @@ function generateCompliancePDF(scanResults, outputPath) {
       // Key Metrics
       doc.fontSize(12).font('Helvetica').fillColor('#000000')
          .text(`Critical Issues: ${scanResults.summary?.critical || 0}`, 50, y)
-         .text(`Warnings: ${scanResults.summary?.warnings || 0}`, 200, y)
+         .text(`Warnings: ${scanResults.summary?.warn || 0}`, 200, y)
          .text(`Info: ${scanResults.summary?.info || 0}`, 350, y);
+
+      if (scanResults.summary?.suppressed) {
+        doc.fillColor('#6B7280')
+           .text(`Suppressed: ${scanResults.summary.suppressed}`, 450, y);
+      }
       
       y += 30;
 
@@ -73,13 +78,287 @@ function generateCompliancePDF(scanResults, outputPath) {
         y += 20;
         doc.fontSize(11).font('Helvetica')
            .text(scanResults.aiAnalysis.riskLevel, 50, y);
+        y += 18;
+        if (scanResults.aiAnalysis.provider) {
+          doc.fontSize(9).fillColor('#666666')
+             .text(`Assessed by ${scanResults.aiAnalysis.provider} (${scanResults.aiAnalysis.model})`, 50, y);
+          doc.fillColor('#000000');
+          y += 15;
+        }
+        y += 7;
+      }
+
+      // ========================================
+      // SIGNING & ENTITLEMENTS
+      // ========================================
+      const profile = scanResults.app?.provisioning;
+      if (profile && !profile.error) {
+        if (y > 600) {
+          doc.addPage();
+          y = 50;
+        }
+
+        doc.fontSize(16).font('Helvetica-Bold').fillColor('#000000')
+           .text('Signing & Entitlements', 50, y);
+        y += 25;
+
+        // Prefer what the executable was actually signed with over what the profile allows
+        const entitlements = scanResults.app.entitlements || profile.entitlements || {};
+        const rows = [
+          ['Profile', `${profile.name || 'Unnamed'} (${profile.type})`],
+          ['Team', [profile.teamName, profile.teamId].filter(Boolean).join(' · ') || 'Unknown'],
+          ['Expires', profile.expirationDate ? new Date(profile.expirationDate).toISOString().slice(0, 10) : 'Unknown'],
+          ['Push environment', entitlements['aps-environment'] || 'Not enabled'],
+          ['Associated domains', (entitlements['com.apple.developer.associated-domains'] || []).join(', ') || 'None'],
+          ['Entitlements from', scanResults.app.entitlements ? 'Code signature' : 'Provisioning profile']
+        ];
+
+        rows.forEach(([label, value]) => {
+          doc.fontSize(10).font('Helvetica-Bold').fillColor('#374151')
+             .text(label, 50, y, { width: 130 });
+          doc.font('Helvetica').fillColor('#333333')
+             .text(value, 185, y, { width: 377 });
+          y += Math.max(doc.heightOfString(value, { width: 377 }), 12) + 4;
+        });
+
+        y += 20;
+      }
+
+      // ========================================
+      // APP TRANSPORT SECURITY
+      // ========================================
+      const ats = scanResults.app?.ats;
+      if (ats && (ats.configured || ats.insecureURLs?.length)) {
+        if (y > 600) {
+          doc.addPage();
+          y = 50;
+        }
+
+        doc.fontSize(16).font('Helvetica-Bold').fillColor('#000000')
+           .text('App Transport Security', 50, y);
+        y += 25;
+
+        const yesNo = (value) => value ? 'Yes' : 'No';
+        const rows = [
+          ['Arbitrary loads', ats.allowsArbitraryLoads
+            ? (ats.arbitraryLoadsIgnored ? 'Yes (ignored on iOS 10+)' : 'Yes')
+            : 'No'],
+          ['Media', yesNo(ats.allowsArbitraryLoadsForMedia)],
+          ['Web content', yesNo(ats.allowsArbitraryLoadsInWebContent)],
+          ['Local networking', yesNo(ats.allowsLocalNetworking)]
+        ];
+
+        rows.forEach(([label, value]) => {
+          doc.fontSize(10).font('Helvetica-Bold').fillColor('#374151')
+             .text(label, 50, y, { width: 130 });
+          doc.font('Helvetica').fillColor('#333333')
+             .text(value, 185, y, { width: 377 });
+          y += 16;
+        });
+        y += 10;
+
+        // Exception domains table
+        if (ats.exceptionDomains.length > 0) {
+          const columns = [
+            ['Domain', 50, 200],
+            ['Subdomains', 255, 70],
+            ['HTTP', 330, 60],
+            ['Min TLS', 395, 70],
+            ['Fwd secrecy', 470, 92]
+          ];
+          const drawRow = (cells, font, color) => {
+            const height = Math.max(doc.fontSize(9).font(font).heightOfString(cells[0], { width: 200 }), 11);
+            cells.forEach((cell, i) => {
+              doc.fontSize(9).font(font).fillColor(color)
+                 .text(cell, columns[i][1], y, { width: columns[i][2] });
+            });
+            y += height + 5;
+          };
+
+          drawRow(columns.map(([heading]) => heading), 'Helvetica-Bold', '#374151');
+          ats.exceptionDomains.forEach((row) => {
+            if (y > 700) {
+              doc.addPage();
+              y = 50;
+            }
+            drawRow([
+              row.domain,
+              yesNo(row.includesSubdomains === true),
+              row.allowsInsecureHTTPLoads === true ? 'Allowed' : 'Blocked',
+              String(row.minimumTLSVersion),
+              row.requiresForwardSecrecy === false ? 'Not required' : 'Required'
+            ], 'Helvetica', '#333333');
+          });
+          y += 10;
+        }
+
+        // Hard-coded http:// URLs and whether ATS lets them through
+        if (ats.insecureURLs?.length > 0) {
+          doc.fontSize(11).font('Helvetica-Bold').fillColor('#000000')
+             .text(`Hard-coded http:// URLs (${ats.insecureURLs.length})`, 50, y);
+          y += 18;
+
+          ats.insecureURLs.forEach((entry) => {
+            if (y > 700) {
+              doc.addPage();
+              y = 50;
+            }
+            const status = entry.allowed ? `Allowed by ${entry.allowedBy}` : 'Blocked by ATS';
+            const line = `${entry.url} — ${status} (${entry.files.join(', ')})`;
+            doc.fontSize(9).font('Helvetica').fillColor(entry.allowed ? '#333333' : '#B45309')
+               .text(line, 50, y, { width: 512 });
+            y += doc.heightOfString(line, { width: 512 }) + 4;
+          });
+        }
+
+        y += 20;
+      }
+
+      // ========================================
+      // THIRD-PARTY SDKS
+      // ========================================
+      const inventory = scanResults.app?.sdkInventory;
+      if (inventory && (inventory.sdks.length || inventory.unidentified.length)) {
+        if (y > 600) {
+          doc.addPage();
+          y = 50;
+        }
+
+        doc.fontSize(16).font('Helvetica-Bold').fillColor('#000000')
+           .text('Third-Party SDKs', 50, y);
+        y += 20;
+        doc.fontSize(9).font('Helvetica').fillColor('#666666')
+           .text(`Fingerprint database ${inventory.databaseVersion}. "Listed" marks SDKs on Apple's list of privacy-impacting SDKs.`, 50, y, { width: 512 });
+        y += 20;
+
+        const columns = [
+          ['SDK', 50, 170],
+          ['Linkage', 225, 55],
+          ['Listed', 285, 45],
+          ['Manifest', 335, 60],
+          ['Signature', 400, 162]
+        ];
+        const drawRow = (cells, font, color) => {
+          const height = Math.max(...cells.map((cell, i) =>
+            doc.fontSize(9).font(font).heightOfString(cell, { width: columns[i][2] })), 11);
+          cells.forEach((cell, i) => {
+            doc.fontSize(9).font(font).fillColor(color)
+               .text(cell, columns[i][1], y, { width: columns[i][2] });
+          });
+          y += height + 5;
+        };
+        const signatureLabel = (signature) => {
+          if (!signature) return 'n/a (static)';
+          if (!signature.signed) return 'Unsigned';
+          if (!signature.valid) return 'Invalid';
+          return [signature.adhoc ? 'Ad hoc' : 'Signed', signature.teamId].filter(Boolean).join(' · ');
+        };
+
+        drawRow(columns.map(([heading]) => heading), 'Helvetica-Bold', '#374151');
+        inventory.sdks.forEach((sdk) => {
+          if (y > 700) {
+            doc.addPage();
+            y = 50;
+          }
+          const missing = sdk.privacyImpacting && (!sdk.privacyManifest || (sdk.signature && !sdk.signature.valid));
+          drawRow([
+            `${sdk.name}${sdk.version ? ` ${sdk.version}` : ''}`,
+            sdk.linkage,
+            sdk.privacyImpacting ? 'Yes' : 'No',
+            sdk.privacyManifest ? 'Yes' : 'Missing',
+            signatureLabel(sdk.signature)
+          ], 'Helvetica', missing ? '#B45309' : '#333333');
+        });
+
+        if (inventory.unidentified.length > 0) {
+          const names = inventory.unidentified.map(framework => `${framework.name}${framework.version ? ` ${framework.version}` : ''}`).join(', ');
+          y += 5;
+          doc.fontSize(9).font('Helvetica-Oblique').fillColor('#666666')
+             .text(`Not in the fingerprint database: ${names}`, 50, y, { width: 512 });
+          y += doc.heightOfString(`Not in the fingerprint database: ${names}`, { width: 512 }) + 5;
+        }
+
+        y += 20;
+      }
+
+      // ========================================
+      // APP SIZE
+      // ========================================
+      const size = scanResults.app?.size;
+      if (size) {
+        if (y > 560) {
+          doc.addPage();
+          y = 50;
+        }
+        const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+        doc.fontSize(16).font('Helvetica-Bold').fillColor('#000000')
+           .text('App Size', 50, y);
+        y += 20;
+        doc.fontSize(9).font('Helvetica').fillColor('#666666')
+           .text(`Download sizes are compressed sizes; thinned estimates drop other architectures and image scales (asset catalogs are counted in full). Cellular limit: ${mb(size.cellularLimit)}.`, 50, y, { width: 512 });
         y += 25;
+
+        const columns = [
+          ['Name', 50, 200],
+          ['Download', 255, 90],
+          ['Install', 350, 90],
+          ['Files', 445, 117]
+        ];
+        const drawRow = (cells, font, color) => {
+          const height = Math.max(...cells.map((cell, i) =>
+            doc.fontSize(9).font(font).heightOfString(cell, { width: columns[i][2] })), 11);
+          cells.forEach((cell, i) => {
+            doc.fontSize(9).font(font).fillColor(color)
+               .text(cell, columns[i][1], y, { width: columns[i][2] });
+          });
+          y += height + 5;
+        };
+        const section = (title, rows, lastHeading = 'Files') => {
+          if (y > 680) {
+            doc.addPage();
+            y = 50;
+          }
+          drawRow([title, 'Download', 'Install', lastHeading], 'Helvetica-Bold', '#374151');
+          rows.forEach((row) => {
+            if (y > 720) {
+              doc.addPage();
+              y = 50;
+            }
+            drawRow(row.cells, 'Helvetica', row.warn ? '#B45309' : '#333333');
+          });
+          y += 8;
+        };
+
+        section('Estimate', [
+          { cells: ['Universal IPA', mb(size.ipaSize), mb(size.installSize), ''], warn: size.overCellularLimit },
+          ...size.thinning.map(variant => ({
+            cells: [variant.name, mb(variant.downloadSize), mb(variant.installSize), `saves ${mb(variant.savedBytes)}`],
+            warn: variant.overCellularLimit
+          }))
+        ], '');
+        section('Component', size.byComponent.slice(0, 12).map(component => ({
+          cells: [component.name, mb(component.compressedSize), mb(component.size), String(component.files)]
+        })));
+        section('Media type', size.byType.map(type => ({
+          cells: [type.type, mb(type.compressedSize), mb(type.size), String(type.files)]
+        })));
+        if (size.byLocalization.length > 0) {
+          section('Localization', size.byLocalization.slice(0, 10).map(locale => ({
+            cells: [locale.locale, mb(locale.compressedSize), mb(locale.size), String(locale.files)]
+          })));
+        }
+        section('Largest files', size.largestFiles.slice(0, 10).map(file => ({
+          cells: [file.path, mb(file.compressedSize), mb(file.size), file.type]
+        })), 'Type');
+
+        y += 12;
       }
 
       // ========================================
       // DETAILED FINDINGS
       // ========================================
-      doc.fontSize(16).font('Helvetica-Bold')
+      doc.fontSize(16).font('Helvetica-Bold').fillColor('#000000')
          .text('Detailed Findings', 50, y);
       y += 30;
 
@@ -94,15 +373,15 @@ function generateCompliancePDF(scanResults, outputPath) {
 
         // Severity badge
         const severityColors = {
-          'CRITICAL': '#EF4444',
-          'WARNING': '#F59E0B',
-          'INFO': '#3B82F6'
+          'critical': '#EF4444',
+          'warn': '#F59E0B',
+          'info': '#3B82F6'
         };
         const color = severityColors[finding.severity] || '#6B7280';
 
         doc.rect(50, y, 100, 20).fillAndStroke(color, color);
         doc.fontSize(10).font('Helvetica-Bold').fillColor('#FFFFFF')
-           .text(finding.severity, 50, y + 5, { width: 100, align: 'center' });
+           .text((finding.severity || 'info').toUpperCase(), 50, y + 5, { width: 100, align: 'center' });
         
         // Finding title
         doc.fontSize(12).font('Helvetica-Bold').fillColor('#000000')
@@ -116,11 +395,58 @@ function generateCompliancePDF(scanResults, outputPath) {
         
         y += doc.heightOfString(finding.description || 'No description', { width: 512 }) + 10;
 
-        // Guideline reference
-        if (finding.guideline) {
-          doc.fontSize(9).fillColor('#666666')
-             .text(`📋 Guideline: ${finding.guideline}`, 50, y);
-          y += 15;
+        // Guideline clauses at risk, each linked to its section of the guidelines
+        const clauses = finding.guidelines?.length
+          ? finding.guidelines
+          : finding.guideline ? [{ number: finding.guideline }] : [];
+        clauses.forEach(clause => {
+          const label = `📋 Guideline ${clause.number}${clause.title ? ` – ${clause.title}` : ''}`;
+          doc.fontSize(9).font('Helvetica').fillColor(clause.url ? '#2563EB' : '#666666')
+             .text(label, 50, y, { width: 512, link: clause.url || null, underline: Boolean(clause.url) });
+          y += doc.heightOfString(label, { width: 512 }) + 3;
+        });
+        if (clauses.length) y += 2;
+
+        // Check ID and location
+        if (finding.checkId || finding.location) {
+          const where = [finding.checkId && `Check: ${finding.checkId}`, finding.location && `Location: ${finding.location}`]
+            .filter(Boolean).join('   ');
+          doc.fontSize(9).font('Helvetica').fillColor('#666666')
+             .text(where, 50, y, { width: 512 });
+          y += doc.heightOfString(where, { width: 512 }) + 5;
+        }
+
+        // Security advisory behind a vulnerable-dependency finding
+        if (finding.advisory) {
+          const advisory = [
+            `🔐 Advisory: ${finding.advisory.id}`,
+            finding.advisory.aliases?.length && `(${finding.advisory.aliases.join(', ')})`,
+            finding.advisory.url
+          ].filter(Boolean).join('   ');
+          doc.fontSize(9).font('Helvetica').fillColor('#666666')
+             .text(advisory, 50, y, { width: 512 });
+          y += doc.heightOfString(advisory, { width: 512 }) + 5;
+        }
+
+        // Project config adjustments
+        const configNotes = [
+          finding.originalSeverity && `Severity overridden by project config (scanner reported ${finding.originalSeverity.toUpperCase()})`,
+          finding.suppressionExpired && `Suppression expired ${finding.suppressionExpired.expires}: ${finding.suppressionExpired.justification}`
+        ].filter(Boolean).join('\n');
+        if (configNotes) {
+          doc.fontSize(9).font('Helvetica-Oblique').fillColor('#B45309')
+             .text(configNotes, 50, y, { width: 512 });
+          y += doc.heightOfString(configNotes, { width: 512 }) + 5;
+        }
+
+        // Fix reported by the scanner
+        if (finding.fix && !finding.fixSuggestion) {
+          doc.fontSize(9).font('Helvetica-Bold').fillColor('#10B981')
+             .text('✓ How to Fix:', 50, y);
+          y += 12;
+          doc.font('Helvetica').fillColor('#333333')
+             .text(finding.fix, 65, y, { width: 497 });
+          y += doc.heightOfString(finding.fix, { width: 497 }) + 15;
         }
 
         // Fix suggestion (AI-powered)
@@ -138,6 +464,47 @@ function generateCompliancePDF(scanResults, outputPath) {
         y += 20;
       });
 
+      // ========================================
+      // SUPPRESSED FINDINGS (accepted risks, listed for auditors)
+      // ========================================
+      const suppressed = scanResults.suppressed || [];
+      if (suppressed.length > 0) {
+        if (y > 650) {
+          doc.addPage();
+          y = 50;
+        }
+
+        doc.fontSize(16).font('Helvetica-Bold').fillColor('#000000')
+           .text(`Suppressed Findings (${suppressed.length})`, 50, y);
+        y += 20;
+        doc.fontSize(9).font('Helvetica').fillColor('#666666')
+           .text('Accepted by the project configuration. Not counted in the summary or the CI gate.', 50, y);
+        y += 20;
+
+        suppressed.forEach((finding) => {
+          if (y > 700) {
+            doc.addPage();
+            y = 50;
+          }
+
+          doc.fontSize(11).font('Helvetica-Bold').fillColor('#374151')
+             .text(`[${(finding.severity || 'info').toUpperCase()}] ${finding.title}`, 50, y, { width: 512 });
+          y += doc.heightOfString(`[${(finding.severity || 'info').toUpperCase()}] ${finding.title}`, { width: 512 }) + 4;
+
+          const details = [
+            [finding.checkId && `Check: ${finding.checkId}`, finding.location && `Location: ${finding.location}`,
+              `Fingerprint: ${finding.fingerprint}`].filter(Boolean).join('   '),
+            `Justification: ${finding.suppression.justification}`,
+            `Expires: ${finding.suppression.expires}${finding.suppression.author ? `   Approved by: ${finding.suppression.author}` : ''}`
+          ].join('\n');
+          doc.fontSize(9).font('Helvetica').fillColor('#666666')
+             .text(details, 65, y, { width: 497 });
+          y += doc.heightOfString(details, { width: 497 }) + 15;
+        });
+
+        y += 10;
+      }
+
       // ========================================
       // AI RECOMMENDATIONS
       // ========================================
@@ -0,0 +1,186 @@
+const cheerio = require('cheerio');
+
+// Seconds between the Unix epoch and the Core Data epoch (2001-01-01T00:00:00Z)
+const APPLE_EPOCH_OFFSET = 978307200;
+
+// Helper: Read a big-endian unsigned integer of 1/2/4/8 bytes
+function readUInt(buffer, offset, size) {
+  switch (size) {
+    case 1: return buffer.readUInt8(offset);
+    case 2: return buffer.readUInt16BE(offset);
+    case 4: return buffer.readUInt32BE(offset);
+    case 8: return Number(buffer.readBigUInt64BE(offset));
+    default: throw new Error(`Unsupported integer size ${size} in binary plist`);
+  }
+}
+
+/**
+ * Parse a binary property list (bplist00)
+ */
+function parseBinaryPlist(buffer) {
+  const trailer = buffer.subarray(buffer.length - 32);
+  const offsetSize = trailer.readUInt8(6);
+  const refSize = trailer.readUInt8(7);
+  const objectCount = Number(trailer.readBigUInt64BE(8));
+  const topObject = Number(trailer.readBigUInt64BE(16));
+  const offsetTableOffset = Number(trailer.readBigUInt64BE(24));
+
+  const offsets = [];
+  for (let i = 0; i < objectCount; i++) {
+    offsets.push(readUInt(buffer, offsetTableOffset + i * offsetSize, offsetSize));
+  }
+
+  // Guards against malformed files that reference an object from inside itself
+  const resolving = new Set();
+
+  function readLength(info, offset) {
+    if (info !== 0xF) return { length: info, start: offset + 1 };
+    const intMarker = buffer.readUInt8(offset + 1);
+    const intSize = 1 << (intMarker & 0xF);
+    return { length: readUInt(buffer, offset + 2, intSize), start: offset + 2 + intSize };
+  }
+
+  function readObject(ref) {
+    if (resolving.has(ref)) throw new Error('Circular reference in binary plist');
+    resolving.add(ref);
+    try {
+      return decodeObject(offsets[ref]);
+    } finally {
+      resolving.delete(ref);
+    }
+  }
+
+  function decodeObject(offset) {
+    const marker = buffer.readUInt8(offset);
+    const type = marker >> 4;
+    const info = marker & 0xF;
+
+    switch (type) {
+      case 0x0:
+        if (info === 0x8) return false;
+        if (info === 0x9) return true;
+        return null;
+      case 0x1: {
+        const size = 1 << info;
+        if (size === 8) return Number(buffer.readBigInt64BE(offset + 1));
+        if (size === 16) return Number(buffer.readBigInt64BE(offset + 9));
+        return readUInt(buffer, offset + 1, size);
+      }
+      case 0x2:
+        return info === 2 ? buffer.readFloatBE(offset + 1) : buffer.readDoubleBE(offset + 1);
+      case 0x3:
+        return new Date((APPLE_EPOCH_OFFSET + buffer.readDoubleBE(offset + 1)) * 1000);
+      case 0x4: {
+        const { length, start } = readLength(info, offset);
+        return Buffer.from(buffer.subarray(start, start + length));
+      }
+      case 0x5: {
+        const { length, start } = readLength(info, offset);
+        return buffer.toString('latin1', start, start + length);
+      }
+      case 0x6: {
+        const { length, start } = readLength(info, offset);
+        const utf16 = Buffer.from(buffer.subarray(start, start + length * 2));
+        return utf16.swap16().toString('utf16le');
+      }
+      case 0x8:
+        return { UID: readUInt(buffer, offset + 1, info + 1) };
+      case 0xA:
+      case 0xC: {
+        const { length, start } = readLength(info, offset);
+        const items = [];
+        for (let i = 0; i < length; i++) {
+          items.push(readObject(readUInt(buffer, start + i * refSize, refSize)));
+        }
+        return items;
+      }
+      case 0xD: {
+        const { length, start } = readLength(info, offset);
+        const dict = {};
+        for (let i = 0; i < length; i++) {
+          const key = readObject(readUInt(buffer, start + i * refSize, refSize));
+          const valueRef = readUInt(buffer, start + (length + i) * refSize, refSize);
+          dict[key] = readObject(valueRef);
+        }
+        return dict;
+      }
+      default:
+        throw new Error(`Unknown binary plist object type 0x${marker.toString(16)}`);
+    }
+  }
+
+  return readObject(topObject);
+}
+
+/**
+ * Parse an XML property list
+ */
+function parseXMLPlist(xml) {
+  const $ = cheerio.load(xml, { xml: true });
+  const root = $('plist').children().first();
+  if (!root.length) {
+    throw new Error('Not a valid XML plist (missing <plist> root)');
+  }
+  // The XML parser silently closes open tags, so catch truncated files explicitly
+  if (!/<\/plist>/.test(String(xml))) {
+    throw new Error('Not a valid XML plist (truncated, missing </plist>)');
+  }
+
+  function decodeNode(node) {
+    const el = $(node);
+    switch (node.tagName) {
+      case 'dict': {
+        const dict = {};
+        const children = el.children().toArray();
+        for (let i = 0; i < children.length; i += 2) {
+          if (children[i].tagName !== 'key') {
+            throw new Error(`Expected <key> in plist dict, found <${children[i].tagName}>`);
+          }
+          if (!children[i + 1]) {
+            throw new Error(`Missing value for key "${$(children[i]).text()}" in plist dict`);
+          }
+          dict[$(children[i]).text()] = decodeNode(children[i + 1]);
+        }
+        return dict;
+      }
+      case 'array':
+        return el.children().toArray().map(decodeNode);
+      case 'string':
+        return el.text();
+      case 'integer':
+        return parseInt(el.text(), 10);
+      case 'real':
+        return parseFloat(el.text());
+      case 'true':
+        return true;
+      case 'false':
+        return false;
+      case 'date':
+        return new Date(el.text().trim());
+      case 'data':
+        return Buffer.from(el.text().replace(/\s+/g, ''), 'base64');
+      default:
+        throw new Error(`Unknown plist element <${node.tagName}>`);
+    }
+  }
+
+  return decodeNode(root.get(0));
+}
+
+/**
+ * Parse a property list in either binary (bplist00) or XML form
+ */
+function parsePlist(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input, 'utf8');
+
+  if (buffer.subarray(0, 8).toString('latin1') === 'bplist00') {
+    return parseBinaryPlist(buffer);
+  }
+
+  let xml = buffer.toString('utf8');
+  // Strip a UTF-8 BOM, which some build tools leave in place
+  if (xml.charCodeAt(0) === 0xFEFF) xml = xml.slice(1);
+  return parseXMLPlist(xml);
+}
+
+module.exports = { parsePlist, parseBinaryPlist, parseXMLPlist };
@@ -0,0 +1,309 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { parsePlist } = require('./plist-parser');
+const { findSymbols } = require('./binary-strings');
+const PRIVACY_SCHEMA = require('./data/privacy-manifest-schema.json');
+
+const MANIFEST_NAME = 'PrivacyInfo.xcprivacy';
+const CHECK_ID = 'privacy-manifest-schema';
+
+// Directories never worth walking when looking for manifests in a project checkout
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules', 'DerivedData', 'build', '.build']);
+
+const isDict = (value) => !!value && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value) && !(value instanceof Date);
+
+// Symbol or selector name → the required-reason API categories it belongs to
+const REASON_API_SYMBOLS = new Map();
+for (const [category, { symbols = [] }] of Object.entries(PRIVACY_SCHEMA.accessedAPICategories)) {
+  for (const symbol of symbols) {
+    REASON_API_SYMBOLS.set(symbol, [...(REASON_API_SYMBOLS.get(symbol) || []), category]);
+  }
+}
+
+// Helper: Which reason codes belong to which category, to explain codes filed under the wrong one
+function categoryOfReason(code) {
+  return Object.keys(PRIVACY_SCHEMA.accessedAPICategories)
+    .find(category => code in PRIVACY_SCHEMA.accessedAPICategories[category].reasons);
+}
+
+/**
+ * Compact view of a manifest: tracking flag, domains, collected data types and declared API reasons
+ */
+function summarizeManifest(plist) {
+  if (!isDict(plist)) return {};
+
+  const accessedAPITypes = {};
+  for (const entry of Array.isArray(plist.NSPrivacyAccessedAPITypes) ? plist.NSPrivacyAccessedAPITypes : []) {
+    if (!isDict(entry) || typeof entry.NSPrivacyAccessedAPIType !== 'string') continue;
+    const reasons = Array.isArray(entry.NSPrivacyAccessedAPITypeReasons) ? entry.NSPrivacyAccessedAPITypeReasons : [];
+    accessedAPITypes[entry.NSPrivacyAccessedAPIType] = [
+      ...(accessedAPITypes[entry.NSPrivacyAccessedAPIType] || []),
+      ...reasons.filter(reason => typeof reason === 'string')
+    ];
+  }
+
+  return {
+    tracking: typeof plist.NSPrivacyTracking === 'boolean' ? plist.NSPrivacyTracking : null,
+    trackingDomains: Array.isArray(plist.NSPrivacyTrackingDomains) ? plist.NSPrivacyTrackingDomains : [],
+    collectedDataTypes: (Array.isArray(plist.NSPrivacyCollectedDataTypes) ? plist.NSPrivacyCollectedDataTypes : [])
+      .filter(isDict)
+      .map(entry => entry.NSPrivacyCollectedDataType)
+      .filter(Boolean),
+    accessedAPITypes
+  };
+}
+
+/**
+ * Validate a decoded privacy manifest against Apple's schema and allowed values.
+ * Returns findings tied to `file`; pass the decode error instead of a plist for unreadable files.
+ */
+function validatePrivacyManifest(plist, file, { error } = {}) {
+  const findings = [];
+  const report = (severity, title, description, keyPath) => findings.push({
+    checkId: CHECK_ID,
+    title,
+    severity,
+    guideline: '5.1.1',
+    location: file,
+    keyPath,
+    description,
+    impact: severity === 'critical'
+      ? 'App Store Connect rejects uploads with invalid privacy manifests'
+      : 'The privacy report and nutrition label may not match what the app does',
+    fix: `Edit ${file} in Xcode (File > New > File > App Privacy) so it follows Apple's privacy manifest schema`
+  });
+
+  if (error || !isDict(plist)) {
+    report('critical', 'Malformed privacy manifest',
+      `${file} could not be read as a property list dictionary${error ? `: ${error}` : ''}.`);
+    return findings;
+  }
+
+  for (const key of Object.keys(plist)) {
+    if (!PRIVACY_SCHEMA.topLevelKeys.includes(key)) {
+      report('info', `Unknown privacy manifest key ${key}`,
+        `${key} is not part of the privacy manifest schema and is ignored by Apple.`, key);
+    }
+  }
+
+  // NSPrivacyTracking
+  const tracking = plist.NSPrivacyTracking;
+  if (tracking === undefined) {
+    report('warn', 'NSPrivacyTracking not declared',
+      'The manifest does not say whether the app or SDK uses data for tracking (NSPrivacyTracking).', 'NSPrivacyTracking');
+  } else if (typeof tracking !== 'boolean') {
+    report('critical', 'NSPrivacyTracking must be a Boolean',
+      `NSPrivacyTracking is a ${typeof tracking}, expected <true/> or <false/>.`, 'NSPrivacyTracking');
+  }
+
+  // NSPrivacyTrackingDomains
+  const domains = plist.NSPrivacyTrackingDomains;
+  if (domains !== undefined && !Array.isArray(domains)) {
+    report('critical', 'NSPrivacyTrackingDomains must be an array',
+      'NSPrivacyTrackingDomains must be an array of domain names.', 'NSPrivacyTrackingDomains');
+  } else if (domains) {
+    domains.forEach((domain, index) => {
+      if (typeof domain !== 'string' || !/^(?!-)[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(domain)) {
+        report('warn', `Invalid tracking domain "${domain}"`,
+          'Tracking domains must be bare host names (no scheme, port or path), e.g. "ads.example.com".',
+          `NSPrivacyTrackingDomains[${index}]`);
+      }
+    });
+    if (tracking === true && domains.length === 0) {
+      report('warn', 'Tracking enabled without tracking domains',
+        'NSPrivacyTracking is true but NSPrivacyTrackingDomains is empty. iOS blocks tracking domains until the user grants ATT permission, so they should be listed.',
+        'NSPrivacyTrackingDomains');
+    }
+    if (tracking === false && domains.length > 0) {
+      report('warn', 'Tracking domains declared while tracking is disabled',
+        `NSPrivacyTracking is false but ${domains.length} tracking domain(s) are declared. One of the two is wrong.`,
+        'NSPrivacyTrackingDomains');
+    }
+  }
+
+  // NSPrivacyCollectedDataTypes
+  const collected = plist.NSPrivacyCollectedDataTypes;
+  if (collected !== undefined && !Array.isArray(collected)) {
+    report('critical', 'NSPrivacyCollectedDataTypes must be an array',
+      'NSPrivacyCollectedDataTypes must be an array of dictionaries.', 'NSPrivacyCollectedDataTypes');
+  } else if (collected) {
+    const seen = new Set();
+    collected.forEach((entry, index) => {
+      const keyPath = `NSPrivacyCollectedDataTypes[${index}]`;
+      if (!isDict(entry)) {
+        report('critical', 'Collected data type entry is not a dictionary', `${keyPath} must be a dictionary.`, keyPath);
+        return;
+      }
+
+      const type = entry.NSPrivacyCollectedDataType;
+      if (!type) {
+        report('critical', 'Collected data type missing NSPrivacyCollectedDataType',
+          `${keyPath} does not name the data type it declares.`, `${keyPath}.NSPrivacyCollectedDataType`);
+      } else if (!PRIVACY_SCHEMA.collectedDataTypes[type]) {
+        report('critical', `Unknown collected data type ${type}`,
+          `${type} is not one of Apple's collected data types.`, `${keyPath}.NSPrivacyCollectedDataType`);
+      } else if (seen.has(type)) {
+        report('warn', `Duplicate collected data type ${type}`,
+          `${type} is declared more than once; merge the purposes into one entry.`, keyPath);
+      }
+      seen.add(type);
+
+      for (const flag of ['NSPrivacyCollectedDataTypeLinked', 'NSPrivacyCollectedDataTypeTracking']) {
+        if (typeof entry[flag] !== 'boolean') {
+          report('warn', `${flag} missing for ${type || 'data type'}`,
+            `${keyPath}.${flag} must be a Boolean.`, `${keyPath}.${flag}`);
+        }
+      }
+      if (entry.NSPrivacyCollectedDataTypeTracking === true && tracking === false) {
+        report('warn', `${type || 'Data type'} used for tracking while NSPrivacyTracking is false`,
+          `${keyPath} is marked as used for tracking, contradicting NSPrivacyTracking = false.`, keyPath);
+      }
+
+      const purposes = entry.NSPrivacyCollectedDataTypePurposes;
+      if (!Array.isArray(purposes) || purposes.length === 0) {
+        report('warn', `No collection purposes for ${type || 'data type'}`,
+          `${keyPath}.NSPrivacyCollectedDataTypePurposes must list at least one purpose.`,
+          `${keyPath}.NSPrivacyCollectedDataTypePurposes`);
+      } else {
+        purposes.forEach((purpose, purposeIndex) => {
+          if (!PRIVACY_SCHEMA.collectionPurposes[purpose]) {
+            report('critical', `Unknown collection purpose ${purpose}`,
+              `${purpose} is not one of Apple's collection purposes (${Object.keys(PRIVACY_SCHEMA.collectionPurposes).join(', ')}).`,
+              `${keyPath}.NSPrivacyCollectedDataTypePurposes[${purposeIndex}]`);
+          }
+        });
+      }
+    });
+  }
+
+  // NSPrivacyAccessedAPITypes
+  const accessed = plist.NSPrivacyAccessedAPITypes;
+  if (accessed !== undefined && !Array.isArray(accessed)) {
+    report('critical', 'NSPrivacyAccessedAPITypes must be an array',
+      'NSPrivacyAccessedAPITypes must be an array of dictionaries.', 'NSPrivacyAccessedAPITypes');
+  } else if (accessed) {
+    const seen = new Set();
+    accessed.forEach((entry, index) => {
+      const keyPath = `NSPrivacyAccessedAPITypes[${index}]`;
+      if (!isDict(entry)) {
+        report('critical', 'Accessed API entry is not a dictionary', `${keyPath} must be a dictionary.`, keyPath);
+        return;
+      }
+
+      const category = entry.NSPrivacyAccessedAPIType;
+      const definition = PRIVACY_SCHEMA.accessedAPICategories[category];
+      if (!category) {
+        report('critical', 'Accessed API entry missing NSPrivacyAccessedAPIType',
+          `${keyPath} does not name the required-reason API category.`, `${keyPath}.NSPrivacyAccessedAPIType`);
+      } else if (!definition) {
+        report('critical', `Unknown required-reason API category ${category}`,
+          `${category} is not one of Apple's categories (${Object.keys(PRIVACY_SCHEMA.accessedAPICategories).join(', ')}).`,
+          `${keyPath}.NSPrivacyAccessedAPIType`);
+      } else if (seen.has(category)) {
+        report('warn', `Duplicate API category ${category}`,
+          `${category} is declared more than once; list all reasons in one entry.`, keyPath);
+      }
+      seen.add(category);
+
+      const reasons = entry.NSPrivacyAccessedAPITypeReasons;
+      if (!Array.isArray(reasons) || reasons.length === 0) {
+        report('critical', `No reasons declared for ${category || 'API category'}`,
+          `${keyPath}.NSPrivacyAccessedAPITypeReasons must list at least one approved reason code.`,
+          `${keyPath}.NSPrivacyAccessedAPITypeReasons`);
+        return;
+      }
+
+      reasons.forEach((code, reasonIndex) => {
+        if (!definition || definition.reasons[code]) return;
+        const owner = categoryOfReason(code);
+        report('critical', `Reason ${code} is not valid for ${category}`,
+          owner
+            ? `${code} is a reason for ${owner}, not ${category}. Allowed: ${Object.keys(definition.reasons).join(', ')}.`
+            : `${code} is not an approved reason code. Allowed for ${category}: ${Object.keys(definition.reasons).join(', ')}.`,
+          `${keyPath}.NSPrivacyAccessedAPITypeReasons[${reasonIndex}]`);
+      });
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Required-reason API categories a Mach-O binary references, from the symbol, import and selector
+ * names in it. Returns { [category]: [symbol, ...] }.
+ */
+function detectRequiredReasonAPIs(binary) {
+  const used = {};
+  for (const symbol of findSymbols(binary, REASON_API_SYMBOLS)) {
+    for (const category of REASON_API_SYMBOLS.get(symbol)) {
+      used[category] = [...(used[category] || []), symbol];
+    }
+  }
+  return used;
+}
+
+// Helper: The bundle a manifest describes ("" for the app itself)
+function manifestBundle(filePath) {
+  const directory = path.posix.dirname(filePath);
+  return directory === '.' ? '' : directory;
+}
+
+/**
+ * Find and decode every PrivacyInfo.xcprivacy in an opened IPA: the app, its frameworks,
+ * extensions and resource bundles. Returns [{ path, bundle, plist, error }].
+ */
+async function collectPrivacyManifests(ipa) {
+  const manifests = [];
+  for (const file of ipa.files) {
+    if (path.posix.basename(file.path) !== MANIFEST_NAME) continue;
+    const entry = { path: file.path, bundle: manifestBundle(file.path), plist: null, error: null };
+    try {
+      entry.plist = parsePlist(await ipa.readFile(file.path));
+    } catch (error) {
+      entry.error = error.message;
+    }
+    manifests.push(entry);
+  }
+  return manifests;
+}
+
+/**
+ * Validate every privacy manifest in a project directory (native fallback for /api/scan/privacy)
+ */
+async function validateManifestsInDirectory(root) {
+  const findings = [];
+  const manifests = [];
+
+  async function walk(directory) {
+    for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRECTORIES.has(entry.name)) await walk(fullPath);
+      } else if (entry.name === MANIFEST_NAME) {
+        const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+        let plist = null;
+        let error = null;
+        try {
+          plist = parsePlist(await fs.readFile(fullPath));
+        } catch (parseError) {
+          error = parseError.message;
+        }
+        manifests.push({ path: relativePath, bundle: manifestBundle(relativePath), error, ...summarizeManifest(plist) });
+        findings.push(...validatePrivacyManifest(plist, relativePath, { error }));
+      }
+    }
+  }
+
+  await walk(root);
+  return { manifests, findings };
+}
+
+module.exports = {
+  PRIVACY_SCHEMA,
+  MANIFEST_NAME,
+  summarizeManifest,
+  validatePrivacyManifest,
+  detectRequiredReasonAPIs,
+  collectPrivacyManifests,
+  validateManifestsInDirectory
+};
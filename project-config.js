@@ -0,0 +1,241 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { summarizeFindings } = require('./findings');
+const { hashSecret } = require('./secret-scanner');
+
+const SEVERITIES = ['critical', 'warn', 'info'];
+
+// Helper: A date-only expiry ("2026-12-31") stays valid through the end of that day
+function expiryDate(expires) {
+  return new Date(/^\d{4}-\d{2}-\d{2}$/.test(expires) ? `${expires}T23:59:59.999Z` : expires);
+}
+
+/**
+ * Validate a project config and fill in defaults. Throws with a readable message when invalid.
+ *
+ * {
+ *   "bundleId": "com.example.app",
+ *   "severityOverrides": { "ats": "info" },
+ *   "disabledChecks": ["download-size"],
+ *   "suppressions": [
+ *     { "fingerprint": "3c52ed0361c4f216", "justification": "Documented ATS exception", "expires": "2026-12-31" }
+ *   ],
+ *   "secretAllowlist": [
+ *     { "value": "AIzaSy...", "justification": "Firebase client key, restricted to the bundle ID" },
+ *     { "type": "google-api-key", "file": "GoogleService-Info.plist", "justification": "Public client keys" }
+ *   ]
+ * }
+ *
+ * Allowlisted secrets are stored by SHA-256 only: a "value" is hashed here and never kept.
+ */
+function normalizeProjectConfig(input) {
+  const config = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Project config must be a JSON object');
+  }
+
+  const severityOverrides = config.severityOverrides || {};
+  if (typeof severityOverrides !== 'object' || Array.isArray(severityOverrides)) {
+    throw new Error('severityOverrides must be an object of check IDs to severities');
+  }
+  for (const [checkId, severity] of Object.entries(severityOverrides)) {
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`severityOverrides.${checkId}: "${severity}" is not one of ${SEVERITIES.join(', ')}`);
+    }
+  }
+
+  const disabledChecks = config.disabledChecks || [];
+  if (!Array.isArray(disabledChecks) || disabledChecks.some(id => typeof id !== 'string')) {
+    throw new Error('disabledChecks must be an array of check IDs');
+  }
+
+  const suppressions = config.suppressions || [];
+  if (!Array.isArray(suppressions)) {
+    throw new Error('suppressions must be an array');
+  }
+  suppressions.forEach((suppression, index) => {
+    if (!/^[0-9a-f]{16}$/.test(suppression?.fingerprint || '')) {
+      throw new Error(`suppressions[${index}]: fingerprint must be a 16-character finding fingerprint`);
+    }
+    if (typeof suppression.justification !== 'string' || !suppression.justification.trim()) {
+      throw new Error(`suppressions[${index}]: justification is required`);
+    }
+    if (!suppression.expires || isNaN(expiryDate(suppression.expires))) {
+      throw new Error(`suppressions[${index}]: expires must be an ISO date`);
+    }
+  });
+
+  const secretAllowlist = config.secretAllowlist || [];
+  if (!Array.isArray(secretAllowlist)) {
+    throw new Error('secretAllowlist must be an array');
+  }
+  secretAllowlist.forEach((entry, index) => {
+    if (!entry?.value && !entry?.sha256 && !entry?.file) {
+      throw new Error(`secretAllowlist[${index}]: give the secret's value or sha256, or a file`);
+    }
+    if (entry.sha256 && !/^[0-9a-f]{64}$/.test(entry.sha256)) {
+      throw new Error(`secretAllowlist[${index}]: sha256 must be a 64-character hex digest`);
+    }
+    if (typeof entry.justification !== 'string' || !entry.justification.trim()) {
+      throw new Error(`secretAllowlist[${index}]: justification is required`);
+    }
+  });
+
+  return {
+    bundleId: config.bundleId || null,
+    severityOverrides,
+    disabledChecks,
+    suppressions: suppressions.map(({ fingerprint, justification, expires, checkId, author }) =>
+      ({ fingerprint, justification: justification.trim(), expires, checkId, author })),
+    secretAllowlist: secretAllowlist.map(({ value, sha256, type, file, justification }) =>
+      ({ sha256: value ? hashSecret(value) : sha256, type, file, justification: justification.trim() }))
+  };
+}
+
+// Helper: Whether an allowlist entry covers a secret finding (every field the entry gives must match)
+function allowlistMatches(entry, secret) {
+  return (!entry.sha256 || entry.sha256 === secret.sha256) &&
+    (!entry.type || entry.type === secret.type) &&
+    (!entry.file || entry.file === secret.file);
+}
+
+/**
+ * Apply a project config to scan results: drop findings of disabled checks and allowlisted secrets,
+ * override severities, and move findings with an active suppression to `results.suppressed`. The summary (and with it
+ * the status and CI gate) is recomputed from the remaining findings.
+ */
+function applyProjectConfig(results, config, { source = 'upload', now = new Date() } = {}) {
+  if (!config || !Array.isArray(results.findings)) return results;
+
+  const disabled = new Set(config.disabledChecks);
+  const suppressions = new Map(config.suppressions.map(suppression => [suppression.fingerprint, suppression]));
+  const findings = [];
+  const suppressed = [];
+  const expired = [];
+  let disabledFindings = 0;
+  let allowlistedSecrets = 0;
+
+  for (const original of results.findings) {
+    if (disabled.has(original.checkId)) {
+      disabledFindings++;
+      continue;
+    }
+    if (original.secret && config.secretAllowlist.some(entry => allowlistMatches(entry, original.secret))) {
+      allowlistedSecrets++;
+      continue;
+    }
+
+    let finding = original;
+    const override = config.severityOverrides[finding.checkId];
+    if (override && override !== finding.severity) {
+      finding = { ...finding, severity: override, originalSeverity: finding.severity };
+    }
+
+    const suppression = suppressions.get(finding.fingerprint);
+    if (suppression) {
+      const { justification, expires, author } = suppression;
+      if (expiryDate(expires) >= now) {
+        suppressed.push({ ...finding, suppression: { justification, expires, author } });
+        continue;
+      }
+      // Expired suppressions count again, flagged so the owner renews or fixes them
+      finding = { ...finding, suppressionExpired: { justification, expires, author } };
+      expired.push(suppression.fingerprint);
+    }
+
+    findings.push(finding);
+  }
+
+  const matched = new Set([...suppressed, ...findings].map(finding => finding.fingerprint));
+
+  results.findings = findings;
+  results.suppressed = suppressed;
+  if (results.checksRun) {
+    results.checksRun = results.checksRun.filter(check => !disabled.has(check.id));
+  }
+  results.summary = { ...summarizeFindings(findings), suppressed: suppressed.length };
+  if (results.status === 'pass' || results.status === 'fail') {
+    results.status = results.summary.critical > 0 ? 'fail' : 'pass';
+  }
+  results.projectConfig = {
+    source,
+    bundleId: config.bundleId,
+    disabledChecks: config.disabledChecks,
+    disabledFindings,
+    severityOverrides: config.severityOverrides,
+    allowlistedSecrets,
+    suppressions: config.suppressions.length,
+    expiredSuppressions: expired,
+    // Suppressions whose finding no longer shows up are candidates for cleanup
+    unmatchedSuppressions: config.suppressions
+      .map(suppression => suppression.fingerprint)
+      .filter(fingerprint => !matched.has(fingerprint))
+  };
+  return results;
+}
+
+/**
+ * Project configs stored per bundle ID as <bundleId>.json
+ */
+function createProjectConfigStore(directory) {
+  const configPath = (bundleId) => {
+    if (!/^[\w.-]+$/.test(bundleId)) throw new Error(`Invalid bundle ID: ${bundleId}`);
+    return path.join(directory, `${bundleId}.json`);
+  };
+
+  return {
+    /**
+     * Stored config for a bundle ID, or null if there is none
+     */
+    async get(bundleId) {
+      try {
+        return normalizeProjectConfig(await fs.readFile(configPath(bundleId), 'utf-8'));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.message.startsWith('Invalid bundle ID')) return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Validate and store a config, returning the normalized version
+     */
+    async save(bundleId, input) {
+      const config = { ...normalizeProjectConfig(input), bundleId };
+      await fs.mkdir(directory, { recursive: true });
+      const filePath = configPath(bundleId);
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(config, null, 2));
+      await fs.rename(tmpPath, filePath);
+      return config;
+    },
+
+    /**
+     * Delete a stored config. Returns false if there was none.
+     */
+    async remove(bundleId) {
+      try {
+        await fs.unlink(configPath(bundleId));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    /**
+     * Bundle IDs with a stored config
+     */
+    async list() {
+      try {
+        return (await fs.readdir(directory))
+          .filter(name => name.endsWith('.json'))
+          .map(name => name.slice(0, -'.json'.length));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = { normalizeProjectConfig, applyProjectConfig, createProjectConfigStore };
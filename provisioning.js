@@ -0,0 +1,119 @@
+const { X509Certificate } = require('crypto');
+const { parsePlist } = require('./plist-parser');
+
+// 1.2.840.113549.1.7.2 (PKCS#7 signedData)
+const SIGNED_DATA_OID = Buffer.from('2a864886f70d010702', 'hex');
+
+// Helper: Read one BER/DER element; indefinite lengths run until the end-of-contents marker
+function readElement(buffer, offset) {
+  if (offset + 2 > buffer.length) throw new Error('Truncated CMS structure');
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let start = offset + 2;
+
+  if (length === 0x80) {
+    let cursor = start;
+    while (buffer[cursor] !== 0 || buffer[cursor + 1] !== 0) {
+      if (cursor >= buffer.length) throw new Error('Truncated CMS structure');
+      cursor = readElement(buffer, cursor).next;
+    }
+    return { tag, start, end: cursor, next: cursor + 2 };
+  }
+
+  if (length & 0x80) {
+    const bytes = length & 0x7F;
+    length = 0;
+    for (let i = 0; i < bytes; i++) length = length * 256 + buffer[start + i];
+    start += bytes;
+  }
+  if (start + length > buffer.length) throw new Error('Truncated CMS structure');
+  return { tag, start, end: start + length, next: start + length };
+}
+
+// Helper: Child elements of a constructed element
+function childrenOf(buffer, element) {
+  const children = [];
+  for (let cursor = element.start; cursor < element.end;) {
+    const child = readElement(buffer, cursor);
+    children.push(child);
+    cursor = child.next;
+  }
+  return children;
+}
+
+// Helper: OCTET STRING content, joining the chunks of a constructed (BER) string
+function octetString(buffer, element) {
+  if (element.tag === 0x04) return buffer.subarray(element.start, element.end);
+  if (element.tag === 0x24) return Buffer.concat(childrenOf(buffer, element).map(chunk => octetString(buffer, chunk)));
+  throw new Error(`Expected OCTET STRING in CMS content, found tag 0x${element.tag.toString(16)}`);
+}
+
+/**
+ * Extract the signed content of a CMS (PKCS#7) signed-data envelope:
+ * ContentInfo → SignedData → EncapsulatedContentInfo → eContent
+ */
+function extractCMSContent(buffer) {
+  const contentInfo = readElement(buffer, 0);
+  const [contentType, explicitContent] = childrenOf(buffer, contentInfo);
+  if (contentType?.tag !== 0x06 || !buffer.subarray(contentType.start, contentType.end).equals(SIGNED_DATA_OID)) {
+    throw new Error('Not a CMS signed-data envelope');
+  }
+
+  const signedData = childrenOf(buffer, explicitContent)[0];
+  const encapsulated = childrenOf(buffer, signedData)[2];
+  const eContent = encapsulated && childrenOf(buffer, encapsulated)[1];
+  if (!eContent) throw new Error('CMS envelope has no embedded content');
+  return octetString(buffer, childrenOf(buffer, eContent)[0]);
+}
+
+// Helper: Distribution method implied by the profile's device list and get-task-allow
+function profileType(plist) {
+  if (plist.ProvisionsAllDevices === true) return 'enterprise';
+  if (plist.ProvisionedDevices?.length) {
+    return plist.Entitlements?.['get-task-allow'] === true ? 'development' : 'ad-hoc';
+  }
+  return 'app-store';
+}
+
+// Helper: Common name and expiry of each signing certificate the profile allows
+function describeCertificates(certificates = []) {
+  return certificates.map(der => {
+    try {
+      const certificate = new X509Certificate(der);
+      const commonName = certificate.subject.match(/^CN=(.*)$/m)?.[1];
+      return { name: commonName || certificate.subject, expires: new Date(certificate.validTo).toISOString() };
+    } catch (error) {
+      return { name: null, error: error.message };
+    }
+  });
+}
+
+/**
+ * Decode an embedded.mobileprovision file.
+ * The profile is a CMS (PKCS#7) signed envelope whose content is an XML plist.
+ */
+function decodeMobileProvision(buffer) {
+  const plist = parsePlist(extractCMSContent(buffer));
+  const entitlements = plist.Entitlements || {};
+
+  return {
+    name: plist.Name,
+    uuid: plist.UUID,
+    type: profileType(plist),
+    appIdName: plist.AppIDName,
+    applicationIdentifier: entitlements['application-identifier'],
+    teamId: plist.TeamIdentifier?.[0] || entitlements['com.apple.developer.team-identifier'],
+    teamName: plist.TeamName,
+    platforms: plist.Platform || [],
+    creationDate: plist.CreationDate,
+    expirationDate: plist.ExpirationDate,
+    provisionedDevices: plist.ProvisionedDevices?.length || 0,
+    provisionsAllDevices: plist.ProvisionsAllDevices === true,
+    apsEnvironment: entitlements['aps-environment'] || null,
+    associatedDomains: entitlements['com.apple.developer.associated-domains'] || [],
+    certificates: describeCertificates(plist.DeveloperCertificates),
+    entitlements
+  };
+}
+
+module.exports = { decodeMobileProvision };
@@ -0,0 +1,132 @@
+const { GUIDELINES_URL, clauseUrl } = require('./guidelines');
+
+const SARIF_LEVELS = {
+  critical: 'error',
+  warn: 'warning',
+  info: 'note'
+};
+
+// Helper: Rule ID for a finding; greenlight JSON and older scans may lack a check ID
+function ruleIdFor(finding) {
+  if (finding.checkId) return finding.checkId;
+  const slug = String(finding.title || finding.message || 'finding')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `finding/${slug || 'unnamed'}`;
+}
+
+// Helper: Guideline clause numbers of a finding (the mapped clauses, else its own guideline)
+function clauseNumbers(finding) {
+  if (finding.guidelines?.length) return finding.guidelines.map(clause => clause.number);
+  return finding.guideline ? [finding.guideline] : [];
+}
+
+// Helper: Turn "path/to/File.swift:42" or "Info.plist" into a SARIF physical location.
+// Free-text locations ("Demo (main executable)") can't be resolved to a file and are skipped.
+function physicalLocation(location, uriBaseId) {
+  if (!location || /\s/.test(location)) return null;
+
+  const match = location.match(/^(.+?):(\d+)(?::(\d+))?$/);
+  const uri = (match ? match[1] : location.split(':')[0]).replace(/^\/+/, '');
+
+  const physical = { artifactLocation: { uri, uriBaseId } };
+  if (match) {
+    physical.region = { startLine: parseInt(match[2]) };
+    if (match[3]) physical.region.startColumn = parseInt(match[3]);
+  }
+  return physical;
+}
+
+/**
+ * Convert a stored scan (or a job result wrapped as a scan record) into a SARIF 2.1.0 log
+ */
+function toSARIF(scan) {
+  const results = scan.results || {};
+  const findings = results.findings || [];
+  // Findings suppressed by the project config are kept, marked as accepted SARIF suppressions
+  const suppressed = results.suppressed || [];
+
+  // Project scans report paths relative to the source tree, IPA scans relative to the .app
+  const uriBaseId = scan.projectPath ? 'SRCROOT' : 'BUNDLE';
+
+  const rules = [];
+  const ruleIndex = new Map();
+  for (const finding of [...findings, ...suppressed]) {
+    const id = ruleIdFor(finding);
+    if (ruleIndex.has(id)) continue;
+    ruleIndex.set(id, rules.length);
+    rules.push({
+      id,
+      name: finding.title || id,
+      shortDescription: { text: finding.title || finding.message || id },
+      helpUri: finding.guidelines?.[0]?.url || clauseUrl(finding.guideline && finding.guideline.split('(')[0]),
+      defaultConfiguration: { level: SARIF_LEVELS[finding.severity] || 'note' },
+      properties: {
+        guideline: finding.guideline || undefined,
+        tags: ['app-store-compliance', ...clauseNumbers(finding).map(number => `guideline-${number}`)]
+      }
+    });
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'iOS Compliance Scanner',
+          informationUri: GUIDELINES_URL,
+          version: '1.0.0',
+          rules
+        }
+      },
+      originalUriBaseIds: scan.projectPath
+        ? { SRCROOT: { uri: `file://${scan.projectPath.replace(/\/?$/, '/')}` } }
+        : { BUNDLE: { description: { text: `App bundle (Payload/*.app) of ${scan.fileName || scan.appName || 'the scanned IPA'}` } } },
+      results: [...findings, ...suppressed].map(finding => {
+        const ruleId = ruleIdFor(finding);
+        const location = physicalLocation(finding.location, uriBaseId);
+        const result = {
+          ruleId,
+          ruleIndex: ruleIndex.get(ruleId),
+          level: SARIF_LEVELS[finding.severity] || 'note',
+          message: { text: finding.description || finding.title || finding.message || ruleId },
+          properties: {
+            severity: finding.severity,
+            guideline: finding.guideline || undefined,
+            guidelines: finding.guidelines?.map(({ number, title, url }) => ({ number, title, url })),
+            fix: finding.fixSuggestion || finding.fix || undefined
+          }
+        };
+        if (location) {
+          result.locations = [{ physicalLocation: location }];
+        } else if (finding.location) {
+          result.locations = [{ message: { text: finding.location } }];
+        }
+        if (finding.fingerprint) {
+          result.partialFingerprints = { 'complianceFinding/v2': finding.fingerprint };
+        }
+        if (finding.suppression) {
+          result.suppressions = [{
+            kind: 'external',
+            status: 'accepted',
+            justification: `${finding.suppression.justification} (expires ${finding.suppression.expires})`
+          }];
+        }
+        return result;
+      }),
+      properties: {
+        scanId: scan.id,
+        scanType: scan.type,
+        engine: results.engine,
+        appName: scan.appName || results.appName,
+        bundleId: scan.bundleId,
+        status: results.summary?.status,
+        summary: results.summary
+      }
+    }]
+  };
+}
+
+module.exports = { toSARIF };
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { version: SCANNER_VERSION } = require('./package.json');
+
+// Custom CycloneDX property names are namespaced to this tool
+const PROPERTY_PREFIX = 'ios-compliance';
+
+// Helper: CycloneDX properties from a { name: value } map, skipping empty values
+function properties(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([name, value]) => ({ name: `${PROPERTY_PREFIX}:${name}`, value: String(value) }));
+}
+
+// Helper: Hash list for a SHA-256 hex digest, or undefined
+function sha256(digest) {
+  return digest ? [{ alg: 'SHA-256', content: digest }] : undefined;
+}
+
+/**
+ * Convert a stored IPA scan into a CycloneDX 1.5 JSON SBOM.
+ * The app is the root component; embedded frameworks and dylibs, statically linked SDKs found by the
+ * SDK inventory, and packages from uploaded Package.resolved / Podfile.lock files are its components.
+ * Lockfile packages that match an embedded framework by name enrich that component instead of being listed twice.
+ */
+function toCycloneDX(scan) {
+  const app = scan.results?.app;
+  if (!app) throw new Error('SBOM export needs an IPA scan');
+
+  const inventory = app.sdkInventory || { sdks: [], unidentified: [] };
+  const sourceDependencies = scan.results.sourceDependencies || {};
+  const sdkByLocation = new Map(inventory.sdks.filter(sdk => sdk.linkage === 'dynamic').map(sdk => [sdk.location, sdk]));
+
+  const rootRef = `app:${app.bundleId || scan.id}`;
+  const components = [];
+  const dependencies = new Map([[rootRef, new Set()]]);
+  const byName = new Map();
+
+  // Embedded frameworks and dylibs, with hashes and privacy manifest status
+  for (const framework of app.frameworks || []) {
+    const sdk = sdkByLocation.get(framework.path);
+    const component = {
+      type: 'framework',
+      'bom-ref': `framework:${framework.path}`,
+      name: framework.name,
+      version: framework.version || undefined,
+      supplier: sdk ? { name: sdk.vendor } : undefined,
+      hashes: sha256(framework.binary?.sha256),
+      properties: properties({
+        path: framework.path,
+        bundleId: framework.bundleId,
+        linkage: 'dynamic',
+        sdk: sdk?.name,
+        privacyImpactingSDK: sdk ? sdk.privacyImpacting : undefined,
+        privacyManifest: sdk ? !!sdk.privacyManifest : !!framework.hasPrivacyManifest,
+        signed: framework.binary ? !!framework.binary.signed : undefined,
+        signatureValid: framework.binary?.signature?.valid
+      })
+    };
+    components.push(component);
+    dependencies.get(rootRef).add(component['bom-ref']);
+    for (const name of [framework.name, sdk?.name].filter(Boolean)) byName.set(name.toLowerCase(), component);
+  }
+
+  // SDKs compiled into the app or another framework have no binary of their own
+  for (const sdk of inventory.sdks.filter(sdk => sdk.linkage === 'static')) {
+    if (byName.has(sdk.name.toLowerCase())) continue;
+    const component = {
+      type: 'library',
+      'bom-ref': `sdk:${sdk.name}`,
+      name: sdk.name,
+      version: sdk.version || undefined,
+      supplier: { name: sdk.vendor },
+      properties: properties({
+        linkage: 'static',
+        linkedInto: sdk.location,
+        privacyImpactingSDK: sdk.privacyImpacting,
+        privacyManifest: !!sdk.privacyManifest
+      })
+    };
+    components.push(component);
+    dependencies.get(rootRef).add(component['bom-ref']);
+    byName.set(sdk.name.toLowerCase(), component);
+  }
+
+  // Source dependencies from uploaded lockfiles
+  const podRefs = new Map();
+  for (const [type, { packages }] of Object.entries(sourceDependencies)) {
+    for (const pkg of packages) {
+      const existing = byName.get(pkg.name.toLowerCase());
+      const lockProperties = properties({
+        source: type,
+        revision: pkg.revision,
+        branch: pkg.branch,
+        repository: pkg.location,
+        subspecs: pkg.subspecs?.join(', '),
+        podspecChecksum: pkg.specChecksum
+      });
+
+      if (existing && !existing.purl) {
+        existing.purl = pkg.purl;
+        existing.version = existing.version || pkg.version || undefined;
+        existing.properties.push(...lockProperties);
+        podRefs.set(pkg.name, existing['bom-ref']);
+        continue;
+      }
+      if (existing) continue;
+
+      const component = {
+        type: 'library',
+        'bom-ref': pkg.purl,
+        name: pkg.name,
+        version: pkg.version || pkg.revision || undefined,
+        purl: pkg.purl,
+        properties: lockProperties
+      };
+      components.push(component);
+      byName.set(pkg.name.toLowerCase(), component);
+      podRefs.set(pkg.name, component['bom-ref']);
+      // SPM pins are flat; CocoaPods marks which pods the Podfile asked for
+      if (type === 'Package.resolved' || pkg.direct) dependencies.get(rootRef).add(component['bom-ref']);
+    }
+  }
+
+  // CocoaPods dependency graph between pods
+  for (const pkg of sourceDependencies['Podfile.lock']?.packages || []) {
+    const ref = podRefs.get(pkg.name);
+    const dependsOn = pkg.dependencies.map(name => podRefs.get(name)).filter(Boolean);
+    if (ref && dependsOn.length) dependencies.set(ref, new Set([...(dependencies.get(ref) || []), ...dependsOn]));
+  }
+
+  return {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      tools: {
+        components: [{ type: 'application', name: 'iOS Compliance Scanner', version: SCANNER_VERSION }]
+      },
+      component: {
+        type: 'application',
+        'bom-ref': rootRef,
+        name: app.appName,
+        version: app.version || undefined,
+        hashes: sha256(app.ipaSha256),
+        properties: properties({
+          bundleId: app.bundleId,
+          build: app.build,
+          minimumOSVersion: app.minimumOSVersion,
+          executableSha256: app.binary?.sha256,
+          privacyManifest: (app.privacyManifests || []).some(manifest => manifest.path === 'PrivacyInfo.xcprivacy'),
+          scanId: scan.id,
+          sdkDatabaseVersion: inventory.databaseVersion,
+          lockfiles: Object.keys(sourceDependencies).join(', ')
+        })
+      }
+    },
+    components,
+    dependencies: [...dependencies].map(([ref, dependsOn]) => ({ ref, dependsOn: [...dependsOn] }))
+  };
+}
+
+module.exports = { toCycloneDX };
@@ -0,0 +1,197 @@
+const { assignFingerprints } = require('./findings');
+
+// Helper: Deep equality for plist values (JSON round-trip is enough for plist types)
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Helper: Key-level diff of two flat-ish objects (Info.plist, entitlements)
+function diffKeys(before = {}, after = {}) {
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const key of Object.keys(after)) {
+    if (!(key in before)) {
+      diff.added.push({ key, value: after[key] });
+    } else if (!sameValue(before[key], after[key])) {
+      diff.changed.push({ key, before: before[key], after: after[key] });
+    }
+  }
+  for (const key of Object.keys(before)) {
+    if (!(key in after)) diff.removed.push({ key, value: before[key] });
+  }
+
+  return diff;
+}
+
+// Helper: Diff embedded frameworks by name
+function diffFrameworks(before = [], after = []) {
+  const beforeByName = new Map(before.map(framework => [framework.name, framework]));
+  const afterByName = new Map(after.map(framework => [framework.name, framework]));
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [name, framework] of afterByName) {
+    const previous = beforeByName.get(name);
+    if (!previous) {
+      diff.added.push({ name, version: framework.version || null, size: framework.size });
+    } else if (previous.version !== framework.version || previous.size !== framework.size) {
+      diff.changed.push({
+        name,
+        versionBefore: previous.version || null,
+        versionAfter: framework.version || null,
+        sizeDelta: (framework.size || 0) - (previous.size || 0)
+      });
+    }
+  }
+  for (const [name, framework] of beforeByName) {
+    if (!afterByName.has(name)) {
+      diff.removed.push({ name, version: framework.version || null, size: framework.size });
+    }
+  }
+
+  return diff;
+}
+
+// Helper: Diff SDK inventories by SDK name, including privacy manifest and signature status changes
+function diffSDKs(before = [], after = []) {
+  const beforeByName = new Map(before.map(sdk => [sdk.name, sdk]));
+  const afterByName = new Map(after.map(sdk => [sdk.name, sdk]));
+  const status = (sdk) => ({
+    version: sdk.version || null,
+    linkage: sdk.linkage,
+    privacyManifest: !!sdk.privacyManifest,
+    signed: sdk.signature ? sdk.signature.signed && sdk.signature.valid : null
+  });
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [name, sdk] of afterByName) {
+    const previous = beforeByName.get(name);
+    if (!previous) {
+      diff.added.push({ name, privacyImpacting: sdk.privacyImpacting, ...status(sdk) });
+    } else if (!sameValue(status(previous), status(sdk))) {
+      diff.changed.push({ name, privacyImpacting: sdk.privacyImpacting, before: status(previous), after: status(sdk) });
+    }
+  }
+  for (const [name, sdk] of beforeByName) {
+    if (!afterByName.has(name)) diff.removed.push({ name, privacyImpacting: sdk.privacyImpacting, ...status(sdk) });
+  }
+
+  return diff;
+}
+
+// Helper: Before/after/delta for a numeric size
+function diffSize(before, after) {
+  if (before == null || after == null) return null;
+  return {
+    before,
+    after,
+    delta: after - before,
+    percent: before ? Math.round(((after - before) / before) * 1000) / 10 : null
+  };
+}
+
+// Helper: Per-component size change (frameworks, extensions, resources) from the size analysis,
+// largest change first, so it's clear what made a build grow
+function diffComponentSizes(before = [], after = []) {
+  const beforeByPath = new Map(before.map(component => [component.path, component]));
+  const afterByPath = new Map(after.map(component => [component.path, component]));
+  const paths = new Set([...beforeByPath.keys(), ...afterByPath.keys()]);
+
+  return [...paths].map(componentPath => {
+    const previous = beforeByPath.get(componentPath);
+    const current = afterByPath.get(componentPath);
+    return {
+      name: (current || previous).name,
+      path: componentPath,
+      before: previous?.size ?? 0,
+      after: current?.size ?? 0,
+      delta: (current?.size ?? 0) - (previous?.size ?? 0),
+      downloadDelta: (current?.compressedSize ?? 0) - (previous?.compressedSize ?? 0)
+    };
+  }).filter(row => row.delta !== 0).sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+// Helper: Entitlements live in the code signature when available, else in the profile
+function entitlementsOf(app) {
+  return app?.entitlements || app?.provisioning?.entitlements || {};
+}
+
+/**
+ * Compare a baseline scan (build N) with a candidate scan (build N+1).
+ * Findings are matched by fingerprint and classified as new, resolved, unchanged or
+ * suppressed (accepted in the candidate through its project config);
+ * app metadata (Info.plist, entitlements, frameworks, SDKs, size) is diffed when both scans have it.
+ */
+function compareScans(baseline, candidate) {
+  const baseFindings = baseline.results?.findings || [];
+  const candidateFindings = candidate.results?.findings || [];
+
+  const index = (findings) => new Map(assignFingerprints(findings).map(finding => [finding.fingerprint, finding]));
+  const before = index(baseFindings);
+  const after = index(candidateFindings);
+  // A finding suppressed by the project config in the candidate was accepted, not resolved
+  const acceptedLater = index(candidate.results?.suppressed || []);
+
+  const findings = { new: [], resolved: [], unchanged: [], suppressed: [] };
+  for (const [fingerprint, finding] of after) {
+    const previous = before.get(fingerprint);
+    if (!previous) {
+      findings.new.push({ ...finding, fingerprint });
+    } else {
+      findings.unchanged.push({
+        ...finding,
+        fingerprint,
+        previousSeverity: previous.severity !== finding.severity ? previous.severity : undefined
+      });
+    }
+  }
+  for (const [fingerprint, finding] of before) {
+    if (after.has(fingerprint)) continue;
+    if (acceptedLater.has(fingerprint)) {
+      findings.suppressed.push({ ...finding, fingerprint, suppression: acceptedLater.get(fingerprint).suppression });
+    } else {
+      findings.resolved.push({ ...finding, fingerprint });
+    }
+  }
+
+  const baseApp = baseline.results?.app;
+  const candidateApp = candidate.results?.app;
+  const describe = (scan) => ({
+    id: scan.id,
+    createdAt: scan.createdAt,
+    appName: scan.appName,
+    bundleId: scan.bundleId,
+    version: scan.version,
+    build: scan.build,
+    status: scan.status,
+    summary: scan.summary
+  });
+
+  return {
+    baseline: describe(baseline),
+    candidate: describe(candidate),
+    sameApp: !!baseline.bundleId && baseline.bundleId === candidate.bundleId,
+    summary: {
+      new: findings.new.length,
+      resolved: findings.resolved.length,
+      unchanged: findings.unchanged.length,
+      suppressed: findings.suppressed.length,
+      newCritical: findings.new.filter(finding => finding.severity === 'critical').length,
+      statusBefore: baseline.status,
+      statusAfter: candidate.status
+    },
+    findings,
+    app: baseApp && candidateApp ? {
+      infoPlist: diffKeys(baseApp.infoPlist, candidateApp.infoPlist),
+      entitlements: diffKeys(entitlementsOf(baseApp), entitlementsOf(candidateApp)),
+      frameworks: diffFrameworks(baseApp.frameworks, candidateApp.frameworks),
+      sdks: diffSDKs(baseApp.sdkInventory?.sdks, candidateApp.sdkInventory?.sdks),
+      ipaSize: diffSize(baseApp.ipaSize, candidateApp.ipaSize),
+      installSize: diffSize(baseApp.installSize, candidateApp.installSize),
+      components: baseApp.size && candidateApp.size
+        ? diffComponentSizes(baseApp.size.byComponent, candidateApp.size.byComponent)
+        : null
+    } : null
+  };
+}
+
+module.exports = { compareScans };
@@ -0,0 +1,298 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { runGreenlight, parseGreenlightResult } = require('./greenlight');
+const { parseGreenlightOutput } = require('./greenlight-parser');
+const { scanIPA } = require('./native-scanner');
+const { inspectIPA, summarizeAppModel } = require('./ipa-inspector');
+const { summarizeFindings, assignFingerprints } = require('./findings');
+const { applyGate } = require('./ci-gate');
+const { applyProjectConfig } = require('./project-config');
+const { analyzeWithAI, generateFixSuggestions } = require('./ai-analyzer');
+const { generateCompliancePDF } = require('./pdf-generator');
+const { validateManifestsInDirectory } = require('./privacy-manifest');
+const { loadAdvisoryDatabase, vulnerabilityFindings } = require('./advisories');
+const checks = require('./checks');
+const { loadSnapshot } = require('./guidelines');
+const { mapFindingsToGuidelines } = require('./guideline-mapping');
+
+const REPORTS_DIR = path.join(__dirname, 'reports');
+
+// Stand-in for the job context when a pipeline step runs outside the job queue
+const NOOP_CONTEXT = {
+  signal: undefined,
+  stage: () => {},
+  log: () => {},
+  throwIfCancelled: () => {}
+};
+
+// Helper: Attach the guideline clauses each finding is at risk of breaking. Uses the cached
+// guidelines when the caller can load them, else the bundled snapshot; mapping is best-effort.
+async function mapGuidelines(scanResults, loadGuidelines, ctx) {
+  if (!Array.isArray(scanResults.findings)) return;
+  try {
+    const guidelines = loadGuidelines ? await loadGuidelines() : await loadSnapshot();
+    scanResults.findings = mapFindingsToGuidelines(scanResults.findings, guidelines);
+  } catch (error) {
+    console.warn('⚠️  Guideline mapping failed:', error.message);
+    ctx.log(`Guideline mapping skipped (${error.message})`, 'stderr');
+  }
+}
+
+// Helper: Map findings to guideline clauses, apply the project config (uploaded with the scan,
+// else stored for the bundle ID), then decide the CI gate from the resulting summary
+async function finalizeResults(scanResults, bundleId, { gatePolicy, projectConfig, loadProjectConfig, loadGuidelines } = {}, ctx) {
+  await mapGuidelines(scanResults, loadGuidelines, ctx);
+
+  let config = projectConfig;
+  let source = 'upload';
+  if (!config && bundleId && loadProjectConfig) {
+    config = await loadProjectConfig(bundleId);
+    source = 'stored';
+  }
+  if (config) {
+    ctx.log(`Applying ${source} project config${bundleId ? ` for ${bundleId}` : ''}`);
+    applyProjectConfig(scanResults, config, { source });
+  }
+  return applyGate(scanResults, gatePolicy);
+}
+
+// Helper: Scan an IPA with the configured engine.
+// SCAN_ENGINE=auto (default) tries greenlight first and falls back to the native inspector,
+// SCAN_ENGINE=native skips greenlight entirely, SCAN_ENGINE=greenlight disables the fallback.
+async function scanWithEngine(ipaPath, ctx) {
+  const engine = process.env.SCAN_ENGINE || 'auto';
+
+  if (engine !== 'native') {
+    ctx.stage('scanning', 'Running greenlight scan');
+    try {
+      const result = await runGreenlight(['ipa', ipaPath], { onLine: ctx.log, signal: ctx.signal });
+      return { ...parseGreenlightOutput(result.stdout), engine: 'greenlight' };
+    } catch (error) {
+      if (error.cancelled) throw error;
+      if (engine === 'greenlight') {
+        throw new Error(`Greenlight scan failed: ${error.error || error.message}`);
+      }
+      console.warn('⚠️  Greenlight scan failed, falling back to native inspector:', error.error || error.message);
+      ctx.log(`Greenlight unavailable (${error.error || error.message}), using native inspector`, 'stderr');
+    }
+  }
+
+  ctx.throwIfCancelled();
+  ctx.stage('scanning', 'Inspecting IPA with the native scanner');
+  return scanIPA(ipaPath, { throwIfCancelled: ctx.throwIfCancelled });
+}
+
+// Helper: Greenlight doesn't cover the deeper native checks, so run those on its scans too.
+// Their findings replace greenlight's shallower findings for the same concern (`supersedes`).
+async function supplementGreenlight(scanResults, ipaPath, ctx) {
+  ctx.stage('scanning', 'Running native deep checks');
+  const native = await scanIPA(ipaPath, { filter: check => check.alsoWithGreenlight, throwIfCancelled: ctx.throwIfCancelled });
+  const superseded = new Set(checks.filter(check => check.alsoWithGreenlight).flatMap(check => check.supersedes || []));
+
+  scanResults.findings = [
+    ...(scanResults.findings || []).filter(finding => !superseded.has(finding.checkId)),
+    ...native.findings
+  ];
+  scanResults.summary = summarizeFindings(scanResults.findings);
+  scanResults.status = scanResults.summary.critical > 0 ? 'fail' : 'pass';
+  scanResults.checksRun = native.checksRun;
+  scanResults.app = native.app;
+  return scanResults;
+}
+
+// Helper: Record the lockfiles uploaded with the scan and check the embedded frameworks and
+// locked packages against the offline advisory database. Findings join the compliance findings.
+function checkAdvisories(scanResults, lockfiles = [], ctx) {
+  if (lockfiles.length) {
+    scanResults.sourceDependencies = scanResults.sourceDependencies || {};
+    for (const { type, fileName, packages } of lockfiles) {
+      scanResults.sourceDependencies[type] = { fileName, uploadedAt: new Date().toISOString(), packages };
+    }
+  }
+  if (!scanResults.app && !lockfiles.length) return scanResults;
+
+  ctx.stage('scanning', 'Checking dependencies against the advisory database');
+  let database;
+  try {
+    database = loadAdvisoryDatabase();
+  } catch (error) {
+    console.warn('⚠️  Advisory database unavailable:', error.message);
+    ctx.log(`Advisory database unavailable: ${error.message}`, 'stderr');
+    return scanResults;
+  }
+  if (!database.advisories.length) {
+    ctx.log('Advisory database is empty: run `ios-compliance advisories import` and set ADVISORY_DB_PATH', 'stderr');
+  }
+
+  const findings = vulnerabilityFindings(scanResults.app, scanResults.sourceDependencies, database);
+  scanResults.advisoryDatabase = { version: database.version, advisories: database.advisories.length };
+  if (findings.length) {
+    ctx.log(`${findings.length} known-vulnerable dependenc${findings.length === 1 ? 'y' : 'ies'} found`);
+    scanResults.findings = [...(scanResults.findings || []), ...findings];
+    scanResults.summary = summarizeFindings(scanResults.findings);
+    scanResults.status = scanResults.summary.critical > 0 ? 'fail' : 'pass';
+  }
+  return scanResults;
+}
+
+/**
+ * Scan an IPA and normalize the results: fingerprinted findings with the project config applied,
+ * the CI gate verdict and the decoded app model (also for greenlight scans, so builds can be compared).
+ * Options: gatePolicy, projectConfig, loadProjectConfig(bundleId), loadGuidelines(), lockfiles ([{ type, fileName, packages }]).
+ */
+async function runIPAScan(ipaPath, ctx = NOOP_CONTEXT, options = {}) {
+  const scanResults = await scanWithEngine(ipaPath, ctx);
+
+  if (scanResults.engine === 'greenlight') {
+    ctx.throwIfCancelled();
+    try {
+      await supplementGreenlight(scanResults, ipaPath, ctx);
+    } catch (error) {
+      if (error.cancelled) throw error;
+      ctx.log(`Native deep checks failed: ${error.message}`, 'stderr');
+    }
+  }
+
+  ctx.throwIfCancelled();
+  if (!scanResults.app) {
+    try {
+      scanResults.app = summarizeAppModel(await inspectIPA(ipaPath));
+    } catch (error) {
+      ctx.log(`Could not decode app model: ${error.message}`, 'stderr');
+    }
+  }
+
+  ctx.throwIfCancelled();
+  checkAdvisories(scanResults, options.lockfiles, ctx);
+
+  scanResults.findings = assignFingerprints(scanResults.findings);
+  return finalizeResults(scanResults, scanResults.app?.bundleId, options, ctx);
+}
+
+/**
+ * Run a greenlight project scan (preflight/codescan/privacy) from its argument list, parse its output
+ * and apply the project config and CI gate. Options: gatePolicy, projectConfig, bundleId + loadProjectConfig, loadGuidelines.
+ */
+async function runProjectScan(argv, ctx = NOOP_CONTEXT, options = {}) {
+  ctx.stage('scanning', `Running greenlight ${argv[0]}`);
+  const result = await runGreenlight(argv, { onLine: ctx.log, signal: ctx.signal });
+  const scanResults = parseGreenlightResult(result);
+  if (Array.isArray(scanResults.findings)) {
+    scanResults.findings = assignFingerprints(scanResults.findings);
+  }
+  return finalizeResults(scanResults, options.bundleId, options, ctx);
+}
+
+/**
+ * Validate the privacy manifests of a project checkout. Uses greenlight's privacy scan when
+ * available (SCAN_ENGINE permitting) and falls back to the native manifest validator.
+ */
+async function runPrivacyScan(projectPath, ctx = NOOP_CONTEXT, options = {}) {
+  const engine = process.env.SCAN_ENGINE || 'auto';
+
+  if (engine !== 'native') {
+    try {
+      return await runProjectScan(['privacy', path.resolve(projectPath), '--format', 'json'], ctx, options);
+    } catch (error) {
+      if (error.cancelled || engine === 'greenlight') throw error;
+      console.warn('⚠️  Greenlight privacy scan failed, falling back to native validator:', error.error || error.message);
+      ctx.log(`Greenlight unavailable (${error.error || error.message}), using native validator`, 'stderr');
+    }
+  }
+
+  ctx.throwIfCancelled();
+  ctx.stage('scanning', 'Validating privacy manifests');
+  const { manifests, findings } = await validateManifestsInDirectory(projectPath);
+  if (manifests.length === 0) {
+    findings.push({
+      checkId: 'privacy-manifest',
+      title: 'Missing PrivacyInfo.xcprivacy',
+      severity: 'warn',
+      guideline: '5.1.1',
+      location: projectPath,
+      description: 'No PrivacyInfo.xcprivacy was found in the project. Apps that collect data or use required-reason APIs must ship one.',
+      impact: 'App Store Connect flags missing privacy manifests (ITMS-91053)'
+    });
+  }
+
+  const summary = summarizeFindings(findings);
+  const scanResults = {
+    engine: 'native',
+    status: summary.critical > 0 ? 'fail' : 'pass',
+    summary,
+    findings: assignFingerprints(findings),
+    privacyManifests: manifests
+  };
+  return finalizeResults(scanResults, options.bundleId, options, ctx);
+}
+
+/**
+ * Download an IPA from a URL to disk
+ */
+async function downloadIPA(url, outputPath, ctx = NOOP_CONTEXT) {
+  ctx.stage('downloading', `Downloading ${url}`);
+  const response = await axios({
+    method: 'get',
+    url,
+    responseType: 'stream',
+    maxContentLength: 500 * 1024 * 1024, // 500MB max
+    signal: ctx.signal,
+    headers: {
+      'User-Agent': 'Lumen-iOS-Compliance-Scanner/1.0'
+    }
+  });
+
+  const writer = fs.createWriteStream(outputPath);
+  response.data.pipe(writer);
+
+  return new Promise((resolve, reject) => {
+    writer.on('finish', resolve);
+    writer.on('error', reject);
+    response.data.on('error', reject);
+  });
+}
+
+/**
+ * AI risk assessment plus per-finding fix suggestions with the configured provider (AI_PROVIDER;
+ * the offline rules provider when no model is configured). Fix suggestions are skipped if the
+ * assessment failed.
+ */
+async function enhanceWithAI(scanResults, ctx = NOOP_CONTEXT) {
+  ctx.stage('analyzing', 'Running AI analysis');
+  const aiAnalysis = await analyzeWithAI(scanResults, { signal: ctx.signal });
+  scanResults.aiAnalysis = aiAnalysis;
+  ctx.throwIfCancelled();
+
+  if (scanResults.findings && scanResults.findings.length > 0 && !aiAnalysis.error) {
+    ctx.stage('suggesting-fixes', `Generating fix suggestions for ${scanResults.findings.length} findings`);
+    scanResults.findings = await generateFixSuggestions(scanResults.findings, {
+      signal: ctx.signal,
+      onProgress: (done, total) => ctx.log(`Fix suggestion ${done}/${total}`)
+    });
+    ctx.throwIfCancelled();
+  }
+
+  return scanResults;
+}
+
+/**
+ * Render the PDF report for a scan into reports/
+ */
+async function writePDFReport(scanResults, scanId, ctx = NOOP_CONTEXT) {
+  ctx.stage('generating-report', 'Generating PDF report');
+  await fs.promises.mkdir(REPORTS_DIR, { recursive: true });
+  const pdfPath = path.join(REPORTS_DIR, `compliance-report-${scanId}.pdf`);
+  await generateCompliancePDF(scanResults, pdfPath);
+  return pdfPath;
+}
+
+module.exports = {
+  REPORTS_DIR,
+  runIPAScan,
+  runProjectScan,
+  runPrivacyScan,
+  downloadIPA,
+  enhanceWithAI,
+  writePDFReport
+};
@@ -0,0 +1,164 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Helper: Write a file atomically so a crash never leaves half-written JSON behind
+async function writeJSON(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await fs.rename(tmpPath, filePath);
+}
+
+// Helper: Listing metadata for a scan record (everything except the heavy results)
+function indexEntry(record) {
+  const { results, ...entry } = record;
+  return entry;
+}
+
+/**
+ * Build a persistent scan record from a finished job
+ */
+function recordFromJob(job) {
+  const result = job.result || {};
+  const results = result.results || {};
+
+  return {
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    appName: results.app?.appName || results.appName || null,
+    bundleId: results.app?.bundleId || null,
+    version: results.app?.version || null,
+    build: results.app?.build || null,
+    fileName: result.fileName || job.meta.fileName || null,
+    fileSize: result.fileSize || job.meta.fileSize || null,
+    sourceUrl: result.sourceUrl || job.meta.sourceUrl || null,
+    projectPath: result.projectPath || job.meta.projectPath || null,
+    engine: results.engine || null,
+    status: results.summary?.status || null,
+    summary: results.summary || null,
+    gate: results.gate || null,
+    reports: result.pdfReport ? { pdf: result.pdfReport } : {},
+    results: job.result ? results : null
+  };
+}
+
+/**
+ * JSON-file scan history: one <id>.json per scan plus an index.json used for listing.
+ */
+function createScanStore(directory) {
+  const indexPath = path.join(directory, 'index.json');
+  let index = null;
+
+  // Writes are chained so concurrent jobs can't interleave index updates
+  let writeChain = Promise.resolve();
+  const serialize = (fn) => {
+    const next = writeChain.then(fn, fn);
+    writeChain = next.catch(() => {});
+    return next;
+  };
+
+  const scanPath = (id) => {
+    // Scan IDs are generated by us, but reject anything that could escape the directory
+    if (!/^[\w.-]+$/.test(id)) throw new Error(`Invalid scan ID: ${id}`);
+    return path.join(directory, `${id}.json`);
+  };
+
+  async function loadIndex() {
+    if (index) return index;
+    await fs.mkdir(directory, { recursive: true });
+    try {
+      index = JSON.parse(await fs.readFile(indexPath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('⚠️  Scan history index unreadable, starting a new one:', error.message);
+      }
+      index = [];
+    }
+    return index;
+  }
+
+  return {
+    /**
+     * Save (or overwrite) a scan record
+     */
+    save: (record) => serialize(async () => {
+      const entries = await loadIndex();
+      await writeJSON(scanPath(record.id), record);
+
+      const position = entries.findIndex(entry => entry.id === record.id);
+      if (position === -1) {
+        entries.push(indexEntry(record));
+      } else {
+        entries[position] = indexEntry(record);
+      }
+      await writeJSON(indexPath, entries);
+      return record;
+    }),
+
+    /**
+     * Full scan record, or null if unknown
+     */
+    async get(id) {
+      try {
+        return JSON.parse(await fs.readFile(scanPath(id), 'utf-8'));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.message.startsWith('Invalid scan ID')) return null;
+        throw error;
+      }
+    },
+
+    /**
+     * List scan metadata, newest first.
+     * Filters: appName (substring), bundleId, status (GREENLIT|WARNING|BLOCKED),
+     * state (completed|failed|cancelled), from/to (ISO dates), limit, offset.
+     */
+    async list(filters = {}) {
+      for (const key of ['appName', 'bundleId', 'status', 'state', 'from', 'to']) {
+        if (filters[key] != null && typeof filters[key] !== 'string') throw new Error(`Invalid ${key} filter: expected a string`);
+      }
+      const entries = await loadIndex();
+      const from = filters.from ? new Date(filters.from) : null;
+      const to = filters.to ? new Date(filters.to) : null;
+      const appName = filters.appName?.toLowerCase();
+
+      const matches = entries.filter(entry => {
+        if (appName && !(entry.appName || '').toLowerCase().includes(appName)) return false;
+        if (filters.bundleId && entry.bundleId !== filters.bundleId) return false;
+        if (filters.status && (entry.status || '').toUpperCase() !== filters.status.toUpperCase()) return false;
+        if (filters.state && entry.state !== filters.state) return false;
+        const createdAt = new Date(entry.createdAt);
+        if (from && createdAt < from) return false;
+        if (to && createdAt > to) return false;
+        return true;
+      }).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      const offset = parseInt(filters.offset) || 0;
+      const limit = parseInt(filters.limit) || 50;
+      return {
+        total: matches.length,
+        offset,
+        limit,
+        scans: matches.slice(offset, offset + limit)
+      };
+    },
+
+    /**
+     * Delete a scan record. Returns the removed record, or null if unknown.
+     */
+    remove: (id) => serialize(async () => {
+      const entries = await loadIndex();
+      const position = entries.findIndex(entry => entry.id === id);
+      if (position === -1) return null;
+
+      const [removed] = entries.splice(position, 1);
+      await fs.unlink(scanPath(id)).catch(() => {});
+      await writeJSON(indexPath, entries);
+      return removed;
+    })
+  };
+}
+
+module.exports = { createScanStore, recordFromJob };
@@ -0,0 +1,165 @@
+const path = require('path');
+const { extractStrings } = require('./binary-strings');
+const { parsePlist } = require('./plist-parser');
+const SDK_FINGERPRINTS = require('./data/sdk-fingerprints.json');
+
+// Lookup tables built once from the fingerprint database (names compared case-insensitively)
+const BY_FRAMEWORK = new Map();
+const BY_SWIFT_MODULE = new Map();
+const BUNDLE_ID_PATTERNS = [];
+const CLASS_PREFIXES = [];
+for (const [name, sdk] of Object.entries(SDK_FINGERPRINTS.sdks)) {
+  for (const framework of sdk.frameworks) BY_FRAMEWORK.set(framework.toLowerCase(), name);
+  for (const module of sdk.swiftModules || []) BY_SWIFT_MODULE.set(module, name);
+  for (const bundleId of sdk.bundleIds) {
+    // A trailing * matches any bundle ID with that prefix
+    BUNDLE_ID_PATTERNS.push({ prefix: bundleId.replace(/\*$/, '').toLowerCase(), exact: !bundleId.endsWith('*'), name });
+  }
+  for (const prefix of sdk.classPrefixes || []) CLASS_PREFIXES.push({ prefix, name });
+}
+
+const CLASS_PATTERN = CLASS_PREFIXES.length
+  ? new RegExp(`^(?:_OBJC_(?:META)?CLASS_\\$_)?(${CLASS_PREFIXES.map(entry => entry.prefix).join('|')})`)
+  : null;
+// Swift type metadata (_TtC9Alamofire7Session) and mangled symbols ($s9Alamofire...) start with the module name
+const SWIFT_MODULE_PATTERN = /^(?:_TtC|_?\$s)(\d+)([A-Za-z_]\w*)/;
+
+// Helper: SDK whose bundle ID pattern matches, or undefined
+function sdkForBundleId(bundleId) {
+  if (!bundleId) return undefined;
+  const id = bundleId.toLowerCase();
+  return BUNDLE_ID_PATTERNS.find(pattern => pattern.exact ? id === pattern.prefix : id.startsWith(pattern.prefix))?.name;
+}
+
+// Helper: SDKs whose classes or Swift modules a binary contains
+function sdksInBinary(buffer) {
+  const found = new Set();
+  for (const text of extractStrings(buffer, { minLength: 6 })) {
+    const classMatch = CLASS_PATTERN && text.match(CLASS_PATTERN);
+    if (classMatch) {
+      found.add(CLASS_PREFIXES.find(entry => classMatch[1] === entry.prefix).name);
+      continue;
+    }
+    const swiftMatch = text.match(SWIFT_MODULE_PATTERN);
+    if (swiftMatch) {
+      const module = swiftMatch[2].slice(0, Number(swiftMatch[1]));
+      if (BY_SWIFT_MODULE.has(module)) found.add(BY_SWIFT_MODULE.get(module));
+    }
+  }
+  return found;
+}
+
+// Helper: Code signature status of an embedded binary, as reported in the inventory
+function signatureStatus(binary) {
+  if (!binary || binary.error) return { signed: false, valid: false, adhoc: null, teamId: null, error: binary?.error || 'Binary not found' };
+  if (!binary.signed) return { signed: false, valid: false, adhoc: null, teamId: null, error: null };
+  const { valid = false, adhoc = null, teamId = null, error = null } = binary.signature || {};
+  return { signed: true, valid, adhoc, teamId, error };
+}
+
+// Helper: Privacy manifest shipped for a statically linked SDK, in a resource bundle named after it
+function staticManifest(name, manifests) {
+  const names = [name, ...SDK_FINGERPRINTS.sdks[name].frameworks].map(candidate => candidate.toLowerCase());
+  return manifests.find(manifest => {
+    const match = manifest.path.match(/(?:^|\/)([^/]+?)(?:_Privacy|Privacy)?\.bundle\/PrivacyInfo\.xcprivacy$/i);
+    return match && names.includes(match[1].toLowerCase());
+  })?.path || null;
+}
+
+/**
+ * Identify the third-party SDKs embedded in the app from framework names, bundle identifiers
+ * (including Info.plist files nested inside Frameworks/) and characteristic class names in every executable.
+ * Each SDK is marked if it is on Apple's list of privacy-impacting SDKs, with its privacy manifest
+ * and code signature status. Frameworks that match no fingerprint are listed as unidentified.
+ */
+async function buildSDKInventory(app, ipa) {
+  const sdks = new Map();
+  const add = (name, fields) => {
+    if (!sdks.has(name)) {
+      const sdk = SDK_FINGERPRINTS.sdks[name];
+      sdks.set(name, {
+        name,
+        vendor: sdk.vendor,
+        version: null,
+        privacyImpacting: sdk.privacyImpacting,
+        linkage: fields.linkage,
+        location: fields.location,
+        detectedBy: [],
+        privacyManifest: null,
+        signature: null,
+        ...fields.details
+      });
+    }
+    const entry = sdks.get(name);
+    if (!entry.detectedBy.includes(fields.evidence)) entry.detectedBy.push(fields.evidence);
+  };
+
+  // Embedded frameworks and dylibs, by name and bundle identifier
+  const unidentified = [];
+  for (const framework of app.frameworks) {
+    const byName = BY_FRAMEWORK.get(framework.name.replace(/^lib/, '').toLowerCase()) ||
+      BY_FRAMEWORK.get(framework.name.toLowerCase());
+    const byBundleId = sdkForBundleId(framework.bundleId);
+    const name = byName || byBundleId;
+    if (!name) {
+      unidentified.push({ name: framework.name, path: framework.path, bundleId: framework.bundleId || null, version: framework.version || null });
+      continue;
+    }
+
+    const details = {
+      version: framework.version || null,
+      privacyManifest: app.privacyManifests.find(manifest => manifest.path.startsWith(`${framework.path}/`))?.path || null,
+      signature: signatureStatus(framework.binary)
+    };
+    if (byName) add(name, { linkage: 'dynamic', location: framework.path, evidence: `framework ${framework.name}`, details });
+    if (byBundleId) add(byBundleId, { linkage: 'dynamic', location: framework.path, evidence: `bundle ID ${framework.bundleId}`, details });
+  }
+
+  // Resource bundles inside frameworks carry their own Info.plist and bundle ID
+  for (const file of ipa.files) {
+    if (!/^Frameworks\/[^/]+\/.+\/Info\.plist$/.test(file.path)) continue;
+    let bundleId;
+    try {
+      bundleId = parsePlist(await ipa.readFile(file.path)).CFBundleIdentifier;
+    } catch {
+      continue;
+    }
+    const name = sdkForBundleId(bundleId);
+    if (name && !sdks.has(name)) {
+      add(name, {
+        linkage: 'static',
+        location: file.path.split('/').slice(0, 2).join('/'),
+        evidence: `bundle ID ${bundleId} (${path.posix.dirname(file.path)})`,
+        details: { privacyManifest: staticManifest(name, app.privacyManifests) }
+      });
+    }
+  }
+
+  // SDKs linked statically into the app, its extensions or another framework
+  const executables = [
+    { name: app.executable, path: app.executable },
+    ...app.plugins.map(plugin => ({ name: plugin.name, path: plugin.executable })),
+    ...app.frameworks.map(framework => ({ name: framework.name, path: framework.executable }))
+  ].filter(executable => executable.path && ipa.hasFile(executable.path));
+  for (const executable of executables) {
+    for (const name of sdksInBinary(await ipa.readFile(executable.path))) {
+      const existing = sdks.get(name);
+      // A dynamic framework's own classes, or references to them from other binaries
+      if (existing?.linkage === 'dynamic') continue;
+      add(name, {
+        linkage: 'static',
+        location: executable.path,
+        evidence: `classes in ${executable.name}`,
+        details: { privacyManifest: staticManifest(name, app.privacyManifests) }
+      });
+    }
+  }
+
+  return {
+    databaseVersion: SDK_FINGERPRINTS.version,
+    sdks: [...sdks.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    unidentified
+  };
+}
+
+module.exports = { buildSDKInventory };
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const path = require('path');
+const { parsePlist } = require('./plist-parser');
+const { parseStringsFile } = require('./strings-parser');
+
+// Text files searched in the bundle (executables are always searched)
+const SCANNED_EXTENSIONS = new Set(['.plist', '.strings', '.json', '.js', '.html', '.xml', '.txt', '.cfg', '.conf', '.ini', '.env', '.yaml', '.yml', '.pem']);
+const MAX_SCANNED_FILE_SIZE = 20 * 1024 * 1024;
+const MAX_REPORTED_SECRETS = 100;
+
+// Key material that should never ship inside an app, flagged by file extension alone
+const KEY_FILE_EXTENSIONS = {
+  '.p12': 'PKCS#12 certificate bundle',
+  '.pfx': 'PKCS#12 certificate bundle',
+  '.p8': 'PKCS#8 private key (App Store Connect / APNs auth key)',
+  '.key': 'Private key file',
+  '.jks': 'Java keystore',
+  '.keystore': 'Keystore'
+};
+
+/**
+ * Provider-specific secret patterns. `prefix` stays visible when the match is redacted;
+ * `verify` rejects look-alikes the regex can't rule out.
+ */
+const SECRET_PATTERNS = [
+  {
+    id: 'private-key',
+    label: 'Private key',
+    severity: 'critical',
+    // The whole PEM block is hashed; only its header is shown
+    pattern: /(-----BEGIN (?:RSA |EC |DSA |OPENSSH |ENCRYPTED |PGP )?PRIVATE KEY(?: BLOCK)?-----)[\s\S]*?(?:-----END[^-\n]*-----|$)/g,
+    redactAll: true,
+    fix: 'Remove the private key from the bundle and revoke it. Anything signed or decrypted with it must be treated as compromised.'
+  },
+  {
+    id: 'aws-access-key',
+    label: 'AWS access key ID',
+    severity: 'critical',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+    prefix: 4,
+    fix: 'Deactivate the IAM key and hand out short-lived credentials instead (Cognito identity pools or your own backend).'
+  },
+  {
+    id: 'aws-secret-key',
+    label: 'AWS secret access key',
+    severity: 'critical',
+    pattern: /aws.{0,20}?(?:secret|private).{0,20}?["'=:\s]([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi,
+    group: 1,
+    fix: 'Deactivate the IAM key and hand out short-lived credentials instead (Cognito identity pools or your own backend).'
+  },
+  {
+    id: 'stripe-secret-key',
+    label: 'Stripe secret key',
+    severity: 'critical',
+    pattern: /\b[sr]k_live_[0-9A-Za-z]{20,}\b/g,
+    prefix: 8,
+    fix: 'Roll the key in the Stripe dashboard. Apps may only contain the publishable key (pk_live_); charges belong on your server.'
+  },
+  {
+    id: 'stripe-test-key',
+    label: 'Stripe test secret key',
+    severity: 'warn',
+    pattern: /\b[sr]k_test_[0-9A-Za-z]{20,}\b/g,
+    prefix: 8,
+    fix: 'Remove the test key from release builds; apps may only contain the publishable key.'
+  },
+  {
+    id: 'slack-token',
+    label: 'Slack token',
+    severity: 'critical',
+    pattern: /\bxox[abposr]-[0-9A-Za-z-]{10,}\b/g,
+    prefix: 5,
+    fix: 'Revoke the token in the Slack app settings and call Slack from your backend.'
+  },
+  {
+    id: 'slack-webhook',
+    label: 'Slack incoming webhook',
+    severity: 'warn',
+    pattern: /https:\/\/hooks\.slack\.com\/services\/T[0-9A-Z]+\/B[0-9A-Z]+\/[0-9A-Za-z]{16,}/g,
+    prefix: 33,
+    fix: 'Regenerate the webhook URL; anyone holding it can post to the channel.'
+  },
+  {
+    id: 'github-token',
+    label: 'GitHub token',
+    severity: 'critical',
+    pattern: /\b(?:gh[pousr]_[0-9A-Za-z]{36,}|github_pat_[0-9A-Za-z_]{60,})\b/g,
+    prefix: 4,
+    fix: 'Revoke the token on GitHub and move the API calls to your backend.'
+  },
+  {
+    id: 'openai-api-key',
+    label: 'OpenAI API key',
+    severity: 'critical',
+    pattern: /\bsk-(?:proj-|svcacct-)?[0-9A-Za-z_-]{20,}T3BlbkFJ[0-9A-Za-z_-]{20,}\b/g,
+    prefix: 3,
+    fix: 'Revoke the key and proxy model requests through your backend.'
+  },
+  {
+    id: 'anthropic-api-key',
+    label: 'Anthropic API key',
+    severity: 'critical',
+    pattern: /\bsk-ant-[a-z]+\d*-[0-9A-Za-z_-]{40,}\b/g,
+    prefix: 7,
+    fix: 'Revoke the key and proxy model requests through your backend.'
+  },
+  {
+    id: 'sendgrid-api-key',
+    label: 'SendGrid API key',
+    severity: 'critical',
+    pattern: /\bSG\.[0-9A-Za-z_-]{22}\.[0-9A-Za-z_-]{43}\b/g,
+    prefix: 3,
+    fix: 'Delete the key in SendGrid and send mail from your backend.'
+  },
+  {
+    id: 'twilio-api-key',
+    label: 'Twilio API key',
+    severity: 'warn',
+    pattern: /\bSK[0-9a-f]{32}\b/g,
+    prefix: 2,
+    fix: 'Delete the API key in Twilio and issue access tokens from your backend.'
+  },
+  {
+    id: 'mailgun-api-key',
+    label: 'Mailgun API key',
+    severity: 'warn',
+    pattern: /\bkey-[0-9a-f]{32}\b/g,
+    prefix: 4,
+    fix: 'Rotate the key in Mailgun and send mail from your backend.'
+  },
+  {
+    id: 'google-oauth-secret',
+    label: 'Google OAuth client secret',
+    severity: 'critical',
+    pattern: /\bGOCSPX-[0-9A-Za-z_-]{28}\b/g,
+    prefix: 7,
+    fix: 'Reset the client secret. iOS OAuth clients are public clients and use PKCE without a secret.'
+  },
+  {
+    id: 'google-api-key',
+    label: 'Google API key',
+    // Client keys (GoogleService-Info.plist API_KEY) are meant to ship; they only need restricting
+    severity: 'info',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+    prefix: 4,
+    fix: 'Restrict the key to your bundle ID and the APIs the app uses in the Google Cloud console, then allowlist it in the project config.'
+  },
+  {
+    id: 'jwt',
+    label: 'JSON Web Token',
+    severity: 'warn',
+    pattern: /\beyJ[0-9A-Za-z_-]{10,}\.eyJ[0-9A-Za-z_-]{10,}\.[0-9A-Za-z_-]{10,}/g,
+    prefix: 3,
+    verify: (value) => {
+      try {
+        return !!JSON.parse(Buffer.from(value.split('.')[0], 'base64url').toString('utf-8')).alg;
+      } catch (error) {
+        return false;
+      }
+    },
+    fix: 'Don\'t ship long-lived tokens; have the app obtain them at runtime and expire them.'
+  }
+];
+
+// Generic "secret = value" assignments, reported when the value looks random (entropy heuristic)
+const ASSIGNMENT_PATTERN = /["']?([A-Za-z0-9_.-]*(?:secret|passw(?:or)?d|api[_-]?key|access[_-]?key|auth[_-]?token|private[_-]?key|client[_-]?secret)[A-Za-z0-9_.-]*)["']?\s*(?:=|:|=>)\s*["']([^"'\s]{16,256})["']/gi;
+const MIN_ENTROPY = 3.5;
+const PLACEHOLDER_PATTERN = /^(?:your|insert|replace|example|sample|test|dummy|placeholder|changeme|xxx|\*{3}|<|\$\{|\{\{|%)/i;
+
+// Helper: Shannon entropy in bits per character
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / value.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+}
+
+// Helper: Whether a value looks like a random credential rather than a word, path or placeholder
+function looksRandom(value) {
+  if (PLACEHOLDER_PATTERN.test(value) || /^(?:https?:|\/)/.test(value)) return false;
+  const classes = [/[a-z]/, /[A-Z]/, /\d/].filter(pattern => pattern.test(value)).length;
+  return classes >= 2 && shannonEntropy(value) >= MIN_ENTROPY;
+}
+
+/**
+ * Redact a secret for reports: the provider prefix and the last few characters stay readable
+ */
+function redactSecret(value, { prefix = 0 } = {}) {
+  const tail = value.length >= 20 ? 4 : 2;
+  const head = Math.max(prefix, value.length >= 20 ? 4 : 2);
+  if (value.length <= head + tail + 4) return `${value.slice(0, 2)}${'*'.repeat(Math.min(value.length - 2, 8))}`;
+  return `${value.slice(0, head)}${'*'.repeat(Math.min(value.length - head - tail, 12))}${value.slice(-tail)}`;
+}
+
+// Helper: SHA-256 of a secret (or key file), so allowlists and scan records never hold the value itself
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Helper: Flatten a parsed plist/.strings table into "keyPath = "value"" lines for the patterns
+function flattenStrings(value, keyPath = '', lines = []) {
+  if (typeof value === 'string') {
+    lines.push(`${keyPath} = "${value}"`);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => flattenStrings(item, `${keyPath}[${index}]`, lines));
+  } else if (value && typeof value === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date)) {
+    for (const [key, child] of Object.entries(value)) flattenStrings(child, keyPath ? `${keyPath}.${key}` : key, lines);
+  }
+  return lines;
+}
+
+// Helper: Searchable text of a bundle file. Plists and .strings are decoded (they may be binary);
+// `lines` is false when line numbers are meaningless (executables, flattened plists)
+function searchableText(file, buffer, isExecutable) {
+  const extension = path.extname(file.path).toLowerCase();
+  if (!isExecutable && (extension === '.plist' || extension === '.strings')) {
+    try {
+      const parsed = extension === '.plist' ? parsePlist(buffer) : parseStringsFile(buffer);
+      return { text: flattenStrings(parsed).join('\n'), lines: false };
+    } catch (error) {
+      // Fall through and search the raw bytes
+    }
+  }
+  const utf16 = buffer[0] === 0xFF && buffer[1] === 0xFE;
+  return { text: utf16 ? buffer.toString('utf16le') : buffer.toString('latin1'), lines: !isExecutable };
+}
+
+// Helper: 1-based line number of an offset
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = text.indexOf('\n'); i !== -1 && i < offset; i = text.indexOf('\n', i + 1)) line++;
+  return line;
+}
+
+/**
+ * Search the app's executables and bundled plists, .strings, JSON, web and config files for
+ * hard-coded credentials, and flag bundled key files.
+ * Returns { scannedFiles, truncated, secrets: [{ type, label, severity, file, line, redacted, sha256, entropy?, keyName?, fix }] }.
+ */
+async function findSecrets(app, ipa) {
+  const executables = new Set([app.executable, ...app.frameworks.map(f => f.executable), ...app.plugins.map(p => p.executable)]);
+  const secrets = [];
+  const seen = new Set();
+  let scannedFiles = 0;
+  let truncated = false;
+
+  const record = (secret) => {
+    const key = `${secret.file}|${secret.sha256}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (secrets.length >= MAX_REPORTED_SECRETS) {
+      truncated = true;
+      return;
+    }
+    secrets.push(secret);
+  };
+
+  for (const file of ipa.files) {
+    if (file.path.includes('_CodeSignature/') || file.path.startsWith('SC_Info/')) continue;
+
+    const extension = path.extname(file.path).toLowerCase();
+    if (KEY_FILE_EXTENSIONS[extension]) {
+      record({
+        type: 'key-file',
+        label: KEY_FILE_EXTENSIONS[extension],
+        severity: extension === '.p12' || extension === '.pfx' ? 'warn' : 'critical',
+        file: file.path,
+        line: null,
+        redacted: path.basename(file.path),
+        sha256: hashSecret(await ipa.readFile(file.path)),
+        fix: 'Remove the key file from the app target. If it holds a private key, revoke it.'
+      });
+      continue;
+    }
+
+    const isExecutable = executables.has(file.path);
+    if (!isExecutable && !(SCANNED_EXTENSIONS.has(extension) && file.size <= MAX_SCANNED_FILE_SIZE)) continue;
+
+    const { text, lines } = searchableText(file, await ipa.readFile(file.path), isExecutable);
+    scannedFiles++;
+
+    for (const definition of SECRET_PATTERNS) {
+      for (const match of text.matchAll(definition.pattern)) {
+        const value = match[definition.group || 0];
+        if (definition.verify && !definition.verify(value)) continue;
+        record({
+          type: definition.id,
+          label: definition.label,
+          severity: definition.severity,
+          file: file.path,
+          line: lines ? lineAt(text, match.index) : null,
+          redacted: definition.redactAll ? match[1] : redactSecret(value, definition),
+          sha256: hashSecret(value),
+          fix: definition.fix
+        });
+      }
+    }
+
+    // Generic assignments only in text: executables are full of random-looking symbol data
+    if (isExecutable) continue;
+    for (const match of text.matchAll(ASSIGNMENT_PATTERN)) {
+      const [, keyName, value] = match;
+      const sha256 = hashSecret(value);
+      if (seen.has(`${file.path}|${sha256}`) || !looksRandom(value)) continue;
+      record({
+        type: 'generic-secret',
+        label: 'Possible hard-coded secret',
+        severity: 'warn',
+        file: file.path,
+        line: lines ? lineAt(text, match.index) : null,
+        keyName,
+        redacted: redactSecret(value),
+        sha256,
+        entropy: Math.round(shannonEntropy(value) * 100) / 100,
+        fix: 'If this is a credential, remove it from the bundle, rotate it and fetch it at runtime from your backend.'
+      });
+    }
+  }
+
+  return { scannedFiles, truncated, secrets };
+}
+
+module.exports = { SECRET_PATTERNS, redactSecret, hashSecret, shannonEntropy, findSecrets };
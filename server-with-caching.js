@@ -5,7 +5,9 @@ const { exec } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
-const cheerio = require('cheerio');
+const { createGuidelinesCache, guidelinesReference } = require('./guidelines');
+const { VERSION_PATTERN, guidelinesChanges } = require('./guidelines-diff');
+const { searchGuidelines } = require('./guidelines-search');
 
 const app = express();
 const PORT = process.env.PORT || 3456;
@@ -15,10 +17,8 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Guidelines caching
-let guidelinesCache = null;
-let cacheTimestamp = null;
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+// Guidelines caching: parsed guidelines kept on disk for 24 hours, bundled snapshot when offline
+const guidelinesCache = createGuidelinesCache(process.env.GUIDELINES_DIR || path.join(__dirname, 'guidelines-cache'));
 
 // Multer configuration
 const storage = multer.diskStorage({
@@ -83,130 +83,27 @@ async function downloadIPA(url, outputPath) {
   });
 }
 
-// Helper: Fetch Apple Guidelines (with scraping)
-async function fetchAppleGuidelines() {
-  try {
-    const response = await axios.get('https://developer.apple.com/app-store/review/guidelines/', {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-      }
-    });
-    const $ = cheerio.load(response.data);
-    
-    const guidelines = [];
-    $('article section').each((i, section) => {
-      const title = $(section).find('h2').first().text().trim();
-      const content = $(section).find('p').first().text().trim();
-      if (title && content) {
-        guidelines.push({ section: i + 1, title, content });
-      }
-    });
-
-    return {
-      lastUpdated: new Date().toISOString(),
-      url: 'https://developer.apple.com/app-store/review/guidelines/',
-      sections: guidelines.length > 0 ? guidelines : fallbackGuidelines()
-    };
-  } catch (error) {
-    console.error('Failed to fetch Apple guidelines:', error.message);
-    return {
-      lastUpdated: new Date().toISOString(),
-      url: 'https://developer.apple.com/app-store/review/guidelines/',
-      sections: fallbackGuidelines(),
-      error: 'Failed to fetch live guidelines, using fallback'
-    };
-  }
-}
-
-// Fallback guidelines (in case scraping fails)
-function fallbackGuidelines() {
-  return [
-    {
-      section: 1,
-      title: 'Safety',
-      content: 'Apps must be safe for users. Any content that is offensive, insensitive, upsetting, or is intended to disgust users will be rejected.'
-    },
-    {
-      section: 2,
-      title: 'Performance',
-      content: 'Apps should include features, content, and UI that elevate them beyond a repackaged website. Apps should use APIs and frameworks for their intended purposes and indicate that integration in their app description.'
-    },
-    {
-      section: 3,
-      title: 'Business',
-      content: 'There are many ways to monetize your app on the App Store. If your business model isn't obvious, make sure to explain in its metadata and App Review notes.'
-    },
-    {
-      section: 4,
-      title: 'Design',
-      content: 'Apple customers place a high value on products that are simple, refined, innovative, and easy to use. Keep these principles in mind as you work on your app's design.'
-    },
-    {
-      section: 5,
-      title: 'Legal',
-      content: 'Apps must comply with all legal requirements in any location where you make them available. It is your responsibility to understand and make sure your app conforms with all local laws.'
-    }
-  ];
-}
-
-// Helper: Get cached guidelines
+// Helper: Reference to the guidelines a scan was checked against
 async function getCachedGuidelines() {
-  const now = Date.now();
-  
-  // Return cache if fresh
-  if (guidelinesCache && cacheTimestamp && (now - cacheTimestamp < CACHE_DURATION)) {
-    return {
-      ...guidelinesCache,
-      cached: true,
-      cacheAge: Math.floor((now - cacheTimestamp) / 1000 / 60) + ' minutes ago'
-    };
-  }
-
-  // Fetch fresh guidelines
-  try {
-    guidelinesCache = await fetchAppleGuidelines();
-    cacheTimestamp = now;
-    return guidelinesCache;
-  } catch (error) {
-    // Return stale cache if fetch fails
-    if (guidelinesCache) {
-      return {
-        ...guidelinesCache,
-        cached: true,
-        stale: true,
-        error: 'Failed to fetch fresh guidelines, serving stale cache'
-      };
-    }
-    throw error;
-  }
+  return guidelinesReference(await guidelinesCache.get());
 }
 
 // Routes
 
 // Health check with guideline cache status
 app.get('/health', (req, res) => {
-  const guidelineAge = cacheTimestamp ? Date.now() - cacheTimestamp : null;
-  const isStale = guidelineAge && guidelineAge > CACHE_DURATION;
-
   res.json({
     status: 'ok',
     service: 'iOS Compliance Scanner API',
     version: '1.0.0',
-    guidelines: {
-      cached: !!guidelinesCache,
-      age: guidelineAge ? Math.floor(guidelineAge / 1000 / 60) + ' minutes' : 'not cached',
-      stale: isStale,
-      lastUpdated: cacheTimestamp ? new Date(cacheTimestamp).toISOString() : null,
-      sections: guidelinesCache?.sections?.length || 0
-    }
+    guidelines: guidelinesCache.status()
   });
 });
 
 // Get Apple Guidelines (with caching)
 app.get('/api/guidelines', async (req, res) => {
   try {
-    const guidelines = await getCachedGuidelines();
+    const guidelines = await guidelinesCache.get();
     res.json(guidelines);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch guidelines', details: error.message });
@@ -216,28 +113,46 @@ app.get('/api/guidelines', async (req, res) => {
 // Force refresh guidelines
 app.post('/api/guidelines/refresh', async (req, res) => {
   try {
-    guidelinesCache = await fetchAppleGuidelines();
-    cacheTimestamp = Date.now();
-    res.json({ message: 'Guidelines refreshed', ...guidelinesCache });
+    const guidelines = await guidelinesCache.get({ refresh: true });
+    res.json({ message: guidelines.error ? 'Guidelines could not be refreshed' : 'Guidelines refreshed', ...guidelines });
   } catch (error) {
     res.status(500).json({ error: 'Failed to refresh guidelines', details: error.message });
   }
 });
 
-// Search Apple Guidelines
+// Clause-level changes between fetched guideline versions
+// since: ISO date or version (default: the previous fetch)
+app.get('/api/guidelines/changes', async (req, res) => {
+  const { since } = req.query;
+  if (since && !VERSION_PATTERN.test(since) && isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: '"since" must be an ISO date or a guidelines version' });
+  }
+
+  try {
+    const changes = await guidelinesChanges(guidelinesCache, since);
+    if (!changes) {
+      return res.status(404).json({ error: `Unknown guidelines version ${since}` });
+    }
+    res.json(changes);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to compare guidelines', details: error.message });
+  }
+});
+
+// Search Apple Guidelines: ranked clauses with highlighted snippets
 app.get('/api/guidelines/search', async (req, res) => {
   const { q } = req.query;
   if (!q) {
     return res.status(400).json({ error: 'Query parameter "q" is required' });
   }
+  const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    return res.status(400).json({ error: '"limit" must be a positive integer' });
+  }
 
   try {
-    const result = await runGreenlight(`guidelines search "${q}"`);
-    res.json({
-      query: q,
-      results: result.stdout,
-      stderr: result.stderr
-    });
+    const guidelines = await guidelinesCache.get();
+    res.json(searchGuidelines(guidelines, q, { limit }));
   } catch (error) {
     res.status(500).json({ error: 'Failed to search guidelines', details: error.message });
   }
@@ -452,8 +367,8 @@ app.listen(PORT, async () => {
   // Pre-populate guidelines cache on startup
   console.log('📥 Pre-fetching Apple Guidelines...');
   try {
-    await getCachedGuidelines();
-    console.log('✅ Apple Guidelines cached');
+    const guidelines = await guidelinesCache.get();
+    console.log(`✅ Apple Guidelines cached (${guidelines.clauseCount} clauses, ${guidelines.source})`);
   } catch (error) {
     console.error('⚠️  Failed to cache guidelines on startup:', error.message);
   }
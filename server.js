@@ -1,13 +1,31 @@
 const express = require('express');
 const multer = require('multer');
-const axios = require('axios');
-const { exec } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
 const cors = require('cors');
-const cheerio = require('cheerio');
-const { generateCompliancePDF } = require('./pdf-generator');
-const { analyzeWithAI, generateFixSuggestions } = require('./ai-analyzer');
+const { verifyGreenlightAvailable } = require('./greenlight');
+const { createJobQueue, serializeJob } = require('./job-queue');
+const { createScanStore, recordFromJob } = require('./scan-store');
+const { compareScans } = require('./scan-compare');
+const { toSARIF } = require('./sarif-export');
+const { toJUnit } = require('./junit-export');
+const { toCycloneDX } = require('./sbom-export');
+const { LOCKFILE_TYPES, parseLockfile } = require('./lockfiles');
+const { createGuidelinesCache, guidelinesReference } = require('./guidelines');
+const { VERSION_PATTERN, guidelinesChanges } = require('./guidelines-diff');
+const { searchGuidelines } = require('./guidelines-search');
+const { parseGatePolicy, defaultGatePolicy, evaluateGate, gateSummary } = require('./ci-gate');
+const { normalizeProjectConfig, createProjectConfigStore } = require('./project-config');
+const { loadAIConfig } = require('./ai-providers');
+const {
+  REPORTS_DIR,
+  runIPAScan,
+  runProjectScan,
+  runPrivacyScan,
+  downloadIPA,
+  enhanceWithAI,
+  writePDFReport
+} = require('./scan-pipeline');
 
 const app = express();
 const PORT = process.env.PORT || 3456;
@@ -27,9 +45,10 @@ const storage = multer.diskStorage({
     await fs.mkdir(uploadDir, { recursive: true });
     cb(null, uploadDir);
   },
+  // Generated names only: the client's file name is kept in memory (file.originalname), never on disk
   filename: (req, file, cb) => {
     const uniqueId = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, `${uniqueId}-${file.originalname}`);
+    cb(null, `${uniqueId}${path.extname(file.originalname).toLowerCase()}`);
   }
 });
 
@@ -37,7 +56,21 @@ const upload = multer({
   storage,
   limits: { fileSize: 500 * 1024 * 1024 }, // 500MB max
   fileFilter: (req, file, cb) => {
-    if (file.originalname.endsWith('.ipa')) {
+    if (file.fieldname === 'config') {
+      // Project config uploaded alongside the IPA
+      if (file.originalname.endsWith('.json')) {
+        cb(null, true);
+      } else {
+        cb(new Error('Project config must be a .json file'));
+      }
+    } else if (file.fieldname === 'lockfile') {
+      // Dependency lockfiles checked against the advisory database
+      if (LOCKFILE_TYPES.includes(path.basename(file.originalname))) {
+        cb(null, true);
+      } else {
+        cb(new Error(`Lockfiles must be named ${LOCKFILE_TYPES.join(' or ')}`));
+      }
+    } else if (file.originalname.endsWith('.ipa')) {
       cb(null, true);
     } else {
       cb(new Error('Only .ipa files are allowed'));
@@ -45,132 +78,171 @@ const upload = multer({
   }
 });
 
-// Helper: Run greenlight CLI
-function runGreenlight(args) {
-  return new Promise((resolve, reject) => {
-    // Use GREENLIGHT_PATH env var or default to 'greenlight' in PATH
-    const greenlightBin = process.env.GREENLIGHT_PATH || 'greenlight';
-    const command = `${greenlightBin} ${args}`;
-    exec(command, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
-      if (error && !stdout) {
-        reject({ error: error.message, stderr });
-      } else {
-        // Greenlight may exit with code 1 if issues found, but still outputs results
-        resolve({ stdout, stderr, exitCode: error?.code || 0 });
-      }
-    });
-  });
-}
+// Scan uploads: the IPA plus an optional project config file and dependency lockfiles
+const scanUpload = [
+  upload.fields([{ name: 'ipa', maxCount: 1 }, { name: 'config', maxCount: 1 }, { name: 'lockfile', maxCount: 4 }]),
+  (req, res, next) => {
+    req.file = req.files?.ipa?.[0];
+    req.configFile = req.files?.config?.[0];
+    req.lockfileUploads = req.files?.lockfile || [];
+    next();
+  }
+];
 
-// Helper: Parse greenlight terminal output (JSON format not implemented in greenlight)
-function parseGreenlightOutput(stdout) {
-  const result = {
-    status: 'ok',
-    findings: [],
-    summary: {}
-  };
+// Lockfile uploads that enrich a stored scan's SBOM (small text files, kept in memory)
+const lockfileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 4 }
+}).array('lockfile');
 
-  // Extract app name
-  const appMatch = stdout.match(/App:\s+(.+)/);
-  if (appMatch) result.appName = appMatch[1].trim();
-
-  // Extract size
-  const sizeMatch = stdout.match(/Size:\s+([\d.]+)MB/);
-  if (sizeMatch) result.size = parseFloat(sizeMatch[1]) * 1024 * 1024;
-
-  // Extract summary (e.g., "47 findings: 45 warn 2 info")
-  const summaryMatch = stdout.match(/(\d+)\s+findings?:\s+(?:(\d+)\s+warn)?(?:\s+(\d+)\s+info)?/i);
-  if (summaryMatch) {
-    result.summary.total = parseInt(summaryMatch[1]) || 0;
-    result.summary.warn = parseInt(summaryMatch[2]) || 0;
-    result.summary.info = parseInt(summaryMatch[3]) || 0;
-  }
-
-  // Check for critical issues
-  if (stdout.includes('GREENLIT')) {
-    result.status = 'pass';
-  } else if (stdout.includes('BLOCKED') || stdout.includes('critical')) {
-    result.status = 'fail';
-  }
-
-  // Parse individual findings (simplified - greenlight terminal output varies)
-  // For now, create summary findings based on known checks
-  if (result.summary.warn > 0 || result.summary.info > 0) {
-    // Extract common issue types from output
-    const checks = [
-      { pattern: /privacy.*manifest/i, title: 'Privacy Manifest Check', severity: 'warn' },
-      { pattern: /info\.plist/i, title: 'Info.plist Completeness', severity: 'warn' },
-      { pattern: /app transport security/i, title: 'App Transport Security', severity: 'info' },
-      { pattern: /cellular.*limit/i, title: 'Cellular Download Limit', severity: 'warn' },
-      { pattern: /app icon/i, title: 'App Icon Presence', severity: 'warn' },
-      { pattern: /launch.*storyboard/i, title: 'Launch Storyboard', severity: 'warn' }
-    ];
-
-    checks.forEach(check => {
-      if (check.pattern.test(stdout)) {
-        result.findings.push({
-          title: check.title,
-          severity: check.severity,
-          description: `Found in greenlight scan output`,
-          impact: 'May affect App Store review'
-        });
-      }
-    });
+// Scan history: every finished scan is persisted as JSON under SCAN_STORE_DIR
+const scanStore = createScanStore(process.env.SCAN_STORE_DIR || path.join(__dirname, 'scans'));
+
+// Project configs (severity overrides, suppressions, disabled checks) stored per bundle ID
+const configStore = createProjectConfigStore(process.env.PROJECT_CONFIG_DIR || path.join(__dirname, 'configs'));
+
+// Parsed App Store Review Guidelines, cached on disk under GUIDELINES_DIR
+const guidelinesCache = createGuidelinesCache(process.env.GUIDELINES_DIR || path.join(__dirname, 'guidelines-cache'));
+
+// Scan job queue: scans run in the background, bounded by SCAN_CONCURRENCY
+const scanQueue = createJobQueue({
+  concurrency: parseInt(process.env.SCAN_CONCURRENCY) || 2,
+  onFinished: (job) => scanStore.save(recordFromJob(job))
+});
+
+// Formats a scan result can be returned in (?format=...)
+const RESULT_FORMATS = ['json', 'sarif', 'junit'];
+
+// Helper: Configured AI provider and model for enhanced scans, or the configuration error
+function aiStatus() {
+  try {
+    const { provider, model } = loadAIConfig();
+    return { provider, model };
+  } catch (error) {
+    return { error: error.message };
   }
+}
 
-  return result;
+// Helper: Result format requested with ?format= (else `fallback`), or null if it isn't supported.
+// A repeated parameter arrives as an array and is rejected as well.
+function requestedFormat(req, fallback = 'json') {
+  const format = req.query.format || fallback;
+  return typeof format === 'string' && RESULT_FORMATS.includes(format.toLowerCase()) ? format.toLowerCase() : null;
 }
 
-// Helper: Download IPA from URL
-async function downloadIPA(url, outputPath) {
-  const response = await axios({
-    method: 'get',
-    url,
-    responseType: 'stream',
-    maxContentLength: 500 * 1024 * 1024, // 500MB max
-    headers: {
-      'User-Agent': 'Lumen-iOS-Compliance-Scanner/1.0'
+// Helper: CI gate policy fields given on the query string or in the request body
+function gatePolicyFields(req) {
+  const fields = {};
+  for (const key of ['failOn', 'maxCritical', 'maxWarn', 'maxInfo']) {
+    const value = req.query[key] ?? req.body?.[key];
+    if (value !== undefined) fields[key] = value;
+  }
+  return fields;
+}
+
+// Middleware: Validate ?format=, the gate policy and the project config on scan routes
+// (runs after multer so rejected uploads are removed)
+async function scanOptions(req, res, next) {
+  const reject = (body) => {
+    if (req.file) fs.unlink(req.file.path).catch(() => {});
+    for (const file of req.lockfileUploads || []) fs.unlink(file.path).catch(() => {});
+    res.status(400).json(body);
+  };
+
+  // The config is either an uploaded .json file or a "config" body field
+  let configInput = req.body?.config;
+  if (req.configFile) {
+    configInput = await fs.readFile(req.configFile.path, 'utf-8').catch(() => null);
+    await fs.unlink(req.configFile.path).catch(() => {});
+  }
+  if (configInput) {
+    try {
+      req.projectConfig = normalizeProjectConfig(configInput);
+    } catch (error) {
+      return reject({ error: 'Invalid project config', details: error.message });
     }
-  });
+  }
 
-  const writer = require('fs').createWriteStream(outputPath);
-  response.data.pipe(writer);
+  // Package.resolved / Podfile.lock uploaded with the IPA
+  req.lockfiles = [];
+  for (const file of req.lockfileUploads || []) {
+    const text = await fs.readFile(file.path, 'utf-8').catch(() => '');
+    await fs.unlink(file.path).catch(() => {});
+    try {
+      req.lockfiles.push({ fileName: file.originalname, ...parseLockfile(file.originalname, text) });
+    } catch (error) {
+      return reject({ error: 'Invalid lockfile', details: error.message });
+    }
+  }
 
-  return new Promise((resolve, reject) => {
-    writer.on('finish', resolve);
-    writer.on('error', reject);
-  });
+  const format = requestedFormat(req);
+  if (!format) {
+    return reject({ error: `Unsupported format "${req.query.format}"`, formats: RESULT_FORMATS });
+  }
+  try {
+    req.gatePolicy = parseGatePolicy(gatePolicyFields(req));
+  } catch (error) {
+    return reject({ error: 'Invalid gate policy', details: error.message });
+  }
+  req.resultFormat = format;
+  next();
 }
 
-// Helper: Fetch latest Apple Guidelines
-async function fetchAppleGuidelines() {
-  try {
-    const response = await axios.get('https://developer.apple.com/app-store/review/guidelines/');
-    const $ = cheerio.load(response.data);
-    
-    const guidelines = [];
-    $('article section').each((i, section) => {
-      const title = $(section).find('h2').first().text().trim();
-      const content = $(section).find('p').first().text().trim();
-      if (title && content) {
-        guidelines.push({ section: i + 1, title, content });
-      }
-    });
+// Helper: Pipeline options for a scan request: gate policy, uploaded project config and lockfiles,
+// the stored config lookup (by the scanned bundle ID, or the "bundleId" field for project scans)
+// and the cached guidelines findings are mapped against
+function scanSettings(req) {
+  return {
+    gatePolicy: req.gatePolicy,
+    projectConfig: req.projectConfig,
+    lockfiles: req.lockfiles,
+    bundleId: req.body?.bundleId,
+    loadProjectConfig: (bundleId) => configStore.get(bundleId),
+    loadGuidelines: () => guidelinesCache.get()
+  };
+}
 
-    return {
-      lastUpdated: new Date().toISOString(),
-      url: 'https://developer.apple.com/app-store/review/guidelines/',
-      sections: guidelines
-    };
-  } catch (error) {
-    console.error('Failed to fetch Apple guidelines:', error.message);
-    return {
-      lastUpdated: new Date().toISOString(),
-      url: 'https://developer.apple.com/app-store/review/guidelines/',
-      sections: [],
-      error: 'Failed to fetch live guidelines'
-    };
+// Helper: Send a scan record in the requested format.
+// A gate policy given on the request re-evaluates the JUnit report against it.
+function sendScan(res, scan, format = 'json', policy) {
+  if (format === 'sarif') {
+    res.setHeader('Content-Type', 'application/sarif+json');
+    res.setHeader('Content-Disposition', `attachment; filename="ios-compliance-${scan.id}.sarif"`);
+    return res.send(JSON.stringify(toSARIF(scan), null, 2));
   }
+  if (format === 'junit') {
+    const gatePolicy = policy || scan.results.gatePolicy || defaultGatePolicy();
+    res.setHeader('Content-Type', 'application/xml');
+    res.setHeader('Content-Disposition', `attachment; filename="ios-compliance-${scan.id}.junit.xml"`);
+    res.setHeader('X-Compliance-Gate', evaluateGate(gateSummary(scan.results), gatePolicy).gate);
+    return res.send(toJUnit(scan, gatePolicy));
+  }
+  res.json(scan);
+}
+
+// Helper: Gate policy overrides on a read request (null when none were given)
+function requestedGatePolicy(req) {
+  const fields = gatePolicyFields(req);
+  return Object.keys(fields).length > 0 ? parseGatePolicy(fields) : null;
+}
+
+// Helper: Answer a scan request with the queued job and where to follow it
+function acceptJob(res, job) {
+  const format = job.meta.format || 'json';
+  res.status(202).json({
+    jobId: job.id,
+    scanId: job.id,
+    state: job.state,
+    queuePosition: job.queuePosition,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`,
+    resultUrl: format === 'json' ? undefined : `/api/scans/${job.id}?format=${format}`
+  });
+}
+
+// Helper: Reference to the guidelines a scan was checked against
+async function currentGuidelines() {
+  return guidelinesReference(await guidelinesCache.get());
 }
 
 // Routes
@@ -178,90 +250,111 @@ async function fetchAppleGuidelines() {
 // Health check
 app.get('/health', async (req, res) => {
   const greenlightOK = await verifyGreenlightAvailable();
+  const engine = process.env.SCAN_ENGINE || 'auto';
   res.json({ 
     status: greenlightOK ? 'ok' : 'degraded',
     service: 'iOS Compliance Scanner API', 
     version: '1.0.0',
-    greenlight: greenlightOK ? 'available' : 'NOT AVAILABLE - scans will fail',
-    greenlightPath: process.env.GREENLIGHT_PATH || 'greenlight'
+    scanEngine: engine,
+    greenlight: greenlightOK ? 'available' : 'NOT AVAILABLE - IPA scans use the native inspector, project scans will fail',
+    greenlightPath: process.env.GREENLIGHT_PATH || 'greenlight',
+    nativeInspector: 'available',
+    jobs: scanQueue.stats(),
+    guidelines: guidelinesCache.status(),
+    ai: aiStatus()
   });
 });
 
-// Get Apple Guidelines (live)
+// Get Apple Guidelines (cached for 24 hours)
 app.get('/api/guidelines', async (req, res) => {
   try {
-    const guidelines = await fetchAppleGuidelines();
+    const guidelines = await guidelinesCache.get();
     res.json(guidelines);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch guidelines', details: error.message });
   }
 });
 
-// Search Apple Guidelines
+// Force refresh guidelines
+app.post('/api/guidelines/refresh', async (req, res) => {
+  try {
+    const guidelines = await guidelinesCache.get({ refresh: true });
+    res.json({ message: guidelines.error ? 'Guidelines could not be refreshed' : 'Guidelines refreshed', ...guidelines });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to refresh guidelines', details: error.message });
+  }
+});
+
+// Clause-level changes between fetched guideline versions
+// since: ISO date or version (default: the previous fetch)
+app.get('/api/guidelines/changes', async (req, res) => {
+  const { since } = req.query;
+  if (since && !VERSION_PATTERN.test(since) && isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: '"since" must be an ISO date or a guidelines version' });
+  }
+
+  try {
+    const changes = await guidelinesChanges(guidelinesCache, since);
+    if (!changes) {
+      return res.status(404).json({ error: `Unknown guidelines version ${since}` });
+    }
+    res.json(changes);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to compare guidelines', details: error.message });
+  }
+});
+
+// Search Apple Guidelines: ranked clauses with highlighted snippets
 app.get('/api/guidelines/search', async (req, res) => {
   const { q } = req.query;
   if (!q) {
     return res.status(400).json({ error: 'Query parameter "q" is required' });
   }
+  const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    return res.status(400).json({ error: '"limit" must be a positive integer' });
+  }
 
   try {
-    const result = await runGreenlight(`guidelines search "${q}"`);
-    res.json({
-      query: q,
-      results: result.stdout,
-      stderr: result.stderr
-    });
+    const guidelines = await guidelinesCache.get();
+    res.json(searchGuidelines(guidelines, q, { limit }));
   } catch (error) {
     res.status(500).json({ error: 'Failed to search guidelines', details: error.message });
   }
 });
 
 // Scan IPA from uploaded file
-app.post('/api/scan/upload', upload.single('ipa'), async (req, res) => {
+app.post('/api/scan/upload', scanUpload, scanOptions, (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No IPA file uploaded' });
   }
 
   const ipaPath = req.file.path;
-  const scanId = path.basename(ipaPath, '.ipa');
+  const { originalname: fileName, size: fileSize } = req.file;
 
-  try {
-    // Run greenlight ipa scan
-    const result = await runGreenlight(`ipa "${ipaPath}" --format json`);
-    
-    // Parse JSON output if available
-    let scanResults;
-    try {
-      scanResults = JSON.parse(result.stdout);
-    } catch {
-      scanResults = {
-        rawOutput: result.stdout,
-        stderr: result.stderr,
-        exitCode: result.exitCode
-      };
-    }
-
-    // Cleanup: Delete uploaded file after scan
-    await fs.unlink(ipaPath).catch(() => {});
+  const job = scanQueue.enqueue('upload', async (ctx) => {
+    // Run ipa scan (greenlight or native inspector)
+    const scanResults = await runIPAScan(ipaPath, ctx, scanSettings(req));
 
-    res.json({
-      scanId,
+    return {
+      scanId: ctx.jobId,
       timestamp: new Date().toISOString(),
-      fileName: req.file.originalname,
-      fileSize: req.file.size,
+      fileName,
+      fileSize,
       results: scanResults,
-      guidelines: await fetchAppleGuidelines()
-    });
+      guidelines: await currentGuidelines()
+    };
+  }, {
+    meta: { fileName, fileSize, format: req.resultFormat },
+    // Cleanup: Delete uploaded file once the scan has finished, failed or been cancelled
+    cleanup: () => fs.unlink(ipaPath).catch(() => {})
+  });
 
-  } catch (error) {
-    // Cleanup on error
-    await fs.unlink(ipaPath).catch(() => {});
-    res.status(500).json({ error: 'Scan failed', details: error.message });
-  }
+  acceptJob(res, job);
 });
 
 // Scan IPA from URL
-app.post('/api/scan/url', async (req, res) => {
+app.post('/api/scan/url', scanOptions, async (req, res) => {
   const { url } = req.body;
   if (!url) {
     return res.status(400).json({ error: 'URL is required' });
@@ -273,240 +366,503 @@ app.post('/api/scan/url', async (req, res) => {
 
   const uploadDir = path.join(__dirname, 'uploads');
   await fs.mkdir(uploadDir, { recursive: true });
-  
+
   const scanId = Date.now() + '-' + Math.round(Math.random() * 1E9);
   const ipaPath = path.join(uploadDir, `${scanId}.ipa`);
 
-  try {
+  const job = scanQueue.enqueue('url', async (ctx) => {
     // Download IPA from URL
-    await downloadIPA(url, ipaPath);
+    await downloadIPA(url, ipaPath, ctx);
+    ctx.throwIfCancelled();
 
     // Get file stats
     const stats = await fs.stat(ipaPath);
 
-    // Run greenlight ipa scan
-    const result = await runGreenlight(`ipa "${ipaPath}" --format json`);
-    
-    // Parse JSON output if available
-    let scanResults;
-    try {
-      scanResults = JSON.parse(result.stdout);
-    } catch {
-      scanResults = {
-        rawOutput: result.stdout,
-        stderr: result.stderr,
-        exitCode: result.exitCode
-      };
-    }
+    // Run ipa scan (greenlight or native inspector)
+    const scanResults = await runIPAScan(ipaPath, ctx, scanSettings(req));
 
-    // Cleanup: Delete downloaded file after scan
-    await fs.unlink(ipaPath).catch(() => {});
-
-    res.json({
+    return {
       scanId,
       timestamp: new Date().toISOString(),
       sourceUrl: url,
       fileSize: stats.size,
       results: scanResults,
-      guidelines: await fetchAppleGuidelines()
-    });
+      guidelines: await currentGuidelines()
+    };
+  }, {
+    id: scanId,
+    meta: { sourceUrl: url, format: req.resultFormat },
+    // Cleanup: Delete downloaded file once the scan is over
+    cleanup: () => fs.unlink(ipaPath).catch(() => {})
+  });
 
-  } catch (error) {
-    // Cleanup on error
-    await fs.unlink(ipaPath).catch(() => {});
-    res.status(500).json({ error: 'Scan failed', details: error.message });
-  }
+  acceptJob(res, job);
 });
 
 // Full preflight scan (requires project directory)
-app.post('/api/scan/preflight', upload.single('ipa'), async (req, res) => {
+app.post('/api/scan/preflight', scanUpload, scanOptions, (req, res) => {
   const { projectPath } = req.body;
-  if (!projectPath) {
+  if (typeof projectPath !== 'string' || !projectPath) {
+    if (req.file) fs.unlink(req.file.path).catch(() => {});
     return res.status(400).json({ error: 'Project path is required' });
   }
 
-  try {
-    // Build greenlight command
-    let command = `preflight "${projectPath}" --format json`;
-    if (req.file) {
-      command += ` --ipa "${req.file.path}"`;
-    }
-
-    const result = await runGreenlight(command);
-    
-    // Parse JSON output
-    let scanResults;
-    try {
-      scanResults = JSON.parse(result.stdout);
-    } catch {
-      scanResults = {
-        rawOutput: result.stdout,
-        stderr: result.stderr,
-        exitCode: result.exitCode
-      };
-    }
-
+  // Build greenlight arguments
+  const ipaPath = req.file?.path;
+  // Absolute paths so a project path can never be read as a greenlight option
+  const argv = ['preflight', path.resolve(projectPath), '--format', 'json'];
+  if (ipaPath) argv.push('--ipa', ipaPath);
+
+  const job = scanQueue.enqueue('preflight', async (ctx) => ({
+    scanId: ctx.jobId,
+    timestamp: new Date().toISOString(),
+    projectPath,
+    results: await runProjectScan(argv, ctx, scanSettings(req)),
+    guidelines: await currentGuidelines()
+  }), {
+    meta: { projectPath, format: req.resultFormat },
     // Cleanup uploaded IPA if provided
-    if (req.file) {
-      await fs.unlink(req.file.path).catch(() => {});
-    }
+    cleanup: () => ipaPath && fs.unlink(ipaPath).catch(() => {})
+  });
 
-    res.json({
-      scanId: Date.now(),
-      timestamp: new Date().toISOString(),
-      projectPath,
-      results: scanResults,
-      guidelines: await fetchAppleGuidelines()
-    });
+  acceptJob(res, job);
+});
 
-  } catch (error) {
-    if (req.file) {
-      await fs.unlink(req.file.path).catch(() => {});
-    }
-    res.status(500).json({ error: 'Preflight scan failed', details: error.message });
+// Code scan only
+app.post('/api/scan/code', scanOptions, (req, res) => {
+  const { projectPath } = req.body;
+  if (typeof projectPath !== 'string' || !projectPath) {
+    return res.status(400).json({ error: 'Project path is required' });
   }
+
+  const job = scanQueue.enqueue('code', async (ctx) => ({
+    scanId: ctx.jobId,
+    timestamp: new Date().toISOString(),
+    projectPath,
+    scanType: 'code',
+    results: await runProjectScan(['codescan', path.resolve(projectPath), '--format', 'json'], ctx, scanSettings(req))
+  }), { meta: { projectPath, format: req.resultFormat } });
+
+  acceptJob(res, job);
 });
 
-// Code scan only
-app.post('/api/scan/code', async (req, res) => {
+// Privacy manifest scan
+app.post('/api/scan/privacy', scanOptions, (req, res) => {
   const { projectPath } = req.body;
-  if (!projectPath) {
+  if (typeof projectPath !== 'string' || !projectPath) {
     return res.status(400).json({ error: 'Project path is required' });
   }
 
-  try {
-    const result = await runGreenlight(`codescan "${projectPath}" --format json`);
-    
-    let scanResults;
+  const job = scanQueue.enqueue('privacy', async (ctx) => ({
+    scanId: ctx.jobId,
+    timestamp: new Date().toISOString(),
+    projectPath,
+    scanType: 'privacy',
+    results: await runPrivacyScan(projectPath, ctx, scanSettings(req))
+  }), { meta: { projectPath, format: req.resultFormat } });
+
+  acceptJob(res, job);
+});
+
+// ============================================
+// AI-POWERED ENHANCED SCAN WITH PDF REPORT
+// ============================================
+
+app.post('/api/scan/enhanced', scanUpload, scanOptions, (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No IPA file uploaded' });
+  }
+
+  const ipaPath = req.file.path;
+  const { originalname: fileName, size: fileSize } = req.file;
+
+  // Build download URL (handle both localhost and production)
+  const baseUrl = req.get('host').includes('localhost') 
+    ? `http://localhost:${PORT}`
+    : `https://${req.get('host')}`;
+
+  const job = scanQueue.enqueue('enhanced', async (ctx) => {
+    const scanId = ctx.jobId;
+
+    // 1. Run full ipa scan (greenlight, falling back to the native inspector)
+    console.log('🔍 Running IPA scan...');
+    const scanResults = await runIPAScan(ipaPath, ctx, scanSettings(req));
+    console.log(`✅ IPA scan completed (${scanResults.engine}):`, scanResults.summary);
+    ctx.throwIfCancelled();
+
+    // 2-3. AI-powered analysis and fix suggestions (if API key available)
+    console.log('🤖 Running AI analysis...');
+    await enhanceWithAI(scanResults, ctx);
+
+    // 4. Generate professional PDF report
+    console.log('📄 Generating PDF report...');
+    await writePDFReport(scanResults, scanId, ctx);
+
+    return {
+      scanId,
+      timestamp: new Date().toISOString(),
+      fileName,
+      fileSize,
+      results: scanResults,
+      pdfReport: `/api/reports/${scanId}`,
+      downloadUrl: `${baseUrl}/api/reports/${scanId}/download`
+    };
+  }, {
+    meta: { fileName, fileSize, format: req.resultFormat },
+    // 5. Cleanup uploaded IPA
+    cleanup: () => fs.unlink(ipaPath).catch(() => {})
+  });
+
+  acceptJob(res, job);
+});
+
+// ============================================
+// SCAN JOBS
+// ============================================
+
+// List known jobs (finished jobs expire after an hour)
+app.get('/api/jobs', (req, res) => {
+  res.json({ ...scanQueue.stats(), jobs: scanQueue.list() });
+});
+
+// Job status and, once completed, its result.
+// Completed jobs are returned in the format requested at scan time unless ?format= overrides it.
+app.get('/api/jobs/:id', (req, res) => {
+  const job = scanQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const format = requestedFormat(req, job.meta.format || 'json');
+  if (!format) {
+    return res.status(400).json({ error: `Unsupported format "${req.query.format}"`, formats: RESULT_FORMATS });
+  }
+  if (format !== 'json' && job.state === 'completed') {
     try {
-      scanResults = JSON.parse(result.stdout);
-    } catch {
-      scanResults = {
-        rawOutput: result.stdout,
-        stderr: result.stderr,
-        exitCode: result.exitCode
-      };
+      return sendScan(res, recordFromJob(job), format, requestedGatePolicy(req));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid gate policy', details: error.message });
     }
+  }
+  res.json({ ...serializeJob(job), recentLogs: job.logs.slice(-20) });
+});
 
-    res.json({
-      scanId: Date.now(),
-      timestamp: new Date().toISOString(),
-      projectPath,
-      scanType: 'code',
-      results: scanResults
-    });
+// Cancel a queued or running job
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  const job = scanQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-  } catch (error) {
-    res.status(500).json({ error: 'Code scan failed', details: error.message });
+  const cancelled = await scanQueue.cancel(job.id);
+  if (!cancelled) {
+    return res.status(409).json({ error: `Job already ${job.state}` });
+  }
+  // A running job stops at its next checkpoint (between scan stages and native checks)
+  if (job.state === 'running') {
+    return res.status(202).json({ jobId: job.id, state: 'cancelling' });
   }
+  res.json({ jobId: job.id, state: job.state });
 });
 
-// Privacy manifest scan
-app.post('/api/scan/privacy', async (req, res) => {
-  const { projectPath } = req.body;
-  if (!projectPath) {
-    return res.status(400).json({ error: 'Project path is required' });
+// Live job progress as Server-Sent Events:
+// snapshot, stage, log, then one of completed | failed | cancelled
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = scanQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
   }
 
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send('snapshot', { ...serializeJob(job, { includeResult: false }), logs: job.logs });
+  if (scanQueue.isFinished(job)) {
+    send(job.state, serializeJob(job));
+    return res.end();
+  }
+
+  const onStage = (data) => send('stage', data);
+  const onLog = (data) => send('log', data);
+  const onDone = (data) => {
+    send(data.state, data);
+    close();
+    res.end();
+  };
+
+  // Comment lines keep proxies from dropping the stream during long quiet stages
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  function close() {
+    clearInterval(heartbeat);
+    job.events.off('stage', onStage);
+    job.events.off('log', onLog);
+    job.events.off('done', onDone);
+  }
+
+  job.events.on('stage', onStage);
+  job.events.on('log', onLog);
+  job.events.on('done', onDone);
+  req.on('close', close);
+});
+
+// ============================================
+// PROJECT CONFIGS
+// ============================================
+
+// Bundle IDs with a stored project config
+app.get('/api/configs', async (req, res) => {
   try {
-    const result = await runGreenlight(`privacy "${projectPath}" --format json`);
-    
-    let scanResults;
-    try {
-      scanResults = JSON.parse(result.stdout);
-    } catch {
-      scanResults = {
-        rawOutput: result.stdout,
-        stderr: result.stderr,
-        exitCode: result.exitCode
-      };
+    res.json({ bundleIds: await configStore.list() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list project configs', details: error.message });
+  }
+});
+
+// Stored project config for a bundle ID
+app.get('/api/configs/:bundleId', async (req, res) => {
+  try {
+    const config = await configStore.get(req.params.bundleId);
+    if (!config) {
+      return res.status(404).json({ error: 'No project config for this bundle ID' });
     }
+    res.json(config);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load project config', details: error.message });
+  }
+});
 
-    res.json({
-      scanId: Date.now(),
-      timestamp: new Date().toISOString(),
-      projectPath,
-      scanType: 'privacy',
-      results: scanResults
-    });
+// Create or replace the project config applied to every scan of a bundle ID
+app.put('/api/configs/:bundleId', async (req, res) => {
+  if (!/^[\w.-]+$/.test(req.params.bundleId)) {
+    return res.status(400).json({ error: 'Invalid bundle ID' });
+  }
+
+  let config;
+  try {
+    config = normalizeProjectConfig(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid project config', details: error.message });
+  }
 
+  try {
+    res.json(await configStore.save(req.params.bundleId, config));
   } catch (error) {
-    res.status(500).json({ error: 'Privacy scan failed', details: error.message });
+    res.status(500).json({ error: 'Failed to save project config', details: error.message });
+  }
+});
+
+// Delete a stored project config
+app.delete('/api/configs/:bundleId', async (req, res) => {
+  try {
+    const removed = await configStore.remove(req.params.bundleId);
+    if (!removed) {
+      return res.status(404).json({ error: 'No project config for this bundle ID' });
+    }
+    res.json({ deleted: req.params.bundleId });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete project config', details: error.message });
   }
 });
 
 // ============================================
-// AI-POWERED ENHANCED SCAN WITH PDF REPORT
+// SCAN HISTORY
 // ============================================
 
-app.post('/api/scan/enhanced', upload.single('ipa'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No IPA file uploaded' });
+// List stored scans
+// Filters: appName, bundleId, status (GREENLIT|WARNING|BLOCKED), state, from, to, limit, offset
+app.get('/api/scans', async (req, res) => {
+  try {
+    const { appName, bundleId, status, state, from, to, limit, offset } = req.query;
+    // A repeated parameter (?status=a&status=b) arrives as an array
+    const repeated = Object.keys(req.query).find(key => typeof req.query[key] !== 'string');
+    if (repeated) {
+      return res.status(400).json({ error: `"${repeated}" must be given once` });
+    }
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: '"from" and "to" must be ISO dates' });
+    }
+    res.json(await scanStore.list({ appName, bundleId, status, state, from, to, limit, offset }));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list scans', details: error.message });
   }
+});
 
-  const scanId = Date.now() + '-' + Math.round(Math.random() * 1E9);
-  const reportsDir = path.join(__dirname, 'reports');
-  await require('fs').promises.mkdir(reportsDir, { recursive: true });
+// Helper: Load a stored scan that has results, or answer 404/409
+async function loadScanResults(req, res) {
+  const scan = await scanStore.get(req.params.id);
+  if (!scan) {
+    res.status(404).json({ error: 'Scan not found' });
+    return null;
+  }
+  if (!scan.results) {
+    res.status(409).json({ error: `Scan ${scan.state}, no results to export` });
+    return null;
+  }
+  return scan;
+}
 
+// Helper: Route handler exporting a stored scan in a fixed or ?format= requested format
+function exportScan(fixedFormat) {
+  return async (req, res) => {
+    const format = fixedFormat || requestedFormat(req);
+    if (!format) {
+      return res.status(400).json({ error: `Unsupported format "${req.query.format}"`, formats: RESULT_FORMATS });
+    }
+
+    let policy;
+    try {
+      policy = requestedGatePolicy(req);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid gate policy', details: error.message });
+    }
+
+    try {
+      if (format === 'json') {
+        const scan = await scanStore.get(req.params.id);
+        return scan ? res.json(scan) : res.status(404).json({ error: 'Scan not found' });
+      }
+      const scan = await loadScanResults(req, res);
+      if (scan) sendScan(res, scan, format, policy);
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to load scan', details: error.message });
+    }
+  };
+}
+
+// Full stored scan: metadata, findings, AI analysis and report links
+// (?format=sarif for a SARIF log, ?format=junit for a JUnit report)
+app.get('/api/scans/:id', exportScan());
+
+// Stored scan as a SARIF 2.1.0 log (GitHub code scanning, Azure DevOps, IDE viewers)
+app.get('/api/scans/:id/sarif', exportScan('sarif'));
+
+// Stored scan as a JUnit XML report; ?failOn=&maxWarn=... re-evaluates the gate
+app.get('/api/scans/:id/junit', exportScan('junit'));
+
+// Helper: Send a stored scan's CycloneDX SBOM
+function sendSBOM(res, scan) {
+  res.setHeader('Content-Type', 'application/vnd.cyclonedx+json');
+  res.setHeader('Content-Disposition', `attachment; filename="ios-compliance-${scan.id}.cdx.json"`);
+  res.send(JSON.stringify(toCycloneDX(scan), null, 2));
+}
+
+// CycloneDX SBOM of a stored IPA scan (includes source dependencies from uploaded lockfiles)
+app.get('/api/scans/:id/sbom', async (req, res) => {
   try {
-    // 1. Run full greenlight scan (REQUIRED - no fallback)
-    console.log('🔍 Running greenlight scan...');
-    const result = await runGreenlight(`ipa "${req.file.path}"`);
-    
-    // Parse terminal output (greenlight's --format json is not implemented)
-    const scanResults = parseGreenlightOutput(result.stdout);
-    console.log('✅ Greenlight scan completed successfully:', scanResults.summary);
+    const scan = await loadScanResults(req, res);
+    if (!scan) return;
+    if (!scan.results.app) {
+      return res.status(409).json({ error: 'SBOM export needs an IPA scan' });
+    }
+    sendSBOM(res, scan);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to export SBOM', details: error.message });
+  }
+});
 
-    // 2. AI-powered analysis (if API key available)
-    console.log('🤖 Running AI analysis...');
-    const aiAnalysis = await analyzeWithAI(scanResults);
-    scanResults.aiAnalysis = aiAnalysis;
+// Enrich a stored scan's SBOM with an SPM Package.resolved and/or a CocoaPods Podfile.lock
+// (multipart "lockfile" fields). A new upload replaces the stored lockfile of the same type.
+app.post('/api/scans/:id/sbom', lockfileUpload, async (req, res) => {
+  if (!req.files?.length) {
+    return res.status(400).json({ error: 'Upload a Package.resolved or Podfile.lock as "lockfile"' });
+  }
 
-    // 3. Generate AI fix suggestions for each finding (if API key available)
-    if (scanResults.findings && scanResults.findings.length > 0 && !aiAnalysis.error) {
-      console.log('💡 Generating AI fix suggestions...');
-      scanResults.findings = await generateFixSuggestions(scanResults.findings);
+  const parsed = [];
+  for (const file of req.files) {
+    try {
+      parsed.push({ fileName: file.originalname, ...parseLockfile(file.originalname, file.buffer.toString('utf-8')) });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid lockfile', details: error.message });
     }
+  }
 
-    // 4. Generate professional PDF report
-    console.log('📄 Generating PDF report...');
-    const pdfPath = path.join(reportsDir, `compliance-report-${scanId}.pdf`);
-    await generateCompliancePDF(scanResults, pdfPath);
+  try {
+    const scan = await loadScanResults(req, res);
+    if (!scan) return;
+    if (!scan.results.app) {
+      return res.status(409).json({ error: 'SBOM export needs an IPA scan' });
+    }
 
-    // 5. Cleanup uploaded IPA
-    await fs.unlink(req.file.path).catch(() => {});
+    scan.results.sourceDependencies = scan.results.sourceDependencies || {};
+    for (const { type, fileName, packages } of parsed) {
+      scan.results.sourceDependencies[type] = { fileName, uploadedAt: new Date().toISOString(), packages };
+    }
+    await scanStore.save(scan);
+    sendSBOM(res, scan);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to enrich SBOM', details: error.message });
+  }
+});
 
-    // 6. Build download URL (handle both localhost and production)
-    const baseUrl = req.get('host').includes('localhost') 
-      ? `http://localhost:${PORT}`
-      : `https://${req.get('host')}`;
+// CI gate verdict for a stored scan, optionally against a different policy
+app.get('/api/scans/:id/gate', async (req, res) => {
+  let policy;
+  try {
+    policy = requestedGatePolicy(req);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid gate policy', details: error.message });
+  }
 
+  try {
+    const scan = await loadScanResults(req, res);
+    if (!scan) return;
+    const summary = gateSummary(scan.results);
     res.json({
-      scanId,
-      timestamp: new Date().toISOString(),
-      fileName: req.file.originalname,
-      fileSize: req.file.size,
-      results: scanResults,
-      pdfReport: `/api/reports/${scanId}`,
-      downloadUrl: `${baseUrl}/api/reports/${scanId}/download`
+      scanId: scan.id,
+      summary,
+      ...evaluateGate(summary, policy || scan.results.gatePolicy || defaultGatePolicy())
     });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to evaluate gate', details: error.message });
+  }
+});
 
+// Compare two stored scans: :a is the baseline (build N), :b the candidate (build N+1)
+app.get('/api/scans/:a/compare/:b', async (req, res) => {
+  try {
+    const [baseline, candidate] = await Promise.all([
+      scanStore.get(req.params.a),
+      scanStore.get(req.params.b)
+    ]);
+    if (!baseline || !candidate) {
+      return res.status(404).json({ error: `Scan not found: ${!baseline ? req.params.a : req.params.b}` });
+    }
+    if (!baseline.results || !candidate.results) {
+      return res.status(409).json({ error: 'Both scans must have completed to be compared' });
+    }
+    res.json(compareScans(baseline, candidate));
   } catch (error) {
-    await fs.unlink(req.file.path).catch(() => {});
-    console.error('Enhanced scan failed:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({ 
-      error: 'Enhanced scan failed', 
-      details: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    res.status(500).json({ error: 'Failed to compare scans', details: error.message });
+  }
+});
+
+// Delete a stored scan and its PDF report
+app.delete('/api/scans/:id', async (req, res) => {
+  try {
+    const removed = await scanStore.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    if (removed.reports?.pdf) {
+      await fs.unlink(path.join(REPORTS_DIR, `compliance-report-${removed.id}.pdf`)).catch(() => {});
+    }
+    res.json({ deleted: removed.id });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete scan', details: error.message });
   }
 });
 
 // Download PDF report
 app.get('/api/reports/:scanId/download', async (req, res) => {
   try {
-    const pdfPath = path.join(__dirname, 'reports', `compliance-report-${req.params.scanId}.pdf`);
+    const pdfPath = path.join(REPORTS_DIR, `compliance-report-${req.params.scanId}.pdf`);
     const stats = await fs.stat(pdfPath);
     
     res.setHeader('Content-Type', 'application/pdf');
@@ -523,7 +879,7 @@ app.get('/api/reports/:scanId/download', async (req, res) => {
 // View PDF report in browser
 app.get('/api/reports/:scanId', async (req, res) => {
   try {
-    const pdfPath = path.join(__dirname, 'reports', `compliance-report-${req.params.scanId}.pdf`);
+    const pdfPath = path.join(REPORTS_DIR, `compliance-report-${req.params.scanId}.pdf`);
     const stats = await fs.stat(pdfPath);
     
     res.setHeader('Content-Type', 'application/pdf');
@@ -537,39 +893,26 @@ app.get('/api/reports/:scanId', async (req, res) => {
   }
 });
 
-// Startup verification: Check if greenlight is available
-async function verifyGreenlightAvailable() {
-  return new Promise((resolve) => {
-    const greenlightBin = process.env.GREENLIGHT_PATH || 'greenlight';
-    exec(`${greenlightBin} --version`, (error, stdout, stderr) => {
-      if (error && !stdout && !stderr) {
-        console.error('❌ CRITICAL: Greenlight CLI not found!');
-        console.error(`   Expected at: ${greenlightBin}`);
-        console.error('   Scans will FAIL without greenlight.');
-        console.error('   Run: npm run build OR install greenlight manually');
-        resolve(false);
-      } else {
-        console.log(`✅ Greenlight CLI available at: ${greenlightBin}`);
-        if (stdout) console.log(`   Version info: ${stdout.trim()}`);
-        resolve(true);
-      }
-    });
-  });
-}
-
 // Start server
 app.listen(PORT, async () => {
   console.log(`🚀 iOS Compliance Scanner API running on port ${PORT}`);
   console.log(`📋 Health check: http://localhost:${PORT}/health`);
   console.log(`📖 Guidelines: http://localhost:${PORT}/api/guidelines`);
-  console.log(`🤖 AI-Enhanced Scan: POST /api/scan/enhanced`);
+  const ai = aiStatus();
+  console.log(`🤖 AI-Enhanced Scan: POST /api/scan/enhanced (${ai.error ? `⚠️  ${ai.error}` : `${ai.provider}: ${ai.model}`})`);
+  console.log(`⏳ Scan Jobs: GET /api/jobs/:id (live: /api/jobs/:id/events)`);
   console.log(`📄 PDF Reports: GET /api/reports/:scanId/download`);
+  console.log(`🗂️  Scan History: GET /api/scans`);
+  console.log(`🧾 SARIF / JUnit Export: GET /api/scans/:id/sarif | /junit`);
+  console.log(`📦 SBOM (CycloneDX): GET /api/scans/:id/sbom`);
+  console.log(`🚦 CI Gate: GET /api/scans/:id/gate`);
+  console.log(`⚙️  Project Configs: GET|PUT|DELETE /api/configs/:bundleId`);
   
   // Verify greenlight is installed
   const greenlightOK = await verifyGreenlightAvailable();
   if (!greenlightOK) {
     console.error('\n⚠️  WARNING: Server started but greenlight is NOT available!');
-    console.error('⚠️  All scan requests will FAIL until greenlight is installed.\n');
+    console.error('⚠️  IPA scans will use the native inspector; project scans will FAIL until greenlight is installed.\n');
   }
 });
 
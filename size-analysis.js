@@ -0,0 +1,214 @@
+const path = require('path');
+
+// Apps whose download is above this size need user confirmation on cellular
+const CELLULAR_DOWNLOAD_LIMIT = 200 * 1024 * 1024;
+const LARGEST_FILES = 20;
+// Files listed per treemap group before the rest are merged into one "N more files" node
+const TREEMAP_FILES_PER_GROUP = 25;
+
+// Media type by file extension (directories such as .mlmodelc are matched on the path)
+const FILE_TYPES = {
+  'asset-catalog': ['.car'],
+  image: ['.png', '.jpg', '.jpeg', '.gif', '.heic', '.heif', '.webp', '.tif', '.tiff', '.bmp', '.pdf', '.svg', '.ico'],
+  audio: ['.mp3', '.m4a', '.wav', '.aac', '.caf', '.aif', '.aiff', '.flac', '.ogg'],
+  video: ['.mp4', '.mov', '.m4v', '.avi'],
+  font: ['.ttf', '.otf', '.ttc', '.woff', '.woff2'],
+  web: ['.html', '.htm', '.js', '.css'],
+  interface: ['.nib', '.storyboard'],
+  localization: ['.strings', '.stringsdict'],
+  data: ['.json', '.plist', '.xcprivacy', '.xml', '.db', '.sqlite', '.realm', '.bin', '.dat', '.txt']
+};
+const TYPE_BY_EXTENSION = new Map(Object.entries(FILE_TYPES).flatMap(([type, extensions]) =>
+  extensions.map(extension => [extension, type])));
+
+// Devices the App Store thins for: one device architecture, one image scale
+const THINNING_VARIANTS = [
+  { name: 'iPhone (@3x, arm64)', arch: 'arm64', scale: 3 },
+  { name: 'iPhone (@2x, arm64)', arch: 'arm64', scale: 2 }
+];
+
+// Loose image names carry their scale and device: icon@2x~ipad.png
+const SCALED_IMAGE_PATTERN = /^(.+?)(?:@([123])x)?(~iphone|~ipad)?\.(png|jpe?g|gif|heic|webp|pdf)$/i;
+
+// Helper: Media type of a bundle file
+function fileType(filePath, executables) {
+  if (executables.has(filePath)) return 'executable';
+  if (filePath.includes('_CodeSignature/') || filePath === 'embedded.mobileprovision' || filePath.startsWith('SC_Info/')) {
+    return 'code-signature';
+  }
+  if (/\.mlmodelc\/|\.mlmodel$/.test(filePath)) return 'ml-model';
+  if (/\.storyboardc\//.test(filePath)) return 'interface';
+  return TYPE_BY_EXTENSION.get(path.extname(filePath).toLowerCase()) || 'other';
+}
+
+// Helper: Component a file belongs to: the app executable, a framework or dylib, an extension, or the app's resources
+function componentOf(filePath, app) {
+  const nested = filePath.match(/^(Frameworks\/[^/]+\.(?:framework|dylib)|PlugIns\/[^/]+\.appex|Watch\/[^/]+\.app|AppClips\/[^/]+\.app)(?:\/|$)/);
+  if (nested) return nested[1];
+  return filePath === app.executable ? app.executable : 'Resources';
+}
+
+// Helper: Add a file to a { key: { size, compressedSize, files } } tally
+function tally(groups, key, file) {
+  const group = groups.get(key) || { size: 0, compressedSize: 0, files: 0 };
+  group.size += file.size;
+  group.compressedSize += file.compressedSize || 0;
+  group.files++;
+  groups.set(key, group);
+}
+
+// Helper: Sorted [{ [keyName]: key, size, compressedSize, files }] from a tally
+function sortedGroups(groups, keyName) {
+  return [...groups].map(([key, group]) => ({ [keyName]: key, ...group })).sort((a, b) => b.size - a.size);
+}
+
+// Helper: Bytes of a binary left after thinning to one device architecture (simulator slices always go)
+function thinnedBinarySize(binary, fileSize, arch) {
+  if (!binary?.sliceSizes || binary.sliceSizes.length < 2) return fileSize;
+  const slices = binary.architectures.map((name, index) => ({ name, size: binary.sliceSizes[index] }))
+    .filter(slice => !binary.simulatorSlices.includes(slice.name));
+  const kept = slices.find(slice => slice.name === arch) || slices.sort((a, b) => b.size - a.size)[0];
+  return kept ? kept.size : fileSize;
+}
+
+// Helper: Loose images a device with `scale` doesn't download: other scales of the same image,
+// and ~ipad variants when an iPhone or universal variant exists
+function droppedImages(files, scale) {
+  const groups = new Map();
+  for (const file of files) {
+    const match = file.path.match(SCALED_IMAGE_PATTERN);
+    if (!match) continue;
+    const base = `${match[1]}.${match[4].toLowerCase()}`;
+    if (!groups.has(base)) groups.set(base, []);
+    groups.get(base).push({ path: file.path, scale: Number(match[2] || 1), idiom: (match[3] || '').toLowerCase() });
+  }
+
+  const dropped = new Set();
+  for (const variants of groups.values()) {
+    let candidates = variants.filter(variant => variant.idiom !== '~ipad');
+    if (candidates.length === 0) candidates = variants;
+    variants.filter(variant => !candidates.includes(variant)).forEach(variant => dropped.add(variant.path));
+    if (candidates.length < 2) continue;
+
+    // The exact scale if present, else the next larger one, else the largest
+    const scales = [...new Set(candidates.map(variant => variant.scale))].sort((a, b) => a - b);
+    const keep = scales.find(candidate => candidate >= scale) || scales[scales.length - 1];
+    candidates.filter(variant => variant.scale !== keep).forEach(variant => dropped.add(variant.path));
+  }
+  return dropped;
+}
+
+// Helper: Treemap node for a set of files, grouped by media type with the largest files as leaves
+function treemapNode(name, files, types) {
+  const byType = new Map();
+  for (const file of files) {
+    const type = types.get(file.path);
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push(file);
+  }
+
+  const sum = (list, key) => list.reduce((total, file) => total + (file[key] || 0), 0);
+  const children = [...byType].map(([type, list]) => {
+    const sorted = [...list].sort((a, b) => b.size - a.size);
+    const leaves = sorted.slice(0, TREEMAP_FILES_PER_GROUP)
+      .map(file => ({ name: file.path, size: file.size, compressedSize: file.compressedSize || 0 }));
+    const rest = sorted.slice(TREEMAP_FILES_PER_GROUP);
+    if (rest.length) {
+      leaves.push({ name: `${rest.length} more files`, size: sum(rest, 'size'), compressedSize: sum(rest, 'compressedSize') });
+    }
+    return { name: type, type, size: sum(list, 'size'), compressedSize: sum(list, 'compressedSize'), children: leaves };
+  }).sort((a, b) => b.size - a.size);
+
+  return { name, size: sum(files, 'size'), compressedSize: sum(files, 'compressedSize'), children };
+}
+
+/**
+ * Size analysis of an app model: install and download size broken down by component (executable,
+ * frameworks, extensions, resources), media type, localization and asset catalog, the largest files,
+ * estimated per-device sizes after App Store thinning, and a treemap (nested { name, size, children }).
+ * Download sizes are the compressed sizes inside the IPA; thinning removes non-device architecture
+ * slices and loose images at other scales. Asset catalogs are counted in full since the per-scale
+ * renditions inside a .car file aren't split out.
+ */
+function analyzeSize(app) {
+  const executables = new Map([
+    [app.executable, app.binary],
+    ...app.frameworks.map(framework => [framework.executable, framework.binary]),
+    ...app.plugins.map(plugin => [plugin.executable, plugin.binary])
+  ].filter(([executable]) => executable));
+
+  const types = new Map();
+  const byComponent = new Map();
+  const byType = new Map();
+  const byLocalization = new Map();
+  const components = new Map();
+  for (const file of app.files) {
+    const type = fileType(file.path, executables);
+    const component = componentOf(file.path, app);
+    types.set(file.path, type);
+    tally(byComponent, component, file);
+    tally(byType, type, file);
+    const locale = file.path.match(/(?:^|\/)([^/]+)\.lproj\//)?.[1];
+    if (locale) tally(byLocalization, locale, file);
+    if (!components.has(component)) components.set(component, []);
+    components.get(component).push(file);
+  }
+
+  const downloadSize = app.files.reduce((total, file) => total + (file.compressedSize || 0), 0);
+  const thinning = THINNING_VARIANTS.map(variant => {
+    const dropped = droppedImages(app.files, variant.scale);
+    let installSize = 0;
+    let variantDownload = 0;
+    for (const file of app.files) {
+      if (dropped.has(file.path)) continue;
+      const kept = executables.has(file.path)
+        ? thinnedBinarySize(executables.get(file.path), file.size, variant.arch)
+        : file.size;
+      installSize += kept;
+      // A thinned binary compresses about as well as the universal one did
+      variantDownload += file.size ? Math.round((file.compressedSize || 0) * (kept / file.size)) : 0;
+    }
+    return {
+      ...variant,
+      downloadSize: variantDownload,
+      installSize,
+      savedBytes: app.installSize - installSize,
+      overCellularLimit: variantDownload > CELLULAR_DOWNLOAD_LIMIT
+    };
+  });
+
+  const componentRows = sortedGroups(byComponent, 'path').map(row => {
+    const framework = app.frameworks.find(candidate => candidate.path === row.path);
+    const plugin = app.plugins.find(candidate => candidate.path === row.path);
+    return {
+      ...row,
+      name: framework?.name || plugin?.name || (row.path === app.executable ? `${app.executable} (executable)` : row.path),
+      kind: framework ? 'framework' : plugin ? 'extension' : row.path === 'Resources' ? 'resources' : 'executable'
+    };
+  });
+
+  return {
+    ipaSize: app.ipaSize,
+    downloadSize,
+    installSize: app.installSize,
+    cellularLimit: CELLULAR_DOWNLOAD_LIMIT,
+    overCellularLimit: app.ipaSize > CELLULAR_DOWNLOAD_LIMIT,
+    byComponent: componentRows,
+    byType: sortedGroups(byType, 'type'),
+    byLocalization: sortedGroups(byLocalization, 'locale'),
+    assetCatalogs: app.files.filter(file => types.get(file.path) === 'asset-catalog')
+      .map(file => ({ path: file.path, size: file.size, compressedSize: file.compressedSize || 0 }))
+      .sort((a, b) => b.size - a.size),
+    largestFiles: [...app.files].sort((a, b) => b.size - a.size).slice(0, LARGEST_FILES)
+      .map(file => ({ path: file.path, type: types.get(file.path), size: file.size, compressedSize: file.compressedSize || 0 })),
+    thinning,
+    treemap: {
+      name: app.appName,
+      size: app.installSize,
+      compressedSize: downloadSize,
+      children: componentRows.map(row => treemapNode(row.name, components.get(row.path), types))
+    }
+  };
+}
+
+module.exports = { CELLULAR_DOWNLOAD_LIMIT, analyzeSize };
@@ -0,0 +1,107 @@
+const { parsePlist } = require('./plist-parser');
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', "'": "'", 0: '\0' };
+
+// Helper: Decode the text of a .strings file (UTF-16 with BOM is Xcode's classic encoding, UTF-8 the modern one)
+function decodeText(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return buffer.toString('utf16le', 2);
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return buffer.toString('utf8', 3);
+  // UTF-16 without a BOM still has a NUL in every ASCII character
+  if (buffer.length > 1 && buffer[1] === 0 && buffer[0] !== 0) return buffer.toString('utf16le');
+  return buffer.toString('utf8');
+}
+
+/**
+ * Parse an old-style "key" = "value"; strings table
+ */
+function parseStringsText(text) {
+  const table = {};
+  let i = 0;
+
+  const fail = (message) => {
+    const line = text.slice(0, i).split('\n').length;
+    throw new Error(`${message} on line ${line}`);
+  };
+
+  function skipWhitespaceAndComments() {
+    for (;;) {
+      while (i < text.length && /\s/.test(text[i])) i++;
+      if (text.startsWith('/*', i)) {
+        const end = text.indexOf('*/', i + 2);
+        if (end === -1) fail('Unterminated comment');
+        i = end + 2;
+      } else if (text.startsWith('//', i)) {
+        const end = text.indexOf('\n', i);
+        i = end === -1 ? text.length : end + 1;
+      } else {
+        return;
+      }
+    }
+  }
+
+  function readToken() {
+    if (text[i] === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\') {
+          const next = text[i + 1];
+          if (next === 'U' || next === 'u') {
+            value += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+            i += 6;
+          } else {
+            value += ESCAPES[next] ?? next;
+            i += 2;
+          }
+        } else {
+          value += text[i++];
+        }
+      }
+      if (i >= text.length) fail('Unterminated string');
+      i++;
+      return value;
+    }
+
+    const match = text.slice(i).match(/^[\w.$:/-]+/);
+    if (!match) fail(`Unexpected character "${text[i]}"`);
+    i += match[0].length;
+    return match[0];
+  }
+
+  skipWhitespaceAndComments();
+  while (i < text.length) {
+    const key = readToken();
+    skipWhitespaceAndComments();
+
+    // A bare "key"; entry maps the key to itself
+    let value = key;
+    if (text[i] === '=') {
+      i++;
+      skipWhitespaceAndComments();
+      value = readToken();
+      skipWhitespaceAndComments();
+    }
+    if (text[i] !== ';') fail(`Expected ";" after "${key}"`);
+    i++;
+
+    table[key] = value;
+    skipWhitespaceAndComments();
+  }
+
+  return table;
+}
+
+/**
+ * Parse a .strings file: Xcode ships them as text, or compiled to a binary or XML plist
+ */
+function parseStringsFile(buffer) {
+  if (buffer.subarray(0, 8).toString('latin1') === 'bplist00') {
+    return parsePlist(buffer);
+  }
+  const text = decodeText(buffer);
+  if (/^\s*<(\?xml|plist)/.test(text)) return parsePlist(text);
+  return parseStringsText(text);
+}
+
+module.exports = { parseStringsFile, parseStringsText };
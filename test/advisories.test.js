@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cvssScore, findVulnerabilities, vulnerabilityFindings, importAdvisories } = require('../advisories');
+const { parseLockfile } = require('../lockfiles');
+
+// Synthetic OSV records in the shape osv.dev serves for the SwiftURL ecosystem
+const FIREBASE_ADVISORY = {
+  id: 'TEST-2026-0001',
+  aliases: ['CVE-2026-00001'],
+  summary: 'Token leak in FirebaseCore',
+  affected: [{
+    package: { ecosystem: 'SwiftURL', name: 'github.com/firebase/firebase-ios-sdk' },
+    ranges: [{ type: 'SEMVER', events: [{ introduced: '10.0.0' }, { fixed: '10.4.0' }] }]
+  }],
+  severity: [{ type: 'CVSS_V3', score: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H' }],
+  references: [{ type: 'ADVISORY', url: 'https://example.com/TEST-2026-0001' }]
+};
+const ALAMOFIRE_ADVISORY = {
+  id: 'TEST-2026-0002',
+  summary: 'Certificate pinning bypass',
+  affected: [{
+    package: { ecosystem: 'SwiftURL', name: 'github.com/Alamofire/Alamofire' },
+    ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { last_affected: '5.6.1' }] }]
+  }],
+  database_specific: { severity: 'MODERATE' }
+};
+const OTHER_ADVISORY = {
+  id: 'TEST-2026-0003',
+  affected: [{ package: { ecosystem: 'SwiftURL', name: 'github.com/example/unrelated' }, versions: ['1.0.0'] }]
+};
+const DATABASE = { version: 'test', advisories: [FIREBASE_ADVISORY, ALAMOFIRE_ADVISORY, OTHER_ADVISORY] };
+
+// Helper: App model with one embedded framework per [name, version]
+const appWith = (...frameworks) => ({
+  frameworks: frameworks.map(([name, version]) => ({
+    name, version, path: `Frameworks/${name}.framework`, bundleId: `org.cocoapods.${name}`
+  }))
+});
+
+test('computes CVSS v3 base scores', () => {
+  assert.equal(cvssScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H'), 9.8);
+  assert.equal(cvssScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N'), 6.1);
+  assert.equal(cvssScore('AV:N/AC:L/Au:N/C:P/I:P/A:P'), null);
+});
+
+test('flags a known-vulnerable embedded framework', () => {
+  const [finding, ...rest] = vulnerabilityFindings(appWith(['FirebaseCore', '10.3.0'], ['Kingfisher', '7.0.0']), {}, DATABASE);
+
+  assert.equal(rest.length, 0);
+  assert.equal(finding.checkId, 'vulnerable-dependency');
+  assert.equal(finding.title, 'FirebaseCore 10.3.0 affected by TEST-2026-0001');
+  assert.equal(finding.severity, 'critical');
+  assert.equal(finding.location, 'Frameworks/FirebaseCore.framework');
+  assert.equal(finding.fix, 'Update FirebaseCore to 10.4.0 or later');
+  assert.match(finding.description, /Fixed in 10\.4\.0\. Also known as CVE-2026-00001\./);
+  assert.deepEqual(finding.advisory, {
+    id: 'TEST-2026-0001', aliases: ['CVE-2026-00001'], url: 'https://example.com/TEST-2026-0001', rating: 'CRITICAL', score: 9.8
+  });
+});
+
+test('ignores versions outside the affected range', () => {
+  assert.deepEqual(vulnerabilityFindings(appWith(['FirebaseCore', '10.4.0'], ['FirebaseCore', '9.6.0']), {}, DATABASE), []);
+});
+
+test('flags a vulnerable package pinned in Package.resolved', () => {
+  const lockfile = parseLockfile('Package.resolved', JSON.stringify({
+    pins: [
+      { identity: 'alamofire', location: 'https://github.com/Alamofire/Alamofire.git', state: { version: '5.6.1' } },
+      { identity: 'snapkit', location: 'https://github.com/SnapKit/SnapKit.git', state: { version: '5.0.1' } }
+    ],
+    version: 2
+  }));
+  const findings = vulnerabilityFindings(null, { [lockfile.type]: lockfile }, DATABASE);
+
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].title, 'Alamofire 5.6.1 affected by TEST-2026-0002');
+  assert.equal(findings[0].severity, 'warn');
+  assert.equal(findings[0].location, 'Package.resolved');
+  assert.match(findings[0].description, /No fixed version is listed/);
+});
+
+test('skips withdrawn advisories', () => {
+  const database = { advisories: [{ ...FIREBASE_ADVISORY, withdrawn: '2026-01-01T00:00:00Z' }] };
+  const dependencies = [{ names: ['FirebaseCore'], version: '10.3.0', purl: null, location: 'x' }];
+  assert.deepEqual(findVulnerabilities(dependencies, database), []);
+});
+
+test('imports advisories for the listed packages from an OSV export', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'osv-'));
+  try {
+    for (const advisory of DATABASE.advisories) {
+      fs.writeFileSync(path.join(directory, `${advisory.id}.json`), JSON.stringify(advisory));
+    }
+    const database = await importAdvisories({ from: directory });
+    assert.deepEqual(database.advisories.map(advisory => advisory.id), ['TEST-2026-0001', 'TEST-2026-0002']);
+    assert.equal(database.source, path.resolve(directory));
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('imports advisories through the query function, once per advisory', async () => {
+  const queried = [];
+  const database = await importAdvisories({
+    packages: ['github.com/firebase/firebase-ios-sdk', 'github.com/Alamofire/Alamofire'],
+    query: async (name) => {
+      queried.push(name);
+      return [FIREBASE_ADVISORY, ...(name.includes('Alamofire') ? [ALAMOFIRE_ADVISORY] : [])];
+    }
+  });
+  assert.deepEqual(queried, ['github.com/firebase/firebase-ios-sdk', 'github.com/Alamofire/Alamofire']);
+  assert.deepEqual(database.advisories.map(advisory => advisory.id), ['TEST-2026-0001', 'TEST-2026-0002']);
+  assert.equal(database.packages, 2);
+});
@@ -0,0 +1,159 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { loadAIConfig, createAIProvider } = require('../ai-providers');
+const { createRulesProvider } = require('../ai-rules');
+
+// Helper: Finding with the fields the pipeline produces
+const finding = (checkId, severity, extra = {}) => ({
+  checkId,
+  severity,
+  title: `${checkId} finding`,
+  location: 'Info.plist',
+  description: `${checkId} description`,
+  guidelines: [{ number: '2.1', title: 'App Completeness', url: 'https://developer.apple.com/app-store/review/guidelines/#2.1' }],
+  ...extra
+});
+
+// Helper: OpenAI-compatible endpoint on a local port that records the prompts it receives
+async function withChatServer(reply, run) {
+  const prompts = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      prompts.push(JSON.parse(body).messages[0].content);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ choices: [{ message: { content: reply } }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const config = loadAIConfig({ AI_PROVIDER: 'openai', AI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1/` });
+    return await run(createAIProvider(config), prompts);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('picks the provider from the environment', () => {
+  assert.equal(loadAIConfig({}).provider, 'rules');
+  assert.equal(loadAIConfig({ ANTHROPIC_API_KEY: 'key' }).provider, 'anthropic');
+  assert.equal(loadAIConfig({ AI_BASE_URL: 'http://localhost:11434/v1' }).provider, 'openai');
+  assert.equal(loadAIConfig({ AI_PROVIDER: 'rules', ANTHROPIC_API_KEY: 'key' }).provider, 'rules');
+});
+
+test('reads model settings and rejects invalid ones', () => {
+  const config = loadAIConfig({ AI_PROVIDER: 'openai', AI_BASE_URL: 'http://localhost:11434/v1//', AI_MODEL: 'llama3.1', AI_MAX_TOKENS: '500', OPENAI_API_KEY: 'sk' });
+  assert.equal(config.baseUrl, 'http://localhost:11434/v1');
+  assert.equal(config.model, 'llama3.1');
+  assert.equal(config.maxTokens, 500);
+  assert.equal(config.apiKey, 'sk');
+  assert.equal(loadAIConfig({}).model, 'compliance-rules-v1');
+
+  assert.throws(() => loadAIConfig({ AI_PROVIDER: 'gemini' }), /Unknown AI_PROVIDER "gemini"/);
+  assert.throws(() => loadAIConfig({ AI_TEMPERATURE: '3' }), /Invalid AI_TEMPERATURE/);
+  assert.throws(() => loadAIConfig({ AI_MAX_TOKENS: '1.5' }), /Invalid AI_MAX_TOKENS/);
+});
+
+test('creates the provider for a config', () => {
+  assert.equal(createAIProvider(loadAIConfig({})).name, 'rules');
+  assert.equal(createAIProvider(loadAIConfig({ AI_BASE_URL: 'http://localhost:11434/v1' })).name, 'openai');
+  assert.throws(() => createAIProvider({ provider: 'anthropic' }), /No Anthropic API key/);
+  assert.throws(() => createAIProvider({ provider: 'gemini' }), /Unknown AI provider "gemini"/);
+});
+
+test('sends chat models the findings but not the app model', async () => {
+  const scanResults = {
+    engine: 'native',
+    status: 'fail',
+    summary: { critical: 1, warn: 0, info: 0, total: 1 },
+    findings: [finding('hardcoded-secret', 'critical', { title: 'AWS access key in config.json', location: 'config.json:3' })],
+    app: {
+      appName: 'Demo',
+      bundleId: 'com.example.demo',
+      version: '1.2',
+      build: '42',
+      infoPlist: { CFBundleIdentifier: 'com.example.demo', APIToken: 'plist-token-value' },
+      secrets: { secrets: [{ type: 'aws-access-key', redacted: 'AKIA************', sha256: 'sha-of-secret' }] },
+      files: [{ path: 'Payload/Demo.app/config.json', size: 120 }],
+      size: { treemap: { name: 'Demo.app', children: [] } }
+    },
+    sourceDependencies: { 'Package.resolved': { packages: [{ name: 'private-package' }] } }
+  };
+  const reply = '```json\n{"riskLevel": "High", "rejectionProbability": 80, "recommendations": []}\n```';
+
+  await withChatServer(reply, async (provider, prompts) => {
+    const analysis = await provider.analyze(scanResults);
+    assert.equal(analysis.riskLevel, 'High');
+
+    const view = JSON.parse(prompts[0].match(/Scan Results:\n(\{[\s\S]*?\n\})\n/)[1]);
+    assert.deepEqual(view.app, { name: 'Demo', bundleId: 'com.example.demo', version: '1.2', build: '42' });
+    assert.deepEqual(view.findings, [{
+      checkId: 'hardcoded-secret',
+      severity: 'critical',
+      title: 'AWS access key in config.json',
+      location: 'config.json:3',
+      guidelines: ['2.1 App Completeness']
+    }]);
+    for (const leaked of ['plist-token-value', 'AKIA', 'sha-of-secret', 'treemap', 'private-package', 'Payload/']) {
+      assert.ok(!prompts[0].includes(leaked), `prompt contains ${leaked}`);
+    }
+  });
+});
+
+test('returns the chat model fix suggestion trimmed', async () => {
+  await withChatServer('  Add NSCameraUsageDescription to Info.plist.\n', async (provider, prompts) => {
+    assert.equal(await provider.suggestFix(finding('usage-description', 'critical')), 'Add NSCameraUsageDescription to Info.plist.');
+    assert.match(prompts[0], /Issue: usage-description finding\nDescription: usage-description description\nGuideline: Not specified/);
+  });
+});
+
+test('rules provider scores risk from the severities', async () => {
+  const provider = createRulesProvider();
+  const assess = findings => provider.analyze({ findings });
+
+  assert.deepEqual(
+    [await assess([]), await assess([finding('ats', 'info')]), await assess([finding('ats', 'warn')]),
+      await assess([finding('ats', 'critical')]), await assess(['a', 'b', 'c'].map(id => finding(id, 'critical')))]
+      .map(({ riskLevel, rejectionProbability }) => [riskLevel, rejectionProbability]),
+    [['Low', 2], ['Low', 5], ['Medium', 20], ['High', 70], ['Critical', 80]]
+  );
+  assert.equal((await assess([])).timeline, 'Ready for submission');
+});
+
+test('rules provider recommends the worst checks first, with their templates', async () => {
+  const provider = createRulesProvider();
+  const scanResults = {
+    findings: [
+      finding('app-icons', 'info'),
+      finding('info-plist', 'warn'),
+      finding('ats', 'critical', { title: 'Arbitrary loads allowed' }),
+      finding('ats', 'warn', { title: 'Insecure exception for example.com' }),
+      finding('entitlements', 'warn')
+    ]
+  };
+  const analysis = await provider.analyze(scanResults);
+
+  assert.deepEqual(analysis.recommendations.map(({ priority, checkId, impact, effort }) => [priority, checkId, impact, effort]), [
+    [1, 'ats', 'High', 'Days'],
+    [2, 'info-plist', 'Medium', 'Hours'],
+    [3, 'entitlements', 'Medium', 'Hours']
+  ]);
+  assert.equal(analysis.recommendations[0].title, 'App Transport Security (2 findings)');
+  assert.match(analysis.recommendations[0].description, /^Serve the affected hosts over HTTPS.*\(Guideline 2\.1 App Completeness\)$/);
+  assert.deepEqual(analysis.criticalBlockers, ['Arbitrary loads allowed']);
+  assert.equal(analysis.timeline, '2-5 days');
+  assert.deepEqual(await provider.analyze(scanResults), analysis);
+});
+
+test('rules provider fixes come from the finding, the template, then the guideline', async () => {
+  const provider = createRulesProvider();
+
+  assert.equal(await provider.suggestFix(finding('ats', 'warn', { fix: 'Remove the exception.' })), 'Remove the exception.');
+  assert.match(await provider.suggestFix(finding('launch-screen', 'warn')), /^Add a launch storyboard/);
+  assert.equal(
+    await provider.suggestFix(finding('custom-check', 'warn', { guidelines: [], guideline: '4.2' })),
+    'Resolve "custom-check finding" so the app complies with Guideline 4.2, then rescan the build.'
+  );
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGatePolicy, defaultGatePolicy, gateSummary, failsGate, evaluateGate, applyGate } = require('../ci-gate');
+
+const DEFAULT = { failOn: 'critical' };
+
+test('parses policies from request fields and strings', () => {
+  assert.deepEqual(parseGatePolicy({}, DEFAULT), { failOn: 'critical' });
+  assert.deepEqual(parseGatePolicy({ failOn: 'WARN', maxInfo: '20', maxWarn: '' }, DEFAULT), { failOn: 'warn', maxInfo: 20 });
+  assert.deepEqual(parseGatePolicy('failOn=none, maxCritical=0', DEFAULT), { failOn: 'none', maxCritical: 0 });
+  assert.deepEqual(parseGatePolicy({ maxWarn: 5 }, { failOn: 'info', maxInfo: 3 }), { failOn: 'info', maxInfo: 3, maxWarn: 5 });
+
+  assert.throws(() => parseGatePolicy({ failOn: 'error' }, DEFAULT), /Invalid failOn "error"/);
+  assert.throws(() => parseGatePolicy('maxWarn=-1', DEFAULT), /Invalid maxWarn "-1"/);
+  assert.throws(() => parseGatePolicy({ maxInfo: '2.5' }, DEFAULT), /Invalid maxInfo "2.5"/);
+});
+
+test('reads the default policy from GATE_POLICY', () => {
+  const saved = process.env.GATE_POLICY;
+  try {
+    delete process.env.GATE_POLICY;
+    assert.deepEqual(defaultGatePolicy(), { failOn: 'critical' });
+    process.env.GATE_POLICY = 'failOn=warn,maxInfo=10';
+    assert.deepEqual(defaultGatePolicy(), { failOn: 'warn', maxInfo: 10 });
+    assert.deepEqual(parseGatePolicy({ maxInfo: 2 }), { failOn: 'warn', maxInfo: 2 });
+  } finally {
+    if (saved === undefined) delete process.env.GATE_POLICY;
+    else process.env.GATE_POLICY = saved;
+  }
+});
+
+test('fails on severities at or above failOn and on exceeded limits', () => {
+  const summary = { critical: 0, warn: 3, info: 12 };
+
+  assert.deepEqual(evaluateGate(summary, { failOn: 'critical' }), { gate: 'pass', reasons: [], policy: { failOn: 'critical' } });
+  assert.deepEqual(evaluateGate(summary, { failOn: 'warn', maxInfo: 10 }).reasons, [
+    '3 warn finding(s) (failOn=warn)',
+    '12 info finding(s) exceed maxInfo=10'
+  ]);
+  assert.equal(evaluateGate(summary, { failOn: 'none', maxWarn: 3 }).gate, 'pass');
+  assert.equal(evaluateGate(summary, { failOn: 'none', maxWarn: 2 }).gate, 'fail');
+
+  assert.equal(failsGate('critical', summary, { failOn: 'warn' }), true);
+  assert.equal(failsGate('info', summary, { failOn: 'warn' }), false);
+  assert.equal(failsGate('info', summary, { failOn: 'none', maxInfo: 10 }), true);
+  assert.equal(failsGate('unknown', summary, { failOn: 'info' }), false);
+});
+
+test('records the verdict on scan results', () => {
+  const results = applyGate({ summary: { critical: 1, warn: 0, info: 0 } }, { failOn: 'critical' });
+  assert.equal(results.gate, 'fail');
+  assert.deepEqual(results.gateReasons, ['1 critical finding(s) (failOn=critical)']);
+  assert.deepEqual(results.gatePolicy, { failOn: 'critical' });
+});
+
+test('summarizes findings when the results have no summary counts', () => {
+  const results = { summary: { status: 'unknown' }, findings: [{ severity: 'warn' }, { severity: 'warn' }, { severity: 'info' }] };
+  assert.deepEqual(gateSummary(results), { total: 3, critical: 0, warn: 2, info: 1, status: 'WARNING' });
+  assert.equal(applyGate(results, { failOn: 'warn' }).gate, 'fail');
+  assert.equal(gateSummary({ findings: 'not a list' }).total, 0);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const entitlementsCheck = require('../checks/entitlements');
+const profileCheck = require('../checks/provisioning-profile');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Helper: App model signed with `entitlements` and embedding a profile of `type`
+function app({ entitlements, type = 'app-store', granted, ...profile } = {}) {
+  return {
+    executable: 'Demo',
+    bundleId: 'com.example.demo',
+    entitlements,
+    provisioning: {
+      name: 'Demo Distribution',
+      type,
+      teamId: 'ABCDE12345',
+      applicationIdentifier: 'ABCDE12345.com.example.demo',
+      expirationDate: new Date(Date.now() + 365 * DAY).toISOString(),
+      certificates: [],
+      entitlements: granted,
+      ...profile
+    }
+  };
+}
+
+test('reports signed entitlements the profile does not grant or allow', async () => {
+  const findings = await entitlementsCheck.run(app({
+    entitlements: {
+      'application-identifier': 'ABCDE12345.com.example.demo',
+      'keychain-access-groups': ['ABCDE12345.com.example.demo', 'ZZZZZ99999.shared'],
+      'com.apple.developer.associated-domains': ['applinks:example.com'],
+      'com.apple.developer.icloud-services': ['CloudKit'],
+      'aps-environment': 'development',
+      'get-task-allow': true
+    },
+    granted: {
+      'application-identifier': 'ABCDE12345.*',
+      'keychain-access-groups': ['ABCDE12345.*'],
+      'com.apple.developer.associated-domains': '*',
+      'aps-environment': 'production',
+      'get-task-allow': false
+    }
+  }));
+
+  assert.deepEqual(findings.map(finding => [finding.severity, finding.title, finding.keyPath]), [
+    ['critical', 'Entitlement keychain-access-groups does not match the provisioning profile', 'keychain-access-groups'],
+    ['critical', 'Entitlement com.apple.developer.icloud-services is not in the provisioning profile', 'com.apple.developer.icloud-services'],
+    ['critical', 'Entitlement get-task-allow does not match the provisioning profile', 'get-task-allow'],
+    ['critical', 'Development push environment in an App Store build', 'aps-environment'],
+    ['critical', 'Debugging enabled in an App Store build', 'get-task-allow']
+  ]);
+  assert.ok(findings.every(finding => finding.checkId === 'entitlements' && finding.location === 'Demo'));
+  assert.match(findings[0].description, /ZZZZZ99999\.shared, but the profile only allows ABCDE12345\.\*/);
+});
+
+test('accepts development entitlements in a development build', async () => {
+  const entitlements = { 'aps-environment': 'development', 'get-task-allow': true };
+  assert.deepEqual(await entitlementsCheck.run(app({ type: 'development', entitlements, granted: entitlements })), []);
+  assert.deepEqual(await entitlementsCheck.run({ ...app({ entitlements }), provisioning: { error: 'Bad CMS' } }), []);
+  assert.deepEqual(await entitlementsCheck.run(app({ entitlements: null, granted: {} })), []);
+});
+
+test('checks the profile type, expiry, App ID and certificates', async () => {
+  const findings = await profileCheck.run(app({
+    type: 'ad-hoc',
+    applicationIdentifier: 'ABCDE12345.com.example.other',
+    expirationDate: new Date(Date.now() + 10 * DAY - 60 * 1000).toISOString(),
+    certificates: [
+      { name: 'Apple Distribution: Example', expires: '2020-01-01T00:00:00Z' },
+      { name: 'Apple Distribution: Example (2)', expires: new Date(Date.now() + 100 * DAY).toISOString() }
+    ]
+  }));
+
+  assert.deepEqual(findings.map(finding => [finding.severity, finding.title]), [
+    ['warn', 'Provisioning profile expires in 10 day(s)'],
+    ['warn', 'Ad Hoc provisioning profile'],
+    ['critical', 'Profile App ID does not match the bundle ID'],
+    ['warn', 'Signing certificate "Apple Distribution: Example" expired']
+  ]);
+  assert.ok(findings.every(finding => finding.checkId === 'provisioning-profile' && finding.location === 'embedded.mobileprovision'));
+});
+
+test('reports missing, unreadable and expired profiles', async () => {
+  const titles = async (model) => (await profileCheck.run(model)).map(finding => [finding.severity, finding.title]);
+
+  assert.deepEqual(await titles({ bundleId: 'com.example.demo' }), [['warn', 'No embedded provisioning profile']]);
+  assert.deepEqual(await titles({ provisioning: { error: 'Not a CMS SignedData structure' } }), [['critical', 'Unreadable provisioning profile']]);
+  assert.deepEqual(await titles(app({ expirationDate: '2026-01-01T00:00:00Z', applicationIdentifier: 'ABCDE12345.com.example.*' })), [
+    ['critical', 'Provisioning profile expired']
+  ]);
+  assert.deepEqual(await titles(app()), []);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeFindings, fingerprintFinding, assignFingerprints } = require('../findings');
+
+const FINDING = {
+  checkId: 'download-size',
+  severity: 'warn',
+  title: 'Download size 212.4 MB exceeds the 200 MB cellular limit',
+  location: 'Payload/Demo.app'
+};
+
+test('fingerprints stay the same across builds', () => {
+  const fingerprint = fingerprintFinding(FINDING);
+  assert.match(fingerprint, /^[0-9a-f]{16}$/);
+
+  // Sizes, case and whitespace in titles, and line numbers and addresses in locations change from build to build
+  assert.equal(fingerprintFinding({ ...FINDING, title: 'Download  size 230.9 MB exceeds the 200 MB cellular limit' }), fingerprint);
+  assert.equal(fingerprintFinding({ ...FINDING, severity: 'critical', description: 'Reworded' }), fingerprint);
+  assert.equal(
+    fingerprintFinding({ checkId: 'hardcoded-secret', title: 'AWS access key in config.json', location: 'config.json:3', secret: { sha256: 'a'.repeat(64) } }),
+    fingerprintFinding({ checkId: 'hardcoded-secret', title: 'AWS access key in config.json', location: 'config.json:9', secret: { sha256: 'a'.repeat(64) } })
+  );
+  assert.equal(
+    fingerprintFinding({ checkId: 'mach-o', title: 'Symbol at 0x1000a3f0', location: 'Demo 0x1000a3f0' }),
+    fingerprintFinding({ checkId: 'mach-o', title: 'symbol at 0x2000b4c8', location: 'Demo 0x2000b4c8' })
+  );
+  assert.equal(
+    fingerprintFinding({ checkId: 'provisioning-profile', title: 'Provisioning profile expires in 12 day(s)' }),
+    fingerprintFinding({ checkId: 'provisioning-profile', title: 'Provisioning profile expires in 3 day(s)' })
+  );
+  assert.equal(fingerprintFinding({ checkId: 'x', message: 'Greenlight message' }), fingerprintFinding({ checkId: 'x', title: 'Greenlight message' }));
+});
+
+test('fingerprints differ by check, location and title', () => {
+  const fingerprint = fingerprintFinding(FINDING);
+  assert.notEqual(fingerprintFinding({ ...FINDING, checkId: 'app-icons' }), fingerprint);
+  assert.notEqual(fingerprintFinding({ ...FINDING, location: 'Payload/Demo.app/PlugIns/Widget.appex' }), fingerprint);
+  assert.notEqual(fingerprintFinding({ ...FINDING, title: 'Install size exceeds the limit' }), fingerprint);
+});
+
+test('fingerprints keep hosts, versions and advisory IDs apart', () => {
+  const ats = (domain, version = 'TLSv1.0') => fingerprintFinding({
+    checkId: 'ats',
+    title: `${version} allowed for ${domain}`,
+    location: 'Info.plist',
+    keyPath: `NSAppTransportSecurity.NSExceptionDomains.${domain}`
+  });
+  assert.notEqual(ats('api1.example.com'), ats('api2.example.com'));
+  assert.notEqual(ats('api.example.com', 'TLSv1.0'), ats('api.example.com', 'TLSv1.1'));
+
+  const advisory = (id) => fingerprintFinding({
+    checkId: 'vulnerable-dependency',
+    title: `X 1.2 affected by ${id}`,
+    location: 'Frameworks/X.framework',
+    advisory: { id }
+  });
+  assert.notEqual(advisory('CVE-2023-1234'), advisory('CVE-2022-5678'));
+});
+
+test('fingerprints tell secrets of the same type in one file apart', () => {
+  const secret = (sha256, line) => fingerprintFinding({
+    checkId: 'hardcoded-secret',
+    title: 'AWS access key in config.json',
+    location: `config.json:${line}`,
+    secret: { type: 'aws-access-key', file: 'config.json', sha256 }
+  });
+  assert.notEqual(secret('a'.repeat(64), 3), secret('b'.repeat(64), 9));
+});
+
+test('assigns fingerprints without replacing existing ones or mutating findings', () => {
+  const findings = [FINDING, { ...FINDING, checkId: 'ats', fingerprint: 'kept' }];
+  const assigned = assignFingerprints(findings);
+
+  assert.equal(assigned[0].fingerprint, fingerprintFinding(FINDING));
+  assert.equal(assigned[1].fingerprint, 'kept');
+  assert.equal(FINDING.fingerprint, undefined);
+  assert.deepEqual(assignFingerprints(), []);
+});
+
+test('numbers repeats of an identical finding', () => {
+  const assigned = assignFingerprints([FINDING, { ...FINDING }, { ...FINDING, checkId: 'app-icons' }, { ...FINDING }]);
+
+  assert.deepEqual(assigned.map(finding => finding.fingerprint), [
+    fingerprintFinding(FINDING),
+    fingerprintFinding(FINDING, 1),
+    fingerprintFinding({ ...FINDING, checkId: 'app-icons' }),
+    fingerprintFinding(FINDING, 2)
+  ]);
+  assert.equal(new Set(assigned.map(finding => finding.fingerprint)).size, 4);
+});
+
+test('summarizes findings by severity', () => {
+  assert.deepEqual(summarizeFindings([FINDING, { ...FINDING, severity: 'info' }, { ...FINDING, severity: 'unknown' }]), {
+    total: 3, critical: 0, warn: 1, info: 1, status: 'WARNING'
+  });
+  assert.equal(summarizeFindings([{ severity: 'critical' }]).status, 'BLOCKED');
+  assert.equal(summarizeFindings([]).status, 'GREENLIT');
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseGreenlightOutput } = require('../greenlight-parser');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'greenlight');
+
+// Helper: Parse a sample greenlight report
+const parseFixture = (name) => parseGreenlightOutput(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+
+// Expected results per sample; a parser change that drops findings shows up here as a count mismatch
+const EXPECTED = {
+  'v0.2-ipa.txt': { format: 'bracketed', status: 'pass', critical: 0, warn: 2, info: 1 },
+  'v0.4-ipa-blocked.txt': { format: 'columns', status: 'fail', critical: 2, warn: 2, info: 1 },
+  'v0.4-ipa-greenlit.txt': { format: 'columns', status: 'pass', critical: 0, warn: 0, info: 2 }
+};
+
+test('every sample layout has expectations', () => {
+  assert.deepEqual(fs.readdirSync(FIXTURES).filter(name => name.endsWith('.txt')).sort(), Object.keys(EXPECTED).sort());
+});
+
+for (const [name, expected] of Object.entries(EXPECTED)) {
+  test(`parses ${name}`, () => {
+    const result = parseFixture(name);
+    const total = expected.critical + expected.warn + expected.info;
+
+    assert.equal(result.format, expected.format);
+    assert.equal(result.status, expected.status);
+    assert.equal(result.findings.length, total);
+    assert.deepEqual(
+      { critical: result.summary.critical, warn: result.summary.warn, info: result.summary.info, total: result.summary.total },
+      { critical: expected.critical, warn: expected.warn, info: expected.info, total }
+    );
+    // The report's own summary line agrees with what was parsed
+    assert.equal(result.summary.reported, undefined);
+
+    for (const finding of result.findings) {
+      assert.ok(['critical', 'warn', 'info'].includes(finding.severity), `${finding.title}: severity ${finding.severity}`);
+      assert.ok(finding.checkId, `${finding.title}: check ID`);
+      assert.match(finding.guideline, /^\d+(\.\d+)*(\([a-z]+\))?$/);
+      assert.ok(finding.location, `${finding.title}: location`);
+    }
+  });
+}
+
+test('keeps sub-clause guidelines, continuation lines and fixes', () => {
+  const [privateApi, usage] = parseFixture('v0.4-ipa-blocked.txt').findings;
+
+  assert.equal(privateApi.checkId, 'private-api');
+  assert.equal(privateApi.location, 'Demo (main executable)');
+  assert.match(privateApi.description, /Referenced from -\[StatusBarHelper refresh\]/);
+  assert.equal(privateApi.fix, 'Remove references to private UIKit classes.');
+  assert.equal(usage.guideline, '5.1.1(i)');
+});
+
+test('reads the report header', () => {
+  const result = parseFixture('v0.4-ipa-greenlit.txt');
+  assert.equal(result.greenlightVersion, '0.4.0');
+  assert.equal(result.appName, 'Notes Lite');
+});
+
+test('falls back to the summary line when no finding layout matches', () => {
+  const result = parseGreenlightOutput('greenlight v9.0.0\n\n  3 findings: 1 critical 2 warn 0 info\n');
+  assert.deepEqual(result.findings, []);
+  assert.equal(result.summary.total, 3);
+  assert.equal(result.summary.critical, 1);
+  assert.equal(result.status, 'fail');
+});
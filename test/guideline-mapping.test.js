@@ -0,0 +1,70 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSnapshot } = require('../guidelines');
+const { guidelinesForFinding, mapFindingsToGuidelines } = require('../guideline-mapping');
+
+let snapshot;
+before(async () => {
+  snapshot = await loadSnapshot();
+});
+
+// Helper: "number:match" of each clause attached to a finding
+const clauses = (finding) => guidelinesForFinding(finding, snapshot).map(clause => `${clause.number}:${clause.match}`);
+
+test('puts the finding\'s own guideline before the curated clauses for its check', () => {
+  assert.deepEqual(clauses({ checkId: 'usage-description', guideline: '5.1.1(ii)', title: 'Missing camera usage description' }), [
+    '5.1.1(ii):finding', '5.1.1(iii):curated'
+  ]);
+  assert.deepEqual(clauses({ checkId: 'privacy-manifest', guideline: '5.1.1', title: 'No privacy manifest' }), [
+    '5.1.1:finding', '5.1.2:curated'
+  ]);
+});
+
+test('drops a clause when a more specific one below it is listed', () => {
+  assert.deepEqual(clauses({ checkId: 'usage-description', guideline: '5.1', title: 'Missing camera usage description' }), [
+    '5.1.1(ii):curated', '5.1.1(iii):curated'
+  ]);
+});
+
+test('titles and links clauses from the corpus, via the nearest ancestor', () => {
+  const [clause] = guidelinesForFinding({ checkId: 'custom', guideline: '5.1.1(v)', title: 'x' }, snapshot);
+  assert.deepEqual(clause, {
+    number: '5.1.1(v)',
+    title: 'Account Sign-In',
+    url: 'https://developer.apple.com/app-store/review/guidelines/#5.1.1',
+    match: 'finding'
+  });
+  assert.equal(guidelinesForFinding({ checkId: 'custom', guideline: '2.5.99', title: 'x' }, snapshot)[0].title, 'Software Requirements');
+  assert.deepEqual(guidelinesForFinding({ checkId: 'custom', guideline: '9.9', title: 'x' }, snapshot)[0], {
+    number: '9.9', title: null, url: null, match: 'finding'
+  });
+});
+
+test('matches unmapped findings against the corpus by text', () => {
+  const [clause, ...rest] = guidelinesForFinding({
+    checkId: 'greenlight-unknown',
+    title: 'Loot boxes without published odds',
+    description: 'Randomized virtual items are sold without disclosing the odds.'
+  }, snapshot);
+
+  assert.equal(rest.length, 0);
+  assert.equal(clause.number, '3.1.1');
+  assert.equal(clause.match, 'similarity');
+  assert.ok(clause.score >= 3);
+  assert.deepEqual(guidelinesForFinding({ checkId: 'greenlight-unknown', title: 'Build 42' }, snapshot), []);
+});
+
+test('fills in guideline and guidelines on every finding it can map', () => {
+  const [mapped, kept, unmapped] = mapFindingsToGuidelines([
+    { checkId: 'download-size', title: 'Over the cellular download limit' },
+    { checkId: 'ats', guideline: '1.6', title: 'Arbitrary loads' },
+    { checkId: 'greenlight-unknown', title: 'Build 42' }
+  ], snapshot);
+
+  assert.equal(mapped.guideline, '2.5');
+  assert.deepEqual(mapped.guidelines.map(clause => clause.number), ['2.5', '4.2.3(ii)']);
+  assert.equal(kept.guideline, '1.6');
+  assert.deepEqual(kept.guidelines.map(clause => clause.number), ['1.6', '5.1.1']);
+  assert.deepEqual(unmapped, { checkId: 'greenlight-unknown', title: 'Build 42' });
+  assert.deepEqual(mapFindingsToGuidelines(undefined, snapshot), []);
+});
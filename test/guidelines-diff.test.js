@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffGuidelines, diffWords, guidelinesChanges } = require('../guidelines-diff');
+
+// Helper: Guidelines document from { number: [title, text] } (top-level sections only get children)
+function guidelines(clauses) {
+  const sections = [];
+  for (const [number, [title, text]] of Object.entries(clauses)) {
+    const node = { number, title, text, url: `https://example.com/#${number}`, children: [] };
+    if (number.includes('.')) sections.find(section => section.number === number.split('.')[0]).children.push(node);
+    else sections.push(node);
+  }
+  return { sections };
+}
+
+const V1 = guidelines({
+  1: ['Safety', 'Apps must be safe.'],
+  '1.1': ['Objectionable Content', 'Apps should not include offensive content.'],
+  '1.2': ['User-Generated Content', 'Apps with user content need a reporting mechanism.']
+});
+const V2 = guidelines({
+  1: ['Safety', 'Apps  must be safe.'],
+  '1.1': ['Objectionable Content', 'Apps must not include offensive or hateful content.'],
+  '1.3': ['Kids Category', 'Kids apps must not include third-party analytics.']
+});
+const V3 = guidelines({
+  1: ['Safety', 'Apps must be safe.'],
+  '1.1': ['Objectionable Content', 'Apps must not include offensive or hateful content.'],
+  '1.3': ['Kids Category', 'Kids apps must not include third-party analytics or advertising.']
+});
+
+test('diffs two texts word by word', () => {
+  assert.deepEqual(diffWords('Apps should not include offensive content.', 'Apps must not include offensive or hateful content.'), [
+    { op: 'equal', text: 'Apps' },
+    { op: 'delete', text: 'should' },
+    { op: 'insert', text: 'must' },
+    { op: 'equal', text: 'not include offensive' },
+    { op: 'insert', text: 'or hateful' },
+    { op: 'equal', text: 'content.' }
+  ]);
+  assert.deepEqual(diffWords('', 'New text'), [{ op: 'insert', text: 'New text' }]);
+  assert.deepEqual(diffWords('Same  text ', 'Same text'), [{ op: 'equal', text: 'Same text' }]);
+});
+
+test('skips word diffs of very long clauses', () => {
+  const long = Array.from({ length: 2500 }, (_, index) => `w${index}`).join(' ');
+  assert.equal(diffWords(long, `${long} more`), null);
+});
+
+test('lists added, removed and reworded clauses, ignoring whitespace', () => {
+  const { added, removed, reworded } = diffGuidelines(V1, V2);
+
+  assert.deepEqual(added.map(clause => [clause.number, clause.path]), [['1.3', ['Safety', 'Kids Category']]]);
+  assert.deepEqual(removed.map(clause => [clause.number, clause.text]), [['1.2', 'Apps with user content need a reporting mechanism.']]);
+  assert.deepEqual(reworded.map(clause => clause.number), ['1.1']);
+  assert.equal(reworded[0].before.text, 'Apps should not include offensive content.');
+  assert.equal(reworded[0].after.text, 'Apps must not include offensive or hateful content.');
+  assert.equal(reworded[0].words.filter(segment => segment.op !== 'equal').length, 3);
+  assert.deepEqual(diffGuidelines(V1, V1), { added: [], removed: [], reworded: [] });
+});
+
+// Helper: In-memory stand-in for the guidelines cache's stored versions
+function versionCache(documents) {
+  const entries = documents.map((document, index) => ({
+    version: `00000000000${index}`,
+    fetchedAt: `2026-0${index + 1}-01T00:00:00.000Z`,
+    lastUpdated: `2026-0${index + 1}-01T00:00:00.000Z`,
+    file: `${index}.json`
+  }));
+  return {
+    versions: async () => entries,
+    loadVersion: async (entry) => documents[entries.indexOf(entry)]
+  };
+}
+
+test('dates each change to the fetch that first saw it', async () => {
+  const changes = await guidelinesChanges(versionCache([V1, V2, V3]), '2026-01-15');
+
+  assert.equal(changes.from.version, '000000000000');
+  assert.equal(changes.to.version, '000000000002');
+  assert.deepEqual(changes.summary, { added: 1, removed: 1, reworded: 1 });
+  assert.deepEqual(changes.added.map(clause => [clause.number, clause.changedAt]), [['1.3', '2026-03-01T00:00:00.000Z']]);
+  assert.deepEqual(changes.removed.map(clause => [clause.number, clause.changedAt]), [['1.2', '2026-02-01T00:00:00.000Z']]);
+  assert.deepEqual(changes.reworded.map(clause => [clause.number, clause.changedAt]), [['1.1', '2026-02-01T00:00:00.000Z']]);
+});
+
+test('compares the last two versions by default and accepts a version as since', async () => {
+  const cache = versionCache([V1, V2, V3]);
+
+  const latest = await guidelinesChanges(cache);
+  assert.equal(latest.from.version, '000000000001');
+  assert.deepEqual(latest.summary, { added: 0, removed: 0, reworded: 1 });
+  assert.deepEqual((await guidelinesChanges(cache, '000000000001')).summary, latest.summary);
+  assert.equal(await guidelinesChanges(cache, 'abcdefabcdef'), null);
+  assert.deepEqual((await guidelinesChanges(cache, '2025-01-01')).from, (await guidelinesChanges(cache, '2026-01-15')).from);
+});
+
+test('reports no changes with fewer than two versions', async () => {
+  assert.deepEqual((await guidelinesChanges(versionCache([]))).summary, { added: 0, removed: 0, reworded: 0 });
+  const single = await guidelinesChanges(versionCache([V1]));
+  assert.deepEqual(single.summary, { added: 0, removed: 0, reworded: 0 });
+  assert.equal(single.versions, 1);
+});
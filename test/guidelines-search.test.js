@@ -0,0 +1,77 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSnapshot } = require('../guidelines');
+const { stem, parseQuery, createSearchIndex, searchGuidelines } = require('../guidelines-search');
+
+let snapshot;
+before(async () => {
+  snapshot = await loadSnapshot();
+});
+
+// Helper: Clause numbers of the top results
+const top = (query, limit = 3) => searchGuidelines(snapshot, query, { limit }).results.map(result => result.number);
+
+test('stems inflections to the same word', () => {
+  assert.equal(stem('collects'), stem('collected'));
+  assert.equal(stem('collecting'), stem('collect'));
+  assert.equal(stem('policies'), stem('policy'));
+  assert.equal(stem('boxes'), stem('box'));
+  assert.equal(stem("app's"), 'app');
+  assert.equal(stem('iOS'), 'ios');
+  assert.equal(stem('5.1.1'), '5.1.1');
+});
+
+test('parses phrases, words and multi-word synonyms', () => {
+  assert.deepEqual(parseQuery('"account deletion" tracking'), [
+    { text: 'account deletion', required: true, alternatives: [['delet', 'account'], ['account', 'delet']] },
+    { text: 'tracking', required: false, alternatives: [['track']] }
+  ]);
+  assert.deepEqual(parseQuery('the sign in with apple').map(unit => [unit.text, unit.alternatives]), [['sign in with apple', [['siwa'], ['sign', 'appl']]]]);
+  assert.deepEqual(parseQuery('IAP')[0].alternatives, parseQuery('in-app purchases')[0].alternatives);
+});
+
+// Queries App Review rejections are usually searched by, and the clause that answers them
+const EXPECTED_TOP = {
+  IAP: '3.1.1',
+  'in-app purchase': '3.1.1',
+  'loot box': '3.1.1',
+  'loot boxes': '3.1.1',
+  'account deletion': '5.1.1(v)',
+  'delete account': '5.1.1(v)',
+  'privacy policy': '5.1.1(i)',
+  subscriptions: '3.1.2',
+  kids: '5.1.4',
+  vpn: '5.4',
+  spam: '4.3',
+  crypto: '3.1.5',
+  gambling: '5.3.4',
+  'hidden features': '2.3.1'
+};
+
+for (const [query, number] of Object.entries(EXPECTED_TOP)) {
+  test(`"${query}" ranks ${number} first`, () => {
+    assert.equal(top(query)[0], number);
+  });
+}
+
+test('ranks a clause number first', () => {
+  assert.equal(top('5.1.1(v)')[0], '5.1.1(v)');
+  assert.equal(top('2.1 crash')[0], '2.1');
+});
+
+test('requires quoted phrases', () => {
+  const { results } = searchGuidelines(snapshot, '"account deletion" privacy');
+  assert.ok(results.length > 0);
+  for (const result of results) assert.match(result.snippet, /<mark>(deletion|account)<\/mark>/i);
+  assert.equal(searchGuidelines(snapshot, '"purchase loot"').total, 0);
+});
+
+test('highlights matches in an escaped snippet', () => {
+  const index = createSearchIndex({
+    version: 'test',
+    sections: [{ number: '1', title: 'Safety', text: 'Apps <b>must</b> report user-generated content.', url: '#1', children: [] }]
+  });
+  const [result] = index.search('ugc').results;
+  assert.equal(result.snippet, 'Apps &#60;b&#62;must&#60;/b&#62; report <mark>user</mark>-<mark>generated</mark> <mark>content</mark>');
+  assert.deepEqual(index.search('nothing here'), { total: 0, results: [] });
+});
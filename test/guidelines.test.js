@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGuidelines, flattenGuidelines, findClause, clauseUrl, loadSnapshot } = require('../guidelines');
+
+// Cut-down copy of the markup on Apple's page
+const PAGE = `<html><body>
+<nav>1. Not a section</nav>
+<main>
+  <p>Last Updated: June 9, 2025</p>
+  <section id="safety">
+    <h2>1. Safety</h2>
+    <p>When people install an app, they want to feel confident it's safe.</p>
+    <p id="1.1"><strong>1.1 Objectionable Content</strong> Apps should not include offensive content.</p>
+  </section>
+  <section id="legal">
+    <h2>5. Legal</h2>
+    <p id="5.1.1"><strong>5.1.1 Data Collection and Storage</strong></p>
+    <ol>
+      <li><strong>(i) Privacy Policies:</strong> All apps must include a link to their privacy policy.</li>
+      <li><strong>(v) Account Sign-In:</strong> Apps that support account creation must also offer account deletion.</li>
+    </ol>
+    <p>Apps must not make it hard to find the deletion option.</p>
+    <h3>After You Submit</h3>
+    <p>Not part of any clause.</p>
+  </section>
+</main>
+</body></html>`;
+
+test('parses sections, numbered clauses and sub-clauses', () => {
+  const { lastUpdated, sections } = parseGuidelines(PAGE);
+
+  assert.equal(lastUpdated, '2025-06-09T00:00:00.000Z');
+  assert.deepEqual(sections.map(section => [section.number, section.title]), [['1', 'Safety'], ['5', 'Legal']]);
+  assert.deepEqual(flattenGuidelines({ sections }).map(clause => clause.number), ['1', '1.1', '5', '5.1.1', '5.1.1(i)', '5.1.1(v)']);
+
+  const [safety, legal] = sections;
+  assert.equal(safety.text, "When people install an app, they want to feel confident it's safe.");
+  assert.equal(safety.children[0].title, 'Objectionable Content');
+  assert.equal(safety.children[0].text, 'Apps should not include offensive content.');
+
+  const storage = legal.children[0];
+  assert.equal(storage.url, clauseUrl('5.1.1'));
+  assert.equal(storage.text, '');
+  assert.deepEqual(storage.children[1], {
+    number: '5.1.1(v)',
+    title: 'Account Sign-In',
+    // Running text continues the clause before it; the unnumbered heading ends the numbered part
+    text: 'Apps that support account creation must also offer account deletion.\nApps must not make it hard to find the deletion option.',
+    anchor: '5.1.1',
+    url: 'https://developer.apple.com/app-store/review/guidelines/#5.1.1',
+    children: []
+  });
+});
+
+test('flattens the tree with title paths', () => {
+  const clause = flattenGuidelines(parseGuidelines(PAGE)).find(entry => entry.number === '5.1.1(i)');
+  assert.deepEqual(clause.path, ['Legal', 'Data Collection and Storage', 'Privacy Policies']);
+  assert.equal(clause.depth, 2);
+  assert.deepEqual(flattenGuidelines(null), []);
+});
+
+test('finds a clause by number, else its nearest ancestor', () => {
+  const guidelines = parseGuidelines(PAGE);
+  assert.equal(findClause(guidelines, '5.1.1(v)').title, 'Account Sign-In');
+  assert.equal(findClause(guidelines, '5.1.1(ix)').number, '5.1.1');
+  assert.equal(findClause(guidelines, '1.1.4').number, '1.1');
+  assert.equal(findClause(guidelines, '4.2'), null);
+  assert.equal(findClause(guidelines, ''), null);
+});
+
+test('loads the bundled snapshot', async () => {
+  const snapshot = await loadSnapshot();
+
+  assert.equal(snapshot.source, 'snapshot');
+  assert.equal(snapshot.clauseCount, 183);
+  assert.match(snapshot.version, /^[0-9a-f]{12}$/);
+  assert.deepEqual(snapshot.sections.map(section => section.number), ['1', '2', '3', '4', '5']);
+  assert.equal(findClause(snapshot, '5.1.1(v)').title, 'Account Sign-In');
+  assert.equal(findClause(snapshot, '3.1.1').title, 'In-App Purchase');
+  assert.equal(new Set(flattenGuidelines(snapshot).map(clause => clause.number)).size, 183);
+});
@@ -0,0 +1,172 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue, CancelledError } = require('../job-queue');
+
+// Helper: Promise with its resolve/reject exposed
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+// Helper: Resolves with the job's final (serialized) state
+const finished = (job) => new Promise(resolve => job.events.once('done', resolve));
+
+// Helper: Let the queue start whatever it dequeues after a job finished
+const settled = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs at most `concurrency` jobs and starts the next as one finishes', async () => {
+  const queue = createJobQueue({ concurrency: 2 });
+  const gates = [deferred(), deferred(), deferred(), deferred()];
+  const started = [];
+  const jobs = gates.map((gate, index) => queue.enqueue('upload', async () => {
+    started.push(index);
+    return gate.promise;
+  }));
+
+  assert.deepEqual(started, [0, 1]);
+  assert.deepEqual(queue.stats(), { running: 2, queued: 2, concurrency: 2 });
+  assert.deepEqual(jobs.map(job => [job.state, job.queuePosition]), [
+    ['running', undefined],
+    ['running', undefined],
+    ['queued', 1],
+    ['queued', 2]
+  ]);
+
+  gates[1].resolve({ ok: true });
+  assert.equal((await finished(jobs[1])).state, 'completed');
+  await settled();
+  assert.deepEqual(started, [0, 1, 2]);
+  assert.equal(jobs[3].queuePosition, 1);
+  assert.equal(jobs[1].result.ok, true);
+
+  gates.forEach(gate => gate.resolve());
+  await Promise.all([jobs[0], jobs[2], jobs[3]].map(job => queue.isFinished(job) ? null : finished(job)));
+  assert.deepEqual(started, [0, 1, 2, 3]);
+  assert.deepEqual(queue.stats(), { running: 0, queued: 0, concurrency: 2 });
+});
+
+test('cancels a queued job without running it', async () => {
+  const queue = createJobQueue({ concurrency: 1 });
+  const gate = deferred();
+  const running = queue.enqueue('upload', () => gate.promise);
+  let ran = false;
+  let cleanedUp = 0;
+  const queued = queue.enqueue('upload', async () => { ran = true; }, { cleanup: () => cleanedUp++ });
+  const last = queue.enqueue('upload', async () => 'last');
+  assert.equal(last.queuePosition, 2);
+
+  assert.equal(await queue.cancel(queued.id), true);
+  assert.equal(queued.state, 'cancelled');
+  assert.equal(cleanedUp, 1);
+  assert.equal(last.queuePosition, 1);
+  assert.equal(await queue.cancel(queued.id), false);
+  assert.equal(await queue.cancel('unknown'), false);
+
+  gate.resolve();
+  await finished(last);
+  assert.equal(ran, false);
+  assert.equal(running.state, 'completed');
+  assert.equal(last.result, 'last');
+});
+
+test('cancels a running job through its signal and throwIfCancelled', async () => {
+  const queue = createJobQueue();
+  const reachedCheckpoint = deferred();
+  const resume = deferred();
+  let thrown;
+  const job = queue.enqueue('url', async (ctx) => {
+    reachedCheckpoint.resolve();
+    await resume.promise;
+    try {
+      ctx.throwIfCancelled();
+    } catch (error) {
+      thrown = error;
+      throw error;
+    }
+    return 'unreachable';
+  });
+
+  await reachedCheckpoint.promise;
+  assert.equal(await queue.cancel(job.id), true);
+  // Running jobs only stop at their next checkpoint
+  assert.equal(job.state, 'running');
+  assert.equal(job.controller.signal.aborted, true);
+
+  resume.resolve();
+  const done = await finished(job);
+  assert.equal(done.state, 'cancelled');
+  assert.ok(thrown instanceof CancelledError);
+  assert.equal(job.result, undefined);
+
+  // A task that ignores the signal and returns still ends up cancelled
+  const ignoring = queue.enqueue('url', async (ctx) => new Promise(resolve => ctx.signal.addEventListener('abort', () => resolve('late'))));
+  await queue.cancel(ignoring.id);
+  assert.equal((await finished(ignoring)).state, 'cancelled');
+});
+
+test('emits stage and log events in order, then done after onFinished', async () => {
+  const events = [];
+  const queue = createJobQueue({
+    onFinished: async (job) => {
+      await new Promise(resolve => setImmediate(resolve));
+      events.push(['onFinished', job.state]);
+    }
+  });
+  const job = queue.enqueue('upload', async (ctx) => {
+    // Jobs start as soon as they are queued; give the listeners below a chance to subscribe
+    await settled();
+    ctx.stage('extracting', 'Reading the IPA');
+    ctx.log('Payload/Demo.app');
+    ctx.stage('scanning', 'Running checks');
+    ctx.log('2 warnings', 'stderr');
+    return { findings: [] };
+  }, { cleanup: () => events.push(['cleanup']) });
+
+  for (const name of ['stage', 'log']) {
+    job.events.on(name, (data) => events.push([name, data.stage || data.line]));
+  }
+  job.events.on('done', (data) => events.push(['done', data.state]));
+  await finished(job);
+
+  assert.deepEqual(events, [
+    ['stage', 'extracting'],
+    ['log', 'Payload/Demo.app'],
+    ['stage', 'scanning'],
+    ['log', '2 warnings'],
+    ['cleanup'],
+    ['onFinished', 'completed'],
+    ['done', 'completed']
+  ]);
+  assert.deepEqual(job.logs.map(entry => [entry.line, entry.stream]), [['Payload/Demo.app', 'stdout'], ['2 warnings', 'stderr']]);
+});
+
+test('records failures and keeps only the tail of long logs', async () => {
+  const queue = createJobQueue();
+  const failing = queue.enqueue('upload', async () => { throw new Error('Not a valid zip archive'); });
+  const rejecting = queue.enqueue('code', () => Promise.reject({ error: 'Greenlight CLI not found: greenlight' }));
+  const chatty = queue.enqueue('upload', async (ctx) => {
+    for (let i = 0; i < 520; i++) ctx.log(`line ${i}`);
+  });
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await Promise.all([failing, rejecting, chatty].map(finished));
+  } finally {
+    console.error = originalError;
+  }
+
+  assert.deepEqual([failing.state, failing.error], ['failed', 'Not a valid zip archive']);
+  assert.equal(rejecting.error, 'Greenlight CLI not found: greenlight');
+  assert.equal(chatty.logs.length, 500);
+  assert.equal(chatty.logs[0].line, 'line 20');
+  assert.deepEqual(queue.list().map(job => [job.type, job.state, job.result]), [
+    ['upload', 'failed', undefined],
+    ['code', 'failed', undefined],
+    ['upload', 'completed', undefined]
+  ]);
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { toJUnit } = require('../junit-export');
+
+const SCAN = {
+  id: '1700000000000-1',
+  type: 'ipa',
+  appName: 'Demo',
+  bundleId: 'com.example.demo',
+  finishedAt: '2026-10-19T12:00:00.123Z',
+  results: {
+    engine: 'native',
+    summary: { total: 3, critical: 1, warn: 1, info: 1, status: 'BLOCKED' },
+    checksRun: [
+      { id: 'usage-description', title: 'Usage Descriptions' },
+      { id: 'app-icons', title: 'App Icon Presence' },
+      { id: 'ats', title: 'App Transport Security' }
+    ],
+    findings: [
+      {
+        checkId: 'usage-description',
+        severity: 'critical',
+        title: 'Missing NSCameraUsageDescription',
+        description: 'Camera access without a <usage> description & no fallback\u0007',
+        location: 'Info.plist',
+        guidelines: [{ number: '5.1.1(ii)', title: 'Permission', url: 'https://developer.apple.com/app-store/review/guidelines/#5.1.1' }],
+        fix: 'Add NSCameraUsageDescription.'
+      },
+      { checkId: 'ats', severity: 'warn', title: 'Insecure exception for example.com' },
+      { severity: 'info', message: 'Greenlight note', guideline: '2.1' }
+    ],
+    suppressed: [{
+      checkId: 'ats',
+      severity: 'warn',
+      title: 'Arbitrary loads allowed',
+      suppression: { justification: 'Legacy "CDN"', expires: '2026-12-31' }
+    }]
+  }
+};
+
+// Helper: Parsed report
+const report = (scan, policy) => cheerio.load(toJUnit(scan, policy), { xml: true });
+
+test('writes a testcase per clean check, finding, suppression and the gate', () => {
+  const $ = report(SCAN, { failOn: 'critical' });
+  const suite = $('testsuite');
+
+  assert.equal(suite.attr('name'), 'ios-compliance.Demo');
+  assert.equal(suite.attr('timestamp'), '2026-10-19T12:00:00');
+  assert.deepEqual(['tests', 'failures', 'skipped'].map(name => suite.attr(name)), ['6', '2', '3']);
+  assert.deepEqual($('testcase').toArray().map(testcase => [$(testcase).attr('classname'), $(testcase).attr('name')]), [
+    ['ios-compliance.Demo.app-icons', 'App Icon Presence'],
+    ['ios-compliance.Demo.usage-description', 'Missing NSCameraUsageDescription (Info.plist)'],
+    ['ios-compliance.Demo.ats', 'Insecure exception for example.com'],
+    ['ios-compliance.Demo.greenlight', 'Greenlight note'],
+    ['ios-compliance.Demo.ats', 'Arbitrary loads allowed (suppressed)'],
+    ['ios-compliance.Demo.gate', 'Compliance gate']
+  ]);
+});
+
+test('fails findings the gate fails on, with details, and skips the rest', () => {
+  const $ = report(SCAN, { failOn: 'critical' });
+  const failure = $('testcase').eq(1).find('failure');
+
+  assert.equal(failure.attr('type'), 'critical');
+  assert.equal(failure.attr('message'), '[CRITICAL] Missing NSCameraUsageDescription');
+  assert.equal(failure.text(), [
+    'Camera access without a <usage> description & no fallback',
+    'Location: Info.plist',
+    'Guideline 5.1.1(ii) (Permission): https://developer.apple.com/app-store/review/guidelines/#5.1.1',
+    'Fix: Add NSCameraUsageDescription.'
+  ].join('\n'));
+  assert.equal($('testcase').eq(2).find('skipped').attr('message'), '[WARN] Insecure exception for example.com');
+  assert.equal($('testcase').eq(4).find('skipped').attr('message'), 'Suppressed until 2026-12-31: Legacy "CDN"');
+  assert.equal($('testcase').eq(5).find('failure').attr('message'), 'Gate failed: 1 critical finding(s) (failOn=critical)');
+  assert.deepEqual($('property').toArray().map(property => [$(property).attr('name'), $(property).attr('value')]), [
+    ['scanId', '1700000000000-1'],
+    ['engine', 'native'],
+    ['bundleId', 'com.example.demo'],
+    ['status', 'BLOCKED'],
+    ['gate', 'fail'],
+    ['gateReason', '1 critical finding(s) (failOn=critical)']
+  ]);
+});
+
+test('follows the policy passed in, else the one stored with the scan', () => {
+  let $ = report(SCAN, { failOn: 'none', maxInfo: 0 });
+  assert.deepEqual($('failure').toArray().map(failure => $(failure).attr('type')), ['info', 'gate']);
+
+  $ = report({ ...SCAN, results: { ...SCAN.results, gatePolicy: { failOn: 'none' } } });
+  assert.equal($('failure').length, 0);
+  assert.equal($('testcase[name="Compliance gate"]').children().length, 0);
+});
@@ -0,0 +1,268 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { isMachO, parseMachO, summarizeMachO, formatVersion } = require('../macho-reader');
+
+const ARM64 = 0x0100000C;
+const X86_64 = 0x01000007;
+const LC_SYMTAB = 0x2;
+const LC_LOAD_DYLIB = 0xC;
+const LC_ID_DYLIB = 0xD;
+const LC_UUID = 0x1B;
+const LC_CODE_SIGNATURE = 0x1D;
+const LC_VERSION_MIN_IPHONEOS = 0x25;
+const LC_ENCRYPTION_INFO_64 = 0x2C;
+const LC_BUILD_VERSION = 0x32;
+const LC_LOAD_WEAK_DYLIB = 0x80000018;
+
+const ENTITLEMENTS = '<?xml version="1.0"?><plist version="1.0"><dict><key>application-identifier</key><string>ABCDE12345.com.example.demo</string></dict></plist>';
+
+// Helper: Little-endian uint32 fields
+const u32 = (...values) => {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, index) => buffer.writeUInt32LE(value >>> 0, index * 4));
+  return buffer;
+};
+
+// Helper: Big-endian uint32 fields (code signature blobs and fat headers)
+const u32be = (...values) => {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, index) => buffer.writeUInt32BE(value >>> 0, index * 4));
+  return buffer;
+};
+
+// Helper: Load command with its body padded to 8 bytes
+function command(cmd, body = Buffer.alloc(0)) {
+  const padded = Buffer.concat([body, Buffer.alloc((8 - body.length % 8) % 8)]);
+  return Buffer.concat([u32(cmd, 8 + padded.length), padded]);
+}
+
+// Helper: Dylib load command (the name follows the 24-byte dylib_command)
+const dylib = (cmd, name) => command(cmd, Buffer.concat([u32(24, 0, 0, 0), Buffer.from(`${name}\0`)]));
+
+// Helper: Packed xxxx.yy.zz version
+const version = (major, minor = 0, patch = 0) => (major << 16) | (minor << 8) | patch;
+
+// Helper: Code signature SuperBlob with a SHA-256 CodeDirectory over `code`, entitlements and an empty CMS blob
+function codeSignature(code, { identifier = 'com.example.demo', teamId = 'ABCDE12345', pageShift = 4, hashType = 2, entitlements = ENTITLEMENTS } = {}) {
+  const pageSize = 2 ** pageShift;
+  const hashes = [];
+  for (let start = 0; start < code.length; start += pageSize) {
+    hashes.push(crypto.createHash('sha256').update(code.subarray(start, start + pageSize)).digest());
+  }
+  const strings = Buffer.from(`${identifier}\0${teamId}\0`);
+  const header = Buffer.alloc(52);
+  header.writeUInt32BE(0xFADE0C02, 0);
+  header.writeUInt32BE(52 + strings.length + hashes.length * 32, 4);
+  header.writeUInt32BE(0x20400, 8);
+  header.writeUInt32BE(52 + strings.length, 16);
+  header.writeUInt32BE(52, 20);
+  header.writeUInt32BE(hashes.length, 28);
+  header.writeUInt32BE(code.length, 32);
+  header[36] = 32;
+  header[37] = hashType;
+  header[39] = pageShift;
+  header.writeUInt32BE(52 + identifier.length + 1, 48);
+  const directory = Buffer.concat([header, strings, ...hashes]);
+
+  const plist = Buffer.from(entitlements);
+  const blobs = [
+    [0, directory],
+    [5, Buffer.concat([u32be(0xFADE7171, 8 + plist.length), plist])],
+    [0x10000, u32be(0xFADE0B01, 8)]
+  ];
+  let offset = 12 + blobs.length * 8;
+  const index = [];
+  for (const [slot, blob] of blobs) {
+    index.push(u32be(slot, offset));
+    offset += blob.length;
+  }
+  return Buffer.concat([u32be(0xFADE0CC0, offset, blobs.length), ...index, ...blobs.map(([, blob]) => blob)]);
+}
+
+// Helper: 64-bit Mach-O image. With `sign`, an LC_CODE_SIGNATURE is appended and the
+// signature covers everything before it (header, load commands and `code` bytes).
+function machO({ cpuType = ARM64, cpuSubtype = 0, fileType = 2, flags = 0x200000, commands = [], code = Buffer.alloc(40, 0xAA), sign }) {
+  const signatureCommandSize = sign ? 16 : 0;
+  const commandsSize = commands.reduce((total, cmd) => total + cmd.length, 0) + signatureCommandSize;
+  const header = Buffer.concat([u32(0xFEEDFACF, cpuType, cpuSubtype, fileType, commands.length + (sign ? 1 : 0), commandsSize, flags, 0)]);
+  if (!sign) return Buffer.concat([header, ...commands, code]);
+
+  const codeLimit = header.length + commandsSize + code.length;
+  const unsigned = Buffer.concat([header, ...commands, u32(LC_CODE_SIGNATURE, 16, codeLimit, 0), code]);
+  // The signature's size is part of the signed load commands; it doesn't depend on the hashes
+  unsigned.writeUInt32LE(codeSignature(unsigned, sign).length, codeLimit - code.length - 4);
+  return Buffer.concat([unsigned, codeSignature(unsigned, sign)]);
+}
+
+// Helper: Fat (universal) binary around the given slices, each aligned to 64 bytes
+function fat(slices) {
+  const entries = [];
+  const bodies = [];
+  let offset = 8 + slices.length * 20;
+  for (const { cpuType, image } of slices) {
+    const padding = (64 - offset % 64) % 64;
+    bodies.push(Buffer.alloc(padding), image);
+    offset += padding;
+    entries.push(u32be(cpuType, 0, offset, image.length, 6));
+    offset += image.length;
+  }
+  return Buffer.concat([u32be(0xCAFEBABE, slices.length), ...entries, ...bodies]);
+}
+
+// Helper: Symbol table command pointing at a string table appended after the load commands
+function withSymbols(strings) {
+  const table = Buffer.from(`\0${strings.join('\0')}\0`);
+  const symtab = command(LC_SYMTAB, u32(0, 0, 0, table.length));
+  const image = machO({ commands: [symtab], code: table });
+  image.writeUInt32LE(image.length - table.length, 32 + 16);
+  return image;
+}
+
+test('parses the header and load commands of a thin binary', () => {
+  const uuid = Buffer.from('0123456789abcdef0123456789abcdef', 'hex');
+  const image = machO({
+    commands: [
+      command(LC_BUILD_VERSION, u32(2, version(15), version(17, 2), 0)),
+      command(LC_UUID, uuid),
+      dylib(LC_LOAD_DYLIB, '/usr/lib/libSystem.B.dylib'),
+      dylib(LC_LOAD_WEAK_DYLIB, '@rpath/Optional.framework/Optional'),
+      command(LC_ENCRYPTION_INFO_64, u32(16384, 4096, 1, 0))
+    ]
+  });
+
+  assert.equal(isMachO(image), true);
+  const { fat: isFat, slices: [slice] } = parseMachO(image);
+  assert.equal(isFat, false);
+  assert.deepEqual({ ...slice, dylibs: undefined }, {
+    arch: 'arm64',
+    fileType: 'execute',
+    platform: 'iOS',
+    minOS: '15.0',
+    sdk: '17.2',
+    installName: null,
+    uuid: '0123456789ABCDEF0123456789ABCDEF',
+    dylibs: undefined,
+    encryption: { offset: 16384, size: 4096, encrypted: true },
+    pie: true,
+    stackCanary: false,
+    signed: false,
+    signature: null,
+    entitlements: null,
+    simulator: false,
+    size: image.length
+  });
+  assert.deepEqual(slice.dylibs, [
+    { name: '/usr/lib/libSystem.B.dylib', kind: 'load' },
+    { name: '@rpath/Optional.framework/Optional', kind: 'weak' }
+  ]);
+});
+
+test('reads install names, legacy version commands and stack canary symbols', () => {
+  const framework = parseMachO(machO({
+    fileType: 6,
+    flags: 0,
+    commands: [dylib(LC_ID_DYLIB, '@rpath/Demo.framework/Demo'), command(LC_VERSION_MIN_IPHONEOS, u32(version(12, 1, 1), version(16)))]
+  })).slices[0];
+  assert.deepEqual([framework.fileType, framework.installName, framework.platform, framework.minOS, framework.sdk, framework.pie],
+    ['dylib', '@rpath/Demo.framework/Demo', 'iOS', '12.1.1', '16.0', false]);
+
+  assert.equal(parseMachO(withSymbols(['_main', '___stack_chk_guard'])).slices[0].stackCanary, true);
+  assert.equal(parseMachO(withSymbols(['_main', '___stack_chk_guard_not'])).slices[0].stackCanary, false);
+  assert.equal(formatVersion(version(17, 4, 1)), '17.4.1');
+});
+
+test('parses every slice of a fat binary and summarizes the device slice', () => {
+  const device = machO({ commands: [command(LC_BUILD_VERSION, u32(2, version(15), version(17), 0))] });
+  const simulator = machO({ cpuType: X86_64, cpuSubtype: 3, commands: [command(LC_BUILD_VERSION, u32(7, version(15), version(17), 0))] });
+  const binary = fat([{ cpuType: X86_64, image: simulator }, { cpuType: ARM64, image: device }]);
+
+  assert.equal(isMachO(binary), true);
+  const parsed = parseMachO(binary);
+  assert.equal(parsed.fat, true);
+  assert.deepEqual(parsed.slices.map(slice => [slice.arch, slice.platform, slice.simulator, slice.size]), [
+    ['x86_64', 'iOSSimulator', true, simulator.length],
+    ['arm64', 'iOS', false, device.length]
+  ]);
+
+  const summary = summarizeMachO(parsed);
+  assert.deepEqual(summary.architectures, ['x86_64', 'arm64']);
+  assert.deepEqual(summary.simulatorSlices, ['x86_64']);
+  assert.deepEqual(summary.sliceSizes, [simulator.length, device.length]);
+  assert.equal(summary.platform, 'iOS');
+});
+
+test('verifies CodeDirectory page hashes and reads the entitlements', () => {
+  const image = machO({ commands: [command(LC_BUILD_VERSION, u32(2, version(15), version(17), 0))], sign: {} });
+  const slice = parseMachO(image).slices[0];
+
+  assert.equal(slice.signed, true);
+  assert.deepEqual(slice.signature, {
+    identifier: 'com.example.demo',
+    teamId: 'ABCDE12345',
+    adhoc: true,
+    hashType: 'sha256',
+    valid: true,
+    error: null
+  });
+  assert.deepEqual(slice.entitlements, { 'application-identifier': 'ABCDE12345.com.example.demo' });
+
+  // Inside a fat binary the hashes cover the slice, not the file
+  assert.equal(parseMachO(fat([{ cpuType: ARM64, image }])).slices[0].signature.valid, true);
+
+  const tampered = Buffer.from(image);
+  tampered[image.indexOf(Buffer.alloc(40, 0xAA)) + 20] = 0xBB;
+  assert.equal(parseMachO(tampered).slices[0].signature.valid, false);
+  assert.match(parseMachO(tampered).slices[0].signature.error, /^Page \d+ does not match its signed hash/);
+
+  const sha512 = parseMachO(machO({ sign: { hashType: 5 } })).slices[0].signature;
+  assert.deepEqual([sha512.valid, sha512.error], [false, 'Unsupported CodeDirectory hash type 5']);
+
+  const badPlist = parseMachO(machO({ sign: { entitlements: '<plist><dict><key>a</key>' } })).slices[0];
+  assert.equal(badPlist.entitlements, null);
+  assert.equal(typeof badPlist.entitlementsError, 'string');
+});
+
+test('reports signatures that point outside the binary', () => {
+  const image = machO({ sign: {} });
+  const signatureCommand = image.indexOf(u32(LC_CODE_SIGNATURE, 16));
+  const superBlob = image.indexOf(u32be(0xFADE0CC0));
+  const directory = superBlob + 12 + 3 * 8;
+
+  // Cut inside the page hashes, and inside the CodeDirectory header after the fields every version has
+  for (const end of [directory + 60, directory + 46]) {
+    const signature = parseMachO(image.subarray(0, end)).slices[0].signature;
+    assert.deepEqual([signature.valid, signature.error], [false, 'Code signature covers more data than the binary contains']);
+  }
+
+  const outside = Buffer.from(image);
+  outside.writeUInt32LE(image.length + 100, signatureCommand + 8);
+  assert.deepEqual(parseMachO(outside).slices[0].signature.error, 'No CodeDirectory in code signature');
+  assert.equal(parseMachO(outside).slices[0].entitlements, null);
+
+  // A SuperBlob index count far past the end of the signature
+  const overcount = Buffer.from(image);
+  overcount.writeUInt32BE(0xFFFFFFFF, superBlob + 8);
+  assert.equal(parseMachO(overcount).slices[0].signature.valid, true);
+});
+
+test('rejects truncated and malformed binaries with a readable error', () => {
+  const image = machO({ commands: [command(LC_BUILD_VERSION, u32(2, version(15), version(17), 0))] });
+  const cases = [
+    [Buffer.from('not a binary at all'), /Not a Mach-O image/],
+    [Buffer.from([0xCF, 0xFA]), /Not a Mach-O image/],
+    [image.subarray(0, 20), /Truncated Mach-O header/],
+    [image.subarray(0, 40), /Truncated Mach-O load commands/],
+    [(() => { const copy = Buffer.from(image); copy.writeUInt32LE(5, 16); return copy; })(), /Truncated Mach-O load commands/],
+    [(() => { const copy = Buffer.from(image); copy.writeUInt32LE(4, 36); return copy; })(), /Invalid load command size 4/],
+    [(() => { const copy = Buffer.from(image); copy.writeUInt32LE(8, 36); return copy; })(), /Invalid load command size 8/],
+    [(() => { const copy = Buffer.from(image); copy.writeUInt32LE(0xFFFF0, 36); return copy; })(), /Truncated Mach-O load commands/],
+    [u32be(0xCAFEBABE, 3), /Truncated fat header/],
+    [Buffer.concat([u32be(0xCAFEBABE, 0x7FFFFFFF), Buffer.alloc(40)]), /Truncated fat header/],
+    [Buffer.concat([u32be(0xCAFEBABE, 1), u32be(ARM64, 0, 4096, 100, 6)]), /Truncated Mach-O header/]
+  ];
+  for (const [buffer, message] of cases) {
+    assert.throws(() => parseMachO(buffer), message);
+  }
+  assert.equal(isMachO(Buffer.from([0xCF, 0xFA, 0xED, 0xFE])), false);
+});
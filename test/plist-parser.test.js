@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePlist, parseBinaryPlist } = require('../plist-parser');
+
+// Helper: Minimal bplist00 writer over pre-encoded objects (1-byte offsets and object refs);
+// the first object is the top object
+function bplist(objects) {
+  const header = Buffer.from('bplist00', 'latin1');
+  const offsets = [];
+  let position = header.length;
+  for (const object of objects) {
+    offsets.push(position);
+    position += object.length;
+  }
+  const trailer = Buffer.alloc(32);
+  trailer.writeUInt8(1, 6);
+  trailer.writeUInt8(1, 7);
+  trailer.writeBigUInt64BE(BigInt(objects.length), 8);
+  trailer.writeBigUInt64BE(0n, 16);
+  trailer.writeBigUInt64BE(BigInt(position), 24);
+  return Buffer.concat([header, ...objects, Buffer.from(offsets), trailer]);
+}
+
+// Helpers: Encoded binary plist objects
+const ascii = (text) => Buffer.concat([Buffer.from([0x50 | text.length]), Buffer.from(text, 'latin1')]);
+const utf16 = (text) => Buffer.concat([Buffer.from([0x60 | text.length]), Buffer.from(text, 'utf16le').swap16()]);
+const refs = (type, list) => Buffer.from([(type << 4) | (type === 0xD ? list.length / 2 : list.length), ...list]);
+
+test('parses a binary plist', () => {
+  const long = 'x'.repeat(20);
+  const date = Buffer.alloc(9);
+  date.writeUInt8(0x33, 0);
+  date.writeDoubleBE(0, 1);
+  const real = Buffer.alloc(9);
+  real.writeUInt8(0x23, 0);
+  real.writeDoubleBE(17.5, 1);
+
+  const plist = bplist([
+    refs(0xD, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]),
+    ascii('CFBundleName'), ascii('Count'), ascii('Enabled'), ascii('Items'),
+    ascii('Created'), ascii('Version'), ascii('Long'), ascii('Data'),
+    utf16('Démo'),
+    Buffer.from([0x11, 0x01, 0x2c]),
+    Buffer.from([0x09]),
+    refs(0xA, [1, 17]),
+    date,
+    real,
+    Buffer.concat([Buffer.from([0x5F, 0x10, long.length]), Buffer.from(long)]),
+    Buffer.from([0x42, 0xde, 0xad]),
+    Buffer.from([0x08])
+  ]);
+
+  assert.deepEqual(parsePlist(plist), {
+    CFBundleName: 'Démo',
+    Count: 300,
+    Enabled: true,
+    Items: ['CFBundleName', false],
+    Created: new Date('2001-01-01T00:00:00Z'),
+    Version: 17.5,
+    Long: long,
+    Data: Buffer.from([0xde, 0xad])
+  });
+});
+
+test('rejects circular references in binary plists', () => {
+  assert.throws(() => parseBinaryPlist(bplist([refs(0xA, [0])])), /Circular reference in binary plist/);
+});
+
+test('parses an XML plist', () => {
+  // Leading UTF-8 BOM, as some build tools write it
+  const xml = `\uFEFF<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+  <key>CFBundleIdentifier</key><string>com.example.demo &amp; co</string>
+  <key>UIRequiredDeviceCapabilities</key><array><string>arm64</string></array>
+  <key>MinimumOSVersion</key><string>15.0</string>
+  <key>Build</key><integer>42</integer>
+  <key>Scale</key><real>2.5</real>
+  <key>ITSAppUsesNonExemptEncryption</key><false/>
+  <key>UIFileSharingEnabled</key><true/>
+  <key>Expires</key><date>2026-01-01T00:00:00Z</date>
+  <key>Blob</key><data>
+    3q0=
+  </data>
+  <key>Empty</key><dict/>
+</dict>
+</plist>`;
+
+  assert.deepEqual(parsePlist(Buffer.from(xml)), {
+    CFBundleIdentifier: 'com.example.demo & co',
+    UIRequiredDeviceCapabilities: ['arm64'],
+    MinimumOSVersion: '15.0',
+    Build: 42,
+    Scale: 2.5,
+    ITSAppUsesNonExemptEncryption: false,
+    UIFileSharingEnabled: true,
+    Expires: new Date('2026-01-01T00:00:00Z'),
+    Blob: Buffer.from([0xde, 0xad]),
+    Empty: {}
+  });
+});
+
+test('rejects malformed XML plists', () => {
+  assert.throws(() => parsePlist('<dict></dict>'), /missing <plist> root/);
+  assert.throws(() => parsePlist('<plist><dict><key>A</key><string>b</string></dict>'), /truncated, missing <\/plist>/);
+  assert.throws(() => parsePlist('<plist><dict><string>b</string></dict></plist>'), /Expected <key> in plist dict, found <string>/);
+  assert.throws(() => parsePlist('<plist><dict><key>A</key></dict></plist>'), /Missing value for key "A"/);
+  assert.throws(() => parsePlist('<plist><set/></plist>'), /Unknown plist element <set>/);
+});
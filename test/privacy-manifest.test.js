@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { summarizeManifest, validatePrivacyManifest, validateManifestsInDirectory } = require('../privacy-manifest');
+const schemaCheck = require('../checks/privacy-manifest-schema');
+const missingCheck = require('../checks/privacy-manifest');
+
+const VALID = {
+  NSPrivacyTracking: true,
+  NSPrivacyTrackingDomains: ['ads.example.com'],
+  NSPrivacyCollectedDataTypes: [{
+    NSPrivacyCollectedDataType: 'NSPrivacyCollectedDataTypeEmailAddress',
+    NSPrivacyCollectedDataTypeLinked: true,
+    NSPrivacyCollectedDataTypeTracking: false,
+    NSPrivacyCollectedDataTypePurposes: ['NSPrivacyCollectedDataTypePurposeAppFunctionality']
+  }],
+  NSPrivacyAccessedAPITypes: [{
+    NSPrivacyAccessedAPIType: 'NSPrivacyAccessedAPICategoryUserDefaults',
+    NSPrivacyAccessedAPITypeReasons: ['CA92.1']
+  }]
+};
+
+// Helper: [severity, title, keyPath] of each finding
+const summary = (findings) => findings.map(finding => [finding.severity, finding.title, finding.keyPath]);
+
+test('accepts a valid manifest and summarizes it', () => {
+  assert.deepEqual(validatePrivacyManifest(VALID, 'PrivacyInfo.xcprivacy'), []);
+  assert.deepEqual(summarizeManifest(VALID), {
+    tracking: true,
+    trackingDomains: ['ads.example.com'],
+    collectedDataTypes: ['NSPrivacyCollectedDataTypeEmailAddress'],
+    accessedAPITypes: { NSPrivacyAccessedAPICategoryUserDefaults: ['CA92.1'] }
+  });
+  assert.deepEqual(summarizeManifest(null), {});
+});
+
+test('reports schema violations in every manifest of the app model', async () => {
+  const app = {
+    privacyManifests: [
+      { path: 'PrivacyInfo.xcprivacy', plist: VALID, error: null },
+      {
+        path: 'Frameworks/Ads.framework/PrivacyInfo.xcprivacy',
+        error: null,
+        plist: {
+          NSPrivacyTracking: 'yes',
+          NSPrivacyTrackingDomains: ['https://ads.example.com/pixel'],
+          NSPrivacyCollectedDataTypes: [{
+            NSPrivacyCollectedDataType: 'NSPrivacyCollectedDataTypeShoeSize',
+            NSPrivacyCollectedDataTypeLinked: false,
+            NSPrivacyCollectedDataTypeTracking: false,
+            NSPrivacyCollectedDataTypePurposes: ['Fun']
+          }],
+          NSPrivacyAccessedAPITypes: [{
+            NSPrivacyAccessedAPIType: 'NSPrivacyAccessedAPICategoryUserDefaults',
+            NSPrivacyAccessedAPITypeReasons: ['35F9.1']
+          }],
+          NSPrivacyExtra: true
+        }
+      },
+      { path: 'PlugIns/Widget.appex/PrivacyInfo.xcprivacy', plist: null, error: 'Unexpected end of plist' }
+    ]
+  };
+  const findings = await schemaCheck.run(app);
+
+  assert.deepEqual(summary(findings), [
+    ['info', 'Unknown privacy manifest key NSPrivacyExtra', 'NSPrivacyExtra'],
+    ['critical', 'NSPrivacyTracking must be a Boolean', 'NSPrivacyTracking'],
+    ['warn', 'Invalid tracking domain "https://ads.example.com/pixel"', 'NSPrivacyTrackingDomains[0]'],
+    ['critical', 'Unknown collected data type NSPrivacyCollectedDataTypeShoeSize', 'NSPrivacyCollectedDataTypes[0].NSPrivacyCollectedDataType'],
+    ['critical', 'Unknown collection purpose Fun', 'NSPrivacyCollectedDataTypes[0].NSPrivacyCollectedDataTypePurposes[0]'],
+    ['critical', 'Reason 35F9.1 is not valid for NSPrivacyAccessedAPICategoryUserDefaults', 'NSPrivacyAccessedAPITypes[0].NSPrivacyAccessedAPITypeReasons[0]'],
+    ['critical', 'Malformed privacy manifest', undefined]
+  ]);
+  assert.ok(findings.every(finding => finding.checkId === 'privacy-manifest-schema' && finding.guideline === '5.1.1'));
+  assert.equal(findings[1].location, 'Frameworks/Ads.framework/PrivacyInfo.xcprivacy');
+  assert.match(findings[5].description, /35F9\.1 is a reason for NSPrivacyAccessedAPICategorySystemBootTime/);
+  assert.match(findings[6].description, /Unexpected end of plist/);
+});
+
+test('flags contradictions between tracking, domains and data types', () => {
+  const findings = validatePrivacyManifest({
+    NSPrivacyTracking: false,
+    NSPrivacyTrackingDomains: ['ads.example.com'],
+    NSPrivacyCollectedDataTypes: [
+      { NSPrivacyCollectedDataType: 'NSPrivacyCollectedDataTypeEmailAddress', NSPrivacyCollectedDataTypeTracking: true, NSPrivacyCollectedDataTypePurposes: [] },
+      { NSPrivacyCollectedDataType: 'NSPrivacyCollectedDataTypeEmailAddress', NSPrivacyCollectedDataTypeLinked: true, NSPrivacyCollectedDataTypeTracking: false, NSPrivacyCollectedDataTypePurposes: ['NSPrivacyCollectedDataTypePurposeAnalytics'] }
+    ],
+    NSPrivacyAccessedAPITypes: [{ NSPrivacyAccessedAPIType: 'NSPrivacyAccessedAPICategoryDiskSpace' }]
+  }, 'PrivacyInfo.xcprivacy');
+
+  assert.deepEqual(findings.map(finding => finding.title), [
+    'Tracking domains declared while tracking is disabled',
+    'NSPrivacyCollectedDataTypeLinked missing for NSPrivacyCollectedDataTypeEmailAddress',
+    'NSPrivacyCollectedDataTypeEmailAddress used for tracking while NSPrivacyTracking is false',
+    'No collection purposes for NSPrivacyCollectedDataTypeEmailAddress',
+    'Duplicate collected data type NSPrivacyCollectedDataTypeEmailAddress',
+    'No reasons declared for NSPrivacyAccessedAPICategoryDiskSpace'
+  ]);
+});
+
+test('warns when the app ships no manifest', async () => {
+  const ipa = (files) => ({ hasFile: (file) => files.includes(file) });
+  assert.deepEqual(await missingCheck.run({}, ipa(['PrivacyInfo.xcprivacy'])), []);
+  const [finding] = await missingCheck.run({}, ipa([]));
+  assert.deepEqual([finding.checkId, finding.severity, finding.title], ['privacy-manifest', 'warn', 'Missing PrivacyInfo.xcprivacy']);
+});
+
+test('validates the manifests of a project checkout', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'privacy-manifest-'));
+  try {
+    const write = (relativePath, contents) => {
+      fs.mkdirSync(path.dirname(path.join(root, relativePath)), { recursive: true });
+      fs.writeFileSync(path.join(root, relativePath), contents);
+    };
+    write('Demo/PrivacyInfo.xcprivacy', '<?xml version="1.0"?><plist version="1.0"><dict><key>NSPrivacyTracking</key><false/></dict></plist>');
+    write('Pods/Broken/PrivacyInfo.xcprivacy', 'not a plist');
+    write('node_modules/pkg/PrivacyInfo.xcprivacy', 'ignored');
+
+    const { manifests, findings } = await validateManifestsInDirectory(root);
+    // Directory order depends on the file system
+    manifests.sort((a, b) => a.path.localeCompare(b.path));
+    assert.deepEqual(manifests.map(manifest => [manifest.path, manifest.bundle, manifest.tracking, !!manifest.error]), [
+      ['Demo/PrivacyInfo.xcprivacy', 'Demo', false, false],
+      ['Pods/Broken/PrivacyInfo.xcprivacy', 'Pods/Broken', undefined, true]
+    ]);
+    assert.deepEqual(findings.map(finding => [finding.location, finding.title]), [
+      ['Pods/Broken/PrivacyInfo.xcprivacy', 'Malformed privacy manifest']
+    ]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeProjectConfig, applyProjectConfig } = require('../project-config');
+const { hashSecret } = require('../secret-scanner');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const FP_ATS = '1111111111111111';
+const FP_SIZE = '2222222222222222';
+const FP_ICON = '3333333333333333';
+const FP_GONE = '4444444444444444';
+
+// Helper: Scan results with fresh copies of the findings
+function scanResults() {
+  return {
+    status: 'fail',
+    checksRun: [{ id: 'ats', title: 'ATS' }, { id: 'download-size', title: 'Size' }, { id: 'app-icons', title: 'Icons' }],
+    findings: [
+      { checkId: 'ats', severity: 'critical', title: 'Arbitrary loads', fingerprint: FP_ATS },
+      { checkId: 'download-size', severity: 'warn', title: 'Too big', fingerprint: FP_SIZE },
+      { checkId: 'app-icons', severity: 'warn', title: 'Missing icon', fingerprint: FP_ICON },
+      { checkId: 'hardcoded-secret', severity: 'critical', title: 'Google API key', fingerprint: '5555555555555555', secret: { type: 'google-api-key', file: 'GoogleService-Info.plist', sha256: hashSecret('AIzaSyExample') } },
+      { checkId: 'hardcoded-secret', severity: 'critical', title: 'AWS key', fingerprint: '6666666666666666', secret: { type: 'aws-access-key', file: 'config.json', sha256: hashSecret('AKIAEXAMPLE') } }
+    ]
+  };
+}
+
+test('normalizes a config, hashing allowlisted secret values', () => {
+  const config = normalizeProjectConfig(JSON.stringify({
+    bundleId: 'com.example.demo',
+    suppressions: [{ fingerprint: FP_ATS, justification: '  Documented exception ', expires: '2026-12-31', author: 'sam' }],
+    secretAllowlist: [{ value: 'AIzaSyExample', justification: 'Client key' }]
+  }));
+
+  assert.deepEqual(config, {
+    bundleId: 'com.example.demo',
+    severityOverrides: {},
+    disabledChecks: [],
+    suppressions: [{ fingerprint: FP_ATS, justification: 'Documented exception', expires: '2026-12-31', checkId: undefined, author: 'sam' }],
+    secretAllowlist: [{ sha256: hashSecret('AIzaSyExample'), type: undefined, file: undefined, justification: 'Client key' }]
+  });
+  assert.ok(!JSON.stringify(config).includes('AIzaSyExample'));
+});
+
+test('rejects invalid configs with a readable message', () => {
+  const suppression = { fingerprint: FP_ATS, justification: 'ok', expires: '2026-12-31' };
+  const cases = [
+    [[], /must be a JSON object/],
+    [{ severityOverrides: { ats: 'error' } }, /severityOverrides\.ats: "error" is not one of critical, warn, info/],
+    [{ severityOverrides: ['info'] }, /severityOverrides must be an object/],
+    [{ severityOverrides: 'info' }, /severityOverrides must be an object/],
+    [{ disabledChecks: 'ats' }, /disabledChecks must be an array/],
+    [{ suppressions: [{ ...suppression, fingerprint: 'abc' }] }, /suppressions\[0\]: fingerprint/],
+    [{ suppressions: [{ ...suppression, justification: ' ' }] }, /suppressions\[0\]: justification is required/],
+    [{ suppressions: [{ ...suppression, justification: 123 }] }, /suppressions\[0\]: justification is required/],
+    [{ suppressions: [{ ...suppression, expires: 'soon' }] }, /suppressions\[0\]: expires must be an ISO date/],
+    [{ secretAllowlist: [{ justification: 'x' }] }, /secretAllowlist\[0\]: give the secret's value or sha256, or a file/],
+    [{ secretAllowlist: [{ sha256: 'abc', justification: 'x' }] }, /sha256 must be a 64-character hex digest/],
+    [{ secretAllowlist: [{ file: 'a.plist', justification: {} }] }, /secretAllowlist\[0\]: justification is required/]
+  ];
+  for (const [input, message] of cases) {
+    assert.throws(() => normalizeProjectConfig(input), message);
+  }
+});
+
+test('disables checks, overrides severities, suppresses findings and allowlists secrets', () => {
+  const config = normalizeProjectConfig({
+    bundleId: 'com.example.demo',
+    disabledChecks: ['download-size'],
+    severityOverrides: { 'app-icons': 'info' },
+    suppressions: [
+      { fingerprint: FP_ATS, justification: 'Legacy CDN', expires: '2026-10-19' },
+      { fingerprint: FP_GONE, justification: 'Fixed long ago', expires: '2027-01-01' }
+    ],
+    secretAllowlist: [{ type: 'google-api-key', file: 'GoogleService-Info.plist', justification: 'Public client key' }]
+  });
+  const results = applyProjectConfig(scanResults(), config, { source: 'stored', now: NOW });
+
+  assert.deepEqual(results.findings.map(finding => [finding.title, finding.severity, finding.originalSeverity]), [
+    ['Missing icon', 'info', 'warn'],
+    ['AWS key', 'critical', undefined]
+  ]);
+  assert.deepEqual(results.suppressed.map(finding => [finding.title, finding.suppression]), [
+    ['Arbitrary loads', { justification: 'Legacy CDN', expires: '2026-10-19', author: undefined }]
+  ]);
+  assert.deepEqual(results.checksRun.map(check => check.id), ['ats', 'app-icons']);
+  assert.deepEqual(results.summary, { total: 2, critical: 1, warn: 0, info: 1, status: 'BLOCKED', suppressed: 1 });
+  assert.equal(results.status, 'fail');
+  assert.deepEqual(results.projectConfig, {
+    source: 'stored',
+    bundleId: 'com.example.demo',
+    disabledChecks: ['download-size'],
+    disabledFindings: 1,
+    severityOverrides: { 'app-icons': 'info' },
+    allowlistedSecrets: 1,
+    suppressions: 2,
+    expiredSuppressions: [],
+    unmatchedSuppressions: [FP_GONE]
+  });
+});
+
+test('counts expired suppressions again and flags them', () => {
+  const config = normalizeProjectConfig({
+    suppressions: [{ fingerprint: FP_ATS, justification: 'Legacy CDN', expires: '2026-10-18' }],
+    secretAllowlist: [{ value: 'AKIAEXAMPLE', justification: 'Test key' }, { value: 'AIzaSyExample', justification: 'Client key' }]
+  });
+  const results = applyProjectConfig(scanResults(), config, { now: NOW });
+
+  assert.deepEqual(results.findings[0].suppressionExpired, { justification: 'Legacy CDN', expires: '2026-10-18', author: undefined });
+  assert.deepEqual(results.projectConfig.expiredSuppressions, [FP_ATS]);
+  assert.equal(results.projectConfig.allowlistedSecrets, 2);
+  assert.deepEqual(results.suppressed, []);
+  assert.equal(results.summary.critical, 1);
+});
+
+test('leaves results without findings or config alone', () => {
+  const results = { status: 'pass', summary: { total: 0 } };
+  assert.equal(applyProjectConfig(results, normalizeProjectConfig({})), results);
+  assert.deepEqual(applyProjectConfig(scanResults(), null), scanResults());
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const check = require('../checks/required-reason-api');
+const { detectRequiredReasonAPIs } = require('../privacy-manifest');
+
+// Helper: Fake executable whose string table holds the given symbols
+const binary = (...symbols) => Buffer.concat([Buffer.from([0xcf, 0xfa, 0xed, 0xfe, 0, 0]), Buffer.from(`${symbols.join('\0')}\0`)]);
+
+// Helper: Manifest entry declaring API categories (each with one reason)
+const manifest = (path, bundle, ...categories) => ({
+  path,
+  bundle,
+  plist: { NSPrivacyAccessedAPITypes: categories.map(category => ({ NSPrivacyAccessedAPIType: category, NSPrivacyAccessedAPITypeReasons: ['X.1'] })) }
+});
+
+// Helper: App model and IPA reader over in-memory binaries
+function bundle(files, privacyManifests) {
+  return {
+    app: {
+      appName: 'Demo',
+      executable: 'Demo',
+      frameworks: [
+        { name: 'Ads', path: 'Frameworks/Ads.framework', executable: 'Frameworks/Ads.framework/Ads' },
+        { name: 'libfoo', path: 'Frameworks/libfoo.dylib', executable: 'Frameworks/libfoo.dylib' },
+        { name: 'Resources', path: 'Frameworks/Resources.framework', executable: null }
+      ],
+      plugins: [],
+      privacyManifests
+    },
+    ipa: {
+      hasFile: (file) => file in files,
+      readFile: async (file) => files[file]
+    }
+  };
+}
+
+test('detects required-reason API categories from symbols and selectors', () => {
+  assert.deepEqual(detectRequiredReasonAPIs(binary('_stat$INODE64', 'systemUptime', '_printf', '_mach_absolute_time')), {
+    NSPrivacyAccessedAPICategoryFileTimestamp: ['_stat'],
+    NSPrivacyAccessedAPICategorySystemBootTime: ['systemUptime', '_mach_absolute_time']
+  });
+  assert.deepEqual(detectRequiredReasonAPIs(binary('_statistics', 'standardUserDefaultsX')), {});
+});
+
+test('reports APIs each binary uses that the manifests covering it do not declare', async () => {
+  const { app, ipa } = bundle({
+    'Demo': binary('_OBJC_CLASS_$_NSUserDefaults', '_mach_absolute_time'),
+    'Frameworks/Ads.framework/Ads': binary('_stat$INODE64', '_statfs'),
+    'Frameworks/libfoo.dylib': binary('activeInputModes', 'standardUserDefaults')
+  }, [
+    manifest('PrivacyInfo.xcprivacy', '', 'NSPrivacyAccessedAPICategoryUserDefaults'),
+    // Resource bundles inside a framework count for the framework
+    manifest('Frameworks/Ads.framework/Ads.bundle/PrivacyInfo.xcprivacy', 'Frameworks/Ads.framework/Ads.bundle', 'NSPrivacyAccessedAPICategoryFileTimestamp')
+  ]);
+  const findings = await check.run(app, ipa);
+
+  assert.deepEqual(findings.map(finding => [finding.location, finding.title, finding.symbols]), [
+    ['Demo', 'System boot time APIs used without a declared reason', ['_mach_absolute_time']],
+    ['Frameworks/Ads.framework/Ads', 'Disk space APIs used without a declared reason', ['_statfs']],
+    // Loose dylibs are covered by the app's manifest, which declares user defaults but not keyboards
+    ['Frameworks/libfoo.dylib', 'Active keyboard APIs used without a declared reason', ['activeInputModes']]
+  ]);
+  assert.ok(findings.every(finding => finding.checkId === 'required-reason-api' && finding.severity === 'critical'));
+  assert.match(findings[0].description, /PrivacyInfo\.xcprivacy does not declare NSPrivacyAccessedAPICategorySystemBootTime/);
+  assert.match(findings[0].fix, /^Add an NSPrivacyAccessedAPITypes entry .* \(35F9\.1, 8FFB\.1, 3D61\.1\)$/);
+  assert.match(findings[1].description, /Frameworks\/Ads\.framework\/PrivacyInfo\.xcprivacy does not declare/);
+  assert.match(findings[1].fix, /^Update Ads to a release that ships a privacy manifest/);
+});
+
+test('stays quiet when every category is declared or the binary is missing', async () => {
+  const { app, ipa } = bundle({
+    'Demo': binary('_OBJC_CLASS_$_NSUserDefaults', '_stat')
+  }, [manifest('PrivacyInfo.xcprivacy', '', 'NSPrivacyAccessedAPICategoryUserDefaults', 'NSPrivacyAccessedAPICategoryFileTimestamp')]);
+  assert.deepEqual(await check.run(app, ipa), []);
+});
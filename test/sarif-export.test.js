@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toSARIF } = require('../sarif-export');
+
+const SCAN = {
+  id: '1700000000000-1',
+  type: 'ipa',
+  fileName: 'Demo.ipa',
+  bundleId: 'com.example.demo',
+  results: {
+    engine: 'native',
+    summary: { total: 3, critical: 1, warn: 1, info: 1, status: 'BLOCKED' },
+    findings: [
+      {
+        checkId: 'usage-description',
+        severity: 'critical',
+        title: 'Missing NSCameraUsageDescription',
+        description: 'The app links AVFoundation but has no camera usage description.',
+        location: 'Info.plist',
+        guideline: '5.1.1(ii)',
+        guidelines: [{ number: '5.1.1(ii)', title: 'Permission', url: 'https://developer.apple.com/app-store/review/guidelines/#5.1.1', match: 'finding' }],
+        fix: 'Add NSCameraUsageDescription.',
+        fingerprint: 'abcdef0123456789'
+      },
+      { checkId: 'usage-description', severity: 'warn', title: 'Vague usage description', location: 'en.lproj/InfoPlist.strings:4:7' },
+      { severity: 'info', message: 'Greenlight: Uses private API!', location: 'Demo (main executable)', guideline: '2.5.1' }
+    ],
+    suppressed: [{
+      checkId: 'ats',
+      severity: 'warn',
+      title: 'Arbitrary loads allowed',
+      location: 'Info.plist',
+      suppression: { justification: 'Legacy CDN', expires: '2026-12-31' }
+    }]
+  }
+};
+
+test('writes one rule per check, with guideline help links and tags', () => {
+  const { $schema, version, runs: [run] } = toSARIF(SCAN);
+
+  assert.equal(version, '2.1.0');
+  assert.match($schema, /sarif-2\.1\.0/);
+  assert.deepEqual(run.tool.driver.rules.map(rule => [rule.id, rule.defaultConfiguration.level, rule.helpUri]), [
+    ['usage-description', 'error', 'https://developer.apple.com/app-store/review/guidelines/#5.1.1'],
+    ['finding/greenlight-uses-private-api', 'note', 'https://developer.apple.com/app-store/review/guidelines/#2.5.1'],
+    ['ats', 'warning', 'https://developer.apple.com/app-store/review/guidelines/']
+  ]);
+  assert.deepEqual(run.tool.driver.rules[0].properties.tags, ['app-store-compliance', 'guideline-5.1.1(ii)']);
+});
+
+test('maps findings to results with bundle-relative locations', () => {
+  const [camera, vague, privateApi, ats] = toSARIF(SCAN).runs[0].results;
+
+  assert.equal(camera.ruleIndex, 0);
+  assert.equal(camera.level, 'error');
+  assert.equal(camera.message.text, 'The app links AVFoundation but has no camera usage description.');
+  assert.deepEqual(camera.locations, [{ physicalLocation: { artifactLocation: { uri: 'Info.plist', uriBaseId: 'BUNDLE' } } }]);
+  assert.deepEqual(camera.partialFingerprints, { 'complianceFinding/v2': 'abcdef0123456789' });
+  assert.equal(camera.properties.fix, 'Add NSCameraUsageDescription.');
+
+  assert.equal(vague.ruleIndex, 0);
+  assert.deepEqual(vague.locations[0].physicalLocation.region, { startLine: 4, startColumn: 7 });
+  assert.equal(vague.message.text, 'Vague usage description');
+
+  // Free-text locations can't point at a file
+  assert.deepEqual(privateApi.locations, [{ message: { text: 'Demo (main executable)' } }]);
+  assert.equal(privateApi.ruleId, 'finding/greenlight-uses-private-api');
+
+  assert.deepEqual(ats.suppressions, [{ kind: 'external', status: 'accepted', justification: 'Legacy CDN (expires 2026-12-31)' }]);
+});
+
+test('records the run and resolves project scan paths against the source root', () => {
+  const run = toSARIF({
+    id: 'p1',
+    type: 'codescan',
+    projectPath: '/work/MyApp',
+    results: { findings: [{ checkId: 'code', severity: 'warn', title: 'Hardcoded URL', location: '/Sources/API.swift:10' }] }
+  }).runs[0];
+
+  assert.deepEqual(run.originalUriBaseIds, { SRCROOT: { uri: 'file:///work/MyApp/' } });
+  assert.deepEqual(run.results[0].locations[0].physicalLocation, {
+    artifactLocation: { uri: 'Sources/API.swift', uriBaseId: 'SRCROOT' },
+    region: { startLine: 10 }
+  });
+  assert.deepEqual(toSARIF(SCAN).runs[0].properties, {
+    scanId: '1700000000000-1',
+    scanType: 'ipa',
+    engine: 'native',
+    appName: undefined,
+    bundleId: 'com.example.demo',
+    status: 'BLOCKED',
+    summary: SCAN.results.summary
+  });
+  assert.deepEqual(toSARIF({ results: {} }).runs[0].results, []);
+});
@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCycloneDX } = require('../sbom-export');
+const { parseLockfile } = require('../lockfiles');
+
+const PODFILE_LOCK = `PODS:
+  - Alamofire (5.8.1)
+  - FirebaseCore (10.3.0):
+    - GoogleUtilities/Environment (~> 7.8)
+  - GoogleUtilities/Environment (7.12.0)
+
+DEPENDENCIES:
+  - Alamofire (~> 5.8)
+  - FirebaseCore
+
+SPEC CHECKSUMS:
+  Alamofire: abc123
+  FirebaseCore: def456
+  GoogleUtilities: 0123ff
+
+COCOAPODS: 1.15.2
+`;
+
+// Helper: Stored IPA scan with two embedded frameworks, a static SDK and a Podfile.lock
+function scan() {
+  const podfile = parseLockfile('Podfile.lock', PODFILE_LOCK);
+  return {
+    id: 'scan-1',
+    results: {
+      app: {
+        appName: 'Demo',
+        bundleId: 'com.example.demo',
+        version: '1.2',
+        build: '42',
+        minimumOSVersion: '15.0',
+        ipaSha256: 'a'.repeat(64),
+        binary: { sha256: 'b'.repeat(64) },
+        privacyManifests: [{ path: 'PrivacyInfo.xcprivacy' }],
+        frameworks: [
+          {
+            name: 'FirebaseCore',
+            version: '10.3.0',
+            path: 'Frameworks/FirebaseCore.framework',
+            bundleId: 'org.cocoapods.FirebaseCore',
+            binary: { sha256: 'c'.repeat(64), signed: true, signature: { valid: true } }
+          },
+          { name: 'Helpers', path: 'Frameworks/Helpers.framework', hasPrivacyManifest: false }
+        ],
+        sdkInventory: {
+          databaseVersion: '2026.10.1',
+          sdks: [
+            { name: 'Firebase', vendor: 'Google', linkage: 'dynamic', location: 'Frameworks/FirebaseCore.framework', privacyImpacting: true, privacyManifest: { path: 'x' } },
+            { name: 'Sentry', vendor: 'Sentry', version: '8.20.0', linkage: 'static', location: 'Demo', privacyImpacting: false, privacyManifest: null }
+          ],
+          unidentified: []
+        }
+      },
+      sourceDependencies: { 'Podfile.lock': { fileName: 'Podfile.lock', packages: podfile.packages } }
+    }
+  };
+}
+
+// Helper: Component properties as a { name: value } map without the tool prefix
+const props = (component) => Object.fromEntries(component.properties.map(({ name, value }) => [name.replace('ios-compliance:', ''), value]));
+
+test('describes the app as the root component', () => {
+  const sbom = toCycloneDX(scan());
+
+  assert.equal(sbom.bomFormat, 'CycloneDX');
+  assert.equal(sbom.specVersion, '1.5');
+  assert.match(sbom.serialNumber, /^urn:uuid:[0-9a-f-]{36}$/);
+  assert.equal(sbom.metadata.component['bom-ref'], 'app:com.example.demo');
+  assert.deepEqual(sbom.metadata.component.hashes, [{ alg: 'SHA-256', content: 'a'.repeat(64) }]);
+  assert.deepEqual(props(sbom.metadata.component), {
+    bundleId: 'com.example.demo',
+    build: '42',
+    minimumOSVersion: '15.0',
+    executableSha256: 'b'.repeat(64),
+    privacyManifest: 'true',
+    scanId: 'scan-1',
+    sdkDatabaseVersion: '2026.10.1',
+    lockfiles: 'Podfile.lock'
+  });
+});
+
+test('lists frameworks, static SDKs and lockfile packages once each', () => {
+  const { components } = toCycloneDX(scan());
+
+  assert.deepEqual(components.map(component => [component['bom-ref'], component.type, component.version, component.purl]), [
+    ['framework:Frameworks/FirebaseCore.framework', 'framework', '10.3.0', 'pkg:cocoapods/FirebaseCore@10.3.0'],
+    ['framework:Frameworks/Helpers.framework', 'framework', undefined, undefined],
+    ['sdk:Sentry', 'library', '8.20.0', undefined],
+    ['pkg:cocoapods/Alamofire@5.8.1', 'library', '5.8.1', 'pkg:cocoapods/Alamofire@5.8.1'],
+    ['pkg:cocoapods/GoogleUtilities@7.12.0', 'library', '7.12.0', 'pkg:cocoapods/GoogleUtilities@7.12.0']
+  ]);
+
+  const [firebase, helpers, sentry, , utilities] = components;
+  assert.deepEqual(firebase.supplier, { name: 'Google' });
+  assert.deepEqual(firebase.hashes, [{ alg: 'SHA-256', content: 'c'.repeat(64) }]);
+  assert.deepEqual(props(firebase), {
+    path: 'Frameworks/FirebaseCore.framework',
+    bundleId: 'org.cocoapods.FirebaseCore',
+    linkage: 'dynamic',
+    sdk: 'Firebase',
+    privacyImpactingSDK: 'true',
+    privacyManifest: 'true',
+    signed: 'true',
+    signatureValid: 'true',
+    source: 'Podfile.lock',
+    podspecChecksum: 'def456'
+  });
+  assert.equal(props(helpers).privacyManifest, 'false');
+  assert.deepEqual(props(sentry), { linkage: 'static', linkedInto: 'Demo', privacyImpactingSDK: 'false', privacyManifest: 'false' });
+  assert.equal(props(utilities).subspecs, 'Environment');
+});
+
+test('records the pod dependency graph', () => {
+  const { dependencies } = toCycloneDX(scan());
+
+  assert.deepEqual(dependencies, [
+    {
+      ref: 'app:com.example.demo',
+      dependsOn: ['framework:Frameworks/FirebaseCore.framework', 'framework:Frameworks/Helpers.framework', 'sdk:Sentry', 'pkg:cocoapods/Alamofire@5.8.1']
+    },
+    { ref: 'framework:Frameworks/FirebaseCore.framework', dependsOn: ['pkg:cocoapods/GoogleUtilities@7.12.0'] }
+  ]);
+});
+
+test('needs an IPA scan', () => {
+  assert.throws(() => toCycloneDX({ id: 'p', results: { findings: [] } }), /SBOM export needs an IPA scan/);
+});
@@ -0,0 +1,145 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScanStore, recordFromJob } = require('../scan-store');
+
+let root;
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-store-'));
+});
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// Helper: Store in a fresh directory under the temp root
+const freshStore = (name) => {
+  const directory = path.join(root, name);
+  return { directory, store: createScanStore(directory) };
+};
+
+// Helper: Scan record with the listing fields the filters look at
+function record(id, createdAt, { appName = 'Demo', bundleId = 'com.example.demo', status = 'GREENLIT', state = 'completed' } = {}) {
+  return { id, type: 'upload', state, createdAt, appName, bundleId, status, results: { findings: [{ checkId: 'ats' }] } };
+}
+
+test('builds records from finished jobs', () => {
+  const job = {
+    id: '1700000000000-1',
+    type: 'upload',
+    state: 'completed',
+    createdAt: '2026-10-19T10:00:00.000Z',
+    finishedAt: '2026-10-19T10:01:00.000Z',
+    meta: { fileName: 'Demo.ipa', fileSize: 1024 },
+    result: {
+      pdfReport: '/api/reports/1700000000000-1/pdf',
+      results: {
+        engine: 'native',
+        app: { appName: 'Demo', bundleId: 'com.example.demo', version: '1.2', build: '42' },
+        summary: { status: 'WARNING', total: 1 },
+        gate: 'pass'
+      }
+    }
+  };
+  const scan = recordFromJob(job);
+
+  assert.deepEqual({ ...scan, results: undefined }, {
+    id: '1700000000000-1',
+    type: 'upload',
+    state: 'completed',
+    error: null,
+    createdAt: '2026-10-19T10:00:00.000Z',
+    finishedAt: '2026-10-19T10:01:00.000Z',
+    appName: 'Demo',
+    bundleId: 'com.example.demo',
+    version: '1.2',
+    build: '42',
+    fileName: 'Demo.ipa',
+    fileSize: 1024,
+    sourceUrl: null,
+    projectPath: null,
+    engine: 'native',
+    status: 'WARNING',
+    summary: { status: 'WARNING', total: 1 },
+    gate: 'pass',
+    reports: { pdf: '/api/reports/1700000000000-1/pdf' },
+    results: undefined
+  });
+  assert.equal(scan.results, job.result.results);
+
+  const failed = recordFromJob({ id: 'x', type: 'code', state: 'failed', error: 'boom', meta: { projectPath: '/src/app' } });
+  assert.deepEqual([failed.error, failed.projectPath, failed.results, failed.summary], ['boom', '/src/app', null, null]);
+});
+
+test('saves, lists, reloads and removes scans', async () => {
+  const { directory, store } = freshStore('round-trip');
+  await store.save(record('a', '2026-10-01T00:00:00Z'));
+  await store.save(record('b', '2026-10-02T00:00:00Z'));
+  await store.save({ ...record('a', '2026-10-01T00:00:00Z'), status: 'BLOCKED' });
+
+  assert.deepEqual((await store.get('a')).results, { findings: [{ checkId: 'ats' }] });
+  const listed = await store.list();
+  assert.deepEqual(listed.scans.map(scan => [scan.id, scan.status]), [['b', 'GREENLIT'], ['a', 'BLOCKED']]);
+  assert.ok(listed.scans.every(scan => !('results' in scan)));
+
+  // A second store over the same directory reads the index back from disk
+  const reopened = createScanStore(directory);
+  assert.equal((await reopened.list()).total, 2);
+
+  assert.equal((await reopened.remove('a')).id, 'a');
+  assert.equal(await reopened.remove('a'), null);
+  assert.equal(await reopened.get('a'), null);
+  assert.ok(!fs.existsSync(path.join(directory, 'a.json')));
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(directory, 'index.json'), 'utf-8')).map(entry => entry.id), ['b']);
+});
+
+test('serializes concurrent writes so no index update is lost', async () => {
+  const { directory, store } = freshStore('concurrent');
+  const ids = Array.from({ length: 20 }, (_, index) => `scan-${index}`);
+  await Promise.all([
+    ...ids.map((id, index) => store.save(record(id, new Date(Date.UTC(2026, 9, 1, index)).toISOString()))),
+    store.remove('scan-3')
+  ]);
+
+  assert.equal((await store.list({ limit: 100 })).total, 19);
+  const onDisk = JSON.parse(fs.readFileSync(path.join(directory, 'index.json'), 'utf-8'));
+  assert.deepEqual(onDisk.map(entry => entry.id).sort(), ids.filter(id => id !== 'scan-3').sort());
+  assert.deepEqual(fs.readdirSync(directory).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('rejects scan IDs that could leave the store directory', async () => {
+  const { store } = freshStore('ids');
+  fs.writeFileSync(path.join(root, 'outside.json'), '{"id":"outside"}');
+
+  assert.equal(await store.get('../outside'), null);
+  assert.equal(await store.get('a/b'), null);
+  await assert.rejects(store.save(record('../evil', '2026-10-01T00:00:00Z')), /Invalid scan ID: \.\.\/evil/);
+  assert.equal(await store.remove('../outside'), null);
+  assert.ok(fs.existsSync(path.join(root, 'outside.json')));
+
+  // A failed write doesn't block the ones queued behind it
+  assert.equal((await store.save(record('1700000000000-42.v2', '2026-10-01T00:00:00Z'))).id, '1700000000000-42.v2');
+});
+
+test('filters, sorts and pages the listing', async () => {
+  const { store } = freshStore('filters');
+  await store.save(record('1', '2026-10-01T00:00:00Z', { appName: 'Demo App', status: 'GREENLIT' }));
+  await store.save(record('2', '2026-10-05T00:00:00Z', { appName: 'Other', bundleId: 'com.example.other', status: 'BLOCKED' }));
+  await store.save(record('3', '2026-10-10T00:00:00Z', { appName: 'demo lite', status: 'WARNING' }));
+  await store.save(record('4', '2026-10-15T00:00:00Z', { appName: null, status: null, state: 'failed' }));
+
+  const ids = async (filters) => (await store.list(filters)).scans.map(scan => scan.id);
+  assert.deepEqual(await ids(), ['4', '3', '2', '1']);
+  assert.deepEqual(await ids({ appName: 'DEMO' }), ['3', '1']);
+  assert.deepEqual(await ids({ bundleId: 'com.example.other' }), ['2']);
+  assert.deepEqual(await ids({ status: 'warning' }), ['3']);
+  assert.deepEqual(await ids({ state: 'failed' }), ['4']);
+  assert.deepEqual(await ids({ from: '2026-10-05', to: '2026-10-10T00:00:00Z' }), ['3', '2']);
+  assert.deepEqual(await ids({ appName: 'demo', from: '2026-10-02' }), ['3']);
+
+  assert.deepEqual(await store.list({ limit: '2', offset: '1' }).then(page => [page.total, page.offset, page.limit, page.scans.map(scan => scan.id)]),
+    [4, 1, 2, ['3', '2']]);
+  assert.equal((await store.list({ limit: 'all', offset: 'x' })).limit, 50);
+  await assert.rejects(store.list({ status: ['BLOCKED', 'WARNING'] }), /Invalid status filter: expected a string/);
+});
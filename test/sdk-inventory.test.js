@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSDKInventory } = require('../sdk-inventory');
+const check = require('../checks/sdk-inventory');
+
+// Helper: Fake executable whose string table holds the given symbols
+const binary = (...symbols) => Buffer.concat([Buffer.from([0xcf, 0xfa, 0xed, 0xfe, 0, 0]), Buffer.from(`${symbols.join('\0')}\0`)]);
+
+// Helper: Minimal XML Info.plist with a bundle identifier
+const infoPlist = (bundleId) => Buffer.from(`<?xml version="1.0" encoding="UTF-8"?><plist version="1.0"><dict><key>CFBundleIdentifier</key><string>${bundleId}</string></dict></plist>`);
+
+// Helper: Embedded framework as the app model describes it
+function framework(name, { bundleId = `org.cocoapods.${name}`, version = '1.0.0', binary = { signed: true, signature: { valid: true, adhoc: false, teamId: 'ABCDE12345' } } } = {}) {
+  const path = `Frameworks/${name}.framework`;
+  return { name, path, bundleId, version, executable: `${path}/${name}`, binary };
+}
+
+// Helper: App model and IPA reader over in-memory files
+function bundle({ frameworks = [], plugins = [], privacyManifests = [], files = {} }) {
+  return {
+    app: { executable: 'Demo', frameworks, plugins, privacyManifests: privacyManifests.map(path => ({ path })) },
+    ipa: {
+      files: Object.entries(files).map(([path, buffer]) => ({ path, size: buffer.length })),
+      hasFile: (file) => file in files,
+      readFile: async (file) => files[file]
+    }
+  };
+}
+
+test('inventories embedded, resource-bundle and statically linked SDKs', async () => {
+  const { app, ipa } = bundle({
+    frameworks: [
+      framework('FirebaseCore', { version: '10.29.0' }),
+      framework('Alamofire', { binary: { signed: false } }),
+      framework('FBSDKCoreKit', { binary: { signed: true, signature: { valid: false, error: 'Page 3 hash mismatch' } } }),
+      framework('GoogleMobileAds', { binary: { signed: false } }),
+      framework('Helpers', { bundleId: 'com.example.helpers', version: null })
+    ],
+    plugins: [{ name: 'Widget', executable: 'PlugIns/Widget.appex/Widget' }],
+    privacyManifests: [
+      'PrivacyInfo.xcprivacy',
+      'Frameworks/FirebaseCore.framework/PrivacyInfo.xcprivacy',
+      'Frameworks/FBSDKCoreKit.framework/PrivacyInfo.xcprivacy',
+      'Frameworks/Helpers.framework/GoogleSignIn.bundle/PrivacyInfo.xcprivacy',
+      'DGCharts_Privacy.bundle/PrivacyInfo.xcprivacy'
+    ],
+    files: {
+      'Demo': binary('_OBJC_CLASS_$_FMDatabaseQueue', '$s6Charts9LineChartV', '_TtC9Alamofire7Session'),
+      'PlugIns/Widget.appex/Widget': binary('_OBJC_CLASS_$_FIRCrashlytics'),
+      'Frameworks/Alamofire.framework/Alamofire': binary('_TtC9Alamofire7Session'),
+      'Frameworks/Helpers.framework/Helpers': binary('_OBJC_CLASS_$_GIDSignIn'),
+      'Frameworks/Helpers.framework/GoogleSignIn.bundle/Info.plist': infoPlist('org.cocoapods.GoogleSignIn'),
+      'Frameworks/Helpers.framework/Broken.bundle/Info.plist': Buffer.from('not a plist')
+    }
+  });
+  const inventory = await buildSDKInventory(app, ipa);
+
+  assert.match(inventory.databaseVersion, /^\d{4}\.\d+\.\d+$/);
+  assert.deepEqual(inventory.sdks.map(sdk => [sdk.name, sdk.linkage, sdk.location, sdk.detectedBy, sdk.privacyManifest]), [
+    ['Alamofire', 'dynamic', 'Frameworks/Alamofire.framework', ['framework Alamofire', 'bundle ID org.cocoapods.Alamofire'], null],
+    ['Charts', 'static', 'Demo', ['classes in Demo'], 'DGCharts_Privacy.bundle/PrivacyInfo.xcprivacy'],
+    ['FBSDKCoreKit', 'dynamic', 'Frameworks/FBSDKCoreKit.framework', ['framework FBSDKCoreKit', 'bundle ID org.cocoapods.FBSDKCoreKit'], 'Frameworks/FBSDKCoreKit.framework/PrivacyInfo.xcprivacy'],
+    ['FirebaseCore', 'dynamic', 'Frameworks/FirebaseCore.framework', ['framework FirebaseCore', 'bundle ID org.cocoapods.FirebaseCore'], 'Frameworks/FirebaseCore.framework/PrivacyInfo.xcprivacy'],
+    ['FirebaseCrashlytics', 'static', 'PlugIns/Widget.appex/Widget', ['classes in Widget'], null],
+    ['FMDB', 'static', 'Demo', ['classes in Demo'], null],
+    ['GoogleMobileAds', 'dynamic', 'Frameworks/GoogleMobileAds.framework', ['framework GoogleMobileAds', 'bundle ID org.cocoapods.GoogleMobileAds'], null],
+    // Found through its resource bundle first, so the class references in Helpers add nothing
+    ['GoogleSignIn', 'static', 'Frameworks/Helpers.framework', ['bundle ID org.cocoapods.GoogleSignIn (Frameworks/Helpers.framework/GoogleSignIn.bundle)', 'classes in Helpers'], 'Frameworks/Helpers.framework/GoogleSignIn.bundle/PrivacyInfo.xcprivacy']
+  ]);
+  assert.deepEqual(inventory.unidentified, [
+    { name: 'Helpers', path: 'Frameworks/Helpers.framework', bundleId: 'com.example.helpers', version: null }
+  ]);
+  const core = inventory.sdks.find(sdk => sdk.name === 'FirebaseCore');
+  assert.deepEqual([core.vendor, core.version, core.privacyImpacting, core.signature], [
+    'Google', '10.29.0', true, { signed: true, valid: true, adhoc: false, teamId: 'ABCDE12345', error: null }
+  ]);
+
+  app.sdkInventory = inventory;
+  const findings = await check.run(app);
+  assert.deepEqual(findings.map(finding => [finding.severity, finding.title, finding.location]), [
+    ['critical', 'Alamofire has no privacy manifest', 'Frameworks/Alamofire.framework'],
+    ['warn', 'Alamofire is not signed', 'Frameworks/Alamofire.framework'],
+    ['critical', 'FBSDKCoreKit has an invalid code signature', 'Frameworks/FBSDKCoreKit.framework'],
+    ['critical', 'FirebaseCrashlytics has no privacy manifest', 'PlugIns/Widget.appex/Widget'],
+    ['critical', 'FMDB has no privacy manifest', 'Demo']
+  ]);
+  assert.ok(findings.every(finding => finding.checkId === 'sdk-inventory'));
+  assert.match(findings[0].description, /^Alamofire 1\.0\.0 is on Apple's list .* Frameworks\/Alamofire\.framework contains no PrivacyInfo\.xcprivacy\.$/);
+  assert.match(findings[2].description, /does not match its binary: Page 3 hash mismatch\.$/);
+  assert.match(findings[4].description, /linked statically into Demo, but no FMDB\.bundle or FMDB_Privacy\.bundle/);
+});
+
+test('reports nothing for an app without SDKs', async () => {
+  const { app, ipa } = bundle({ files: { 'Demo': binary('_main', '_OBJC_CLASS_$_UIViewController') } });
+  app.sdkInventory = await buildSDKInventory(app, ipa);
+
+  assert.deepEqual(app.sdkInventory.sdks, []);
+  assert.deepEqual(await check.run(app), []);
+  assert.deepEqual(await check.run({}), []);
+});
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CELLULAR_DOWNLOAD_LIMIT, analyzeSize } = require('../size-analysis');
+const check = require('../checks/download-size');
+
+const MB = 1024 * 1024;
+
+// Helper: App model over [path, size, compressedSize] rows, with sizes totalled the way ipa-inspector does
+function app(rows, { binary = null, ipaSize } = {}) {
+  const files = rows.map(([path, size, compressedSize]) => ({ path, size, compressedSize }));
+  return {
+    appName: 'Demo',
+    bundleName: 'Demo.app',
+    executable: 'Demo',
+    binary,
+    frameworks: [{
+      name: 'Core',
+      path: 'Frameworks/Core.framework',
+      executable: 'Frameworks/Core.framework/Core',
+      binary: { architectures: ['arm64'], sliceSizes: [1000], simulatorSlices: [] }
+    }],
+    plugins: [{ name: 'Widget', path: 'PlugIns/Widget.appex', executable: 'PlugIns/Widget.appex/Widget', binary: null }],
+    files,
+    ipaSize: ipaSize ?? files.reduce((total, file) => total + file.compressedSize, 0),
+    installSize: files.reduce((total, file) => total + file.size, 0)
+  };
+}
+
+test('breaks the bundle down by component, type and localization', () => {
+  const size = analyzeSize(app([
+    ['Demo', 4000, 2000],
+    ['Frameworks/Core.framework/Core', 1000, 500],
+    ['Frameworks/Core.framework/Info.plist', 10, 10],
+    ['PlugIns/Widget.appex/Widget', 600, 300],
+    ['Assets.car', 3000, 2800],
+    ['icon.png', 100, 100],
+    ['icon@2x.png', 200, 200],
+    ['icon@3x.png', 300, 300],
+    ['icon@2x~ipad.png', 400, 400],
+    ['en.lproj/Localizable.strings', 20, 10],
+    ['fr.lproj/Localizable.strings', 30, 15],
+    ['Model.mlmodelc/coremldata.bin', 60, 40],
+    ['_CodeSignature/CodeResources', 70, 20]
+  ], { binary: { architectures: ['arm64', 'x86_64'], sliceSizes: [2500, 1500], simulatorSlices: ['x86_64'] } }));
+
+  assert.deepEqual([size.downloadSize, size.installSize, size.overCellularLimit], [6695, 9790, false]);
+  assert.deepEqual(size.byComponent.map(row => [row.name, row.kind, row.path, row.size, row.compressedSize, row.files]), [
+    ['Resources', 'resources', 'Resources', 4180, 3885, 9],
+    ['Demo (executable)', 'executable', 'Demo', 4000, 2000, 1],
+    ['Core', 'framework', 'Frameworks/Core.framework', 1010, 510, 2],
+    ['Widget', 'extension', 'PlugIns/Widget.appex', 600, 300, 1]
+  ]);
+  assert.deepEqual(size.byType.map(row => [row.type, row.size, row.files]), [
+    ['executable', 5600, 3],
+    ['asset-catalog', 3000, 1],
+    ['image', 1000, 4],
+    ['code-signature', 70, 1],
+    ['ml-model', 60, 1],
+    ['localization', 50, 2],
+    ['data', 10, 1]
+  ]);
+  assert.deepEqual(size.byLocalization, [
+    { locale: 'fr', size: 30, compressedSize: 15, files: 1 },
+    { locale: 'en', size: 20, compressedSize: 10, files: 1 }
+  ]);
+  assert.deepEqual(size.assetCatalogs, [{ path: 'Assets.car', size: 3000, compressedSize: 2800 }]);
+  assert.deepEqual(size.largestFiles.slice(0, 3).map(file => [file.path, file.type]), [
+    ['Demo', 'executable'], ['Assets.car', 'asset-catalog'], ['Frameworks/Core.framework/Core', 'executable']
+  ]);
+
+  assert.deepEqual(size.treemap.children.map(node => [node.name, node.size]), [
+    ['Resources', 4180], ['Demo (executable)', 4000], ['Core', 1010], ['Widget', 600]
+  ]);
+  const images = size.treemap.children[0].children.find(node => node.type === 'image');
+  assert.deepEqual(images.children.map(leaf => leaf.name), ['icon@2x~ipad.png', 'icon@3x.png', 'icon@2x.png', 'icon.png']);
+});
+
+test('estimates thinned sizes by dropping simulator slices and other image scales', () => {
+  const size = analyzeSize(app([
+    ['Demo', 4000, 2000],
+    ['icon.png', 100, 100],
+    ['icon@2x.png', 200, 200],
+    ['icon@3x.png', 300, 300],
+    ['icon@2x~ipad.png', 400, 400],
+    ['splash~ipad.png', 500, 500]
+  ], { binary: { architectures: ['x86_64', 'arm64'], sliceSizes: [1500, 2500], simulatorSlices: ['x86_64'] } }));
+
+  // The arm64 slice keeps 2500 of 4000 bytes and compresses in proportion; an iPad-only image stays
+  assert.deepEqual(size.thinning.map(variant => [variant.name, variant.installSize, variant.downloadSize, variant.savedBytes]), [
+    ['iPhone (@3x, arm64)', 3300, 2050, 2200],
+    ['iPhone (@2x, arm64)', 3200, 1950, 2300]
+  ]);
+});
+
+test('merges small files into one treemap node per type', () => {
+  const rows = Array.from({ length: 30 }, (_, index) => [`Images/photo-${String(index).padStart(2, '0')}.jpg`, 100 + index, 50]);
+  const size = analyzeSize(app(rows));
+  const [images] = size.treemap.children[0].children;
+
+  assert.equal(images.children.length, 26);
+  assert.equal(images.children[0].name, 'Images/photo-29.jpg');
+  assert.deepEqual(images.children[25], { name: '5 more files', size: 100 + 101 + 102 + 103 + 104, compressedSize: 250 });
+});
+
+test('warns only when the thinned download exceeds the cellular limit', async () => {
+  const universal = { architectures: ['arm64', 'x86_64'], sliceSizes: [150 * MB, 150 * MB], simulatorSlices: ['x86_64'] };
+
+  const thinnedBelow = app([['Demo', 300 * MB, 260 * MB]], { binary: universal, ipaSize: 270 * MB });
+  thinnedBelow.size = analyzeSize(thinnedBelow);
+  const [info] = await check.run(thinnedBelow);
+  assert.deepEqual([info.severity, info.title, info.location], ['info', 'Universal IPA exceeds cellular download limit', 'Demo.app']);
+  assert.match(info.description, /^The IPA is 270\.0MB, but after App Store thinning the estimated download is at most 130\.0MB \(iPhone \(@3x, arm64\)\)/);
+
+  const tooLarge = app([['Demo', 300 * MB, 260 * MB], ['Intro.mov', 250 * MB, 240 * MB]], { binary: universal });
+  tooLarge.size = analyzeSize(tooLarge);
+  const [warning] = await check.run(tooLarge);
+  assert.deepEqual([warning.severity, warning.title], ['warn', 'Exceeds cellular download limit']);
+  assert.match(warning.description, /is 370\.0MB .* above the 200\.0MB cellular download limit\. Largest components: Demo \(executable\) \(260\.0MB compressed\), Resources \(240\.0MB compressed\)\.$/);
+
+  const small = app([['Demo', 10 * MB, 5 * MB]]);
+  small.size = analyzeSize(small);
+  assert.deepEqual(await check.run(small), []);
+  assert.deepEqual(await check.run({}), []);
+  assert.equal(CELLULAR_DOWNLOAD_LIMIT, 200 * MB);
+});
@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeTransportSecurity, httpAllowed, analyzeTransportSecurity } = require('../transport-security');
+const check = require('../checks/ats');
+
+// Helper: IPA reader over in-memory files
+function ipaOf(files) {
+  return {
+    files: Object.entries(files).map(([path, buffer]) => ({ path, size: buffer.length })),
+    readFile: async (file) => files[file]
+  };
+}
+
+// Helper: Info.plist with the given NSAppTransportSecurity dictionary
+const plist = (settings) => ({ NSAppTransportSecurity: settings });
+
+test('describes exception domains with ATS defaults filled in', () => {
+  const policy = describeTransportSecurity(plist({
+    NSAllowsArbitraryLoads: true,
+    NSExceptionDomains: {
+      'cdn.example.com': { NSThirdPartyExceptionAllowsInsecureHTTPLoads: true, NSAllowsInsecure: true }
+    }
+  }));
+
+  assert.equal(policy.configured, true);
+  assert.equal(policy.arbitraryLoadsIgnored, false);
+  assert.deepEqual(policy.exceptionDomains, [{
+    domain: 'cdn.example.com',
+    includesSubdomains: false,
+    allowsInsecureHTTPLoads: true,
+    minimumTLSVersion: 'TLSv1.2',
+    requiresForwardSecrecy: true,
+    requiresCertificateTransparency: false,
+    thirdParty: true,
+    unknownKeys: ['NSAllowsInsecure']
+  }]);
+  assert.equal(describeTransportSecurity({ NSAppTransportSecurity: ['bad'] }).configured, true);
+  assert.deepEqual(describeTransportSecurity({}).exceptionDomains, []);
+});
+
+test('lets the most specific exception domain decide whether HTTP is allowed', () => {
+  const policy = describeTransportSecurity(plist({
+    NSAllowsArbitraryLoads: true,
+    NSExceptionDomains: {
+      'Example.com': { NSIncludesSubdomains: true, NSExceptionAllowsInsecureHTTPLoads: true },
+      'secure.example.com': {}
+    }
+  }));
+
+  assert.deepEqual(httpAllowed(policy, 'example.com'), { allowed: true, by: 'NSExceptionDomains.Example.com' });
+  assert.deepEqual(httpAllowed(policy, 'img.example.com'), { allowed: true, by: 'NSExceptionDomains.Example.com' });
+  assert.deepEqual(httpAllowed(policy, 'api.secure.example.com'), { allowed: true, by: 'NSExceptionDomains.Example.com' });
+  assert.deepEqual(httpAllowed(policy, 'secure.example.com'), { allowed: false, by: 'NSExceptionDomains.secure.example.com' });
+  assert.deepEqual(httpAllowed(policy, 'other.net'), { allowed: true, by: 'NSAllowsArbitraryLoads' });
+  assert.deepEqual(httpAllowed(policy, '10.0.0.1'), { allowed: true, by: 'local network' });
+  assert.deepEqual(httpAllowed(describeTransportSecurity({}), 'printer.local'), { allowed: true, by: 'local network' });
+  assert.deepEqual(httpAllowed(describeTransportSecurity({}), 'other.net'), { allowed: false, by: null });
+});
+
+test('reports ATS exemptions and the hard-coded endpoints ATS blocks', async () => {
+  const app = {
+    executable: 'Demo',
+    frameworks: [],
+    plugins: [],
+    infoPlist: plist({
+      NSAllowsArbitraryLoads: true,
+      NSAllowsArbitraryLoadsInWebContent: true,
+      NSAllowArbitraryLoads: true,
+      NSExceptionDomains: {
+        'legacy.example.com': {
+          NSIncludesSubdomains: true,
+          NSExceptionAllowsInsecureHTTPLoads: true,
+          NSExceptionMinimumTLSVersion: 'TLSv1.0',
+          NSExceptionRequiresForwardSecrecy: false
+        },
+        'https://api.example.com': { NSExceptionAllowsInsecureHTTPLoads: true },
+        'cdn.example.com': { NSAllowsInsecure: true }
+      }
+    })
+  };
+  const ipa = ipaOf({
+    'Demo': Buffer.from('\0http://img.legacy.example.com/a.png\0http://tracker.example.net/pixel\0http://www.apple.com/DTDs/PropertyList-1.0.dtd\0http://192.168.1.1/\0http://1.2.3\0'),
+    'config.json': Buffer.from('{"tracker":"http://tracker.example.net/v2","cdn":"http://cdn.example.com/x.js"}'),
+    'en.lproj/Localizable.strings': Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('"privacy" = "http://tracker.example.net/pixel";', 'utf16le')]),
+    'banner.png': Buffer.from('http://ignored.example.org/')
+  });
+
+  app.ats = await analyzeTransportSecurity(app, ipa);
+  assert.deepEqual(app.ats.insecureURLs.map(entry => [entry.url, entry.files, entry.allowed, entry.allowedBy]), [
+    ['http://img.legacy.example.com/a.png', ['Demo'], true, 'NSExceptionDomains.legacy.example.com'],
+    ['http://tracker.example.net/pixel', ['Demo', 'en.lproj/Localizable.strings'], false, null],
+    ['http://192.168.1.1/', ['Demo'], true, 'local network'],
+    ['http://tracker.example.net/v2', ['config.json'], false, null],
+    ['http://cdn.example.com/x.js', ['config.json'], false, 'NSExceptionDomains.cdn.example.com']
+  ]);
+
+  const findings = await check.run(app);
+  assert.deepEqual(findings.map(finding => [finding.severity, finding.title, finding.location]), [
+    ['info', 'NSAllowsArbitraryLoads is ignored', 'Info.plist'],
+    ['info', 'NSAllowsArbitraryLoadsInWebContent enabled', 'Info.plist'],
+    ['warn', 'Insecure HTTP allowed for legacy.example.com', 'Info.plist'],
+    ['warn', 'TLSv1.0 allowed for legacy.example.com', 'Info.plist'],
+    ['info', 'Forward secrecy not required for legacy.example.com', 'Info.plist'],
+    ['warn', 'Malformed ATS exception domain "https://api.example.com"', 'Info.plist'],
+    ['info', 'Unknown ATS exception keys for cdn.example.com', 'Info.plist'],
+    ['info', 'Unknown NSAppTransportSecurity keys', 'Info.plist'],
+    ['warn', 'Hard-coded http:// URL blocked by ATS: tracker.example.net', 'Demo'],
+    ['warn', 'Hard-coded http:// URL blocked by ATS: cdn.example.com', 'config.json']
+  ]);
+  assert.ok(findings.every(finding => finding.checkId === 'ats' && finding.guideline === '1.6'));
+  assert.match(findings[2].description, /plain HTTP to legacy\.example\.com and its subdomains\./);
+  assert.equal(findings[5].fix, 'Use just the host name, e.g. "api.example.com"');
+  assert.equal(findings[7].description, 'NSAllowArbitraryLoads is not an ATS key and has no effect.');
+  assert.match(findings[8].description, /^http:\/\/tracker\.example\.net\/pixel, http:\/\/tracker\.example\.net\/v2 found in Demo, en\.lproj\/Localizable\.strings, config\.json\./);
+});
+
+test('stays quiet without ATS exemptions or blocked endpoints', async () => {
+  const app = { executable: 'Demo', frameworks: [], plugins: [], infoPlist: {} };
+  app.ats = await analyzeTransportSecurity(app, ipaOf({ 'Demo': Buffer.from('https://api.example.com/\0http://localhost:8080/') }));
+
+  assert.deepEqual(await check.run(app), []);
+  assert.deepEqual(await check.run({}), []);
+});
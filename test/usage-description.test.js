@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const check = require('../checks/usage-description');
+
+// Helper: Fake executable whose string table holds the given symbols
+const binary = (...symbols) => Buffer.concat([Buffer.from([0xcf, 0xfa, 0xed, 0xfe, 0, 0]), Buffer.from(`${symbols.join('\0')}\0`)]);
+
+// Helper: Load commands for system frameworks
+const links = (...frameworks) => ({ dylibs: frameworks.map(name => ({ name: `/System/Library/Frameworks/${name}.framework/${name}`, kind: 'load' })) });
+
+// Helper: App model and IPA reader over in-memory binaries
+function bundle({ infoPlist, infoPlistStrings = [], files = {}, appBinary = links(), frameworks = [] }) {
+  return {
+    app: { executable: 'Demo', binary: appBinary, frameworks, infoPlist, infoPlistStrings },
+    ipa: {
+      hasFile: (file) => file in files,
+      readFile: async (file) => files[file]
+    }
+  };
+}
+
+test('requires purpose strings for permissions implied by APIs and linked frameworks', async () => {
+  const { app, ipa } = bundle({
+    appBinary: links('AVFoundation', 'CoreLocation', 'UIKit'),
+    files: {
+      'Demo': binary('_OBJC_CLASS_$_AVCaptureDevice', '_objc_msgSend'),
+      'Frameworks/Scanner.framework/Scanner': binary('requestRecordPermission:')
+    },
+    frameworks: [{ name: 'Scanner', executable: 'Frameworks/Scanner.framework/Scanner', binary: links() }],
+    infoPlist: {
+      NSCameraUsageDescription: 'Scan receipts to add expenses.',
+      NSLocationWhenInUseUsageDescription: 'TODO: explain'
+    },
+    infoPlistStrings: [
+      { locale: 'fr', path: 'fr.lproj/InfoPlist.strings', strings: { NSCameraUsageDescription: 'Caméra', NSLocationWhenInUseUsageDescription: 'Trouver les magasins proches de vous.' } },
+      { locale: 'de', path: 'de.lproj/InfoPlist.strings', strings: { CFBundleDisplayName: 'Demo' } },
+      { locale: 'ja', path: 'ja.lproj/InfoPlist.strings', error: 'Unterminated string on line 3' }
+    ]
+  });
+  const findings = await check.run(app, ipa);
+
+  assert.deepEqual(findings.map(finding => [finding.severity, finding.title, finding.location]), [
+    ['warn', 'Vague NSCameraUsageDescription in fr', 'fr.lproj/InfoPlist.strings'],
+    ['info', 'NSCameraUsageDescription not localized for de', 'de.lproj/InfoPlist.strings'],
+    ['critical', 'Missing NSMicrophoneUsageDescription', 'Info.plist'],
+    ['critical', 'Placeholder NSLocationWhenInUseUsageDescription', 'Info.plist'],
+    ['info', 'NSLocationWhenInUseUsageDescription not localized for de', 'de.lproj/InfoPlist.strings'],
+    ['warn', 'Unreadable ja.lproj/InfoPlist.strings', 'ja.lproj/InfoPlist.strings']
+  ]);
+  assert.ok(findings.every(finding => finding.checkId === 'usage-description'));
+  assert.equal(findings[2].keyPath, 'NSMicrophoneUsageDescription');
+  assert.match(findings[2].description, /^Microphone access is possible because of requestRecordPermission: in Scanner, AVFoundation \(linked by Demo\)\./);
+  assert.match(findings[3].description, /NSLocationWhenInUseUsageDescription is "TODO: explain", which is a placeholder\./);
+});
+
+test('only warns when a linked framework is the sole evidence', async () => {
+  const { app, ipa } = bundle({ appBinary: links('CoreLocation'), files: { 'Demo': binary('_main') }, infoPlist: {} });
+  assert.deepEqual((await check.run(app, ipa)).map(finding => [finding.severity, finding.title]), [
+    ['warn', 'Missing NSLocationWhenInUseUsageDescription']
+  ]);
+});
+
+test('accepts real descriptions, including short ones in languages without spaces', async () => {
+  const { app, ipa } = bundle({
+    appBinary: links('AVFoundation'),
+    files: { 'Demo': binary('_OBJC_CLASS_$_AVCaptureSession') },
+    infoPlist: {
+      NSCameraUsageDescription: 'Scan receipts to add expenses.',
+      NSMicrophoneUsageDescription: 'Record voice notes for your expenses.'
+    },
+    infoPlistStrings: [{
+      locale: 'ja',
+      path: 'ja.lproj/InfoPlist.strings',
+      strings: { NSCameraUsageDescription: 'レシートをスキャンして経費を追加します。', NSMicrophoneUsageDescription: '経費の音声メモを録音するためにマイクを使用します。' }
+    }]
+  });
+  assert.deepEqual(await check.run(app, ipa), []);
+});
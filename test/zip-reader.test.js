@@ -0,0 +1,135 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { openZip } = require('../zip-reader');
+
+// Helper: Minimal zip writer: entries are { name, data, method (0 stored, 8 deflated), flags, size }.
+// size overrides the uncompressed size on record; CRCs are left at zero, which the reader doesn't check.
+function buildZip(entries, comment = '') {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data = Buffer.alloc(0), method = 0, flags = 0, size = data.length } of entries) {
+    const nameBuffer = Buffer.from(name, flags & 0x800 ? 'utf8' : 'latin1');
+    const stored = method === 8 ? zlib.deflateRawSync(data) : data;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, stored);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + stored.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  end.writeUInt16LE(Buffer.byteLength(comment), 20);
+  return Buffer.concat([...locals, directory, end, Buffer.from(comment)]);
+}
+
+let directory;
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-reader-'));
+});
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Helper: Write a zip to the temp directory and return its path
+function writeZip(name, contents) {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+const INFO_PLIST = Buffer.from('<?xml version="1.0"?><plist><dict><key>CFBundleName</key><string>Demo</string></dict></plist>'.repeat(20));
+
+test('lists entries and reads stored and deflated data', async () => {
+  const zip = await openZip(writeZip('demo.ipa', buildZip([
+    { name: 'Payload/' },
+    { name: 'Payload/Demo.app/Info.plist', data: INFO_PLIST, method: 8 },
+    { name: 'Payload/Demo.app/Demo', data: Buffer.from([0xcf, 0xfa, 0xed, 0xfe]) },
+    { name: 'Payload/Demo.app/fr.lproj/Réglages.strings', data: Buffer.from('"a" = "b";'), flags: 0x800 }
+  ], 'archive comment')));
+
+  try {
+    assert.deepEqual(zip.entries.map(entry => [entry.name, entry.isDirectory, entry.size]), [
+      ['Payload/', true, 0],
+      ['Payload/Demo.app/Info.plist', false, INFO_PLIST.length],
+      ['Payload/Demo.app/Demo', false, 4],
+      ['Payload/Demo.app/fr.lproj/Réglages.strings', false, 10]
+    ]);
+    assert.ok(zip.getEntry('Payload/Demo.app/Info.plist').compressedSize < INFO_PLIST.length);
+    assert.deepEqual(await zip.readEntry('Payload/Demo.app/Info.plist'), INFO_PLIST);
+    assert.deepEqual(await zip.readEntry(zip.getEntry('Payload/Demo.app/Demo')), Buffer.from([0xcf, 0xfa, 0xed, 0xfe]));
+    assert.equal((await zip.readEntry('Payload/Demo.app/fr.lproj/Réglages.strings')).toString(), '"a" = "b";');
+    assert.equal(await zip.readEntry('Payload/Missing'), null);
+  } finally {
+    await zip.close();
+  }
+});
+
+test('rejects encrypted entries and unknown compression methods', async () => {
+  const zip = await openZip(writeZip('odd.zip', buildZip([
+    { name: 'secret.txt', data: Buffer.from('x'), flags: 0x1 },
+    { name: 'bzip2.txt', data: Buffer.from('x'), method: 12 }
+  ])));
+
+  try {
+    assert.equal(zip.getEntry('secret.txt').encrypted, true);
+    await assert.rejects(zip.readEntry('secret.txt'), /Zip entry is encrypted: secret\.txt/);
+    await assert.rejects(zip.readEntry('bzip2.txt'), /Unsupported zip compression method 12/);
+  } finally {
+    await zip.close();
+  }
+});
+
+test('rejects entries that inflate past or short of their recorded size', async () => {
+  const bomb = Buffer.alloc(1024 * 1024);
+  const zip = await openZip(writeZip('bomb.zip', buildZip([
+    { name: 'bomb.bin', data: bomb, method: 8, size: 1024 },
+    { name: 'short.bin', data: Buffer.from('short'), method: 8, size: 1024 },
+    { name: 'stored.bin', data: Buffer.from('short'), size: 6 },
+    { name: 'huge.bin', data: Buffer.from('x'), method: 8, size: 0xFFFFFFF0 }
+  ])));
+
+  try {
+    assert.ok(zip.getEntry('bomb.bin').compressedSize < 2048);
+    await assert.rejects(zip.readEntry('bomb.bin'), /Zip entry size does not match its central directory record: bomb\.bin/);
+    await assert.rejects(zip.readEntry('short.bin'), /size does not match .*: short\.bin/);
+    await assert.rejects(zip.readEntry('stored.bin'), /size does not match .*: stored\.bin/);
+    await assert.rejects(zip.readEntry('huge.bin'), /Zip entry is too large to read \(4294967280 bytes\): huge\.bin/);
+  } finally {
+    await zip.close();
+  }
+});
+
+test('rejects files that are not zip archives', async () => {
+  await assert.rejects(openZip(writeZip('not-a.zip', Buffer.from('plain text, no central directory'))), /Not a valid zip archive/);
+
+  const corrupt = buildZip([{ name: 'a.txt', data: Buffer.from('a') }]);
+  corrupt.write('XXXX', corrupt.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])), 'latin1');
+  await assert.rejects(openZip(writeZip('corrupt.zip', corrupt)), /Corrupt zip central directory at entry 0/);
+});
@@ -0,0 +1,161 @@
+const path = require('path');
+
+// Defaults ATS applies to an exception domain for every key it leaves out
+const EXCEPTION_DEFAULTS = {
+  includesSubdomains: false,
+  allowsInsecureHTTPLoads: false,
+  minimumTLSVersion: 'TLSv1.2',
+  requiresForwardSecrecy: true,
+  requiresCertificateTransparency: false
+};
+
+// Exception keys and their deprecated NSThirdParty* spellings
+const EXCEPTION_KEYS = {
+  NSIncludesSubdomains: 'includesSubdomains',
+  NSExceptionAllowsInsecureHTTPLoads: 'allowsInsecureHTTPLoads',
+  NSThirdPartyExceptionAllowsInsecureHTTPLoads: 'allowsInsecureHTTPLoads',
+  NSExceptionMinimumTLSVersion: 'minimumTLSVersion',
+  NSThirdPartyExceptionMinimumTLSVersion: 'minimumTLSVersion',
+  NSExceptionRequiresForwardSecrecy: 'requiresForwardSecrecy',
+  NSThirdPartyExceptionRequiresForwardSecrecy: 'requiresForwardSecrecy',
+  NSRequiresCertificateTransparency: 'requiresCertificateTransparency'
+};
+
+const TOP_LEVEL_KEYS = [
+  'NSAllowsArbitraryLoads',
+  'NSAllowsArbitraryLoadsForMedia',
+  'NSAllowsArbitraryLoadsInWebContent',
+  'NSAllowsLocalNetworking',
+  'NSExceptionDomains',
+  'NSPinnedDomains'
+];
+
+// Bundled files that commonly carry endpoint URLs (executables are scanned as well)
+const SCANNED_EXTENSIONS = new Set(['.plist', '.strings', '.json', '.js', '.html', '.xml', '.txt']);
+const MAX_SCANNED_FILE_SIZE = 20 * 1024 * 1024;
+const MAX_REPORTED_URLS = 200;
+
+// XML namespaces and DTD identifiers look like URLs but are never fetched
+const IGNORED_HOSTS = new Set([
+  'www.apple.com', 'www.w3.org', 'ns.adobe.com', 'purl.org', 'schemas.xmlsoap.org',
+  'schemas.microsoft.com', 'schemas.android.com', 'xml.apache.org', 'www.xml.org'
+]);
+
+const URL_PATTERN = /http:\/\/([a-z0-9.-]+)(?::\d+)?(?:[/?#][^\s"'<>\\\x00-\x1F\x7F-\xFF]*)?/gi;
+
+/**
+ * Structured view of Info.plist NSAppTransportSecurity: global switches and one row per exception domain
+ */
+function describeTransportSecurity(infoPlist) {
+  const ats = infoPlist?.NSAppTransportSecurity;
+  const settings = ats && typeof ats === 'object' && !Array.isArray(ats) ? ats : {};
+  const exceptions = settings.NSExceptionDomains && typeof settings.NSExceptionDomains === 'object'
+    ? settings.NSExceptionDomains
+    : {};
+
+  const policy = {
+    configured: !!ats,
+    allowsArbitraryLoads: settings.NSAllowsArbitraryLoads === true,
+    allowsArbitraryLoadsForMedia: settings.NSAllowsArbitraryLoadsForMedia === true,
+    allowsArbitraryLoadsInWebContent: settings.NSAllowsArbitraryLoadsInWebContent === true,
+    allowsLocalNetworking: settings.NSAllowsLocalNetworking === true,
+    arbitraryLoadsIgnored: false,
+    exceptionDomains: [],
+    unknownKeys: Object.keys(settings).filter(key => !TOP_LEVEL_KEYS.includes(key))
+  };
+  // Since iOS 10, any of the finer-grained keys makes the system ignore NSAllowsArbitraryLoads
+  policy.arbitraryLoadsIgnored = policy.allowsArbitraryLoads &&
+    ['NSAllowsArbitraryLoadsForMedia', 'NSAllowsArbitraryLoadsInWebContent', 'NSAllowsLocalNetworking']
+      .some(key => key in settings);
+
+  for (const [domain, entry] of Object.entries(exceptions)) {
+    const row = { domain, ...EXCEPTION_DEFAULTS, thirdParty: false, unknownKeys: [] };
+    for (const [key, value] of Object.entries(entry && typeof entry === 'object' ? entry : {})) {
+      if (EXCEPTION_KEYS[key]) {
+        row[EXCEPTION_KEYS[key]] = value;
+        if (key.startsWith('NSThirdParty')) row.thirdParty = true;
+      } else {
+        row.unknownKeys.push(key);
+      }
+    }
+    policy.exceptionDomains.push(row);
+  }
+
+  return policy;
+}
+
+// Helper: ATS never applies to IP addresses, unqualified host names or .local domains
+function isLocalHost(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || !host.includes('.') || host.endsWith('.local');
+}
+
+// Helper: Hosts worth reporting are real domains or local addresses, not namespaces or version strings
+function isEndpointHost(host) {
+  if (IGNORED_HOSTS.has(host)) return false;
+  return isLocalHost(host) || /\.[a-z]{2,}$/.test(host);
+}
+
+/**
+ * Whether ATS lets a plain-HTTP request to `host` through, and which setting allows or blocks it
+ */
+function httpAllowed(policy, host) {
+  if (isLocalHost(host)) return { allowed: true, by: 'local network' };
+
+  const exception = policy.exceptionDomains
+    .filter(row => host === row.domain.toLowerCase() ||
+      (row.includesSubdomains === true && host.endsWith(`.${row.domain.toLowerCase()}`)))
+    .sort((a, b) => b.domain.length - a.domain.length)[0];
+
+  // An exception domain replaces the global setting for its hosts
+  if (exception) {
+    return { allowed: exception.allowsInsecureHTTPLoads === true, by: `NSExceptionDomains.${exception.domain}` };
+  }
+  if (policy.allowsArbitraryLoads && !policy.arbitraryLoadsIgnored) {
+    return { allowed: true, by: 'NSAllowsArbitraryLoads' };
+  }
+  return { allowed: false, by: null };
+}
+
+/**
+ * Hard-coded http:// URLs in the app's executables and bundled plists, strings and web/config files.
+ * Returns [{ url, host, files, allowed, allowedBy }] checked against the ATS policy.
+ */
+async function findInsecureURLs(app, ipa, policy) {
+  const executables = new Set([app.executable, ...app.frameworks.map(f => f.executable), ...app.plugins.map(p => p.executable)]);
+  const urls = new Map();
+
+  for (const file of ipa.files) {
+    const scanned = executables.has(file.path) ||
+      (SCANNED_EXTENSIONS.has(path.extname(file.path).toLowerCase()) && file.size <= MAX_SCANNED_FILE_SIZE);
+    if (!scanned) continue;
+
+    const buffer = await ipa.readFile(file.path);
+    // Text .strings files are often UTF-16
+    const text = buffer[0] === 0xFF && buffer[1] === 0xFE ? buffer.toString('utf16le') : buffer.toString('latin1');
+
+    for (const [url, rawHost] of text.matchAll(URL_PATTERN)) {
+      const host = rawHost.toLowerCase().replace(/\.$/, '');
+      if (!isEndpointHost(host)) continue;
+
+      if (!urls.has(url)) {
+        if (urls.size >= MAX_REPORTED_URLS) continue;
+        const { allowed, by } = httpAllowed(policy, host);
+        urls.set(url, { url, host, files: [], allowed, allowedBy: by });
+      }
+      const entry = urls.get(url);
+      if (!entry.files.includes(file.path) && entry.files.length < 5) entry.files.push(file.path);
+    }
+  }
+
+  return [...urls.values()];
+}
+
+/**
+ * ATS policy table plus the hard-coded http:// endpoints found in the bundle
+ */
+async function analyzeTransportSecurity(app, ipa) {
+  const policy = describeTransportSecurity(app.infoPlist);
+  return { ...policy, insecureURLs: await findInsecureURLs(app, ipa, policy) };
+}
+
+module.exports = { describeTransportSecurity, httpAllowed, analyzeTransportSecurity };
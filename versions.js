@@ -0,0 +1,14 @@
+/**
+ * Compare dotted version strings ("17.0" vs "16.4.1"). Negative, zero or positive like a sort comparator.
+ */
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+module.exports = { compareVersions };
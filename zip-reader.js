@@ -0,0 +1,195 @@
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// Largest entry we inflate into memory; IPAs are uploaded with a 500MB limit and a
+// deflate bomb could otherwise claim far more than that
+const MAX_ENTRY_SIZE = 512 * 1024 * 1024;
+
+// EOCD record is 22 bytes plus an optional comment of up to 64KB
+const EOCD_SEARCH_LENGTH = 22 + 0xFFFF;
+
+// Helper: Read `length` bytes at `position` from an open file handle
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Helper: Locate the end-of-central-directory record (ZIP64 aware)
+async function readEndOfCentralDirectory(handle, fileSize) {
+  const tailLength = Math.min(fileSize, EOCD_SEARCH_LENGTH);
+  const tail = await readAt(handle, fileSize - tailLength, tailLength);
+
+  let eocdOffset = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocdOffset = i;
+      break;
+    }
+  }
+  if (eocdOffset === -1) {
+    throw new Error('Not a valid zip archive (end of central directory not found)');
+  }
+
+  let entryCount = tail.readUInt16LE(eocdOffset + 10);
+  let directorySize = tail.readUInt32LE(eocdOffset + 12);
+  let directoryOffset = tail.readUInt32LE(eocdOffset + 16);
+
+  // ZIP64: the locator sits immediately before the classic EOCD record
+  const locatorOffset = eocdOffset - 20;
+  if (locatorOffset >= 0 && tail.readUInt32LE(locatorOffset) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+    const zip64Offset = Number(tail.readBigUInt64LE(locatorOffset + 8));
+    const zip64 = await readAt(handle, zip64Offset, 56);
+    if (zip64.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('Corrupt ZIP64 end of central directory');
+    }
+    entryCount = Number(zip64.readBigUInt64LE(32));
+    directorySize = Number(zip64.readBigUInt64LE(40));
+    directoryOffset = Number(zip64.readBigUInt64LE(48));
+  }
+
+  return { entryCount, directorySize, directoryOffset };
+}
+
+// Helper: Apply ZIP64 extended information extra field to an entry
+function applyZip64Extra(entry, extra) {
+  let offset = 0;
+  while (offset + 4 <= extra.length) {
+    const headerId = extra.readUInt16LE(offset);
+    const dataSize = extra.readUInt16LE(offset + 2);
+    if (headerId === 0x0001) {
+      let cursor = offset + 4;
+      if (entry.size === 0xFFFFFFFF) {
+        entry.size = Number(extra.readBigUInt64LE(cursor));
+        cursor += 8;
+      }
+      if (entry.compressedSize === 0xFFFFFFFF) {
+        entry.compressedSize = Number(extra.readBigUInt64LE(cursor));
+        cursor += 8;
+      }
+      if (entry.localHeaderOffset === 0xFFFFFFFF) {
+        entry.localHeaderOffset = Number(extra.readBigUInt64LE(cursor));
+      }
+      return;
+    }
+    offset += 4 + dataSize;
+  }
+}
+
+// Helper: Parse every central directory file header
+function parseCentralDirectory(directory, entryCount) {
+  const entries = [];
+  let offset = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt zip central directory at entry ${i}`);
+    }
+
+    const flags = directory.readUInt16LE(offset + 8);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const nameBuffer = directory.subarray(offset + 46, offset + 46 + nameLength);
+
+    const entry = {
+      // Bit 11 = UTF-8 names; otherwise CP437, which is ASCII-compatible for bundle paths
+      name: nameBuffer.toString(flags & 0x800 ? 'utf8' : 'latin1'),
+      method: directory.readUInt16LE(offset + 10),
+      crc32: directory.readUInt32LE(offset + 16),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      localHeaderOffset: directory.readUInt32LE(offset + 42),
+      encrypted: (flags & 0x1) === 1
+    };
+    entry.isDirectory = entry.name.endsWith('/');
+
+    const extra = directory.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+    applyZip64Extra(entry, extra);
+
+    entries.push(entry);
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Open a zip archive (e.g. an .ipa) for random access without extracting it to disk.
+ * Only the central directory is read up front; entry data is inflated on demand.
+ */
+async function openZip(zipPath) {
+  const handle = await fs.open(zipPath, 'r');
+
+  try {
+    const { size: fileSize } = await handle.stat();
+    const { entryCount, directorySize, directoryOffset } = await readEndOfCentralDirectory(handle, fileSize);
+    const directory = await readAt(handle, directoryOffset, directorySize);
+    const entries = parseCentralDirectory(directory, entryCount);
+
+    const byName = new Map(entries.map(entry => [entry.name, entry]));
+
+    return {
+      path: zipPath,
+      fileSize,
+      entries,
+      getEntry: (name) => byName.get(name),
+
+      // Read and decompress a single entry into memory
+      async readEntry(entry) {
+        if (typeof entry === 'string') {
+          entry = byName.get(entry);
+          if (!entry) return null;
+        }
+        if (entry.encrypted) {
+          throw new Error(`Zip entry is encrypted: ${entry.name}`);
+        }
+        if (entry.size > MAX_ENTRY_SIZE) {
+          throw new Error(`Zip entry is too large to read (${entry.size} bytes): ${entry.name}`);
+        }
+
+        const localHeader = await readAt(handle, entry.localHeaderOffset, 30);
+        if (localHeader.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+          throw new Error(`Corrupt local header for zip entry: ${entry.name}`);
+        }
+        // Local name/extra lengths can differ from the central directory copy
+        const dataOffset = entry.localHeaderOffset + 30 +
+          localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+        const raw = await readAt(handle, dataOffset, entry.compressedSize);
+
+        let data;
+        if (entry.method === 0) {
+          data = raw;
+        } else if (entry.method === 8) {
+          // Never inflate past the size the central directory declares
+          data = await inflateRaw(raw, { maxOutputLength: Math.max(entry.size, 1) }).catch(error => {
+            if (error.code !== 'ERR_BUFFER_TOO_LARGE') throw error;
+            return null;
+          });
+        } else {
+          throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+        }
+        if (!data || data.length !== entry.size) {
+          throw new Error(`Zip entry size does not match its central directory record: ${entry.name}`);
+        }
+        return data;
+      },
+
+      close: () => handle.close()
+    };
+  } catch (error) {
+    await handle.close().catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = { openZip };